@@ -0,0 +1,75 @@
+// Multiplayer game server: one game lobby (src/game/lobby.js) shared by everyone connected over WebSocket,
+// with a table running its own rounds for each room in src/game/rooms.js.
+//
+//   npm run server -- --port 8787 --config public/configs/ocean.json [--dev]
+//
+// Then open the app with ?server=ws://localhost:8787 (or build it with REACT_APP_GAME_SERVER set).
+// --config replaces the classic room's config. Player state lives in memory for as long as the server
+// runs; a player who reconnects with the same id picks up where they left off. --dev turns on the dev
+// console's commands for everyone in every room; never on a table with real money.
+import { readFileSync } from 'node:fs';
+import WebSocket from 'ws';
+import { parseConfigJSON } from '../src/game/config.js';
+import { createLobby } from '../src/game/lobby.js';
+import { ROOMS, DEFAULT_ROOM_ID } from '../src/game/rooms.js';
+
+const TICK_MS = 100; // How often the rooms check their round clocks
+
+const parseArgs = (argv) => {
+    const args = { port: 8787, config: null, dev: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') args.port = Number(argv[++i]);
+        else if (arg === '--config') args.config = argv[++i];
+        else if (arg === '--dev') args.dev = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!Number.isInteger(args.port) || args.port <= 0) throw new Error('--port must be a positive integer');
+    return args;
+};
+
+const loadRooms = (path) => {
+    if (!path) return ROOMS;
+    const { config, errors } = parseConfigJSON(readFileSync(path, 'utf8'));
+    if (!config) throw new Error(`Invalid config ${path}:\n  ${errors.join('\n  ')}`);
+    return ROOMS.map(room => (room.id === DEFAULT_ROOM_ID ? { ...room, config } : room));
+};
+
+const main = () => {
+    const args = parseArgs(process.argv.slice(2));
+    const rooms = loadRooms(args.config);
+    const lobby = createLobby({ rooms, devTools: args.dev });
+    lobby.start();
+    setInterval(() => lobby.tick(), TICK_MS);
+
+    const server = new WebSocket.Server({ port: args.port });
+    server.on('connection', (socket) => {
+        const end = lobby.connect((message) => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+        });
+        socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return; // Not one of ours; ignore it
+            }
+            try {
+                end.receive(message);
+            } catch (error) {
+                // One bad message must not take the rooms down for everyone else
+                console.error(`Message ${data.toString().slice(0, 200)} failed:`, error);
+            }
+        });
+        socket.on('close', end.disconnect);
+    });
+    const names = rooms.map(room => room.config.name).join(', ');
+    console.log(`${names}: game server listening on ws://localhost:${args.port}${args.dev ? ' (dev tools on)' : ''}`);
+};
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,73 @@
+// Headless Monte Carlo run of the round engine.
+//
+//   npm run simulate -- --rounds 1000000 --config public/configs/ocean.json --seed 42 [--json]
+//
+// Prints per-pet win frequencies and per-bet-pattern RTP, house edge, hit rate and variance.
+import { readFileSync } from 'node:fs';
+import { DEFAULT_CONFIG, parseConfigJSON } from '../src/game/config.js';
+import { createFastRandom, simulateRounds } from '../src/game/simulator.js';
+
+const parseArgs = (argv) => {
+    const args = { rounds: 1000000, seed: Date.now(), config: null, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--rounds') args.rounds = Number(argv[++i]);
+        else if (arg === '--seed') args.seed = Number(argv[++i]);
+        else if (arg === '--config') args.config = argv[++i];
+        else if (arg === '--json') args.json = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!Number.isInteger(args.rounds) || args.rounds <= 0) throw new Error('--rounds must be a positive integer');
+    if (!Number.isFinite(args.seed)) throw new Error('--seed must be a number');
+    return args;
+};
+
+const loadConfig = (path) => {
+    if (!path) return DEFAULT_CONFIG;
+    const { config, errors } = parseConfigJSON(readFileSync(path, 'utf8'));
+    if (!config) throw new Error(`Invalid config ${path}:\n  ${errors.join('\n  ')}`);
+    return config;
+};
+
+const percent = (value) => `${(value * 100).toFixed(2)}%`;
+
+const main = () => {
+    const args = parseArgs(process.argv.slice(2));
+    const config = loadConfig(args.config);
+
+    const started = Date.now();
+    const report = simulateRounds({ config, rounds: args.rounds, random: createFastRandom(args.seed) });
+    const elapsed = ((Date.now() - started) / 1000).toFixed(1);
+
+    if (args.json) {
+        console.log(JSON.stringify({ config: config.name, seed: args.seed, ...report }, null, 2));
+        return;
+    }
+
+    console.log(`${config.name}: ${report.rounds.toLocaleString()} rounds (seed ${args.seed}) in ${elapsed}s`);
+    console.log(`Multiplier (${config.multiplier.value}x) fired in ${percent(report.multiplierRate)} of rounds (theory ${percent(report.theoreticalMultiplierRate)})\n`);
+
+    console.table(report.pets.reduce((rows, pet) => ({
+        ...rows,
+        [pet.label]: { odds: pet.odds, wins: pet.wins, frequency: percent(pet.frequency), theory: percent(pet.theoreticalFrequency) },
+    }), {}));
+
+    console.table(report.patterns.reduce((rows, pattern) => ({
+        ...rows,
+        [pattern.label]: {
+            'hit rate': percent(pattern.hitRate),
+            RTP: percent(pattern.rtp),
+            'RTP theory': percent(pattern.theoreticalRTP),
+            'house edge': percent(pattern.houseEdge),
+            variance: pattern.variance.toFixed(3),
+            'multiplier on hit': percent(pattern.multiplierOnHitRate),
+        },
+    }), {}));
+};
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
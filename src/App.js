@@ -1,311 +1,600 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { generateServerSeed, generateClientSeed, getMultiplierTable } from './game/engine';
+import { loadState, saveState, clearState, restoreRooms, isRestorableState, loadPlayerId, loadProfiles, saveProfiles } from './game/persistence';
+import { createProfile, createProfileList, getActiveProfile, addProfile, renameProfile, removeProfile, setActiveProfile, getUniqueName } from './game/profiles';
+import { createWallet } from './game/ledger';
+import { validateConfig, parseConfigJSON, getConfigSource, fetchConfig } from './game/config';
+import { PHASES } from './game/roundMachine';
+import { createInitialGameState, getRoundTotal, checkBets, getSwitchBlocker } from './game/gameReducer';
+import { BET_TYPES, isSideBetKey, describeSideBet } from './game/betTypes';
+import { createLobby } from './game/lobby';
+import { ROOMS, DEFAULT_ROOM_ID, isAccountChanged } from './game/rooms';
+import { isDevConsoleEnabled } from './game/devTools';
+import { createLocalConnection, createSocketConnection } from './game/connection';
+import { CLIENT_MESSAGES, HOST_MESSAGES } from './game/protocol';
+import useGameClient, { DISCONNECTED } from './hooks/useGameClient';
+import useRoundClock from './hooks/useRoundClock';
+import usePrefersReducedMotion from './hooks/usePrefersReducedMotion';
+import useArrowKeyFocus from './hooks/useArrowKeyFocus';
+import RaceTrack from './components/RaceTrack';
+import RaceReplay from './components/RaceReplay';
+import MultiplierReveal from './components/MultiplierReveal';
+import SideBetsPanel from './components/SideBetsPanel';
+import { RACE_VIEWS, createRaceChoreography, getRacePositions, findReplayableRound } from './game/raceTrack';
+import VerifyRoundPanel from './components/VerifyRoundPanel';
+import HistoryScreen from './components/HistoryScreen';
+import ConfigEditor from './components/ConfigEditor';
+import AnalyticsView from './components/AnalyticsView';
+import StatsPanel from './components/StatsPanel';
+import DevConsole from './components/DevConsole';
+import ProfilesPanel from './components/ProfilesPanel';
+import Lobby from './components/Lobby';
+import BetSlip from './components/BetSlip';
+import AutoBetPanel from './components/AutoBetPanel';
+import { STOP_REASONS, isAutoBetActive } from './game/autoBet';
+import SafeguardsPanel from './components/SafeguardsPanel';
+import RealityCheckDialog from './components/RealityCheckDialog';
+import { checkTopUp, isCoolingOff, isRealityCheckDue } from './game/responsiblePlay';
+import { PAYMENT_STATUS, createIdempotencyKey, validateUpiId } from './game/payments';
+import { MOCK_UPI_HANDLES } from './game/paymentProviders';
+import { WALLET_ERRORS } from './game/walletService';
+import LocaleSettings from './components/LocaleSettings';
+import { resolveSettings, createTranslator, createNumberFormat, createMessageFormatter } from './i18n';
 
-// Main App Component
-const App = () => {
-    // State variables for the game
-    const [balance, setBalance] = useState(100); // User's starting balance
-    const [pets, setPets] = useState([]); // Array of pet objects
-    const [betAmounts, setBetAmounts] = useState({}); // Object to store bet amounts for each pet
-    const [message, setMessage] = useState("Place your bets! Race starts in..."); // Game messages - Initial message set here
-    const [winningPetId, setWinningPetId] = useState(null); // ID of the winning pet
-    const [multiplier, setMultiplier] = useState(1); // Payout multiplier (1x or 4x)
-    const [isBettingPhase, setIsBettingPhase] = useState(true); // Controls UI for betting vs. race results
+const HIGHLIGHT_STEP_MS = 100; // Time for each pet highlight during the race sweep
+const PET_COLUMNS = 4; // Pet cards per row (grid-cols-4), for arrow-key movement
+const CLOSING_SOON_SECONDS = [10, 5]; // Seconds left in betting that are announced to screen readers
+const MULTIPLIER_SPIN_SHARE = 0.6; // Part of the multiplier stage spent spinning before it lands
+
+const PAYMENT_STATUS_CLASSES = {
+    [PAYMENT_STATUS.PENDING]: 'text-yellow-300',
+    [PAYMENT_STATUS.CONFIRMED]: 'text-green-400',
+    [PAYMENT_STATUS.FAILED]: 'text-red-400',
+    [PAYMENT_STATUS.REFUNDED]: 'text-gray-400',
+};
+
+// Message for how an auto-play session ended
+const autoEndedMessage = ({ roundsPlayed, stopReason }) => ({
+    key: 'auto.ended',
+    params: { rounds: roundsPlayed, reason: { key: `auto.reason.${stopReason}` } },
+});
+
+// Wallet service errors are codes to translate; anything else is the provider's own text
+// A wallet error, or the connection dropping before the host answered
+const walletErrorMessage = (error) => (Object.values(WALLET_ERRORS).includes(error) || error === DISCONNECTED ? { key: `walletError.${error}` } : error);
+
+// Name of a side bet (see betTypes.js), e.g. "Any 5x", "🐰 or 🐱", "Not 🦁"
+const sideBetMessage = (bet, pets) => {
+    const petEmoji = (petId) => pets.find(pet => pet.id === petId).emoji;
+    const [, arg] = bet.key.split(':');
+    if (bet.type === BET_TYPES.ODDS) return { key: 'sideBets.anyOdds', params: { odds: Number(arg) } };
+    if (bet.type === BET_TYPES.HABITAT) return { key: `sideBets.habitat.${arg}` };
+    if (bet.type === BET_TYPES.PAIR) return { key: 'sideBets.pairLabel', params: { first: petEmoji(bet.petIds[0]), second: petEmoji(bet.petIds[1]) } };
+    return { key: 'sideBets.notLabel', params: { pet: petEmoji(Number(arg)) } };
+};
+
+// Message for a bet the host would refuse (see checkBets), or null if it's one to ignore quietly
+const betProblemMessage = (problem, pets) => {
+    if (!problem || problem.reason === 'phase' || problem.reason === 'empty') return null;
+    if (problem.reason === 'invalid') return { key: 'bet.rejected' };
+    if (problem.reason === 'coolOff') return { key: 'bet.coolOff', params: { until: problem.until } };
+    if (problem.reason === 'dailyLoss') return { key: 'bet.dailyLossLimit', params: { limit: problem.limit } };
+    if (problem.reason === 'sessionLoss') return { key: 'bet.sessionLossLimit', params: { limit: problem.limit } };
+    if (problem.reason === 'balance') return { key: 'bet.notEnoughBalance' };
+    if (problem.reason === 'minBet') return { key: 'bet.minBet', params: { limit: problem.limit } };
+    if (problem.reason === 'petLimit') {
+        return { key: 'bet.petLimit', params: { pet: pets.find(p => p.id === problem.petId).name, limit: problem.limit } };
+    }
+    if (problem.reason === 'betLimit') {
+        return { key: 'bet.sideBetLimit', params: { bet: sideBetMessage(describeSideBet(problem.betKey, pets), pets), limit: problem.limit } };
+    }
+    return { key: 'bet.roundLimit', params: { limit: problem.limit } };
+};
+
+// Pick a room's config to start with: for the classic room, inline JSON from the URL comes first; then the
+// editor's saved config for the room, then the room's own. A config file named in the URL is fetched for the
+// classic room before the first round instead (see createOfflineConnection).
+const resolveStartupConfig = (restored, room) => {
+    const source = room.id === DEFAULT_ROOM_ID && getConfigSource(window.location.search);
+    if (source && source.type === 'inline') {
+        const { config, errors } = parseConfigJSON(source.value);
+        return config ? { config } : { config: room.config, notice: { key: 'notice.invalidConfigJson', params: { error: errors[0] } } };
+    }
+    const savedConfig = restored && restored.config && validateConfig(restored.config).config;
+    return { config: savedConfig || room.config };
+};
+
+// The session saved under `storageKey`, restored (see restoreRooms), or null. A damaged save starts the
+// player afresh with a notice, rather than failing the same way on every reload.
+const restoreSavedRooms = (storageKey) => {
+    const saved = loadState(undefined, storageKey);
+    if (!saved) return { restored: null };
+    try {
+        if (isRestorableState(saved)) return { restored: restoreRooms(saved) };
+    } catch (error) {
+        console.error('Could not restore the saved session', error);
+    }
+    return { restored: null, notice: { key: 'notice.restoreFailed' } };
+};
+
+// Build every room's opening game state from the session saved under `storageKey` (interrupted rounds
+// already refunded or settled into the shared wallet) or from scratch. Returns { rooms, roomId, notices }.
+const createStartupState = (storageKey) => {
+    const { restored, notice } = restoreSavedRooms(storageKey);
+    const startups = ROOMS.reduce((acc, room) => ({ ...acc, [room.id]: resolveStartupConfig(restored && restored.rooms[room.id], room) }), {});
+    // The account every room shares
+    const account = {
+        wallet: restored ? restored.wallet : createWallet(startups[DEFAULT_ROOM_ID].config.startingBalance),
+        payments: restored ? restored.payments : [],
+        safeguards: (restored && restored.safeguards) || undefined,
+        session: (restored && restored.session) || undefined,
+        settings: resolveSettings(restored && restored.settings, navigator.language),
+    };
+    const rooms = ROOMS.reduce((acc, room) => {
+        const saved = restored && restored.rooms[room.id];
+        return {
+            ...acc,
+            [room.id]: createInitialGameState({
+                ...account,
+                config: startups[room.id].config,
+                rounds: saved ? saved.rounds : [],
+                recentWins: saved ? saved.recentWins : [],
+                revealedRounds: saved ? saved.revealedRounds : [],
+                customConfig: saved ? saved.config : null,
+                clientSeed: (saved && saved.clientSeed) || generateClientSeed(),
+                serverSeed: generateServerSeed(),
+                nonce: saved ? saved.nonce : 1,
+                lastBets: saved ? saved.lastBets : {},
+                jackpotPot: saved ? saved.jackpotPot : 0,
+            }),
+        };
+    }, {});
+    return {
+        rooms,
+        roomId: restored && rooms[restored.roomId] ? restored.roomId : DEFAULT_ROOM_ID,
+        notices: [...(restored ? restored.notices : []), notice, ...ROOMS.map(room => startups[room.id].notice)].filter(Boolean),
+    };
+};
+
+// What's saved of one room: enough to carry on, or to settle a round interrupted by a reload
+const toSavedRoom = (game) => ({
+    rounds: game.rounds,
+    recentWins: game.recentWins,
+    revealedRounds: game.revealedRounds,
+    clientSeed: game.clientSeed,
+    lastBets: game.lastBets,
+    config: game.customConfig,
+    jackpotPot: game.jackpotPot,
+    round: {
+        nonce: game.round.nonce,
+        serverSeed: game.round.serverSeed,
+        serverSeedHash: game.round.serverSeedHash,
+        clientSeed: game.round.clientSeed || game.clientSeed,
+        phase: game.round.phase,
+        bets: game.round.bets,
+        sideBets: game.round.sideBets,
+        auto: game.round.auto,
+        pets: game.config.pets,
+        multiplierRules: game.config.multiplier,
+        jackpotRules: game.config.jackpot,
+        raceDurationMs: game.config.timings.raceDurationMs,
+    },
+});
+
+// What's saved of a player's session: the account their rooms share, each room's state and the room they're in
+const toSavedState = ({ roomId, rooms }) => {
+    const { wallet, payments, safeguards, session, settings } = rooms[roomId];
+    const savedRooms = Object.keys(rooms).reduce((acc, id) => ({ ...acc, [id]: toSavedRoom(rooms[id]) }), {});
+    return { wallet, payments, safeguards, session, settings, roomId, rooms: savedRooms };
+};
+
+// Offline play: a game lobby in this tab with `profile` seated in every room from their saved session, so the
+// board works exactly as it does against the server. A config file named in the URL is loaded into the
+// classic room before the rounds start. REACT_APP_DEV_CONSOLE=true (or ?dev=1 outside production) gives the rooms dev tools,
+// which brings up the dev console. The session is saved when a phase changes in any room (the lobby message),
+// since rooms the player isn't in move on too, and when the player's account or room changes; not on every
+// bet-pool update. A save the browser refuses is shown as a notice, once until a save works again.
+const createOfflineConnection = (profile) => {
+    const { rooms, roomId, notices } = createStartupState(profile.storageKey);
+    const devTools = isDevConsoleEnabled(window.location.search, process.env.REACT_APP_DEV_CONSOLE, process.env.NODE_ENV);
+    const lobby = createLobby({ rooms: ROOMS.map(room => ({ ...room, config: rooms[room.id].config })), solo: true, devTools });
+    lobby.addPlayer(profile.id, rooms, roomId);
+    notices.forEach(lobby.notify);
+
+    const source = getConfigSource(window.location.search);
+    if (source && source.type === 'url') {
+        fetchConfig(source.value).then(({ config, errors }) => {
+            if (config) {
+                lobby.setConfig(DEFAULT_ROOM_ID, config);
+            } else {
+                lobby.notify({ key: 'notice.configFallback', params: { config: rooms[DEFAULT_ROOM_ID].config.name, error: errors[0] } });
+            }
+            lobby.start();
+        });
+    } else {
+        lobby.start();
+    }
+    const connection = createLocalConnection(lobby, { tickMs: HIGHLIGHT_STEP_MS });
+    let lastSaved = null; // { roomId, state } of the room the player was in at the last save
+    let saveFailed = false;
+    connection.onMessage((message) => {
+        const states = lobby.getPlayerStates(profile.id);
+        const current = states.rooms[states.roomId];
+        const isChanged = !lastSaved || lastSaved.roomId !== states.roomId || isAccountChanged(lastSaved.state, current);
+        if (!isChanged && message.type !== HOST_MESSAGES.LOBBY) return;
+        lastSaved = { roomId: states.roomId, state: current };
+        const saved = saveState(toSavedState(states), undefined, profile.storageKey);
+        if (!saved && !saveFailed) lobby.notify({ key: 'notice.saveFailed' });
+        saveFailed = !saved;
+    });
+    return connection;
+};
+
+// Game server to play on: ?server=ws://host:port, else REACT_APP_GAME_SERVER; none means offline
+const getServerUrl = () => new URLSearchParams(window.location.search).get('server') || process.env.REACT_APP_GAME_SERVER || null;
+
+// The betting board; everything it plays comes from the game host through `client` (see useGameClient).
+// `profiles` is the device's profile list, playing as its active profile; `profileActions` changes it (see App).
+const GameTable = ({ client, profiles, profileActions }) => {
+    // Game state (wallet, bets, history, config) as the host last sent it
+    const { game, room, dispatch, getGame, request, subscribe } = client;
+
+    // UI state
+    const [message, setMessage] = useState({ key: 'round.placeBetsInitial' }); // Game messages as { key, params } - Initial message set here
     const [selectedBetValue, setSelectedBetValue] = useState(null); // The amount selected from the bottom buttons
-    const [isRacing, setIsRacing] = useState(false); // True when race is ongoing (including highlight animation)
-    const [highlightedPetId, setHighlightedPetId] = useState(null); // ID of the pet currently highlighted during the "search"
-    const [roundCountdown, setRoundCountdown] = useState(30); // Countdown for betting phase (30 seconds)
-    const [nextRoundTimer, setNextRoundTimer] = useState(5); // Countdown for delay between rounds (5 seconds)
-    const [recentWins, setRecentWins] = useState([]); // Array to store recent winning pet emojis
-    const [luckFactor, setLuckFactor] = useState(0); // Hidden state: -1 (unfavorable) to 1 (favorable)
     const [showAddBalanceModal, setShowAddBalanceModal] = useState(false); // New state to control modal visibility
     const [upiId, setUpiId] = useState(''); // New state for UPI ID input
-    const [addBalanceMessage, setAddBalanceMessage] = useState(''); // New state for add balance messages
+    const [addBalanceMessage, setAddBalanceMessage] = useState(null); // New state for add balance messages
+    const [topUpAttempt, setTopUpAttempt] = useState(createIdempotencyKey); // Idempotency key base for the current top-up attempt
+    const [isPaying, setIsPaying] = useState(false); // A top-up is waiting for the provider
+    const [showVerifyPanel, setShowVerifyPanel] = useState(false); // Controls the Verify Round modal
+    const [showHistory, setShowHistory] = useState(false); // Controls the History screen
+    const [showConfigEditor, setShowConfigEditor] = useState(false); // Controls the Game Config editor
+    const [showAnalytics, setShowAnalytics] = useState(false); // Controls the Analytics view
+    const [showStats, setShowStats] = useState(false); // Controls the Pet Statistics panel
+    const [showProfiles, setShowProfiles] = useState(false); // Controls the Profiles panel
+    const [showAutoBet, setShowAutoBet] = useState(false); // Controls the Auto-play panel
+    const [showSafeguards, setShowSafeguards] = useState(false); // Controls the Play Limits panel
+    const [showRealityCheck, setShowRealityCheck] = useState(false); // Controls the Reality Check dialog
+    const [pausedForRealityCheck, setPausedForRealityCheck] = useState(false); // Resume the rounds when the dialog closes
+    const [replayNonce, setReplayNonce] = useState(null); // Past round being replayed on the race track
+    const [announcement, setAnnouncement] = useState(null); // Latest message for the screen-reader live region
+    const [notice, setNotice] = useState(null); // Banner for events outside the round flow (restored rounds, config problems)
 
-    // Refs for managing timers to ensure they are cleared
-    const roundCountdownRef = useRef(null);
-    const nextRoundTimerRef = useRef(null);
-    const raceStartTimeoutRef = useRef(null);
+    // Show a message and announce it; the per-second countdown only updates the visible text
+    const announce = useCallback((nextMessage) => {
+        setMessage(nextMessage);
+        setAnnouncement(nextMessage);
+    }, []);
 
-    // Helper function to format balance (e.g., 1000000 -> 1M, 1010000 -> 1.01M, 100000 -> 100k)
-    const formatBalance = (num) => {
-        if (num >= 10000000) {
-            return (num / 10000000).toFixed(2).replace(/\.00$/, '') + ' Cr';
-        }
-        if (num >= 100000) {
-            return (num / 100000).toFixed(2).replace(/\.00$/, '') + ' L';
+    // Auto-play: put this round's stake on the board, or end the session if it can't be placed
+    const placeAutoBets = (autoBet) => {
+        if (!isAutoBetActive(autoBet)) return;
+        if (checkBets(getGame(), autoBet.stake)) {
+            dispatch({ type: 'STOP_AUTO_BET', reason: STOP_REASONS.CANT_BET });
+            setNotice(autoEndedMessage({ ...autoBet, stopReason: STOP_REASONS.CANT_BET }));
+            return;
         }
-        if (num >= 1000) {
-            return (num / 1000).toFixed(2).replace(/\.00$/, '') + 'k';
+        dispatch({ type: 'PLACE_BETS', bets: autoBet.stake, auto: true, timestamp: Date.now() });
+        announce({ key: 'auto.roundPlaced', params: { round: autoBet.roundsPlayed + 1, rounds: autoBet.rounds } });
+    };
+
+    // Announce each phase change the host made; `previous` is the state from just before it
+    const handleTransition = ({ to }, previous) => {
+        const { round: currentRound, config, autoBet } = getGame();
+        if (to === PHASES.RACING) {
+            announce({ key: getRoundTotal(currentRound) === 0 ? 'round.noBets' : 'round.betsPlaced' });
+            setSelectedBetValue(null); // Clear selected bet value
+        } else if (to === PHASES.MULTIPLIER) {
+            const { outcome } = currentRound;
+            announce({ key: outcome.jackpotHit ? 'round.multiplierJackpot' : 'round.multiplier', params: { multiplier: outcome.multiplier } });
+        } else if (to === PHASES.COOLDOWN) {
+            if (previous && isAutoBetActive(previous.autoBet) && !isAutoBetActive(autoBet)) {
+                setNotice(autoEndedMessage(autoBet));
+            }
+            const winner = config.pets.find(pet => pet.id === currentRound.outcome.winnerId);
+            if (currentRound.jackpotWin > 0) {
+                announce({ key: 'round.jackpotWon', params: { pet: winner.name, amount: currentRound.payout, jackpot: currentRound.jackpotWin, multiplier: currentRound.outcome.multiplier } });
+            } else if (currentRound.payout > 0) {
+                announce({ key: 'round.won', params: { pet: winner.name, amount: currentRound.payout, multiplier: currentRound.outcome.multiplier } });
+            } else {
+                announce({ key: 'round.lost', params: { pet: winner.name } });
+            }
+        } else if (to === PHASES.BETTING) {
+            setSelectedBetValue(null);
+            setAnnouncement({ key: 'round.bettingOpen', params: { round: currentRound.nonce, seconds: config.timings.bettingSeconds } });
+            placeAutoBets(autoBet);
         }
-        return num.toFixed(2);
     };
 
-    // Initialize pets when the component mounts
-    useEffect(() => {
-        const initialPets = [
-            { id: 1, name: 'Rabbit', odds: 5.0, emoji: '🐰' },
-            { id: 2, name: 'Cat', odds: 5.0, emoji: '🐱' },
-            { id: 3, name: 'Dog', odds: 5.0, emoji: '🐶' },
-            { id: 4, name: 'Sheep', odds: 5.0, emoji: '🐑' },
-            { id: 5, name: 'Dolphin', odds: 10.0, emoji: '🐬' },
-            { id: 6, name: 'Panda', odds: 15.0, emoji: '🐼' },
-            { id: 7, name: 'Eagle', odds: 25.0, emoji: '🦅' },
-            { id: 8, name: 'Lion', odds: 45.0, emoji: '🦁' },
-        ];
-        setPets(initialPets);
-        // Initialize bet amounts for all pets to 0
-        const initialBetAmounts = initialPets.reduce((acc, pet) => {
-            acc[pet.id] = 0;
-            return acc;
-        }, {});
-        setBetAmounts(initialBetAmounts);
-
-        // Start the initial betting phase countdown
-        startRoundCountdown();
-
-        // Cleanup timers on unmount
-        return () => {
-            clearInterval(roundCountdownRef.current);
-            clearInterval(nextRoundTimerRef.current);
-            clearTimeout(raceStartTimeoutRef.current);
-        };
-    }, []); // Empty dependency array means this runs once on mount
+    // Everything else the host tells us outside the state itself
+    const handleHostEvent = (event) => {
+        if (event.type === 'transition') handleTransition(event.transition, event.previous);
+        else if (event.type === 'notice') setNotice(event.notice);
+        else if (event.type === 'rejected') announce(betProblemMessage(event.problem, getGame().config.pets) || { key: 'bet.rejected' });
+        else if (event.type === 'offline') setNotice({ key: 'notice.serverOffline' });
+    };
+    const handleHostEventRef = useRef(handleHostEvent);
+    handleHostEventRef.current = handleHostEvent;
+    useEffect(() => subscribe((event) => handleHostEventRef.current(event)), [subscribe]);
+
+    // Countdown and race progress between the host's messages; only a solo host can be paused
+    const roundMachine = { ...useRoundClock(room, HIGHLIGHT_STEP_MS), pause: client.pause, resume: client.resume };
+
+    // Values the board renders from
+    const { config: gameConfig, pendingConfig, wallet, round, recentWins, revealedRounds, clientSeed } = game;
+    const roundHistory = game.rounds;
+    const balance = wallet.balance;
+    const pets = gameConfig.pets; // Array of pet objects
+    const betAmounts = round.bets; // Object to store bet amounts for each pet
+    const { nonce, serverSeedHash } = round;
+    const isBettingPhase = round.phase === PHASES.BETTING; // Controls UI for betting vs. race results
+    const isRacing = [PHASES.RACING, PHASES.MULTIPLIER, PHASES.REVEALING].includes(round.phase); // True from bets closing until the winner shows (including the multiplier stage)
+    const winningPetId = round.phase === PHASES.COOLDOWN ? round.outcome.winnerId : null; // ID of the winning pet
+    const multiplier = round.outcome ? round.outcome.multiplier : 1; // Payout multiplier (1x or the configured multiplier)
+    // Pet currently highlighted: sweeps the grid while racing, then rests on the winner
+    // With reduced motion (or while the race runs on the track) there is no sweep: the cards stay still until the winner is revealed
+    const prefersReducedMotion = usePrefersReducedMotion();
+    const isTrackView = game.settings.raceView === RACE_VIEWS.TRACK;
+    let highlightedPetId = null;
+    if (round.phase === PHASES.RACING && !prefersReducedMotion && !isTrackView) {
+        highlightedPetId = pets[Math.floor(roundMachine.elapsedMs / HIGHLIGHT_STEP_MS) % pets.length].id;
+    } else if (round.phase === PHASES.REVEALING) {
+        highlightedPetId = round.outcome.winnerId;
+    }
+
+    // Race track: lane positions scripted from the round's seeds so the winner, already fixed when bets close, finishes first
+    // (the round's client seed, which at a shared table combines everyone's, so every player sees the same race)
+    const { outcome, serverSeed, clientSeed: roundClientSeed } = round;
+    const raceChoreography = useMemo(
+        () => outcome && createRaceChoreography({ pets, winnerId: outcome.winnerId, serverSeed, clientSeed: roundClientSeed, nonce }),
+        [outcome, pets, serverSeed, roundClientSeed, nonce],
+    );
+    // Multiplier stage: the highlight spins over the possible values, then lands on the round's multiplier
+    const multiplierValues = useMemo(
+        () => outcome && getMultiplierTable(outcome.luckFactor, gameConfig.multiplier).map(entry => entry.value),
+        [outcome, gameConfig.multiplier],
+    );
+    // Every value the multiplier can land on, for the dev console
+    const multiplierOptions = useMemo(() => getMultiplierTable(0, gameConfig.multiplier).map(entry => entry.value), [gameConfig.multiplier]);
+    const isMultiplierSpinning = round.phase === PHASES.MULTIPLIER && !prefersReducedMotion
+        && roundMachine.elapsedMs < gameConfig.timings.multiplierRevealMs * MULTIPLIER_SPIN_SHARE;
+    const highlightedMultiplier = isMultiplierSpinning
+        ? multiplierValues[Math.floor(roundMachine.elapsedMs / HIGHLIGHT_STEP_MS) % multiplierValues.length]
+        : multiplier;
+    let raceProgress = 1;
+    if (round.phase === PHASES.RACING) raceProgress = prefersReducedMotion ? 0 : roundMachine.elapsedMs / gameConfig.timings.raceDurationMs;
+    const replayRound = replayNonce === null ? null : findReplayableRound(revealedRounds, replayNonce);
+
+    // Messages and numbers in the player's language and locale (e.g. 150000 -> 1.5 L or 150k)
+    const { settings } = game;
+    const t = useMemo(() => createTranslator(settings.language), [settings.language]);
+    const { formatAmount, formatCompact: formatBalance } = useMemo(() => createNumberFormat(settings, t), [settings, t]);
+    const formatMessage = createMessageFormatter({ t, formatAmount, formatCompact: formatBalance, locale: settings.locale });
+    // A side-bet key as the board labels it; history from an earlier roster keeps its key
+    const getSideBetLabel = (key) => {
+        const bet = describeSideBet(key, pets);
+        return bet ? formatMessage(sideBetMessage(bet, pets)) : key;
+    };
+
+    // Each profile's saved session for the leaderboard and exports. Online play isn't saved on this device
+    // (the server keeps it), so there the one playing comes from the live state of the room they're in.
+    const profile = getActiveProfile(profiles);
+    const getSavedSession = useCallback(
+        (other) => (other.id === profile.id && !room.solo
+            ? toSavedState({ roomId: room.roomId, rooms: { [room.roomId]: game } })
+            : loadState(undefined, other.storageKey)),
+        [game, room.solo, room.roomId, profile.id],
+    );
 
-    // Effect for managing the betting phase countdown
+    // Countdown messages for the betting and cooldown phases
+    const { remainingSeconds } = roundMachine;
     useEffect(() => {
-        if (isBettingPhase) {
-            setMessage(`Place your bets! Race starts in ${roundCountdown} seconds...`);
-            if (roundCountdown === 0) {
-                placeBets(); // Always call placeBets to proceed to race simulation
-            }
+        if (round.phase === PHASES.BETTING && isCoolingOff(getGame().safeguards, Date.now())) {
+            setMessage({ key: 'bet.coolOff', params: { until: getGame().safeguards.coolOffUntil } });
+        } else if (round.phase === PHASES.BETTING) {
+            setMessage({ key: 'round.placeBets', params: { seconds: remainingSeconds } });
+            if (CLOSING_SOON_SECONDS.includes(remainingSeconds)) setAnnouncement({ key: 'round.closingSoon', params: { seconds: remainingSeconds } });
+        } else if (round.phase === PHASES.COOLDOWN) {
+            setMessage({ key: 'round.nextRound', params: { seconds: remainingSeconds } });
         }
-    }, [roundCountdown, isBettingPhase]); // Depend on countdown and betting phase
+    }, [remainingSeconds, round.phase, getGame]);
 
-    // Effect for managing the inter-round timer
+    // Reality check: pause the rounds and show time played and net result every few minutes
+    const { isPaused, pause: pauseRoundMachine, resume: resumeRoundMachine } = roundMachine;
     useEffect(() => {
-        if (!isBettingPhase && !isRacing && winningPetId !== null) { // Race has concluded
-            setMessage(`Next round starts in ${nextRoundTimer} seconds...`);
-            if (nextRoundTimer === 0) {
-                playAgain(); // Auto-start next round
-            }
+        if (showRealityCheck || !isRealityCheckDue(getGame(), Date.now())) return;
+        dispatch({ type: 'REALITY_CHECK_SHOWN', timestamp: Date.now() });
+        setShowRealityCheck(true);
+        if (!isPaused && room.solo) {
+            pauseRoundMachine();
+            setPausedForRealityCheck(true);
         }
-    }, [nextRoundTimer, isBettingPhase, isRacing, winningPetId]); // Depend on timer and game states
-
-    // Function to start the betting phase countdown
-    const startRoundCountdown = () => {
-        clearInterval(roundCountdownRef.current); // Clear any existing timer
-        setRoundCountdown(30); // Reset countdown
-        roundCountdownRef.current = setInterval(() => {
-            setRoundCountdown(prev => {
-                if (prev <= 1) {
-                    clearInterval(roundCountdownRef.current);
-                    return 0;
-                }
-                return prev - 1;
-            });
-        }, 1000);
-    };
+    }, [remainingSeconds, showRealityCheck, isPaused, room.solo, dispatch, getGame, pauseRoundMachine]);
 
-    // Function to start the next round timer
-    const startNextRoundTimer = () => {
-        clearInterval(nextRoundTimerRef.current); // Clear any existing timer
-        setNextRoundTimer(5); // Reset countdown
-        nextRoundTimerRef.current = setInterval(() => {
-            setNextRoundTimer(prev => {
-                if (prev <= 1) {
-                    clearInterval(nextRoundTimerRef.current);
-                    return 0;
-                }
-                return prev - 1;
-            });
-        }, 1000);
+    const closeRealityCheck = () => {
+        setShowRealityCheck(false);
+        if (pausedForRealityCheck) {
+            resumeRoundMachine();
+            setPausedForRealityCheck(false);
+        }
     };
 
+    // Message for a bet the host would refuse, or null if it can go on the board (the host checks again)
+    const getBetProblemMessage = (bets) => betProblemMessage(checkBets(getGame(), bets), pets);
+
     // Handle clicking on a pet card to place a bet
     const handlePetClick = (petId) => {
         if (!isBettingPhase) return; // Only allow betting in betting phase
         if (selectedBetValue === null) {
-            setMessage("Please select a bet amount first!");
+            announce({ key: 'bet.selectAmount' });
             return;
         }
 
-        // Check if the single selected bet value exceeds current balance
-        if (selectedBetValue > balance) {
-            setMessage("Not enough balance for this bet!");
+        // Check the chip against the balance and the bet limits
+        const problem = getBetProblemMessage({ [petId]: selectedBetValue });
+        if (problem) {
+            announce(problem);
             return;
         }
 
-        // Deduct the selected bet value from the balance immediately
-        setBalance(prevBalance => prevBalance - selectedBetValue);
-
-        // Add the selected bet value to the pet's current bet amount
-        setBetAmounts(prev => ({
-            ...prev,
-            [petId]: (prev[petId] || 0) + selectedBetValue
-        }));
-        setMessage(`Bet 💎${selectedBetValue} added to ${pets.find(p => p.id === petId).name}.`); // UPDATED currency symbol
+        // Deduct the selected bet value from the balance and add it to the pet's current bet amount
+        dispatch({ type: 'PLACE_BET', petId, amount: selectedBetValue, timestamp: Date.now() });
+        announce({ key: 'bet.added', params: { amount: selectedBetValue, pet: pets.find(p => p.id === petId).name } });
     };
 
-    // Calculate the total amount currently bet across all pets
-    const getTotalBet = () => {
-        return Object.values(betAmounts).reduce((sum, amount) => sum + amount, 0);
+    // Put the selected chip on a group, pair or "not this pet" bet
+    const handleSideBetClick = (betKey) => {
+        if (!isBettingPhase) return;
+        if (selectedBetValue === null) {
+            announce({ key: 'bet.selectAmount' });
+            return;
+        }
+        const problem = getBetProblemMessage({ [betKey]: selectedBetValue });
+        if (problem) {
+            announce(problem);
+            return;
+        }
+        dispatch({ type: 'PLACE_SIDE_BET', betKey, amount: selectedBetValue, timestamp: Date.now() });
+        announce({ key: 'bet.sideAdded', params: { amount: selectedBetValue, bet: sideBetMessage(describeSideBet(betKey, pets), pets) } });
     };
 
-    // Handle placing bets (starting the race)
-    const placeBets = () => {
-        clearInterval(roundCountdownRef.current); // Stop betting countdown
-        clearTimeout(raceStartTimeoutRef.current); // Clear any pending auto-start
-
-        // Update message based on whether bets were placed
-        const totalBet = getTotalBet();
-        if (totalBet === 0) {
-            setMessage("No bets placed. Finding winner...");
-        } else {
-            setMessage("Bets placed! Finding winner...");
+    // Place several bets at once (rebet / double) as one undoable step
+    const placeBets = (bets, successMessage) => {
+        const problem = getBetProblemMessage(bets);
+        if (problem) {
+            announce(problem);
+            return;
         }
+        dispatch({ type: 'PLACE_BETS', bets, timestamp: Date.now() });
+        announce(successMessage);
+    };
 
-        setIsBettingPhase(false); // Switch to race phase
-        setSelectedBetValue(null); // Clear selected bet value
-        setWinningPetId(null); // Clear previous winner highlight immediately
-        setIsRacing(true); // Start the racing animation (including sequential highlight)
-        simulateRace(); // Start the race simulation
+    // Last round's bets that the current roster still offers
+    const rebetBets = Object.keys(game.lastBets).reduce((acc, key) => {
+        const onBoard = isSideBetKey(key) ? describeSideBet(key, pets) !== null : pets.some(pet => pet.id === Number(key));
+        if (onBoard) acc[key] = game.lastBets[key];
+        return acc;
+    }, {});
+
+    const handleUndo = () => {
+        dispatch({ type: 'UNDO_BET', timestamp: Date.now() });
+        announce({ key: 'bet.undone' });
     };
 
-    // Simulate the race and determine the winner with continuous sequential highlighting
-    const simulateRace = () => {
-        let currentIndex = 0;
-        const intervalTime = 100; // Time for each pet highlight (faster for continuous effect)
-        const totalRaceDuration = 2500; // Total time for race + highlight animation before winner is revealed
-
-        // Generate a new luck factor for this round (-1 to 1)
-        const currentLuckFactor = Math.random() * 2 - 1; // Random number between -1 and 1
-        setLuckFactor(currentLuckFactor);
-
-        // Start continuous sequential highlighting
-        const highlightInterval = setInterval(() => {
-            setHighlightedPetId(pets[currentIndex % pets.length].id); // Use modulo to cycle through pets indefinitely
-            currentIndex++;
-        }, intervalTime);
-
-        // After a fixed duration, determine the winner and stop the highlight
-        setTimeout(() => {
-            clearInterval(highlightInterval); // Stop the continuous highlighting
-
-            // --- Weighted Random Winner Selection based on Luck Factor ---
-            let totalWeight = 0;
-            const weightedPets = pets.map(pet => {
-                // Base weight is inverse of odds (lower odds = higher chance, better for player)
-                let weight = 1 / pet.odds;
-
-                // Adjust weight based on luckFactor
-                // If luckFactor > 0 (favorable), increase weight for lower-odd pets
-                // If luckFactor < 0 (unfavorable), decrease weight for lower-odd pets (effectively increasing for higher-odd pets)
-                if (currentLuckFactor > 0) { // Favorable luck
-                    weight *= (1 + currentLuckFactor * 0.5); // Boost lower-odd pets
-                } else if (currentLuckFactor < 0) { // Unfavorable luck
-                    weight *= (1 + currentLuckFactor * 0.5); // Reduce lower-odd pets (e.g., 1 - 0.5 = 0.5x weight)
-                }
-                totalWeight += weight;
-                return { ...pet, weight };
-            });
-
-            let randomPoint = Math.random() * totalWeight;
-            let winner = null;
-            for (let i = 0; i < weightedPets.length; i++) {
-                randomPoint -= weightedPets[i].weight;
-                if (randomPoint <= 0) {
-                    winner = weightedPets[i];
-                    break;
-                }
-            }
-            if (!winner) { // Fallback in case of floating point issues, pick last pet
-                winner = weightedPets[weightedPets.length - 1];
-            }
-            // --- End Weighted Random Winner Selection ---
-
-            // Make the highlight stop on the winner immediately
-            setHighlightedPetId(winner.id);
-
-            // Introduce a small delay before revealing the "WINNER!" badge and calculating payout
-            setTimeout(() => {
-                setWinningPetId(winner.id); // Set the actual winner, triggering the WINNER badge
-                setIsRacing(false); // Stop the racing animation state
-
-                // Add winning pet's emoji to recent wins history
-                setRecentWins(prevWins => {
-                    const newWins = [winner.emoji, ...prevWins];
-                    return newWins.slice(0, 8); // Keep only the last 8 wins
-                });
-
-                // Determine if 4x multiplier applies (chance influenced by luckFactor)
-                let multiplierChance = 0.1; // Base 10% chance
-                if (currentLuckFactor > 0) {
-                    multiplierChance += currentLuckFactor * 0.1; // Up to 20% chance
-                } else if (currentLuckFactor < 0) {
-                    multiplierChance += currentLuckFactor * 0.05; // Down to 5% chance
-                }
-                multiplierChance = Math.max(0.05, Math.min(0.25, multiplierChance)); // Clamp between 5% and 25%
+    const handleClear = () => {
+        dispatch({ type: 'CLEAR_BETS', timestamp: Date.now() });
+        announce({ key: 'bet.cleared' });
+    };
 
-                const randomChance = Math.random();
-                const currentMultiplier = randomChance < multiplierChance ? 4 : 1;
-                setMultiplier(currentMultiplier);
+    // Start auto-play; if betting is open and the board is empty it starts with this round
+    const handleStartAutoBet = (session) => {
+        dispatch({ type: 'START_AUTO_BET', session });
+        setShowAutoBet(false);
+        const { round: currentRound } = getGame();
+        if (currentRound.phase === PHASES.BETTING && getRoundTotal(currentRound) === 0) placeAutoBets(session);
+    };
 
-                const betOnWinner = betAmounts[winner.id] || 0;
-                let winnings = 0;
+    const handleStopAutoBet = () => {
+        dispatch({ type: 'STOP_AUTO_BET', reason: STOP_REASONS.MANUAL });
+        announce({ key: 'auto.stopped' });
+    };
 
-                if (betOnWinner > 0) {
-                    winnings = betOnWinner * winner.odds * currentMultiplier;
-                    setMessage(`🎉 ${winner.name} won! You won 💎${winnings.toFixed(2)} with a ${currentMultiplier}x multiplier!`); // UPDATED currency symbol
-                    setBalance(prevBalance => prevBalance + winnings); // Add winnings to balance
-                } else {
-                    setMessage(`😔 ${winner.name} won! You didn't bet on the winner. Better luck next time!`);
-                }
-                startNextRoundTimer(); // Start the 5-second timer for the next round
-            }, 300); // Delay for the highlight to settle on the winner before showing winner badge
-        }, totalRaceDuration);
+    // Self-imposed cool-off: take this round's chips back and stop auto-play until it ends
+    const handleCoolOff = (until) => {
+        dispatch({ type: 'CLEAR_BETS', timestamp: Date.now() });
+        dispatch({ type: 'STOP_AUTO_BET', reason: STOP_REASONS.MANUAL });
+        dispatch({ type: 'START_COOL_OFF', until });
+        setNotice({ key: 'notice.coolOffStarted', params: { until } });
     };
 
-    // Reset the game for a new round
-    const playAgain = () => {
-        // Reset all relevant states
-        setBetAmounts(pets.reduce((acc, pet) => {
-            acc[pet.id] = 0;
-            return acc;
-        }, {}));
-        setMessage("Place your bets! Race starts in...");
-        setWinningPetId(null);
-        setMultiplier(1);
-        setIsBettingPhase(true); // Back to betting phase
-        setSelectedBetValue(null);
-        setIsRacing(false); // Ensure racing state is off
-        setHighlightedPetId(null); // Ensure highlight is off
-        setNextRoundTimer(5); // Reset next round timer display
-        startRoundCountdown(); // Start the betting phase countdown for the new round
+    const handleCustomAmount = (amount) => {
+        setSelectedBetValue(amount);
+        announce({ key: 'bet.chipSet', params: { amount } });
     };
 
-    const betValues = [2, 50, 500, 1]; // Fixed bet amounts
-    const topUpAmounts = [100, 500, 1000, 5000]; // New: Fixed top-up amounts
+    const { betValues, topUpAmounts } = gameConfig; // Chip and top-up amounts
+
+    // Keyboard: arrow keys move between pet cards and between chips; keys 1-9 pick a chip while betting is open
+    const petFocus = useArrowKeyFocus(PET_COLUMNS);
+    const chipFocus = useArrowKeyFocus(betValues.length);
+    const isDialogOpen = showAddBalanceModal || showVerifyPanel || showHistory || showConfigEditor || showAnalytics || showStats || showProfiles || showAutoBet || showSafeguards || showRealityCheck || replayRound !== null;
+    useEffect(() => {
+        if (!isBettingPhase || isDialogOpen) return undefined;
+        const handleHotkey = (event) => {
+            if (event.altKey || event.ctrlKey || event.metaKey || ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            const value = betValues[Number(event.key) - 1];
+            if (!/^[1-9]$/.test(event.key) || value === undefined) return;
+            setSelectedBetValue(value);
+            announce({ key: 'bet.chipSet', params: { amount: value } });
+        };
+        window.addEventListener('keydown', handleHotkey);
+        return () => window.removeEventListener('keydown', handleHotkey);
+    }, [isBettingPhase, isDialogOpen, betValues, announce]);
+
+    // Move to another room; the board starts afresh there with the same wallet. Only allowed between rounds.
+    const handleJoinRoom = (roomId) => {
+        const blocker = getSwitchBlocker(getGame());
+        if (blocker) {
+            announce({ key: `lobby.locked.${blocker}` });
+            return;
+        }
+        client.join(roomId).then(({ error }) => {
+            if (error) announce({ key: `lobby.locked.${error}` });
+        });
+    };
+
+    // Queue a config from the editor for the next round and keep it across reloads
+    const handleApplyConfig = (config) => {
+        dispatch({ type: 'QUEUE_CONFIG', config });
+    };
 
-    // Function to handle simulated UPI payment
+    // Pay for a top-up through the host's wallet service; the mock provider stands in for a real UPI gateway
     const handleUpiPayment = (amount) => {
-        if (!upiId) {
-            setAddBalanceMessage("Please enter a UPI ID.");
+        const upiError = validateUpiId(upiId);
+        if (upiError) {
+            setAddBalanceMessage(walletErrorMessage(upiError));
             return;
         }
-        setAddBalanceMessage(`Processing 💎${amount} payment via UPI ID: ${upiId}...`);
-
-        // Simulate a delay for payment processing
-        setTimeout(() => {
-            // Simulate success
-            setBalance(prevBalance => prevBalance + amount);
-            setAddBalanceMessage(`✅ Successfully added 💎${amount} to your balance!`);
-            setUpiId(''); // Clear UPI ID after successful payment
-            // Optionally close modal after a short delay
-            setTimeout(() => {
-                setShowAddBalanceModal(false);
-                setAddBalanceMessage('');
-            }, 1500);
-        }, 2000); // 2-second delay for simulation
+        // Respect the player's cool-off and top-up limits
+        const limitProblem = checkTopUp(getGame(), amount, Date.now());
+        if (limitProblem) {
+            const { reason, ...params } = limitProblem;
+            setAddBalanceMessage({ key: { coolOff: 'topUp.coolOff', dailyTopUp: 'topUp.dailyLimit', sessionTopUp: 'topUp.sessionLimit' }[reason], params });
+            return;
+        }
+        setAddBalanceMessage({ key: 'topUp.processing', params: { amount, upiId: upiId.trim() } });
+        setIsPaying(true);
+
+        // The same key for repeated clicks on one amount, so a double click can't charge twice
+        request(CLIENT_MESSAGES.TOP_UP, { amount, upiId, idempotencyKey: `${topUpAttempt}:${amount}` }).then(({ payment, error }) => {
+            setIsPaying(false);
+            setTopUpAttempt(createIdempotencyKey()); // The next top-up is a new attempt
+            if (error) {
+                setAddBalanceMessage(walletErrorMessage(error));
+            } else if (payment.status === PAYMENT_STATUS.CONFIRMED) {
+                setAddBalanceMessage({ key: 'topUp.success', params: { amount } });
+                setUpiId(''); // Clear UPI ID after successful payment
+                // Optionally close modal after a short delay
+                setTimeout(() => {
+                    setShowAddBalanceModal(false);
+                    setAddBalanceMessage(null);
+                }, 1500);
+            } else {
+                const reason = payment.error ? walletErrorMessage(payment.error) : { key: `payment.status.${payment.status}` };
+                setAddBalanceMessage({ key: 'topUp.failed', params: { amount, reason } });
+            }
+        });
+    };
+
+    // Return a confirmed top-up to the payer
+    const handleRefundPayment = (paymentId) => {
+        setAddBalanceMessage({ key: 'topUp.refunding' });
+        request(CLIENT_MESSAGES.REFUND, { paymentId }).then(({ payment, error }) => {
+            setAddBalanceMessage(error
+                ? { key: 'topUp.refundFailed', params: { reason: walletErrorMessage(error) } }
+                : { key: 'topUp.refunded', params: { amount: payment.amount, upiId: payment.upiId } });
+        });
     };
 
 
@@ -325,93 +614,419 @@ const App = () => {
             </style>
 
             <div className="bg-purple-700 p-6 rounded-xl shadow-2xl w-full max-w-4xl border border-purple-600">
-                <h1 className="text-4xl font-extrabold text-center mb-6 text-yellow-300">Diamond Hunt </h1>
+                <h1 className="text-4xl font-extrabold text-center mb-6 text-yellow-300">{t('board.title')} </h1>
 
                 {/* Balance and Message Display */}
                 <div className="flex flex-col sm:flex-row justify-between items-center mb-6 bg-purple-800 p-4 rounded-lg shadow-inner">
-                    <p className="text-lg sm:text-2xl font-semibold mb-2 sm:mb-0">Balance: <span className="text-green-400">💎{formatBalance(balance)}</span></p>
+                    <p className="text-lg sm:text-2xl font-semibold mb-2 sm:mb-0">{t('board.balance')} <span className="text-green-400">💎{formatBalance(balance)}</span></p>
+                    {gameConfig.jackpot.enabled && (
+                        <p className="text-base sm:text-lg font-semibold text-yellow-300 sm:ml-4">{t('board.jackpot', { amount: formatBalance(game.jackpotPot) })}</p>
+                    )}
                     <p className="text-base sm:text-xl text-center flex-grow mx-4">
-                        {message}
-                        {isBettingPhase && <span className="ml-2 text-sm sm:text-yellow-300 font-bold">{roundCountdown}s</span>}
-                        {!isBettingPhase && !isRacing && winningPetId !== null && <span className="ml-2 text-sm sm:text-yellow-300 font-bold">{nextRoundTimer}s</span>}
+                        {formatMessage(message)}
+                        {/* Phase changes, winners and bet feedback for screen readers (the countdown would be too chatty) */}
+                        <span className="sr-only" role="status" aria-live="polite" aria-atomic="true">{formatMessage(announcement)}</span>
+                        {(isBettingPhase || winningPetId !== null) && <span className="ml-2 text-sm sm:text-yellow-300 font-bold">{remainingSeconds}s</span>}
+                        {roundMachine.isPaused && <span className="ml-2 text-sm text-gray-300 font-bold">{t('board.paused')}</span>}
+                        {round.auto && <span className="ml-2 text-sm text-blue-300 font-bold" title={t('board.autoTagTitle')}>{t('board.autoTag')}</span>}
+                        {!room.solo && <span className="ml-2 text-sm text-gray-300">{t('board.players', { count: room.players })}</span>}
                     </p>
-                    {/* Button to open Add Balance Modal */}
+                    {/* Buttons to open the Profiles panel, the History screen and the Add Balance Modal */}
+                    <button
+                        onClick={() => setShowProfiles(true)}
+                        title={t('profiles.title')}
+                        className="bg-purple-500 hover:bg-purple-600 text-white text-sm sm:text-base font-bold py-1.5 px-3 rounded-full shadow-md transition duration-300 ease-in-out transform hover:scale-105 mt-2 sm:mt-0 sm:mr-2 max-w-[10rem] truncate"
+                    >
+                        👤 {profile.name}
+                    </button>
+                    <button
+                        onClick={() => setShowHistory(true)}
+                        className="bg-purple-500 hover:bg-purple-600 text-white text-sm sm:text-base font-bold py-1.5 px-3 rounded-full shadow-md transition duration-300 ease-in-out transform hover:scale-105 mt-2 sm:mt-0 sm:mr-2"
+                    >
+                        {t('board.history')}
+                    </button>
                     <button
                         onClick={() => setShowAddBalanceModal(true)}
                         className="bg-blue-500 hover:bg-blue-600 text-white text-sm sm:text-base font-bold py-1.5 px-3 rounded-full shadow-md transition duration-300 ease-in-out transform hover:scale-105 mt-2 sm:mt-0"
                     >
-                        Add Balance
+                        {t('board.addBalance')}
                     </button>
                 </div>
 
+                {/* Rooms */}
+                {client.lobby && (
+                    <Lobby
+                        lobby={client.lobby}
+                        currentRoomId={room.roomId}
+                        canJoin={getSwitchBlocker(game) === null}
+                        showPlayers={!room.solo}
+                        onJoin={handleJoinRoom}
+                        t={t}
+                    />
+                )}
+
+                {/* Notice Banner */}
+                {notice && (
+                    <div className="flex justify-between items-center mb-6 bg-blue-900 p-3 rounded-lg shadow-inner text-sm sm:text-base">
+                        <span>{formatMessage(notice)}</span>
+                        <button onClick={() => setNotice(null)} className="text-gray-300 hover:text-white text-xl font-bold ml-4">&times;</button>
+                    </div>
+                )}
+
                 {/* Recent Wins History */}
                 <div className="w-full text-center mb-6">
                     <div className="flex justify-center items-center gap-2 bg-purple-800 p-3 rounded-lg shadow-inner min-h-[50px]">
                         {recentWins.length > 0 ? (
-                            recentWins.map((emoji, index) => (
-                                <span key={`${emoji}-${index}`} className="text-3xl opacity-80 hover:opacity-100 transition-opacity duration-200">
-                                    {emoji}
-                                </span>
-                            ))
+                            recentWins.map(({ emoji, nonce: winNonce }, index) => {
+                                const replayable = findReplayableRound(revealedRounds, winNonce);
+                                const replayLabel = replayable && t('race.replayLabel', { round: winNonce, pet: replayable.pets.find(pet => pet.id === replayable.winnerId).name });
+                                return replayable ? (
+                                    <button
+                                        key={`${emoji}-${index}`}
+                                        onClick={() => setReplayNonce(winNonce)}
+                                        aria-label={replayLabel}
+                                        title={replayLabel}
+                                        className="text-3xl opacity-80 hover:opacity-100 transition-opacity duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-300 rounded"
+                                    >
+                                        {emoji}
+                                    </button>
+                                ) : (
+                                    <span key={`${emoji}-${index}`} className="text-3xl opacity-80">
+                                        {emoji}
+                                    </span>
+                                );
+                            })
                         ) : (
-                            <span className="text-gray-400 text-lg">No recent wins yet.</span>
+                            <span className="text-gray-400 text-lg">{t('board.noRecentWins')}</span>
                         )}
                     </div>
                 </div>
 
 
+                {/* Race Track (alternative to the highlight sweep) */}
+                {isTrackView && raceChoreography && (
+                    <RaceTrack
+                        pets={pets}
+                        positions={getRacePositions(raceChoreography, raceProgress)}
+                        winnerId={round.phase === PHASES.RACING || round.phase === PHASES.MULTIPLIER ? null : outcome.winnerId}
+                        animate={!prefersReducedMotion}
+                        label={t('race.trackLabel')}
+                    />
+                )}
+
+                {/* Multiplier Stage (between the race and the winner) */}
+                {(round.phase === PHASES.MULTIPLIER || round.phase === PHASES.REVEALING) && (
+                    <MultiplierReveal
+                        values={multiplierValues}
+                        highlightValue={highlightedMultiplier}
+                        spinning={isMultiplierSpinning}
+                        jackpotHit={outcome.jackpotHit}
+                        t={t}
+                    />
+                )}
+
                 {/* Pet Betting Cards */}
-                <div className="grid grid-cols-4 gap-1 sm:gap-4 mb-8">
-                    {pets.map(pet => (
-                        <div
+                <div className="grid grid-cols-4 gap-1 sm:gap-4 mb-8" role="group" aria-label={t('board.pets')} onKeyDown={petFocus.handleKeyDown}>
+                    {pets.map((pet, index) => (
+                        <button
+                            type="button"
                             key={pet.id}
+                            ref={petFocus.setRef(index)}
                             onClick={() => handlePetClick(pet.id)}
+                            aria-disabled={!isBettingPhase}
+                            aria-label={t(winningPetId === pet.id ? 'board.petWinnerLabel' : 'board.petLabel', {
+                                pet: pet.name,
+                                odds: pet.odds.toFixed(0),
+                                multiplier,
+                                bet: formatAmount(betAmounts[pet.id] || 0),
+                            })}
                             className={`
-                                relative bg-purple-800 p-1 sm:p-4 rounded-lg shadow-lg border-4 cursor-pointer
+                                relative bg-purple-800 p-1 sm:p-4 rounded-lg shadow-lg border-4 cursor-pointer text-white
                                 flex flex-col items-center justify-center aspect-square
-                                border-purple-700
+                                border-purple-700 focus:outline-none focus-visible:ring-4 focus-visible:ring-blue-300
                                 ${isRacing && highlightedPetId === pet.id ? 'border-yellow-400 transition-all duration-200 ease-in-out' : ''}
-                                ${!isRacing && winningPetId === pet.id ? 'border-yellow-400 scale-105 transform transition-all duration-300 animate-blink-border' : ''}
+                                ${!isRacing && winningPetId === pet.id && !prefersReducedMotion ? 'border-yellow-400 scale-105 transform transition-all duration-300 animate-blink-border' : ''}
+                                ${!isRacing && winningPetId === pet.id && prefersReducedMotion ? 'border-yellow-400' : ''}
                                 ${isBettingPhase && selectedBetValue !== null ? 'hover:border-blue-400' : ''}
                                 ${!isBettingPhase && !isRacing && winningPetId !== pet.id ? 'opacity-70 cursor-not-allowed' : ''}
                                 ${!isBettingPhase && isRacing ? 'cursor-not-allowed' : ''}
                             `}
                         >
                             {winningPetId === pet.id && (
-                                <div className="absolute -top-2 -right-2 sm:-top-3 sm:-right-3 bg-yellow-400 text-xs sm:text-sm font-bold px-2 py-0.5 sm:px-3 sm:py-1 rounded-full shadow-md animate-bounce flex items-center gap-0.5 sm:gap-1">
-                                    WINNER! <span className="text-sm sm:text-lg">⭐</span> {multiplier}x
+                                <div className={`absolute -top-2 -right-2 sm:-top-3 sm:-right-3 bg-yellow-400 text-xs sm:text-sm font-bold px-2 py-0.5 sm:px-3 sm:py-1 rounded-full shadow-md flex items-center gap-0.5 sm:gap-1 ${prefersReducedMotion ? '' : 'animate-bounce'}`}>
+                                    {t('board.winner')} <span className="text-sm sm:text-lg">⭐</span> {multiplier}x
                                 </div>
                             )}
                             <div className="flex flex-col items-center justify-center mb-0.5">
                                 <span className="text-2xl sm:text-5xl mb-0">{pet.emoji}</span>
                                 <h3 className="text-xs sm:text-xl font-bold text-center leading-tight">{pet.name}</h3>
                             </div>
-                            <p className="text-gray-300 text-center text-xs sm:text-base leading-none">Odds: <span className="font-semibold text-white">{pet.odds.toFixed(0)}x</span></p>
+                            <p className="text-gray-300 text-center text-xs sm:text-base leading-none">{t('board.odds')} <span className="font-semibold text-white">{pet.odds.toFixed(0)}x</span></p>
                             <div className="text-center text-xs sm:text-lg font-bold text-blue-300 mt-0.5">
-                                Bet: 💎{betAmounts[pet.id] ? betAmounts[pet.id].toFixed(2) : '0.00'}
+                                {t('board.bet')} 💎{formatAmount(betAmounts[pet.id] || 0)}
                             </div>
-                        </div>
+                            {betAmounts[pet.id] > 0 && (
+                                <div className="text-center text-[10px] sm:text-sm text-green-300 leading-none">
+                                    {t('board.pays', { amount: formatBalance(betAmounts[pet.id] * pet.odds) })}
+                                </div>
+                            )}
+                            {/* Other players' chips on this pet */}
+                            {room.pool[pet.id] > 0 && (
+                                <div className="text-center text-[10px] sm:text-sm text-gray-300 leading-none">
+                                    {t('board.pool', { amount: formatBalance(room.pool[pet.id]) })}
+                                </div>
+                            )}
+                        </button>
                     ))}
                 </div>
 
+                {/* Group, Pair and "Not This Pet" Bets */}
+                <SideBetsPanel
+                    pets={pets}
+                    sideBets={round.sideBets}
+                    winnerId={winningPetId}
+                    canBet={isBettingPhase}
+                    onBet={handleSideBetClick}
+                    getLabel={(bet) => formatMessage(sideBetMessage(bet, pets))}
+                    formatAmount={formatAmount}
+                    t={t}
+                />
+
                 {/* Bet Amount Selection Buttons */}
                 {isBettingPhase && (
-                    <div className="flex justify-center gap-1 sm:gap-4 mb-8">
-                        {betValues.map(value => (
+                    <div className="flex justify-center gap-1 sm:gap-4 mb-8" role="group" aria-label={t('board.chips', { count: betValues.length })} onKeyDown={chipFocus.handleKeyDown}>
+                        {betValues.map((value, index) => (
                             <button
                                 key={value}
+                                ref={chipFocus.setRef(index)}
                                 onClick={() => setSelectedBetValue(value)}
-                                className={`bg-blue-600 hover:bg-blue-700 text-white font-bold py-1.5 px-3 sm:py-3 sm:px-6 rounded-full shadow-md transition duration-300 ease-in-out transform hover:scale-105
+                                aria-pressed={selectedBetValue === value}
+                                aria-label={t('board.chipLabel', { amount: value, hotkey: index + 1 })}
+                                className={`bg-blue-600 hover:bg-blue-700 text-white font-bold py-1.5 px-3 sm:py-3 sm:px-6 rounded-full shadow-md transition duration-300 ease-in-out transform hover:scale-105 motion-reduce:transition-none motion-reduce:hover:scale-100 focus:outline-none focus-visible:ring-4 focus-visible:ring-blue-300
                                     ${selectedBetValue === value ? 'ring-4 ring-yellow-400' : ''}
                                 `}
                             >
                                 💎{value}
+                                <kbd className="ml-1 text-[10px] sm:text-xs font-normal opacity-70" aria-hidden="true">{index + 1}</kbd>
                             </button>
                         ))}
+                        {/* Custom amount from the bet slip, shown as the selected chip */}
+                        {selectedBetValue !== null && !betValues.includes(selectedBetValue) && (
+                            <span className="bg-blue-600 text-white font-bold py-1.5 px-3 sm:py-3 sm:px-6 rounded-full shadow-md ring-4 ring-yellow-400">
+                                💎{selectedBetValue}
+                            </span>
+                        )}
                     </div>
                 )}
+
+                {/* Bet Slip */}
+                {isBettingPhase && (
+                    <BetSlip
+                        totalBet={getRoundTotal(round)}
+                        maxBetPerRound={gameConfig.limits.maxBetPerRound}
+                        canUndo={round.slip.length > 0}
+                        canRebet={Object.keys(rebetBets).length > 0}
+                        onUndo={handleUndo}
+                        onClear={handleClear}
+                        onRebet={() => placeBets(rebetBets, { key: 'bet.rebet' })}
+                        onDouble={() => placeBets({ ...betAmounts, ...round.sideBets }, { key: 'bet.doubled' })}
+                        onCustomAmount={handleCustomAmount}
+                        formatBalance={formatBalance}
+                        t={t}
+                    />
+                )}
+
+                {/* Provably Fair Commitment */}
+                <div className="flex flex-col sm:flex-row items-center gap-2 bg-purple-800 p-3 rounded-lg shadow-inner text-xs sm:text-sm">
+                    <span className="text-gray-300 whitespace-nowrap">{t('board.roundHash', { round: nonce })}</span>
+                    <span className="font-mono text-gray-400 truncate flex-grow" title={serverSeedHash}>{serverSeedHash}</span>
+                    <label className="flex items-center gap-1 whitespace-nowrap">
+                        {t('board.clientSeed')}
+                        <input
+                            type="text"
+                            value={clientSeed}
+                            onChange={(e) => dispatch({ type: 'SET_CLIENT_SEED', clientSeed: e.target.value })}
+                            disabled={!isBettingPhase}
+                            className="w-28 border rounded py-0.5 px-1 bg-purple-900 border-purple-700 text-white font-mono disabled:opacity-60"
+                        />
+                    </label>
+                    <button
+                        onClick={() => setShowVerifyPanel(true)}
+                        className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-full shadow-md whitespace-nowrap"
+                    >
+                        {t('board.verifyRound')}
+                    </button>
+                </div>
+
+                {/* Tools */}
+                <div className="flex flex-wrap justify-center items-center gap-2 mt-4 text-sm">
+                    <span className="text-gray-300">{gameConfig.name}{pendingConfig && ` ${t('board.nextConfig', { config: pendingConfig.name })}`}</span>
+                    <button
+                        onClick={roundMachine.isPaused ? roundMachine.resume : roundMachine.pause}
+                        disabled={!roundMachine.isStarted || !room.solo}
+                        className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md disabled:opacity-60"
+                    >
+                        {roundMachine.isPaused ? t('board.resume') : t('board.pause')}
+                    </button>
+                    <button
+                        onClick={() => dispatch({ type: 'SET_SETTINGS', settings: { raceView: isTrackView ? RACE_VIEWS.GRID : RACE_VIEWS.TRACK } })}
+                        className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md"
+                    >
+                        {isTrackView ? t('board.gridView') : t('board.trackView')}
+                    </button>
+                    <button
+                        onClick={() => setShowAutoBet(true)}
+                        className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md"
+                    >
+                        {isAutoBetActive(game.autoBet) ? t('board.autoProgress', { played: game.autoBet.roundsPlayed, rounds: game.autoBet.rounds }) : t('board.auto')}
+                    </button>
+                    {isAutoBetActive(game.autoBet) && (
+                        <button
+                            onClick={handleStopAutoBet}
+                            className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-3 rounded-full shadow-md"
+                        >
+                            {t('board.stop')}
+                        </button>
+                    )}
+                    <button
+                        onClick={() => setShowSafeguards(true)}
+                        className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md"
+                    >
+                        {t('board.limits')}
+                    </button>
+                    <button
+                        onClick={() => setShowConfigEditor(true)}
+                        disabled={!room.solo}
+                        className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md disabled:opacity-60"
+                    >
+                        {t('board.config')}
+                    </button>
+                    <button
+                        onClick={() => setShowAnalytics(true)}
+                        className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md"
+                    >
+                        {t('board.analytics')}
+                    </button>
+                    <button
+                        onClick={() => setShowStats(true)}
+                        className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md"
+                    >
+                        {t('board.stats')}
+                    </button>
+                    <LocaleSettings settings={settings} t={t} onChange={(changes) => dispatch({ type: 'SET_SETTINGS', settings: changes })} />
+                </div>
+
+                {/* Dev Console (hosts started with dev tools only) */}
+                {room.dev && (
+                    <DevConsole
+                        dev={room.dev}
+                        pets={pets}
+                        multiplierValues={multiplierOptions}
+                        balance={balance}
+                        onCommand={(command, args) => request(CLIENT_MESSAGES.DEV, { command, ...args })}
+                    />
+                )}
             </div>
 
+            {/* Race Replay */}
+            {replayRound && (
+                <RaceReplay round={replayRound} prefersReducedMotion={prefersReducedMotion} t={t} onClose={() => setReplayNonce(null)} />
+            )}
+
+            {/* Reality Check */}
+            {showRealityCheck && (
+                <RealityCheckDialog
+                    session={game.session}
+                    transactions={wallet.transactions}
+                    formatBalance={formatBalance}
+                    t={t}
+                    onContinue={closeRealityCheck}
+                    onOpenLimits={() => { closeRealityCheck(); setShowSafeguards(true); }}
+                    onOpenHistory={() => { closeRealityCheck(); setShowHistory(true); }}
+                />
+            )}
+
+            {/* Play Limits Panel */}
+            {showSafeguards && (
+                <SafeguardsPanel
+                    safeguards={game.safeguards}
+                    session={game.session}
+                    transactions={wallet.transactions}
+                    formatBalance={formatBalance}
+                    locale={settings.locale}
+                    t={t}
+                    onSaveLimits={(limits) => dispatch({ type: 'SET_LIMITS', limits, timestamp: Date.now() })}
+                    onCoolOff={handleCoolOff}
+                    onClose={() => setShowSafeguards(false)}
+                />
+            )}
+
+            {/* Auto-play Panel */}
+            {showAutoBet && (
+                <AutoBetPanel
+                    pets={pets}
+                    session={game.autoBet}
+                    balance={balance}
+                    formatBalance={formatBalance}
+                    t={t}
+                    onStart={handleStartAutoBet}
+                    onStop={handleStopAutoBet}
+                    onClose={() => setShowAutoBet(false)}
+                />
+            )}
+
+            {/* Analytics View */}
+            {showAnalytics && (
+                <AnalyticsView config={pendingConfig || gameConfig} onClose={() => setShowAnalytics(false)} />
+            )}
+
+            {/* Pet Statistics Panel */}
+            {showStats && (
+                <StatsPanel config={gameConfig} rounds={roundHistory} formatBalance={formatBalance} t={t} onClose={() => setShowStats(false)} />
+            )}
+
+            {/* Profiles Panel */}
+            {showProfiles && (
+                <ProfilesPanel
+                    list={profiles}
+                    getSaved={getSavedSession}
+                    switchBlocker={getSwitchBlocker(game)}
+                    formatBalance={formatBalance}
+                    t={t}
+                    {...profileActions}
+                    onClose={() => setShowProfiles(false)}
+                />
+            )}
+
+            {/* Game Config Editor */}
+            {showConfigEditor && (
+                <ConfigEditor
+                    config={gameConfig}
+                    pendingConfig={pendingConfig}
+                    onApply={handleApplyConfig}
+                    onClose={() => setShowConfigEditor(false)}
+                />
+            )}
+
+            {/* History Screen */}
+            {showHistory && (
+                <HistoryScreen
+                    pets={pets}
+                    rounds={roundHistory}
+                    transactions={wallet.transactions}
+                    formatBalance={formatBalance}
+                    getSideBetLabel={getSideBetLabel}
+                    locale={settings.locale}
+                    t={t}
+                    onClose={() => setShowHistory(false)}
+                />
+            )}
+
+            {/* Verify Round Modal */}
+            {showVerifyPanel && (
+                <VerifyRoundPanel pets={pets} rounds={revealedRounds} t={t} onClose={() => setShowVerifyPanel(false)} />
+            )}
+
             {/* Add Balance Modal */}
             {showAddBalanceModal && (
                 <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
@@ -419,36 +1034,40 @@ const App = () => {
                         <button
                             onClick={() => {
                                 setShowAddBalanceModal(false);
-                                setAddBalanceMessage(''); // Clear message on close
+                                setAddBalanceMessage(null); // Clear message on close
                                 setUpiId(''); // Clear UPI ID on close
                             }}
                             className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold"
                         >
                             &times;
                         </button>
-                        <h2 className="text-2xl font-bold text-yellow-300 mb-4 text-center">Add Diamonds</h2>
+                        <h2 className="text-2xl font-bold text-yellow-300 mb-4 text-center">{t('topUp.title')}</h2>
 
                         <div className="mb-4">
                             <label htmlFor="upiId" className="block text-white-300 text-sm font-bold mb-2">
-                                Enter UPI ID (simulated):
+                                {t('topUp.upiLabel')}
                             </label>
                             <input
                                 type="text"
                                 id="upiId"
                                 value={upiId}
                                 onChange={(e) => setUpiId(e.target.value)}
-                                placeholder="e.g., yourname@bank"
+                                placeholder={t('topUp.upiPlaceholder')}
                                 className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline bg-purple-900 border-purple-700 text-white"
                             />
+                            <p className="text-xs text-gray-400 mt-1">
+                                {t('topUp.testHandles', { provider: room.paymentProvider, handles: Object.keys(MOCK_UPI_HANDLES).map(handle => `@${handle}`).join(', ') })}
+                            </p>
                         </div>
 
-                        <p className="text-center text-gray-300 mb-3">Select amount to add:</p>
+                        <p className="text-center text-gray-300 mb-3">{t('topUp.selectAmount')}</p>
                         <div className="flex flex-wrap justify-center gap-3 mb-4">
                             {topUpAmounts.map(amount => (
                                 <button
                                     key={amount}
                                     onClick={() => handleUpiPayment(amount)}
-                                    className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-full shadow-md transition duration-300 ease-in-out transform hover:scale-105 text-sm"
+                                    disabled={isPaying}
+                                    className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-full shadow-md transition duration-300 ease-in-out transform hover:scale-105 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
                                 >
                                     💎{amount}
                                 </button>
@@ -456,13 +1075,38 @@ const App = () => {
                         </div>
                         {addBalanceMessage && (
                             <p className="text-center text-lg font-semibold mt-4">
-                                {addBalanceMessage.startsWith('✅') ? (
-                                    <span className="text-green-400">{addBalanceMessage}</span>
+                                {formatMessage(addBalanceMessage).startsWith('✅') ? (
+                                    <span className="text-green-400">{formatMessage(addBalanceMessage)}</span>
                                 ) : (
-                                    <span className="text-red-400">{addBalanceMessage}</span>
+                                    <span className="text-red-400">{formatMessage(addBalanceMessage)}</span>
                                 )}
                             </p>
                         )}
+
+                        {/* Recent top-up payments */}
+                        {game.payments.length > 0 && (
+                            <div className="mt-4 text-sm">
+                                <p className="text-gray-300 mb-1">{t('topUp.recent')}</p>
+                                <ul className="bg-purple-900 rounded-lg divide-y divide-purple-700">
+                                    {game.payments.slice(-5).reverse().map(payment => (
+                                        <li key={payment.id} className="flex justify-between items-center gap-2 p-2">
+                                            <span className="truncate">💎{payment.amount} · {payment.upiId}</span>
+                                            <span className={`${PAYMENT_STATUS_CLASSES[payment.status]} whitespace-nowrap`} title={payment.error ? formatMessage(walletErrorMessage(payment.error)) : payment.providerRef || ''}>
+                                                {t(`payment.status.${payment.status}`)}
+                                            </span>
+                                            {payment.status === PAYMENT_STATUS.CONFIRMED && (
+                                                <button
+                                                    onClick={() => handleRefundPayment(payment.id)}
+                                                    className="text-xs bg-purple-500 hover:bg-purple-600 font-bold py-0.5 px-2 rounded-full"
+                                                >
+                                                    {t('topUp.refund')}
+                                                </button>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
                     </div>
                 </div>
             )}
@@ -470,4 +1114,61 @@ const App = () => {
     );
 };
 
+// One profile's connection: to the game server, or offline play on the profile's saved session. It shows
+// the board once the first state arrives.
+const ProfileTable = ({ profile, profiles, profileActions }) => {
+    const [setup] = useState(() => {
+        const serverUrl = getServerUrl();
+        const connectOffline = () => createOfflineConnection(profile);
+        return {
+            connect: serverUrl ? ({ onClose }) => createSocketConnection(serverUrl, { onClose }) : connectOffline,
+            fallback: serverUrl ? connectOffline : null, // Keep playing offline if the server goes away
+            hello: { playerId: profile.id, settings: resolveSettings(null, navigator.language), clientSeed: generateClientSeed() },
+        };
+    });
+    const client = useGameClient(setup);
+
+    if (!client.game) {
+        const t = createTranslator(setup.hello.settings.language);
+        return (
+            <div className="min-h-screen bg-gradient-to-br from-purple-800 to-indigo-900 text-white font-inter flex items-center justify-center">
+                <p className="text-xl" role="status">{t('board.connecting')}</p>
+            </div>
+        );
+    }
+    // Each room gets a fresh board
+    return <GameTable key={client.room.roomId} client={client} profiles={profiles} profileActions={profileActions} />;
+};
+
+// Main App Component: keeps the device's player profiles and plays as the active one. Switching profiles
+// remounts the table, which closes the old connection and opens one for the new profile.
+const App = () => {
+    const [profiles, setProfiles] = useState(() => loadProfiles() || createProfileList(
+        loadPlayerId(), // The player from before profiles keeps their session and server seat
+        createTranslator(resolveSettings(null, navigator.language).language)('profiles.defaultName', { number: 1 }),
+    ));
+    useEffect(() => saveProfiles(profiles), [profiles]);
+
+    const profileActions = {
+        onSwitch: (profileId) => setProfiles(setActiveProfile(profiles, profileId)),
+        onAdd: (name) => setProfiles(addProfile(profiles, createProfile(name))),
+        onRename: (profileId, name) => setProfiles(renameProfile(profiles, profileId, name)),
+        onRemove: (profileId) => {
+            const removed = profiles.profiles.find(profile => profile.id === profileId);
+            if (!removed || profileId === profiles.activeId) return;
+            clearState(undefined, removed.storageKey);
+            setProfiles(removeProfile(profiles, profileId));
+        },
+        // Profiles read from an export file ([{ name, saved }]); each gets a new id and its own storage
+        onImport: (imported) => setProfiles(imported.reduce((list, { name, saved }) => {
+            const profile = createProfile(getUniqueName(name, list));
+            if (saved) saveState(saved, undefined, profile.storageKey);
+            return addProfile(list, profile);
+        }, profiles)),
+    };
+
+    const active = getActiveProfile(profiles);
+    return <ProfileTable key={active.id} profile={active} profiles={profiles} profileActions={profileActions} />;
+};
+
 export default App;
@@ -1,8 +1,152 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The app plays offline against its in-process host; fake timers drive the host's tick
+beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    window.history.pushState({}, '', '/');
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+const renderApp = (url = '/') => {
+    window.history.pushState({}, '', url);
+    render(<App />);
+    act(() => { jest.advanceTimersByTime(100); });
+};
+
+// Run the host's clock on
+const runClock = (ms) => act(() => { jest.advanceTimersByTime(ms); });
+
+// Dev console commands answer through a promise
+const clickAndSettle = async (button) => {
+    fireEvent.click(button);
+    await act(() => Promise.resolve()); // Let the reply come back
+};
+
+test('renders the betting board offline, without the dev console', () => {
+    renderApp();
+    expect(screen.getByText('Diamond Hunt')).toBeInTheDocument();
+    expect(screen.getByText(/Balance:/)).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Pets' })).toBeInTheDocument();
+    expect(screen.queryByRole('group', { name: 'Dev console' })).not.toBeInTheDocument();
+});
+
+test('a full round from the dev console: forced Lion win at 4x, payout, next round', async () => {
+    renderApp('/?dev=1');
+    expect(screen.getByRole('group', { name: 'Dev console' })).toBeInTheDocument();
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Winner' }), { target: { value: '8' } });
+    fireEvent.change(screen.getByRole('combobox', { name: 'Multiplier' }), { target: { value: '4' } });
+    await clickAndSettle(screen.getByRole('button', { name: 'Force next round' }));
+    expect(screen.getByText('Next round: 🦁 Lion, 4x')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Chip 💎50 / }));
+    fireEvent.click(screen.getByRole('button', { name: /^Lion,/ }));
+    expect(screen.getByText(/Balance:/)).toHaveTextContent('💎50');
+
+    // Betting → racing → multiplier → revealing → cooldown
+    for (let i = 0; i < 4; i++) {
+        await clickAndSettle(screen.getByRole('button', { name: '⏭ Skip phase' }));
+    }
+    runClock(100);
+    expect(screen.getByText(/Balance:/)).toHaveTextContent('💎9.05k'); // 50 left + 50 × 45 × 4
+    expect(screen.getAllByText('🎉 Lion won! You won 💎9,000.00 with a 4x multiplier!').length).toBeGreaterThan(0);
+
+    await clickAndSettle(screen.getByRole('button', { name: '⏭ Skip phase' }));
+    expect(screen.getByRole('button', { name: /Chip 💎50 / })).toBeInTheDocument();
+    expect(screen.getByText('Next round: from the seeds')).toBeInTheDocument();
+});
+
+test('profiles keep their own wallets and only switch between rounds', async () => {
+    renderApp('/?dev=1');
+    fireEvent.change(screen.getByRole('combobox', { name: 'Winner' }), { target: { value: '1' } });
+    await clickAndSettle(screen.getByRole('button', { name: 'Force next round' }));
+    fireEvent.click(screen.getByRole('button', { name: /Chip 💎50 / }));
+    fireEvent.click(screen.getByRole('button', { name: /^Lion,/ }));
+
+    fireEvent.click(screen.getByRole('button', { name: '👤 Player 1' }));
+    fireEvent.change(screen.getByRole('textbox', { name: 'New profile name' }), { target: { value: 'Ravi' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+    expect(screen.getByRole('button', { name: 'Switch' })).toBeDisabled();
+    expect(screen.getByText(/Clear your bets/)).toBeInTheDocument();
+
+    // Lose the Lion bet, then switch in the cooldown
+    for (let i = 0; i < 4; i++) {
+        await clickAndSettle(screen.getByRole('button', { name: '⏭ Skip phase' }));
+    }
+    fireEvent.click(screen.getByRole('button', { name: 'Switch' }));
+    runClock(100);
+    expect(screen.getByRole('button', { name: '👤 Ravi' })).toBeInTheDocument();
+    expect(screen.getByText(/Balance:/)).toHaveTextContent('💎100');
+
+    fireEvent.click(screen.getByRole('button', { name: '👤 Ravi' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Switch' }));
+    runClock(100);
+    expect(screen.getByRole('button', { name: '👤 Player 1' })).toBeInTheDocument();
+    expect(screen.getByText(/Balance:/)).toHaveTextContent('💎50');
+});
+
+test('rooms share the wallet and can only be changed without bets on the table', async () => {
+    renderApp();
+    const rooms = screen.getByRole('region', { name: 'Rooms' });
+    expect(rooms).toHaveTextContent('Betting: 30s left');
+    expect(rooms).toHaveTextContent('10s to bet · chips from 💎1 · up to 4x');
+    expect(rooms).toHaveTextContent('chips from 💎50 · up to 10x');
+
+    await clickAndSettle(screen.getByRole('button', { name: 'Join Turbo' }));
+    runClock(100);
+    expect(screen.getByText(/Balance:/)).toHaveTextContent('💎100');
+    expect(screen.getByRole('button', { name: 'Join Classic' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Chip 💎50 / }));
+    fireEvent.click(screen.getByRole('button', { name: /^Lion,/ }));
+    runClock(100);
+    await clickAndSettle(screen.getByRole('button', { name: 'Join Classic' }));
+    expect(screen.getByRole('status')).toHaveTextContent('Clear your bets before changing rooms.');
+    expect(screen.getByRole('button', { name: 'Join Classic' })).toBeInTheDocument();
+    expect(screen.getByText(/Balance:/)).toHaveTextContent('💎50');
+});
+
+test('the play limits panel follows the language setting', () => {
+    renderApp();
+    fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'es' } });
+    runClock(100);
+    fireEvent.click(screen.getByRole('button', { name: '🛡️ Límites' }));
+    expect(screen.getByRole('heading', { name: 'Límites de juego' })).toBeInTheDocument();
+    expect(screen.getByLabelText(/^Límite de pérdidas por día/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText(/^Límite de pérdidas por día/), { target: { value: '-5' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Guardar límites' }));
+    expect(screen.getByText(/^Límite de pérdidas por día: introduce un número/)).toBeInTheDocument();
+});
+
+test('the history screen follows the language setting', () => {
+    renderApp();
+    fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'es' } });
+    runClock(100);
+    fireEvent.click(screen.getByRole('button', { name: 'Historial' }));
+    expect(screen.getByRole('heading', { name: 'Historial' })).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Movimientos' }));
+    expect(screen.getByText('saldo inicial')).toBeInTheDocument();
+});
+
+test('the player is told when the session can\'t be saved', () => {
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw new Error('QuotaExceededError'); });
+    try {
+        renderApp();
+        expect(screen.getByText(/Couldn't save your session on this device/)).toBeInTheDocument();
+    } finally {
+        setItem.mockRestore();
+    }
+});
+
+test('a saved session that can\'t be restored starts the player afresh', () => {
+    localStorage.setItem('diamond-hunt:session', JSON.stringify({ version: 5, rooms: { classic: { round: { phase: 'racing', nonce: 2 } } } }));
+    renderApp();
+    expect(screen.getByText(/Your saved session couldn't be read/)).toBeInTheDocument();
+    expect(screen.getByText(/Balance:/)).toHaveTextContent('💎100');
 });
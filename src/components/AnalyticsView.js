@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createSimulation, createFastRandom } from '../game/simulator';
+
+const ROUND_OPTIONS = [100000, 1000000, 5000000];
+const BATCH_SIZE = 50000; // Rounds per batch; the page stays responsive between batches
+
+const percent = (value) => `${(value * 100).toFixed(2)}%`;
+
+// Monte Carlo analytics for the active config: RTP, house edge and volatility per bet pattern
+const AnalyticsView = ({ config, onClose }) => {
+    const [roundCount, setRoundCount] = useState(ROUND_OPTIONS[1]); // Rounds to simulate
+    const [report, setReport] = useState(null); // Latest simulation report
+    const [progress, setProgress] = useState(null); // Fraction done while running, null when idle
+    const batchTimeoutRef = useRef(null);
+
+    // Stop any running simulation when the view closes
+    useEffect(() => () => clearTimeout(batchTimeoutRef.current), []);
+
+    const handleRun = () => {
+        clearTimeout(batchTimeoutRef.current);
+        const simulation = createSimulation(config);
+        const random = createFastRandom();
+        let done = 0;
+
+        const runNextBatch = () => {
+            done = simulation.runBatch(Math.min(BATCH_SIZE, roundCount - done), random);
+            setReport(simulation.getReport());
+            if (done < roundCount) {
+                setProgress(done / roundCount);
+                batchTimeoutRef.current = setTimeout(runNextBatch, 0);
+            } else {
+                setProgress(null);
+            }
+        };
+        setProgress(0);
+        batchTimeoutRef.current = setTimeout(runNextBatch, 0);
+    };
+
+    const handleStop = () => {
+        clearTimeout(batchTimeoutRef.current);
+        setProgress(null);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-4xl border border-purple-600 relative max-h-full overflow-y-auto">
+                <button
+                    onClick={onClose}
+                    className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold"
+                >
+                    &times;
+                </button>
+                <h2 className="text-2xl font-bold text-yellow-300 mb-2 text-center">Analytics</h2>
+                <p className="text-sm text-gray-300 mb-4 text-center">
+                    Simulates rounds of the "{config.name}" config with the live winner and multiplier logic. RTP above 100% favours the player.
+                </p>
+
+                <div className="flex flex-wrap justify-center items-center gap-2 mb-4">
+                    <select
+                        value={roundCount}
+                        onChange={(e) => setRoundCount(Number(e.target.value))}
+                        disabled={progress !== null}
+                        aria-label="Rounds to simulate"
+                        className="border rounded py-1 px-2 bg-purple-900 border-purple-700 text-white"
+                    >
+                        {ROUND_OPTIONS.map(option => <option key={option} value={option}>{option.toLocaleString()} rounds</option>)}
+                    </select>
+                    {progress === null ? (
+                        <button onClick={handleRun} className="bg-green-600 hover:bg-green-700 text-white font-bold py-1 px-4 rounded-full shadow-md">Run</button>
+                    ) : (
+                        <button onClick={handleStop} className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-4 rounded-full shadow-md">Stop</button>
+                    )}
+                </div>
+
+                {progress !== null && (
+                    <div className="w-full bg-purple-900 rounded-full h-2 mb-4">
+                        <div className="bg-yellow-400 h-2 rounded-full" style={{ width: percent(progress) }} />
+                    </div>
+                )}
+
+                {report && (
+                    <>
+                        <p className="text-center mb-4">
+                            {report.rounds.toLocaleString()} rounds · {config.multiplier.table ? 'a multiplier above 1x' : `${config.multiplier.value}x multiplier`} fired in {percent(report.multiplierRate)} (theory {percent(report.theoreticalMultiplierRate)})
+                        </p>
+
+                        <div className="overflow-x-auto bg-purple-900 rounded-lg mb-4">
+                            <table className="w-full text-xs sm:text-sm">
+                                <thead className="text-yellow-300 text-left">
+                                    <tr><th className="p-2">Bet</th><th className="p-2">Hit rate</th><th className="p-2">RTP</th><th className="p-2">RTP theory</th><th className="p-2">House edge</th><th className="p-2">Variance</th><th className="p-2">Multiplier on hit</th></tr>
+                                </thead>
+                                <tbody>
+                                    {report.patterns.map(pattern => (
+                                        <tr key={pattern.id} className="border-t border-purple-700">
+                                            <td className="p-2">{pattern.label}</td>
+                                            <td className="p-2">{percent(pattern.hitRate)}</td>
+                                            <td className="p-2">{percent(pattern.rtp)}</td>
+                                            <td className="p-2">{percent(pattern.theoreticalRTP)}</td>
+                                            <td className={`p-2 ${pattern.houseEdge < 0 ? 'text-red-400' : 'text-green-400'}`}>{percent(pattern.houseEdge)}</td>
+                                            <td className="p-2">{pattern.variance.toFixed(3)}</td>
+                                            <td className="p-2">{percent(pattern.multiplierOnHitRate)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="overflow-x-auto bg-purple-900 rounded-lg">
+                            <table className="w-full text-xs sm:text-sm">
+                                <thead className="text-yellow-300 text-left">
+                                    <tr><th className="p-2">Pet</th><th className="p-2">Odds</th><th className="p-2">Wins</th><th className="p-2">Frequency</th><th className="p-2">Theory</th></tr>
+                                </thead>
+                                <tbody>
+                                    {report.pets.map(pet => (
+                                        <tr key={pet.id} className="border-t border-purple-700">
+                                            <td className="p-2">{pet.label}</td>
+                                            <td className="p-2">{pet.odds}x</td>
+                                            <td className="p-2">{pet.wins.toLocaleString()}</td>
+                                            <td className="p-2">{percent(pet.frequency)}</td>
+                                            <td className="p-2">{percent(pet.theoreticalFrequency)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AnalyticsView;
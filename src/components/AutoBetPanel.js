@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { AUTO_STRATEGIES, createRuleSet, parseRuleSet, createAutoBetSession, isAutoBetActive } from '../game/autoBet';
+
+const EXAMPLE_RULES = JSON.stringify({
+    bets: { 1: 2, 5: 1 },
+    onWin: { action: 'reset' },
+    onLoss: { action: 'add', value: 1 },
+}, null, 2);
+
+const inputClass = 'border rounded py-1 px-2 bg-purple-900 border-purple-700 text-white';
+
+// Optional number field: '' means "not set"
+const parseOptional = (text) => (text.trim() === '' ? null : Number(text));
+
+// Auto-play setup: pick a strategy and its stop conditions, then start or stop the session
+const AutoBetPanel = ({ pets, session, balance, formatBalance, t, onStart, onStop, onClose }) => {
+    const [strategy, setStrategy] = useState(AUTO_STRATEGIES.FLAT);
+    const [petId, setPetId] = useState(pets[0].id); // Pet for flat and martingale
+    const [amount, setAmount] = useState('1'); // Base stake per pet
+    const [rulesText, setRulesText] = useState(EXAMPLE_RULES); // JSON for the custom rule set
+    const [rounds, setRounds] = useState('10');
+    const [stopLoss, setStopLoss] = useState(''); // Stop when the balance falls to this
+    const [takeProfit, setTakeProfit] = useState(''); // Stop when the balance reaches this
+    const [errors, setErrors] = useState([]); // Message keys, or a rule set's errors as they come from parseRuleSet
+
+    const isActive = isAutoBetActive(session);
+
+    const handleStart = () => {
+        const nextErrors = [];
+        let ruleSet = null;
+        if (strategy === AUTO_STRATEGIES.RULES) {
+            const parsed = parseRuleSet(rulesText, pets);
+            ruleSet = parsed.ruleSet;
+            nextErrors.push(...parsed.errors);
+        } else if (!(Number(amount) > 0)) {
+            nextErrors.push({ key: 'autoPlay.stakeInvalid' });
+        } else {
+            ruleSet = createRuleSet(strategy, { petId: Number(petId), amount: Math.round(Number(amount) * 100) / 100, pets });
+        }
+        const roundCount = Number(rounds);
+        if (!Number.isInteger(roundCount) || roundCount < 1) nextErrors.push({ key: 'autoPlay.roundsInvalid' });
+        const stopLossValue = parseOptional(stopLoss);
+        const takeProfitValue = parseOptional(takeProfit);
+        if (stopLossValue !== null && !(stopLossValue >= 0 && stopLossValue < balance)) nextErrors.push({ key: 'autoPlay.stopLossInvalid' });
+        if (takeProfitValue !== null && !(takeProfitValue > balance)) nextErrors.push({ key: 'autoPlay.takeProfitInvalid' });
+
+        setErrors(nextErrors);
+        if (nextErrors.length > 0) return;
+        onStart(createAutoBetSession({ strategy, ruleSet, rounds: roundCount, stopLoss: stopLossValue, takeProfit: takeProfitValue }));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-md border border-purple-600 relative max-h-full overflow-y-auto">
+                <button
+                    onClick={onClose}
+                    className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold"
+                >
+                    &times;
+                </button>
+                <h2 className="text-2xl font-bold text-yellow-300 mb-2 text-center">{t('autoPlay.title')}</h2>
+                <p className="text-sm text-gray-300 mb-4 text-center">{t('autoPlay.intro')}</p>
+
+                {session && (
+                    <p className="text-center mb-4 bg-purple-900 rounded-lg p-2">
+                        {t(isActive ? 'autoPlay.running' : 'autoPlay.stopped', { played: session.roundsPlayed, rounds: session.rounds, wins: session.wins })}
+                    </p>
+                )}
+
+                {isActive ? (
+                    <div className="flex justify-center">
+                        <button onClick={onStop} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-full shadow-md">{t('autoPlay.stop')}</button>
+                    </div>
+                ) : (
+                    <div className="flex flex-col gap-3 text-sm">
+                        <label className="flex flex-col gap-1">
+                            {t('autoPlay.strategy')}
+                            <select value={strategy} onChange={(e) => setStrategy(e.target.value)} className={inputClass}>
+                                {Object.values(AUTO_STRATEGIES).map(value => <option key={value} value={value}>{t(`autoPlay.strategy.${value}`)}</option>)}
+                            </select>
+                        </label>
+
+                        {strategy === AUTO_STRATEGIES.RULES ? (
+                            <label className="flex flex-col gap-1">
+                                {t('autoPlay.rules')}
+                                <textarea
+                                    value={rulesText}
+                                    onChange={(e) => setRulesText(e.target.value)}
+                                    spellCheck={false}
+                                    className={`${inputClass} font-mono text-xs min-h-[140px]`}
+                                />
+                            </label>
+                        ) : (
+                            <div className="flex gap-2">
+                                {strategy !== AUTO_STRATEGIES.SPREAD && (
+                                    <label className="flex flex-col gap-1 flex-grow">
+                                        {t('autoPlay.pet')}
+                                        <select value={petId} onChange={(e) => setPetId(e.target.value)} className={inputClass}>
+                                            {pets.map(pet => <option key={pet.id} value={pet.id}>{pet.emoji} {pet.name}</option>)}
+                                        </select>
+                                    </label>
+                                )}
+                                <label className="flex flex-col gap-1 flex-grow">
+                                    {t(strategy === AUTO_STRATEGIES.SPREAD ? 'autoPlay.stakePerPet' : 'autoPlay.stake')}
+                                    <input type="number" min="0.01" step="0.01" value={amount} onChange={(e) => setAmount(e.target.value)} className={inputClass} />
+                                </label>
+                            </div>
+                        )}
+
+                        <div className="flex gap-2">
+                            <label className="flex flex-col gap-1 flex-1">
+                                {t('autoPlay.rounds')}
+                                <input type="number" min="1" step="1" value={rounds} onChange={(e) => setRounds(e.target.value)} className={inputClass} />
+                            </label>
+                            <label className="flex flex-col gap-1 flex-1">
+                                {t('autoPlay.stopLoss')}
+                                <input type="number" min="0" placeholder={t('autoPlay.off')} value={stopLoss} onChange={(e) => setStopLoss(e.target.value)} className={inputClass} />
+                            </label>
+                            <label className="flex flex-col gap-1 flex-1">
+                                {t('autoPlay.takeProfit')}
+                                <input type="number" min="0" placeholder={t('autoPlay.off')} value={takeProfit} onChange={(e) => setTakeProfit(e.target.value)} className={inputClass} />
+                            </label>
+                        </div>
+                        <p className="text-gray-300 text-xs">{t('autoPlay.levels', { amount: formatBalance(balance) })}</p>
+
+                        {errors.length > 0 && (
+                            <ul className="text-red-400 list-disc list-inside">
+                                {errors.map(error => (typeof error === 'string' ? error : t(error.key))).map(text => <li key={text}>{text}</li>)}
+                            </ul>
+                        )}
+
+                        <div className="flex justify-center">
+                            <button onClick={handleStart} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-full shadow-md">{t('autoPlay.start')}</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AutoBetPanel;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+
+const slipButtonClass = 'bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Bet slip controls for the betting phase: undo / clear / rebet / double, a custom chip amount and the round total
+const BetSlip = ({ totalBet, maxBetPerRound, canUndo, canRebet, onUndo, onClear, onRebet, onDouble, onCustomAmount, formatBalance, t }) => {
+    const [customAmount, setCustomAmount] = useState(''); // Text in the custom amount box
+    const [customError, setCustomError] = useState(''); // Why the custom amount was rejected
+
+    const handleUseCustom = () => {
+        const amount = Math.round(Number(customAmount) * 100) / 100;
+        if (!Number.isFinite(amount) || amount <= 0) {
+            setCustomError(t('slip.customError'));
+            return;
+        }
+        setCustomError('');
+        onCustomAmount(amount);
+    };
+
+    return (
+        <div className="flex flex-col items-center gap-2 mb-8 bg-purple-800 p-3 rounded-lg shadow-inner text-sm">
+            <div className="flex flex-wrap justify-center items-center gap-2">
+                <button onClick={onUndo} disabled={!canUndo} className={slipButtonClass}>{t('slip.undo')}</button>
+                <button onClick={onClear} disabled={totalBet === 0} className={slipButtonClass}>{t('slip.clear')}</button>
+                <button onClick={onRebet} disabled={!canRebet} className={slipButtonClass}>{t('slip.rebet')}</button>
+                <button onClick={onDouble} disabled={totalBet === 0} className={slipButtonClass}>{t('slip.double')}</button>
+                <label className="flex items-center gap-1 ml-2">
+                    {t('slip.custom')}
+                    <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        value={customAmount}
+                        onChange={(e) => setCustomAmount(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') handleUseCustom(); }}
+                        className="w-24 border rounded py-0.5 px-1 bg-purple-900 border-purple-700 text-white"
+                    />
+                </label>
+                <button onClick={handleUseCustom} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-full shadow-md">{t('slip.use')}</button>
+            </div>
+            {customError && <p className="text-red-400">{customError}</p>}
+            <p className="text-gray-300">
+                {t('slip.total', { total: `💎${formatBalance(totalBet)}`, max: `💎${formatBalance(maxBetPerRound)}` })}
+            </p>
+        </div>
+    );
+};
+
+export default BetSlip;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { DEFAULT_CONFIG, parseConfigJSON } from '../game/config';
+
+const toText = (config) => JSON.stringify(config, null, 2);
+
+// In-app editor for the game config; changes are validated and take effect from the next round
+const ConfigEditor = ({ config, pendingConfig, onApply, onClose }) => {
+    const [text, setText] = useState(() => toText(pendingConfig || config)); // JSON being edited
+    const [errors, setErrors] = useState([]); // Validation errors for the current text
+    const [status, setStatus] = useState(''); // Last successful action
+
+    const handleValidate = () => {
+        const result = parseConfigJSON(text);
+        setErrors(result.errors);
+        setStatus(result.config ? '✅ Config is valid.' : '');
+        return result.config;
+    };
+
+    const handleApply = () => {
+        const validConfig = handleValidate();
+        if (validConfig) {
+            onApply(validConfig);
+            setStatus(`✅ "${validConfig.name}" will be used from the next round.`);
+        }
+    };
+
+    // Load a JSON file from disk into the editor (validated on Apply)
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(content => {
+            setText(content);
+            setErrors([]);
+            setStatus(`Loaded ${file.name}. Validate or apply it.`);
+        });
+        e.target.value = ''; // Allow loading the same file again
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-3xl border border-purple-600 relative max-h-full flex flex-col">
+                <button
+                    onClick={onClose}
+                    className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold"
+                >
+                    &times;
+                </button>
+                <h2 className="text-2xl font-bold text-yellow-300 mb-2 text-center">Game Config</h2>
+                <p className="text-sm text-gray-300 mb-4 text-center">
+                    Current: <span className="font-bold">{config.name}</span>
+                    {pendingConfig && <> · Next round: <span className="font-bold">{pendingConfig.name}</span></>}
+                    . Fields left out fall back to the Classic defaults.
+                </p>
+
+                <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    spellCheck={false}
+                    aria-label="Game config JSON"
+                    className="flex-grow min-h-[300px] w-full font-mono text-xs p-3 rounded bg-purple-900 border border-purple-700 text-white mb-4"
+                />
+
+                {errors.length > 0 && (
+                    <ul className="text-red-400 text-sm mb-4 list-disc list-inside max-h-32 overflow-y-auto">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+                {status && <p className="text-green-400 text-sm text-center mb-4">{status}</p>}
+
+                <div className="flex flex-wrap justify-center gap-2">
+                    <label className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-4 rounded-full shadow-md cursor-pointer">
+                        Load file
+                        <input type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+                    </label>
+                    <button onClick={() => { setText(toText(DEFAULT_CONFIG)); setErrors([]); setStatus(''); }} className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-4 rounded-full shadow-md">
+                        Reset to Classic
+                    </button>
+                    <button onClick={handleValidate} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-full shadow-md">
+                        Validate
+                    </button>
+                    <button onClick={handleApply} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-full shadow-md">
+                        Apply next round
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConfigEditor;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { DEV_COMMANDS } from '../game/protocol';
+
+const TIME_SCALES = [1, 0.5, 0.25, 0.1]; // Phase length choices
+
+// Dev / QA console (see devTools.js): set the balance, force the next round's outcome, skip phases,
+// shorten them and seed the server seeds. Shown only when the host was started with dev tools.
+const DevConsole = ({ dev, pets, multiplierValues, balance, onCommand }) => {
+    const [balanceInput, setBalanceInput] = useState(String(balance)); // Balance to set
+    const [winnerId, setWinnerId] = useState(''); // '' leaves the winner to the seeds
+    const [multiplier, setMultiplier] = useState(''); // '' leaves the multiplier to the seeds
+    const [forceLuck, setForceLuck] = useState(false); // Whether the luck factor below is forced
+    const [luckFactor, setLuckFactor] = useState(0);
+    const [seedInput, setSeedInput] = useState(dev.seed === null ? '' : String(dev.seed)); // Seed for the server seeds
+    const [result, setResult] = useState(null); // Error from the last command, or a confirmation
+
+    const run = (command, args, done) => onCommand(command, args).then(({ error }) => setResult(error ? `❌ ${error}` : `✅ ${done}`));
+
+    const handleForce = () => {
+        const forced = {
+            ...(winnerId !== '' && { winnerId: Number(winnerId) }),
+            ...(multiplier !== '' && { multiplier: Number(multiplier) }),
+            ...(forceLuck && { luckFactor }),
+        };
+        run(DEV_COMMANDS.FORCE, { forced: Object.keys(forced).length > 0 ? forced : null }, 'Set for the next round');
+    };
+
+    const describeForced = (forced) => {
+        if (!forced) return 'from the seeds';
+        const winner = forced.winnerId !== undefined && pets.find(pet => pet.id === forced.winnerId);
+        return [
+            winner && `${winner.emoji} ${winner.name}`,
+            forced.multiplier !== undefined && `${forced.multiplier}x`,
+            forced.luckFactor !== undefined && `luck ${forced.luckFactor}`,
+        ].filter(Boolean).join(', ');
+    };
+
+    const inputClass = 'border rounded py-0.5 px-1 bg-purple-900 border-purple-700 text-white';
+    const buttonClass = 'bg-yellow-600 hover:bg-yellow-700 text-white font-bold py-1 px-3 rounded-full shadow-md';
+
+    return (
+        <div className="mt-4 bg-gray-900 border border-dashed border-yellow-500 rounded-lg p-3 text-xs sm:text-sm" role="group" aria-label="Dev console">
+            <p className="font-bold text-yellow-300 mb-2">🛠 Dev console</p>
+
+            {/* Balance */}
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+                <label className="flex items-center gap-1">
+                    Balance
+                    <input type="number" min="0" value={balanceInput} onChange={(e) => setBalanceInput(e.target.value)} className={`w-24 ${inputClass}`} />
+                </label>
+                <button onClick={() => run(DEV_COMMANDS.SET_BALANCE, { balance: Number(balanceInput) }, 'Balance set')} className={buttonClass}>Set balance</button>
+            </div>
+
+            {/* Next round's outcome */}
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+                <label className="flex items-center gap-1">
+                    Winner
+                    <select value={winnerId} onChange={(e) => setWinnerId(e.target.value)} className={inputClass}>
+                        <option value="">Seeds</option>
+                        {pets.map(pet => <option key={pet.id} value={pet.id}>{pet.emoji} {pet.name}</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    Multiplier
+                    <select value={multiplier} onChange={(e) => setMultiplier(e.target.value)} className={inputClass}>
+                        <option value="">Seeds</option>
+                        {multiplierValues.map(value => <option key={value} value={value}>{value}x</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={forceLuck} onChange={(e) => setForceLuck(e.target.checked)} />
+                    Luck
+                    <input
+                        type="range"
+                        min="-1"
+                        max="1"
+                        step="0.1"
+                        value={luckFactor}
+                        onChange={(e) => setLuckFactor(Number(e.target.value))}
+                        disabled={!forceLuck}
+                        aria-label="Luck factor"
+                    />
+                    <span className="w-8">{luckFactor.toFixed(1)}</span>
+                </label>
+                <button onClick={handleForce} className={buttonClass}>Force next round</button>
+                <button onClick={() => run(DEV_COMMANDS.FORCE, { forced: null }, 'Back to the seeds')} className={buttonClass}>Clear</button>
+            </div>
+            <p className="text-gray-300 mb-2">Next round: {describeForced(dev.forced)}</p>
+
+            {/* Time and randomness */}
+            <div className="flex flex-wrap items-center gap-2">
+                <button onClick={() => run(DEV_COMMANDS.SKIP_PHASE, {}, 'Phase skipped')} className={buttonClass}>⏭ Skip phase</button>
+                <label className="flex items-center gap-1">
+                    Phase lengths
+                    <select value={dev.timeScale} onChange={(e) => run(DEV_COMMANDS.TIME_SCALE, { scale: Number(e.target.value) }, 'Applies from the next round')} className={inputClass}>
+                        {TIME_SCALES.map(scale => <option key={scale} value={scale}>{scale}×</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    RNG seed
+                    <input type="number" value={seedInput} onChange={(e) => setSeedInput(e.target.value)} placeholder="random" className={`w-24 ${inputClass}`} />
+                </label>
+                <button onClick={() => run(DEV_COMMANDS.SEED, { seed: seedInput === '' ? null : Number(seedInput) }, 'Applies from the next round')} className={buttonClass}>Use seed</button>
+            </div>
+
+            {result && <p className="mt-2" role="status">{result}</p>}
+        </div>
+    );
+};
+
+export default DevConsole;
@@ -0,0 +1,155 @@
+import React, { useState, useMemo } from 'react';
+import { filterRounds, filterTransactions, getRoundResult, roundsToCSV, transactionsToCSV, toJSON } from '../game/ledger';
+import { isSideBetKey } from '../game/betTypes';
+import { formatDateTime } from '../i18n';
+import downloadFile from './downloadFile';
+
+const MAX_VISIBLE_ROWS = 200; // Rows rendered in the table; exports always include every filtered row
+
+// Convert an <input type="date"> value to the first or last millisecond of that local day
+const dateToTimestamp = (value, endOfDay) => {
+    if (!value) return undefined;
+    const [year, month, day] = value.split('-').map(Number);
+    return endOfDay
+        ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime()
+        : new Date(year, month - 1, day).getTime();
+};
+
+const buildFilters = (fromDate, toDate, petFilter) => ({
+    from: dateToTimestamp(fromDate, false),
+    to: dateToTimestamp(toDate, true),
+    petId: petFilter ? Number(petFilter) : undefined,
+});
+
+// Full round history and transaction ledger with filters and export.
+// `getSideBetLabel` names a side-bet key the way the board does.
+const HistoryScreen = ({ pets, rounds, transactions, formatBalance, getSideBetLabel, locale, t, onClose }) => {
+    const [tab, setTab] = useState('rounds'); // 'rounds' or 'transactions'
+    const [fromDate, setFromDate] = useState('');
+    const [toDate, setToDate] = useState('');
+    const [petFilter, setPetFilter] = useState(''); // Pet id as a string, '' for all pets
+    const [resultFilter, setResultFilter] = useState('all'); // 'all', 'win', 'loss' or 'nobet'
+    const [modeFilter, setModeFilter] = useState('all'); // 'all', 'manual' or 'auto'
+
+    const filteredRounds = useMemo(
+        () => filterRounds(rounds, { ...buildFilters(fromDate, toDate, petFilter), result: resultFilter, mode: modeFilter }, pets).reverse(), // Newest first
+        [rounds, pets, fromDate, toDate, petFilter, resultFilter, modeFilter],
+    );
+    const filteredTransactions = useMemo(
+        () => filterTransactions(transactions, buildFilters(fromDate, toDate, petFilter)).reverse(),
+        [transactions, fromDate, toDate, petFilter],
+    );
+
+    const petById = (petId) => pets.find(p => p.id === Number(petId));
+    const netTotal = filteredRounds.reduce((sum, round) => sum + round.net, 0);
+
+    const handleExport = (format) => {
+        const stamp = new Date().toISOString().slice(0, 10);
+        const chronological = tab === 'rounds' ? [...filteredRounds].reverse() : [...filteredTransactions].reverse();
+        if (format === 'csv') {
+            const csv = tab === 'rounds' ? roundsToCSV(chronological, pets) : transactionsToCSV(chronological);
+            downloadFile(`diamond-hunt-${tab}-${stamp}.csv`, csv, 'text/csv');
+        } else {
+            downloadFile(`diamond-hunt-${tab}-${stamp}.json`, toJSON(chronological), 'application/json');
+        }
+    };
+
+    const tabClass = (name) => `py-1 px-4 rounded-full font-bold ${tab === name ? 'bg-yellow-400 text-purple-900' : 'bg-purple-900 text-white'}`;
+    const inputClass = 'border rounded py-1 px-2 bg-purple-900 border-purple-700 text-white text-sm';
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-4xl border border-purple-600 relative max-h-full flex flex-col">
+                <button
+                    onClick={onClose}
+                    className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold"
+                >
+                    &times;
+                </button>
+                <h2 className="text-2xl font-bold text-yellow-300 mb-4 text-center">{t('history.title')}</h2>
+
+                <div className="flex justify-center gap-2 mb-4">
+                    <button className={tabClass('rounds')} onClick={() => setTab('rounds')}>{t('history.rounds')}</button>
+                    <button className={tabClass('transactions')} onClick={() => setTab('transactions')}>{t('history.transactions')}</button>
+                </div>
+
+                {/* Filters */}
+                <div className="flex flex-wrap justify-center items-center gap-2 mb-4 text-sm">
+                    <label>{t('history.from')} <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className={inputClass} /></label>
+                    <label>{t('history.to')} <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} className={inputClass} /></label>
+                    <select value={petFilter} onChange={(e) => setPetFilter(e.target.value)} className={inputClass} aria-label={t('history.pet')}>
+                        <option value="">{t('history.allPets')}</option>
+                        {pets.map(pet => <option key={pet.id} value={pet.id}>{pet.emoji} {pet.name}</option>)}
+                    </select>
+                    {tab === 'rounds' && (
+                        <select value={resultFilter} onChange={(e) => setResultFilter(e.target.value)} className={inputClass} aria-label={t('history.result')}>
+                            {['all', 'win', 'loss', 'nobet'].map(value => <option key={value} value={value}>{t(`history.result.${value}`)}</option>)}
+                        </select>
+                    )}
+                    {tab === 'rounds' && (
+                        <select value={modeFilter} onChange={(e) => setModeFilter(e.target.value)} className={inputClass} aria-label={t('history.mode')}>
+                            {['all', 'manual', 'auto'].map(value => <option key={value} value={value}>{t(`history.mode.${value}`)}</option>)}
+                        </select>
+                    )}
+                    <button onClick={() => handleExport('csv')} className="bg-green-600 hover:bg-green-700 font-bold py-1 px-3 rounded-full">{t('history.exportCsv')}</button>
+                    <button onClick={() => handleExport('json')} className="bg-green-600 hover:bg-green-700 font-bold py-1 px-3 rounded-full">{t('history.exportJson')}</button>
+                </div>
+
+                {tab === 'rounds' && (
+                    <p className="text-center mb-2 text-sm">
+                        {t('history.summary', { count: filteredRounds.length })} <span className={netTotal >= 0 ? 'text-green-400' : 'text-red-400'}>💎{netTotal.toFixed(2)}</span>
+                    </p>
+                )}
+
+                <div className="overflow-auto flex-grow bg-purple-900 rounded-lg">
+                    {tab === 'rounds' ? (
+                        <table className="w-full text-xs sm:text-sm">
+                            <thead className="text-yellow-300 text-left">
+                                <tr>{['#', t('history.time'), t('history.bets'), t('history.winner'), t('history.payout'), t('history.net')].map(heading => <th key={heading} className="p-2">{heading}</th>)}</tr>
+                            </thead>
+                            <tbody>
+                                {filteredRounds.slice(0, MAX_VISIBLE_ROWS).map(round => (
+                                    <tr key={round.nonce} className="border-t border-purple-700">
+                                        <td className="p-2 whitespace-nowrap">{round.nonce}{round.auto && <span title={t('history.autoTitle')}> 🤖</span>}</td>
+                                        <td className="p-2 whitespace-nowrap">{formatDateTime(round.timestamp, locale)}</td>
+                                        <td className="p-2">
+                                            {round.totalBet > 0
+                                                ? Object.entries({ ...round.bets, ...round.sideBets }).map(([key, amount]) => (
+                                                    isSideBetKey(key) ? `${getSideBetLabel(key)} ${amount}` : `${petById(key)?.emoji || key}${amount}`
+                                                )).join(' ')
+                                                : '—'}
+                                        </td>
+                                        <td className="p-2">{round.winnerEmoji} {round.multiplier}x{round.jackpotWin > 0 && <span title={t('history.jackpotTitle')}> 🎰</span>}</td>
+                                        <td className="p-2">💎{formatBalance(round.payout)}</td>
+                                        <td className={`p-2 ${getRoundResult(round) === 'loss' ? 'text-red-400' : getRoundResult(round) === 'win' ? 'text-green-400' : ''}`}>
+                                            {round.net.toFixed(2)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <table className="w-full text-xs sm:text-sm">
+                            <thead className="text-yellow-300 text-left">
+                                <tr>{[t('history.time'), t('history.type'), t('history.round'), t('history.amount'), t('history.balance')].map(heading => <th key={heading} className="p-2">{heading}</th>)}</tr>
+                            </thead>
+                            <tbody>
+                                {filteredTransactions.slice(0, MAX_VISIBLE_ROWS).map(tx => (
+                                    <tr key={tx.id} className="border-t border-purple-700">
+                                        <td className="p-2 whitespace-nowrap">{formatDateTime(tx.timestamp, locale)}</td>
+                                        <td className="p-2">{t(`history.tx.${tx.type}`)}{tx.petId ? ` ${petById(tx.petId)?.emoji || ''}` : ''}{tx.betKey ? ` ${getSideBetLabel(tx.betKey)}` : ''}{tx.auto ? ' 🤖' : ''}</td>
+                                        <td className="p-2">{tx.roundNonce ?? '—'}</td>
+                                        <td className={`p-2 ${tx.amount < 0 ? 'text-red-400' : 'text-green-400'}`}>{tx.amount.toFixed(2)}</td>
+                                        <td className="p-2">💎{formatBalance(tx.balanceAfter)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HistoryScreen;
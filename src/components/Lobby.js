@@ -0,0 +1,71 @@
+import React from 'react';
+import { PHASES } from '../game/roundMachine';
+import useRoundClock from '../hooks/useRoundClock';
+
+const COUNTDOWN_TICK_MS = 250;
+
+// Where a room's round is, e.g. "Betting: 7s left"
+const roundStatus = (clock, t) => {
+    if (!clock.isStarted) return t('lobby.waiting');
+    if (clock.isPaused) return t('lobby.paused');
+    if (clock.phase === PHASES.BETTING) return t('lobby.betting', { seconds: clock.remainingSeconds });
+    if (clock.phase === PHASES.COOLDOWN) return t('lobby.nextRound', { seconds: clock.remainingSeconds });
+    return t('lobby.racing');
+};
+
+// One room: its format, a live countdown, its last winners and a button to move there
+const LobbyRoom = ({ room, clockOffset, isCurrent, canJoin, showPlayers, onJoin, t }) => {
+    const clock = useRoundClock({ machine: room.machine, clockOffset }, COUNTDOWN_TICK_MS);
+    return (
+        <li className={`bg-purple-800 rounded-lg p-3 shadow-inner flex flex-col gap-1 border-2 ${isCurrent ? 'border-yellow-400' : 'border-transparent'}`}>
+            <div className="flex justify-between items-center gap-2">
+                <span className="font-bold text-yellow-300">{room.name}</span>
+                {showPlayers && <span className="text-xs text-gray-300">{t('board.players', { count: room.players })}</span>}
+            </div>
+            <p className="text-xs text-gray-300">
+                {t('lobby.format', { seconds: room.bettingSeconds, chip: room.minChip, multiplier: room.topMultiplier })}
+            </p>
+            <p className="font-semibold" aria-live="off">{roundStatus(clock, t)}</p>
+            <p className="text-sm min-h-[1.5rem]" aria-label={t('lobby.lastWinners')}>
+                {room.winners.length > 0 ? room.winners.map(winner => (
+                    <span key={winner.nonce} className="mr-1" title={`#${winner.nonce}`}>
+                        {winner.emoji}{winner.multiplier > 1 && <sup className="text-yellow-300">{winner.multiplier}x</sup>}
+                    </span>
+                )) : <span className="text-gray-400 text-xs">{t('lobby.noWinners')}</span>}
+            </p>
+            <button
+                type="button"
+                onClick={() => !isCurrent && onJoin(room.id)}
+                disabled={isCurrent}
+                aria-disabled={isCurrent || !canJoin}
+                aria-label={isCurrent ? t('lobby.here') : t('lobby.joinLabel', { room: room.name })}
+                className={`mt-1 text-sm font-bold py-1 px-3 rounded-full shadow-md ${isCurrent ? 'bg-purple-600 cursor-default' : 'bg-blue-600 hover:bg-blue-700'} ${!isCurrent && !canJoin ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+                {isCurrent ? t('lobby.here') : t('lobby.join')}
+            </button>
+        </li>
+    );
+};
+
+// The rooms, each with its own round format and loop (see rooms.js). The wallet is shared, so moving only
+// changes the table; it's allowed between rounds, which `canJoin` says (the host checks again).
+const Lobby = ({ lobby, currentRoomId, canJoin, showPlayers, onJoin, t }) => (
+    <section className="mb-6" aria-label={t('lobby.title')}>
+        <ul className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            {lobby.rooms.map(room => (
+                <LobbyRoom
+                    key={room.id}
+                    room={room}
+                    clockOffset={lobby.clockOffset}
+                    isCurrent={room.id === currentRoomId}
+                    canJoin={canJoin}
+                    showPlayers={showPlayers}
+                    onJoin={onJoin}
+                    t={t}
+                />
+            ))}
+        </ul>
+    </section>
+);
+
+export default Lobby;
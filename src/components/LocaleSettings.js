@@ -0,0 +1,31 @@
+import React from 'react';
+import { LANGUAGES, LOCALES, NOTATIONS } from '../i18n';
+
+const selectClass = 'border rounded py-0.5 px-1 bg-purple-900 border-purple-700 text-white';
+
+// Language, number locale and large-number notation; changes apply straight away
+const LocaleSettings = ({ settings, t, onChange }) => (
+    <div className="flex flex-wrap justify-center items-center gap-2">
+        <label className="flex items-center gap-1">
+            {t('settings.language')}
+            <select value={settings.language} onChange={(e) => onChange({ language: e.target.value })} className={selectClass}>
+                {Object.keys(LANGUAGES).map(code => <option key={code} value={code}>{LANGUAGES[code]}</option>)}
+            </select>
+        </label>
+        <label className="flex items-center gap-1">
+            {t('settings.locale')}
+            <select value={settings.locale} onChange={(e) => onChange({ locale: e.target.value })} className={selectClass}>
+                {/* Keep a locale picked up from the browser selectable even if it isn't in the list */}
+                {(LOCALES.includes(settings.locale) ? LOCALES : [settings.locale, ...LOCALES]).map(locale => <option key={locale} value={locale}>{locale}</option>)}
+            </select>
+        </label>
+        <label className="flex items-center gap-1">
+            {t('settings.notation')}
+            <select value={settings.notation} onChange={(e) => onChange({ notation: e.target.value })} className={selectClass}>
+                {Object.values(NOTATIONS).map(notation => <option key={notation} value={notation}>{t(`settings.notation.${notation}`)}</option>)}
+            </select>
+        </label>
+    </div>
+);
+
+export default LocaleSettings;
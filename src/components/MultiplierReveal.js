@@ -0,0 +1,24 @@
+import React from 'react';
+
+// The multiplier stage between the race and the winner: every value the round could have paid, with a
+// highlight that spins across them (`spinning`) before resting on the round's multiplier.
+const MultiplierReveal = ({ values, highlightValue, spinning, jackpotHit, t }) => (
+    <div className="bg-purple-800 p-3 rounded-lg shadow-inner mb-6 text-center" role="group" aria-label={t('multiplier.title')}>
+        <p className="text-sm text-gray-300 mb-2">{t('multiplier.title')}</p>
+        <div className="flex justify-center flex-wrap gap-2">
+            {values.map(value => (
+                <span
+                    key={value}
+                    className={`px-3 py-1 rounded-full font-bold border-2
+                        ${highlightValue === value ? 'border-yellow-400 bg-yellow-400 text-purple-900' : 'border-purple-600 text-gray-200'}
+                        ${highlightValue === value && !spinning ? 'scale-110 transform transition-transform duration-300 motion-reduce:transition-none' : ''}`}
+                >
+                    {value}x
+                </span>
+            ))}
+        </div>
+        {jackpotHit && !spinning && <p className="mt-2 text-yellow-300 font-bold">{t('multiplier.jackpot')}</p>}
+    </div>
+);
+
+export default MultiplierReveal;
@@ -0,0 +1,205 @@
+import React, { useState, useMemo } from 'react';
+import { LEADERBOARD_RANKINGS, checkProfileName, getProfileScore, rankProfiles, exportProfiles, parseProfilesFile } from '../game/profiles';
+import downloadFile from './downloadFile';
+
+// Name check result as a message key
+const nameProblemMessage = (problem) => ({ key: `profiles.nameProblem.${problem.reason}`, params: problem });
+
+// Player profiles on this device: switch between them (only between rounds), add, rename, remove, export
+// and import them, and a leaderboard of everyone's saved sessions. `getSaved(profile)` is a profile's
+// saved session; `switchBlocker` is why switching isn't allowed right now (see getSwitchBlocker), or null.
+const ProfilesPanel = ({ list, getSaved, switchBlocker, formatBalance, t, onSwitch, onAdd, onRename, onRemove, onImport, onClose }) => {
+    const [newName, setNewName] = useState(''); // Name for a new profile
+    const [editing, setEditing] = useState(null); // { id, name } of the profile being renamed
+    const [removingId, setRemovingId] = useState(null); // Profile waiting for its removal to be confirmed
+    const [ranking, setRanking] = useState(LEADERBOARD_RANKINGS.NET); // Leaderboard order
+    const [status, setStatus] = useState(null); // { key, params, error } result of the last action
+
+    const entries = useMemo(() => list.profiles.map(profile => ({ profile, saved: getSaved(profile) })), [list, getSaved]);
+    const leaderboard = useMemo(
+        () => rankProfiles(entries.map(({ profile, saved }) => ({ profile, score: getProfileScore(saved) })), ranking),
+        [entries, ranking],
+    );
+    const signedAmount = (amount) => `${amount < 0 ? '-' : '+'}💎${formatBalance(Math.abs(amount))}`;
+    const scoreText = (score) => {
+        if (ranking === LEADERBOARD_RANKINGS.NET) return signedAmount(score.net);
+        if (ranking === LEADERBOARD_RANKINGS.PAYOUT) return `💎${formatBalance(score.biggestPayout)}`;
+        return t('leaderboard.wins', { count: score.bestStreak });
+    };
+    const showStatus = (message, error = false) => setStatus({ ...message, error });
+
+    const handleAdd = () => {
+        const problem = checkProfileName(newName, list);
+        if (problem) {
+            showStatus(nameProblemMessage(problem), true);
+            return;
+        }
+        onAdd(newName.trim());
+        showStatus({ key: 'profiles.added', params: { name: newName.trim() } });
+        setNewName('');
+    };
+
+    const handleRename = () => {
+        const problem = checkProfileName(editing.name, list, editing.id);
+        if (problem) {
+            showStatus(nameProblemMessage(problem), true);
+            return;
+        }
+        onRename(editing.id, editing.name.trim());
+        setEditing(null);
+        setStatus(null);
+    };
+
+    const handleRemove = (profile) => {
+        onRemove(profile.id);
+        setRemovingId(null);
+        showStatus({ key: 'profiles.removed', params: { name: profile.name } });
+    };
+
+    const handleExport = (exported) => {
+        const stamp = new Date().toISOString().slice(0, 10);
+        const name = exported.length === 1 ? exported[0].profile.name.replace(/[^\w-]+/g, '_') : 'all';
+        downloadFile(`diamond-hunt-profiles-${name}-${stamp}.json`, exportProfiles(exported), 'application/json');
+    };
+
+    // Read an export file and add its profiles (renamed if the names are taken)
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(content => {
+            const { profiles, error } = parseProfilesFile(content);
+            if (error) {
+                showStatus({ key: `profiles.${error}`, params: { file: file.name } }, true);
+                return;
+            }
+            onImport(profiles);
+            showStatus({ key: 'profiles.imported', params: { count: profiles.length, file: file.name } });
+        });
+        e.target.value = ''; // Allow importing the same file again
+    };
+
+    const buttonClass = 'text-xs bg-purple-500 hover:bg-purple-600 font-bold py-1 px-2 rounded-full disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-2xl border border-purple-600 relative max-h-full overflow-y-auto">
+                <button onClick={onClose} className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold">&times;</button>
+                <h2 className="text-2xl font-bold text-yellow-300 mb-4 text-center">{t('profiles.title')}</h2>
+
+                {switchBlocker && <p className="text-yellow-300 text-sm text-center mb-3">{t(`profiles.locked.${switchBlocker}`)}</p>}
+
+                {/* Profiles */}
+                <ul className="bg-purple-900 rounded-lg divide-y divide-purple-700 mb-4">
+                    {list.profiles.map(profile => {
+                        const isActive = profile.id === list.activeId;
+                        return (
+                            <li key={profile.id} className="flex flex-wrap items-center gap-2 p-2">
+                                {editing && editing.id === profile.id ? (
+                                    <>
+                                        <input
+                                            type="text"
+                                            value={editing.name}
+                                            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                            aria-label={t('profiles.nameLabel')}
+                                            className="flex-grow border rounded py-1 px-2 bg-purple-800 border-purple-600 text-white"
+                                        />
+                                        <button onClick={handleRename} className={buttonClass}>{t('profiles.save')}</button>
+                                        <button onClick={() => setEditing(null)} className={buttonClass}>{t('profiles.cancel')}</button>
+                                    </>
+                                ) : (
+                                    <>
+                                        <span className="flex-grow font-semibold truncate">
+                                            👤 {profile.name}
+                                            {isActive && <span className="ml-2 text-xs text-green-400">{t('profiles.playing')}</span>}
+                                        </span>
+                                        {!isActive && (
+                                            <button onClick={() => onSwitch(profile.id)} disabled={switchBlocker !== null} className={buttonClass}>
+                                                {t('profiles.switch')}
+                                            </button>
+                                        )}
+                                        <button onClick={() => setEditing({ id: profile.id, name: profile.name })} className={buttonClass}>{t('profiles.rename')}</button>
+                                        <button onClick={() => handleExport(entries.filter(entry => entry.profile.id === profile.id))} className={buttonClass}>
+                                            {t('profiles.export')}
+                                        </button>
+                                        {!isActive && removingId !== profile.id && (
+                                            <button onClick={() => setRemovingId(profile.id)} className={buttonClass}>{t('profiles.remove')}</button>
+                                        )}
+                                        {removingId === profile.id && (
+                                            <>
+                                                <span className="text-xs text-red-400">{t('profiles.removeConfirm')}</span>
+                                                <button onClick={() => handleRemove(profile)} className="text-xs bg-red-600 hover:bg-red-700 font-bold py-1 px-2 rounded-full">
+                                                    {t('profiles.remove')}
+                                                </button>
+                                                <button onClick={() => setRemovingId(null)} className={buttonClass}>{t('profiles.cancel')}</button>
+                                            </>
+                                        )}
+                                    </>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                {/* New profile */}
+                <div className="flex gap-2 mb-3">
+                    <input
+                        type="text"
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') handleAdd(); }}
+                        placeholder={t('profiles.newName')}
+                        aria-label={t('profiles.newName')}
+                        className="flex-grow border rounded py-1 px-2 bg-purple-900 border-purple-700 text-white"
+                    />
+                    <button onClick={handleAdd} className="bg-green-600 hover:bg-green-700 text-white font-bold py-1 px-4 rounded-full shadow-md">
+                        {t('profiles.add')}
+                    </button>
+                </div>
+
+                {/* Files */}
+                <div className="flex flex-wrap justify-center gap-2 mb-3">
+                    <button onClick={() => handleExport(entries)} className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-4 rounded-full shadow-md">
+                        {t('profiles.exportAll')}
+                    </button>
+                    <label className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-4 rounded-full shadow-md cursor-pointer">
+                        {t('profiles.import')}
+                        <input type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+                    </label>
+                </div>
+                {status && (
+                    <p className={`text-sm text-center mb-3 ${status.error ? 'text-red-400' : 'text-green-400'}`} role="status">
+                        {t(status.key, status.params)}
+                    </p>
+                )}
+
+                {/* Leaderboard */}
+                <h3 className="text-xl font-bold text-yellow-300 mb-2 text-center">{t('leaderboard.title')}</h3>
+                <div className="flex flex-wrap justify-center gap-2 mb-3" role="group" aria-label={t('leaderboard.rankBy')}>
+                    {Object.values(LEADERBOARD_RANKINGS).map(option => (
+                        <button
+                            key={option}
+                            onClick={() => setRanking(option)}
+                            aria-pressed={ranking === option}
+                            className={`bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md ${ranking === option ? 'ring-2 ring-yellow-400' : ''}`}
+                        >
+                            {t(`leaderboard.${option}`)}
+                        </button>
+                    ))}
+                </div>
+                <ol className="bg-purple-900 rounded-lg divide-y divide-purple-700 text-sm">
+                    {leaderboard.map(({ profile, score }, index) => (
+                        <li key={profile.id} className="flex items-center gap-2 p-2">
+                            <span className="w-6 text-yellow-300 font-bold">{index + 1}</span>
+                            <span className="flex-grow truncate">{profile.name}</span>
+                            <span className="text-gray-400 text-xs">{t('leaderboard.rounds', { count: score.rounds })}</span>
+                            <span className={`font-bold ${ranking === LEADERBOARD_RANKINGS.NET && score.net < 0 ? 'text-red-400' : 'text-green-400'}`}>{scoreText(score)}</span>
+                        </li>
+                    ))}
+                </ol>
+                <p className="text-xs text-gray-400 mt-2 text-center">{t('leaderboard.note')}</p>
+            </div>
+        </div>
+    );
+};
+
+export default ProfilesPanel;
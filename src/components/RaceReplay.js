@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import RaceTrack from './RaceTrack';
+import { createRaceChoreography, getRacePositions } from '../game/raceTrack';
+
+const FRAME_MS = 50; // Replay redraw interval
+
+// Modal that re-runs a past race from its revealed round; the choreography is rebuilt from the seeds
+const RaceReplay = ({ round, prefersReducedMotion, t, onClose }) => {
+    const choreography = useMemo(() => createRaceChoreography(round), [round]);
+    const [startedAt, setStartedAt] = useState(() => Date.now()); // When the current showing started
+    const [elapsedMs, setElapsedMs] = useState(prefersReducedMotion ? round.raceDurationMs : 0); // Race time shown
+
+    useEffect(() => {
+        if (prefersReducedMotion) return undefined; // Straight to the finish, no movement
+        const timer = setInterval(() => {
+            const elapsed = Math.min(Date.now() - startedAt, round.raceDurationMs);
+            setElapsedMs(elapsed);
+            if (elapsed >= round.raceDurationMs) clearInterval(timer);
+        }, FRAME_MS);
+        return () => clearInterval(timer);
+    }, [startedAt, round.raceDurationMs, prefersReducedMotion]);
+
+    const winner = round.pets.find(pet => pet.id === round.winnerId);
+    const isFinished = elapsedMs >= round.raceDurationMs;
+
+    const handleWatchAgain = () => {
+        setElapsedMs(0);
+        setStartedAt(Date.now());
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-2xl border border-purple-600 relative">
+                <button onClick={onClose} className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold">&times;</button>
+                <h2 className="text-2xl font-bold text-yellow-300 mb-4 text-center">{t('race.replayTitle', { round: round.nonce })}</h2>
+                <RaceTrack
+                    pets={round.pets}
+                    positions={getRacePositions(choreography, elapsedMs / round.raceDurationMs)}
+                    winnerId={isFinished ? winner.id : null}
+                    animate={!prefersReducedMotion}
+                    label={t('race.trackLabel')}
+                />
+                <p className="text-center text-lg font-semibold min-h-[1.75rem]" role="status" aria-live="polite">
+                    {isFinished && t('race.result', { pet: winner.name, multiplier: round.multiplier })}
+                </p>
+                <div className="flex justify-center mt-4">
+                    <button
+                        onClick={handleWatchAgain}
+                        disabled={!isFinished}
+                        className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-4 rounded-full shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {t('race.again')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RaceReplay;
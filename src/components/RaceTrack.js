@@ -0,0 +1,27 @@
+import React from 'react';
+
+// One lane per pet, finish line on the right. Positions (0-1) come from getRacePositions; with
+// `animate` the runners glide between ticks, otherwise they jump straight to each position.
+const RaceTrack = ({ pets, positions, winnerId, animate, label }) => (
+    <div className="bg-purple-800 p-3 rounded-lg shadow-inner mb-6" role="img" aria-label={label}>
+        {pets.map(pet => (
+            <div key={pet.id} className="flex items-center gap-2 h-8 sm:h-10 border-b border-purple-700 last:border-b-0">
+                <span className="w-16 sm:w-20 text-xs sm:text-sm text-gray-300 truncate">{pet.name}</span>
+                {/* Lane: the runner's left edge moves from the start to one emoji-width short of the finish line */}
+                <div className="relative flex-grow h-full border-r-4 border-dashed border-yellow-400">
+                    <span
+                        className={`absolute top-1/2 -translate-y-1/2 text-xl sm:text-3xl leading-none ${winnerId === pet.id ? 'drop-shadow-[0_0_6px_#FACC15]' : ''}`}
+                        style={{
+                            left: `calc(${positions[pet.id] || 0} * (100% - 2.5rem))`,
+                            transition: animate ? 'left 100ms linear' : 'none',
+                        }}
+                    >
+                        {pet.emoji}
+                    </span>
+                </div>
+            </div>
+        ))}
+    </div>
+);
+
+export default RaceTrack;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { getUsageSince } from '../game/responsiblePlay';
+
+const formatDuration = (ms, t) => {
+    const minutes = Math.floor(ms / 60000);
+    return minutes >= 60
+        ? t('duration.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 })
+        : t('duration.minutes', { minutes });
+};
+
+// Periodic reminder of how long this session has lasted and how it has gone; the round clock is paused while it's open
+const RealityCheckDialog = ({ session, transactions, formatBalance, t, onContinue, onOpenLimits, onOpenHistory }) => {
+    const { toppedUp, net } = getUsageSince(transactions, session.startedAt);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-sm border border-purple-600 text-center">
+                <h2 className="text-2xl font-bold text-yellow-300 mb-4">{t('reality.title')}</h2>
+                <p className="mb-1">{t('reality.playedFor', { duration: formatDuration(Date.now() - session.startedAt, t) })}</p>
+                <p className={`mb-1 font-bold ${net < 0 ? 'text-red-400' : 'text-green-400'}`}>
+                    {t('reality.net', { amount: `${net < 0 ? '-' : '+'}💎${formatBalance(Math.abs(net))}` })}
+                </p>
+                <p className="mb-4">{t('reality.toppedUp', { amount: formatBalance(toppedUp) })}</p>
+                <div className="flex flex-wrap justify-center gap-2">
+                    <button onClick={onContinue} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-full shadow-md">{t('reality.continue')}</button>
+                    <button onClick={onOpenHistory} className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-4 rounded-full shadow-md">{t('reality.history')}</button>
+                    <button onClick={onOpenLimits} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-full shadow-md">{t('reality.limits')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RealityCheckDialog;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { COOL_OFF_OPTIONS_HOURS, getActiveLimits, getUsage, isCoolingOff, isLimitValue, validateLimits } from '../game/responsiblePlay';
+import { formatDateTime, formatTime } from '../i18n';
+
+// Each limit's label is the message `limits.<key>`
+const LIMIT_FIELDS = [
+    { key: 'dailyTopUp', unit: '💎' },
+    { key: 'sessionTopUp', unit: '💎' },
+    { key: 'dailyLoss', unit: '💎' },
+    { key: 'sessionLoss', unit: '💎' },
+    { key: 'realityCheckMinutes', unitKey: 'limits.minutes' },
+];
+
+const inputClass = 'w-28 border rounded py-1 px-2 bg-purple-900 border-purple-700 text-white';
+
+const formatHours = (hours, t) => {
+    if (hours < 24) return hours === 1 ? t('limits.oneHour') : t('limits.hours', { count: hours });
+    return hours === 24 ? t('limits.oneDay') : t('limits.days', { count: hours / 24 });
+};
+
+// Responsible-play settings: the player's own limits, current usage and a self-imposed cool-off
+const SafeguardsPanel = ({ safeguards, session, transactions, formatBalance, locale, t, onSaveLimits, onCoolOff, onClose }) => {
+    const now = Date.now();
+    const activeLimits = getActiveLimits(safeguards, now);
+    const usage = getUsage(transactions, session, now);
+    const [form, setForm] = useState(() => LIMIT_FIELDS.reduce((acc, { key }) => ({
+        ...acc,
+        [key]: activeLimits[key] === null ? '' : String(activeLimits[key]),
+    }), {})); // Text per limit field, '' for no limit
+    const [invalidKeys, setInvalidKeys] = useState([]); // Limits that aren't a number above 0 or empty
+    const [saved, setSaved] = useState(false);
+    const [coolOffHours, setCoolOffHours] = useState(COOL_OFF_OPTIONS_HOURS[1]);
+    const [confirmCoolOff, setConfirmCoolOff] = useState(false); // Second click needed to lock betting
+
+    const handleSave = () => {
+        const raw = Object.keys(form).reduce((acc, key) => ({ ...acc, [key]: form[key].trim() === '' ? null : Number(form[key]) }), {});
+        const { limits } = validateLimits(raw);
+        setInvalidKeys(LIMIT_FIELDS.map(({ key }) => key).filter(key => !isLimitValue(raw[key])));
+        setSaved(limits !== null);
+        if (!limits) return;
+        onSaveLimits(limits);
+    };
+
+    const handleCoolOff = () => {
+        if (!confirmCoolOff) {
+            setConfirmCoolOff(true);
+            return;
+        }
+        onCoolOff(Date.now() + coolOffHours * 60 * 60 * 1000);
+        setConfirmCoolOff(false);
+    };
+
+    const usageLine = (period, { toppedUp, net }) => (
+        <p>
+            {t('limits.usage', { period, amount: formatBalance(toppedUp) })}{' '}
+            <span className={net < 0 ? 'text-red-400' : 'text-green-400'}>{net < 0 ? '-' : ''}💎{formatBalance(Math.abs(net))}</span>
+        </p>
+    );
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-md border border-purple-600 relative max-h-full overflow-y-auto">
+                <button
+                    onClick={onClose}
+                    className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold"
+                >
+                    &times;
+                </button>
+                <h2 className="text-2xl font-bold text-yellow-300 mb-4 text-center">{t('limits.title')}</h2>
+
+                <div className="bg-purple-900 rounded-lg p-3 mb-4 text-sm">
+                    {usageLine(t('limits.today'), usage.day)}
+                    {usageLine(t('limits.thisSession'), usage.session)}
+                    <p>{t('limits.sessionStarted', { time: formatTime(session.startedAt, locale) })}</p>
+                </div>
+
+                <div className="flex flex-col gap-2 text-sm mb-2">
+                    {LIMIT_FIELDS.map(({ key, unit, unitKey }) => (
+                        <label key={key} className="flex justify-between items-center gap-2">
+                            {t(`limits.${key}`)}
+                            <span className="flex items-center gap-1">
+                                <input
+                                    type="number"
+                                    min="1"
+                                    placeholder={t('limits.noLimit')}
+                                    value={form[key]}
+                                    onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                                    className={inputClass}
+                                />
+                                <span className="w-6">{unit || t(unitKey)}</span>
+                            </span>
+                        </label>
+                    ))}
+                </div>
+                {safeguards.pendingLimits && safeguards.pendingLimits.effectiveAt > now && (
+                    <p className="text-xs text-gray-300 mb-2">
+                        {t('limits.pending', { until: formatDateTime(safeguards.pendingLimits.effectiveAt, locale) })}
+                    </p>
+                )}
+                {invalidKeys.length > 0 && (
+                    <ul className="text-red-400 text-sm list-disc list-inside mb-2">
+                        {invalidKeys.map(key => <li key={key}>{t('limits.invalid', { limit: t(`limits.${key}`) })}</li>)}
+                    </ul>
+                )}
+                {saved && <p className="text-green-400 text-sm text-center mb-2">{t('limits.saved')}</p>}
+                <div className="flex justify-center mb-6">
+                    <button onClick={handleSave} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-full shadow-md">{t('limits.save')}</button>
+                </div>
+
+                {/* Cool-off */}
+                <h3 className="text-lg font-bold text-yellow-300 mb-2 text-center">{t('limits.breakTitle')}</h3>
+                {isCoolingOff(safeguards, now) ? (
+                    <p className="text-center text-sm">{t('limits.lockedUntil', { until: formatDateTime(safeguards.coolOffUntil, locale) })}</p>
+                ) : (
+                    <p className="text-center text-sm text-gray-300 mb-2">{t('limits.breakNote')}</p>
+                )}
+                <div className="flex justify-center items-center gap-2 mt-2">
+                    <select
+                        value={coolOffHours}
+                        onChange={(e) => { setCoolOffHours(Number(e.target.value)); setConfirmCoolOff(false); }}
+                        aria-label={t('limits.coolOffLength')}
+                        className="border rounded py-1 px-2 bg-purple-900 border-purple-700 text-white text-sm"
+                    >
+                        {COOL_OFF_OPTIONS_HOURS.map(hours => <option key={hours} value={hours}>{formatHours(hours, t)}</option>)}
+                    </select>
+                    <button onClick={handleCoolOff} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-full shadow-md text-sm">
+                        {confirmCoolOff ? t('limits.confirmCoolOff', { length: formatHours(coolOffHours, t) }) : t('limits.startCoolOff')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SafeguardsPanel;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { BET_TYPES, describeSideBet, getGroupBets, pairBetKey, notBetKey } from '../game/betTypes';
+
+// One side bet: its name, odds and the chips on it. After the race, bets that covered the winner are outlined.
+const SideBetButton = ({ bet, amount, winnerId, canBet, onBet, getLabel, formatAmount, t }) => {
+    const label = getLabel(bet);
+    const won = winnerId !== null && amount > 0 && bet.petIds.includes(winnerId);
+    return (
+        <button
+            type="button"
+            onClick={() => onBet(bet.key)}
+            aria-disabled={!canBet}
+            aria-label={t('sideBets.betLabel', { bet: label, odds: bet.odds, amount: formatAmount(amount) })}
+            className={`bg-purple-900 border-2 rounded-lg py-1 px-2 text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-300
+                ${won ? 'border-yellow-400' : 'border-purple-700'}
+                ${canBet ? 'hover:border-blue-400' : 'cursor-not-allowed'}
+            `}
+        >
+            <span className="font-semibold">{label}</span>
+            <span className="ml-1 text-gray-300">{bet.odds}x</span>
+            {amount > 0 && <span className="ml-1 text-blue-300 font-bold">💎{formatAmount(amount)}</span>}
+        </button>
+    );
+};
+
+// Group, pair and "not this pet" bets, with odds worked out from the pets' win weights (see betTypes.js).
+// Clicking a bet puts the selected chip on it, like clicking a pet card.
+const SideBetsPanel = ({ pets, sideBets, winnerId, canBet, onBet, getLabel, formatAmount, t }) => {
+    const [pickedPairIds, setPairIds] = useState([pets[0].id, pets[1].id]); // The two pets picked for a pair bet
+    // A new roster may not have the picked pets any more
+    const pairIds = pickedPairIds.every(petId => pets.some(pet => pet.id === petId)) ? pickedPairIds : [pets[0].id, pets[1].id];
+
+    const buttonProps = { winnerId, canBet, onBet, getLabel, formatAmount, t };
+    const pairBet = describeSideBet(pairBetKey(pairIds[0], pairIds[1]), pets);
+    const placedPairs = Object.keys(sideBets).map(key => describeSideBet(key, pets)).filter(bet => bet && bet.type === BET_TYPES.PAIR);
+    const notBets = pets.map(pet => describeSideBet(notBetKey(pet.id), pets)).filter(Boolean);
+
+    const pairSelect = (index) => (
+        <select
+            value={pairIds[index]}
+            onChange={(e) => setPairIds(index === 0 ? [Number(e.target.value), pairIds[1]] : [pairIds[0], Number(e.target.value)])}
+            aria-label={t(index === 0 ? 'sideBets.pairFirst' : 'sideBets.pairSecond')}
+            className="border rounded py-0.5 px-1 bg-purple-900 border-purple-700 text-white"
+        >
+            {pets.map(pet => <option key={pet.id} value={pet.id}>{pet.emoji} {pet.name}</option>)}
+        </select>
+    );
+
+    return (
+        <div className="bg-purple-800 p-3 rounded-lg shadow-inner mb-8 text-xs sm:text-sm" role="group" aria-label={t('sideBets.title')}>
+            <p className="text-center font-bold text-yellow-300 mb-2">{t('sideBets.title')}</p>
+
+            {/* Groups */}
+            <p className="text-gray-300 mb-1">{t('sideBets.groups')}</p>
+            <div className="flex flex-wrap gap-2 mb-3">
+                {getGroupBets(pets).map(bet => <SideBetButton key={bet.key} bet={bet} amount={sideBets[bet.key] || 0} {...buttonProps} />)}
+            </div>
+
+            {/* Either of two pets */}
+            <p className="text-gray-300 mb-1">{t('sideBets.pairs')}</p>
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+                {pairSelect(0)}
+                <span>{t('sideBets.or')}</span>
+                {pairSelect(1)}
+                <button
+                    type="button"
+                    onClick={() => pairBet && onBet(pairBet.key)}
+                    disabled={!pairBet}
+                    aria-disabled={!canBet}
+                    className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-full shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {pairBet ? t('sideBets.pairBet', { odds: pairBet.odds }) : t('sideBets.pairPick')}
+                </button>
+                {placedPairs.map(bet => <SideBetButton key={bet.key} bet={bet} amount={sideBets[bet.key]} {...buttonProps} />)}
+            </div>
+
+            {/* Not this pet */}
+            <p className="text-gray-300 mb-1">{t('sideBets.not')}</p>
+            <div className="flex flex-wrap gap-2">
+                {notBets.map(bet => <SideBetButton key={bet.key} bet={bet} amount={sideBets[bet.key] || 0} {...buttonProps} />)}
+            </div>
+        </div>
+    );
+};
+
+export default SideBetsPanel;
@@ -0,0 +1,138 @@
+import React, { useState, useMemo } from 'react';
+import { computeTheoretical } from '../game/simulator';
+import { STATS_WINDOWS, getStatsWindow, computePetStats } from '../game/petStats';
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Horizontal bar for a chart row; `share` is 0..1 of the row's width
+const Bar = ({ share, className }) => (
+    <div className={`h-3 rounded-full ${className}`} style={{ width: `${Math.min(Math.max(share, 0), 1) * 100}%` }} />
+);
+
+// Per-pet statistics over the last 50 / 500 / all stored rounds: wins against the odds, droughts,
+// and the player's streaks and net on each pet (see petStats.js)
+const StatsPanel = ({ config, rounds, formatBalance, t, onClose }) => {
+    const [windowSize, setWindowSize] = useState(STATS_WINDOWS[0]); // Rounds to look back over; null for all
+    const { pets } = config;
+    const theoretical = useMemo(() => computeTheoretical(config), [config]);
+    const stats = useMemo(
+        () => computePetStats(getStatsWindow(rounds, windowSize), pets, theoretical),
+        [rounds, windowSize, pets, theoretical],
+    );
+
+    // Scale both charts to their largest value so small differences still show
+    const maxFrequency = Math.max(...stats.pets.map(pet => Math.max(pet.frequency, pet.theoreticalFrequency)));
+    const maxNet = Math.max(1, ...stats.pets.map(pet => Math.abs(pet.net)));
+    const { current, longestWin, longestLoss } = stats.streaks;
+    const signedAmount = (amount) => `${amount < 0 ? '-' : '+'}💎${formatBalance(Math.abs(amount))}`;
+    const petLabel = (petId) => {
+        const pet = pets.find(p => p.id === petId);
+        return `${pet.emoji} ${pet.name}`;
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-4xl border border-purple-600 relative max-h-full overflow-y-auto">
+                <button onClick={onClose} className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold">&times;</button>
+                <h2 className="text-2xl font-bold text-yellow-300 mb-4 text-center">{t('stats.title')}</h2>
+
+                {/* Window */}
+                <div className="flex flex-wrap justify-center gap-2 mb-4" role="group" aria-label={t('stats.windowLabel')}>
+                    {STATS_WINDOWS.map(size => (
+                        <button
+                            key={size || 'all'}
+                            onClick={() => setWindowSize(size)}
+                            aria-pressed={windowSize === size}
+                            className={`bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-full shadow-md ${windowSize === size ? 'ring-2 ring-yellow-400' : ''}`}
+                        >
+                            {size === null ? t('stats.allRounds', { count: rounds.length }) : t('stats.lastRounds', { count: size })}
+                        </button>
+                    ))}
+                </div>
+
+                {stats.rounds === 0 ? (
+                    <p className="text-center text-gray-400">{t('stats.empty')}</p>
+                ) : (
+                    <>
+                        {/* Player streaks */}
+                        <div className="flex flex-wrap justify-center gap-4 bg-purple-900 rounded-lg p-3 mb-4 text-sm">
+                            <span>{current.length === 0 ? t('stats.noStreak') : t(current.result === 'win' ? 'stats.winStreak' : 'stats.lossStreak', { count: current.length })}</span>
+                            <span>{t('stats.longestWin', { count: longestWin })}</span>
+                            <span>{t('stats.longestLoss', { count: longestLoss })}</span>
+                        </div>
+
+                        {/* Table */}
+                        <div className="overflow-x-auto bg-purple-900 rounded-lg mb-4">
+                            <table className="w-full text-xs sm:text-sm">
+                                <thead className="text-yellow-300 text-left">
+                                    <tr>
+                                        <th className="p-2">{t('stats.pet')}</th>
+                                        <th className="p-2">{t('stats.wins')}</th>
+                                        <th className="p-2">{t('stats.frequency')}</th>
+                                        <th className="p-2">{t('stats.theory')}</th>
+                                        <th className="p-2">{t('stats.sinceLastWin')}</th>
+                                        <th className="p-2">{t('stats.longestDrought')}</th>
+                                        <th className="p-2">{t('stats.staked')}</th>
+                                        <th className="p-2">{t('stats.net')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {stats.pets.map(pet => (
+                                        <tr key={pet.id} className="border-t border-purple-700">
+                                            <td className="p-2">{petLabel(pet.id)}</td>
+                                            <td className="p-2">{pet.wins}</td>
+                                            <td className="p-2">{percent(pet.frequency)}</td>
+                                            <td className="p-2">{percent(pet.theoreticalFrequency)}</td>
+                                            <td className="p-2">{pet.wins === 0 ? `${pet.sinceLastWin}+` : pet.sinceLastWin}</td>
+                                            <td className="p-2">{pet.longestDrought}</td>
+                                            <td className="p-2">💎{formatBalance(pet.staked)}</td>
+                                            <td className={`p-2 ${pet.net < 0 ? 'text-red-400' : 'text-green-400'}`}>{signedAmount(pet.net)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Frequency chart: observed against theory */}
+                        <div className="grid sm:grid-cols-2 gap-4 text-xs sm:text-sm">
+                            <figure className="bg-purple-900 rounded-lg p-3">
+                                <figcaption className="text-yellow-300 font-bold mb-2">{t('stats.frequencyChart')}</figcaption>
+                                {stats.pets.map(pet => (
+                                    <div key={pet.id} className="mb-2" aria-label={t('stats.frequencyLabel', { pet: petLabel(pet.id), observed: percent(pet.frequency), theory: percent(pet.theoreticalFrequency) })}>
+                                        <span>{petLabel(pet.id)}</span>
+                                        <Bar share={pet.frequency / maxFrequency} className="bg-yellow-400" />
+                                        <Bar share={pet.theoreticalFrequency / maxFrequency} className="bg-purple-500 mt-0.5" />
+                                    </div>
+                                ))}
+                                <p className="text-gray-300 mt-2">
+                                    <span className="text-yellow-400">■</span> {t('stats.frequency')} <span className="text-purple-400 ml-2">■</span> {t('stats.theory')}
+                                </p>
+                            </figure>
+
+                            {/* Net chart: straight bets per pet */}
+                            <figure className="bg-purple-900 rounded-lg p-3">
+                                <figcaption className="text-yellow-300 font-bold mb-2">{t('stats.netChart')}</figcaption>
+                                {stats.pets.map(pet => (
+                                    <div key={pet.id} className="mb-2" aria-label={t('stats.netLabel', { pet: petLabel(pet.id), amount: signedAmount(pet.net) })}>
+                                        <span>{petLabel(pet.id)}</span>
+                                        <div className="flex">
+                                            <div className="w-1/2 flex justify-end">
+                                                {pet.net < 0 && <Bar share={-pet.net / maxNet} className="bg-red-400" />}
+                                            </div>
+                                            <div className="w-1/2 border-l border-purple-500">
+                                                {pet.net > 0 && <Bar share={pet.net / maxNet} className="bg-green-400" />}
+                                            </div>
+                                        </div>
+                                    </div>
+                                ))}
+                                <p className="text-gray-300 mt-2">{t('stats.netNote')}</p>
+                            </figure>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default StatsPanel;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { verifyRound, combineClientSeeds } from '../game/engine';
+
+// Modal that recomputes past round outcomes from their revealed seeds
+const VerifyRoundPanel = ({ pets, rounds, t, onClose }) => {
+    const [form, setForm] = useState({ serverSeed: '', serverSeedHash: '', clientSeed: '', nonce: '' }); // Manual verification inputs
+    const [result, setResult] = useState(null); // Result of the last verification; `error` is a message key
+
+    // Load a recorded round into the form and verify it against its recorded result
+    const handleVerifyRecorded = (round) => {
+        setForm({
+            serverSeed: round.serverSeed,
+            serverSeedHash: round.serverSeedHash,
+            clientSeed: round.clientSeed,
+            nonce: String(round.nonce),
+        });
+        setResult({
+            nonce: round.nonce,
+            recorded: true,
+            forced: Boolean(round.forced),
+            // At a shared table: the players' seeds and whether they combine to the round's client seed
+            clientSeeds: round.clientSeeds && round.clientSeeds.length > 1 ? round.clientSeeds : null,
+            seedsMatch: !round.clientSeeds || combineClientSeeds(round.clientSeeds) === round.clientSeed,
+            ...verifyRound({ pets, ...round }),
+        });
+    };
+
+    // Recompute an outcome from whatever seeds were typed in
+    const handleVerifyManual = () => {
+        const nonce = parseInt(form.nonce, 10);
+        if (!form.serverSeed || !form.clientSeed || Number.isNaN(nonce)) {
+            setResult({ error: 'verify.required' });
+            return;
+        }
+        setResult({ nonce, ...verifyRound({ pets, ...form, nonce }) });
+    };
+
+    const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-purple-800 p-6 rounded-xl shadow-2xl w-full max-w-2xl border border-purple-600 relative max-h-full overflow-y-auto">
+                <button
+                    onClick={onClose}
+                    className="absolute top-3 right-3 text-gray-400 hover:text-white text-2xl font-bold"
+                >
+                    &times;
+                </button>
+                <h2 className="text-2xl font-bold text-yellow-300 mb-2 text-center">{t('verify.title')}</h2>
+                <p className="text-sm text-gray-300 mb-4 text-center">
+                    {t('verify.intro')} {t('verify.combinedSeeds')}
+                </p>
+
+                {/* Recently revealed rounds */}
+                <div className="mb-4 bg-purple-900 rounded-lg p-3 max-h-48 overflow-y-auto">
+                    {rounds.length > 0 ? (
+                        rounds.map(round => (
+                            <div key={round.nonce} className="flex justify-between items-center gap-2 py-1 border-b border-purple-700 last:border-b-0">
+                                <span className="text-sm">
+                                    #{round.nonce} {pets.find(p => p.id === round.winnerId)?.emoji} {round.multiplier}x{round.forced && ' 🛠'}
+                                </span>
+                                <span className="text-xs text-gray-400 truncate flex-grow">{round.serverSeedHash}</span>
+                                <button
+                                    onClick={() => handleVerifyRecorded(round)}
+                                    className="bg-blue-600 hover:bg-blue-700 text-white text-xs font-bold py-1 px-3 rounded-full"
+                                >
+                                    {t('verify.verify')}
+                                </button>
+                            </div>
+                        ))
+                    ) : (
+                        <span className="text-gray-400 text-sm">{t('verify.noRounds')}</span>
+                    )}
+                </div>
+
+                {/* Manual verification form */}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-4">
+                    {['serverSeed', 'serverSeedHash', 'clientSeed', 'nonce'].map(field => (
+                        <label key={field} className="text-xs font-bold">
+                            {t(`verify.field.${field}`)}
+                            <input
+                                type="text"
+                                value={form[field]}
+                                onChange={updateField(field)}
+                                className="mt-1 shadow appearance-none border rounded w-full py-1 px-2 leading-tight focus:outline-none bg-purple-900 border-purple-700 text-white font-mono"
+                            />
+                        </label>
+                    ))}
+                </div>
+                <div className="text-center mb-4">
+                    <button
+                        onClick={handleVerifyManual}
+                        className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-full shadow-md"
+                    >
+                        {t('verify.recompute')}
+                    </button>
+                </div>
+
+                {result && (
+                    result.error ? (
+                        <p className="text-center text-red-400 font-semibold">{t(result.error)}</p>
+                    ) : (
+                        <div className="text-center">
+                            <p className="text-lg font-semibold">
+                                {t(result.outcome.jackpotHit ? 'verify.resultJackpot' : 'verify.result', {
+                                    round: result.nonce,
+                                    pet: `${result.outcome.winner.emoji} ${result.outcome.winner.name}`,
+                                    multiplier: result.outcome.multiplier,
+                                })}
+                            </p>
+                            <p className="text-sm text-gray-300">{t('verify.luckFactor', { luck: result.outcome.luckFactor.toFixed(4) })}</p>
+                            {form.serverSeedHash && (
+                                <p className={result.hashMatches ? 'text-green-400' : 'text-red-400'}>
+                                    {t(result.hashMatches ? 'verify.hashMatches' : 'verify.hashMismatch')}
+                                </p>
+                            )}
+                            {result.recorded && (
+                                <p className={result.outcomeMatches ? 'text-green-400' : 'text-red-400'}>
+                                    {t(result.outcomeMatches ? 'verify.outcomeMatches' : 'verify.outcomeMismatch')}
+                                </p>
+                            )}
+                            {result.clientSeeds && (
+                                <p className={result.seedsMatch ? 'text-green-400' : 'text-red-400'}>
+                                    {t(result.seedsMatch ? 'verify.seedsMatch' : 'verify.seedsMismatch')}{' '}
+                                    <span className="font-mono break-all">{result.clientSeeds.join(', ')}</span>
+                                </p>
+                            )}
+                            {result.forced && (
+                                <p className="text-yellow-300">{t('verify.forced')}</p>
+                            )}
+                        </div>
+                    )
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VerifyRoundPanel;
@@ -0,0 +1,147 @@
+// Auto-play: places bets at the start of each betting phase from a strategy, for a number of rounds
+// or until the balance reaches a stop-loss / take-profit threshold.
+//
+// Every strategy is expressed as a rule set:
+//   { bets: { petId: amount }, onWin: { action, value }, onLoss: { action, value } }
+// where action is 'repeat' (same stake), 'reset' (back to `bets`), 'multiply' or 'add' (applied to
+// every stake). A round counts as a win when it paid anything back.
+
+export const AUTO_STRATEGIES = {
+    FLAT: 'flat', // Same stake on one pet every round
+    SPREAD: 'spread', // Same stake on every pet every round
+    MARTINGALE: 'martingale', // Double the stake after a loss, back to the base after a win
+    RULES: 'rules', // User-defined rule set (JSON)
+};
+
+export const RULE_ACTIONS = ['repeat', 'reset', 'multiply', 'add'];
+
+export const STOP_REASONS = {
+    ROUNDS: 'rounds', // Played every requested round
+    STOP_LOSS: 'stopLoss', // Balance fell to the stop-loss
+    TAKE_PROFIT: 'takeProfit', // Balance reached the take-profit
+    CANT_BET: 'cantBet', // Stake no longer fits the balance or the bet limits
+    MANUAL: 'manual', // Player pressed Stop
+};
+
+const REPEAT = { action: 'repeat' };
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Rule set for one of the built-in strategies
+export const createRuleSet = (strategy, { petId, amount, pets }) => {
+    switch (strategy) {
+        case AUTO_STRATEGIES.SPREAD:
+            return {
+                bets: pets.reduce((acc, pet) => ({ ...acc, [pet.id]: amount }), {}),
+                onWin: REPEAT,
+                onLoss: REPEAT,
+            };
+        case AUTO_STRATEGIES.MARTINGALE:
+            return { bets: { [petId]: amount }, onWin: { action: 'reset' }, onLoss: { action: 'multiply', value: 2 } };
+        default:
+            return { bets: { [petId]: amount }, onWin: REPEAT, onLoss: REPEAT };
+    }
+};
+
+const checkStep = (step, path, errors) => {
+    if (step === undefined) return;
+    if (step === null || typeof step !== 'object' || !RULE_ACTIONS.includes(step.action)) {
+        errors.push(`${path}.action must be one of ${RULE_ACTIONS.join(', ')}`);
+    } else if ((step.action === 'multiply' || step.action === 'add') && !(typeof step.value === 'number' && step.value > 0)) {
+        errors.push(`${path}.value must be a number above 0`);
+    }
+};
+
+// Problems with a rule set's bets and steps, as messages (empty if it's usable)
+const checkRuleSet = (raw, pets) => {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) return ['Rule set must be a JSON object'];
+    const errors = [];
+    const bets = raw.bets;
+    if (bets === null || typeof bets !== 'object' || Object.keys(bets).length === 0) {
+        errors.push('bets must map at least one pet id to an amount');
+    } else {
+        Object.keys(bets).forEach(petId => {
+            if (!pets.some(pet => pet.id === Number(petId))) errors.push(`bets: no pet with id ${petId}`);
+            else if (!(typeof bets[petId] === 'number' && bets[petId] > 0)) errors.push(`bets.${petId} must be a number above 0`);
+        });
+    }
+    checkStep(raw.onWin, 'onWin', errors);
+    checkStep(raw.onLoss, 'onLoss', errors);
+    return errors;
+};
+
+// Validate a user-defined rule set against the current pets. Returns { ruleSet, errors }.
+export const parseRuleSet = (text, pets) => {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (error) {
+        return { ruleSet: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+    const errors = checkRuleSet(raw, pets);
+    if (errors.length > 0) return { ruleSet: null, errors };
+    return { ruleSet: { bets: raw.bets, onWin: raw.onWin || REPEAT, onLoss: raw.onLoss || REPEAT }, errors };
+};
+
+// A new auto-play session. stopLoss / takeProfit are balance levels (null to ignore).
+export const createAutoBetSession = ({ strategy, ruleSet, rounds, stopLoss = null, takeProfit = null }) => ({
+    strategy,
+    ruleSet,
+    rounds, // Rounds to play
+    stopLoss,
+    takeProfit,
+    stake: ruleSet.bets, // Bets for the next round
+    roundsPlayed: 0,
+    wins: 0,
+    stopReason: null, // One of STOP_REASONS once the session has ended
+});
+
+const isBalanceLevel = (value) => value === null || (typeof value === 'number' && Number.isFinite(value));
+
+// Whether a session sent by a player is one createAutoBetSession could have made for these pets
+export const isValidAutoBetSession = (session, pets) => (
+    checkRuleSet(session.ruleSet, pets).length === 0
+    && Number.isInteger(session.rounds) && session.rounds > 0
+    && isBalanceLevel(session.stopLoss) && isBalanceLevel(session.takeProfit)
+    && Boolean(session.ruleSet.onWin) && Boolean(session.ruleSet.onLoss)
+    && checkRuleSet({ bets: session.stake }, pets).length === 0
+    && session.roundsPlayed === 0 && session.wins === 0
+);
+
+export const isAutoBetActive = (session) => Boolean(session) && session.stopReason === null;
+
+// Why the session should stop at this balance, or null to keep going
+export const getStopReason = (session, balance) => {
+    if (session.roundsPlayed >= session.rounds) return STOP_REASONS.ROUNDS;
+    if (session.stopLoss !== null && balance <= session.stopLoss) return STOP_REASONS.STOP_LOSS;
+    if (session.takeProfit !== null && balance >= session.takeProfit) return STOP_REASONS.TAKE_PROFIT;
+    return null;
+};
+
+const applyStep = (stake, step, base) => {
+    switch (step.action) {
+        case 'reset':
+            return base;
+        case 'multiply':
+            return Object.keys(stake).reduce((acc, petId) => ({ ...acc, [petId]: roundAmount(stake[petId] * step.value) }), {});
+        case 'add':
+            return Object.keys(stake).reduce((acc, petId) => ({ ...acc, [petId]: roundAmount(stake[petId] + step.value) }), {});
+        default:
+            return stake;
+    }
+};
+
+// Move the session on after an automated round: adjust the stake and check the stop conditions
+export const recordAutoRound = (session, { won, balance }) => {
+    const next = {
+        ...session,
+        stake: applyStep(session.stake, won ? session.ruleSet.onWin : session.ruleSet.onLoss, session.ruleSet.bets),
+        roundsPlayed: session.roundsPlayed + 1,
+        wins: session.wins + (won ? 1 : 0),
+    };
+    return { ...next, stopReason: getStopReason(next, balance) };
+};
+
+export const stopAutoBet = (session, reason) => (
+    isAutoBetActive(session) ? { ...session, stopReason: reason } : session
+);
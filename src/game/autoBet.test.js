@@ -0,0 +1,51 @@
+import { AUTO_STRATEGIES, STOP_REASONS, createRuleSet, parseRuleSet, createAutoBetSession, recordAutoRound, isAutoBetActive } from './autoBet';
+import { gameReducer, createInitialGameState } from './gameReducer';
+import { createWallet } from './ledger';
+import { DEFAULT_CONFIG } from './config';
+
+const pets = DEFAULT_CONFIG.pets;
+
+test('built-in strategies become rule sets', () => {
+    expect(createRuleSet(AUTO_STRATEGIES.FLAT, { petId: 3, amount: 5, pets }).bets).toEqual({ 3: 5 });
+    expect(Object.keys(createRuleSet(AUTO_STRATEGIES.SPREAD, { amount: 1, pets }).bets)).toHaveLength(pets.length);
+});
+
+test('martingale doubles after a loss and resets after a win', () => {
+    const ruleSet = createRuleSet(AUTO_STRATEGIES.MARTINGALE, { petId: 1, amount: 2, pets });
+    let session = createAutoBetSession({ strategy: AUTO_STRATEGIES.MARTINGALE, ruleSet, rounds: 10 });
+    session = recordAutoRound(session, { won: false, balance: 98 });
+    session = recordAutoRound(session, { won: false, balance: 94 });
+    expect(session.stake).toEqual({ 1: 8 });
+    session = recordAutoRound(session, { won: true, balance: 124 });
+    expect(session.stake).toEqual({ 1: 2 });
+    expect(session).toMatchObject({ roundsPlayed: 3, wins: 1, stopReason: null });
+});
+
+test('sessions stop after N rounds or at the stop-loss / take-profit', () => {
+    const ruleSet = createRuleSet(AUTO_STRATEGIES.FLAT, { petId: 1, amount: 1, pets });
+    const session = createAutoBetSession({ strategy: AUTO_STRATEGIES.FLAT, ruleSet, rounds: 2, stopLoss: 90, takeProfit: 150 });
+    expect(recordAutoRound(session, { won: false, balance: 99 }).stopReason).toBeNull();
+    expect(recordAutoRound(session, { won: false, balance: 90 }).stopReason).toBe(STOP_REASONS.STOP_LOSS);
+    expect(recordAutoRound(session, { won: true, balance: 150 }).stopReason).toBe(STOP_REASONS.TAKE_PROFIT);
+    expect(recordAutoRound(recordAutoRound(session, { won: false, balance: 99 }), { won: false, balance: 98 }).stopReason).toBe(STOP_REASONS.ROUNDS);
+});
+
+test('custom rule sets are validated against the pets', () => {
+    expect(parseRuleSet('{"bets": {"1": 2}, "onLoss": {"action": "add", "value": 1}}', pets).ruleSet.onWin).toEqual({ action: 'repeat' });
+    expect(parseRuleSet('{"bets": {"99": 2}}', pets).errors).toEqual(['bets: no pet with id 99']);
+    expect(parseRuleSet('{"bets": {"1": 2}, "onWin": {"action": "multiply"}}', pets).errors).toEqual(['onWin.value must be a number above 0']);
+    expect(parseRuleSet('not json', pets).ruleSet).toBeNull();
+});
+
+test('automated rounds are tagged and advance the session when settled', () => {
+    const ruleSet = createRuleSet(AUTO_STRATEGIES.SPREAD, { amount: 1, pets });
+    let game = createInitialGameState({ config: DEFAULT_CONFIG, wallet: createWallet(100), clientSeed: 'client', serverSeed: 'server' });
+    game = gameReducer(game, { type: 'START_AUTO_BET', session: createAutoBetSession({ strategy: AUTO_STRATEGIES.SPREAD, ruleSet, rounds: 1 }) });
+    game = gameReducer(game, { type: 'PLACE_BETS', bets: game.autoBet.stake, auto: true, timestamp: 1 });
+    expect(game.wallet.transactions.filter(tx => tx.auto)).toHaveLength(pets.length);
+
+    ['CLOSE_BETS', 'REVEAL_MULTIPLIER', 'REVEAL', 'SETTLE'].forEach(type => { game = gameReducer(game, { type, timestamp: 2 }); });
+    expect(game.rounds[0].auto).toBe(true);
+    expect(game.autoBet).toMatchObject({ roundsPlayed: 1, stopReason: STOP_REASONS.ROUNDS });
+    expect(isAutoBetActive(game.autoBet)).toBe(false);
+});
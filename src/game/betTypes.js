@@ -0,0 +1,63 @@
+// Bets beyond a straight bet on one pet. Each covers a set of pets and wins if the winner is in the set:
+//   odds:<odds>     every pet at those odds ("any 5x animal")
+//   habitat:<name>  every pet from a habitat (land / sea / air, from the pet's `habitat`)
+//   pair:<id>:<id>  either of two pets
+//   not:<id>        any pet but one
+// A straight bet is keyed by the pet id alone, so one map of bet keys to amounts can hold both kinds.
+//
+// Odds come from the win weights (1 / odds, see getPetWeight). A set holding weight W pays 1 / W, so it
+// returns the same share of its stakes as a straight bet does. Luck scales every weight alike, so it
+// doesn't change which share of the wins a set gets.
+import { getPetWeight } from './engine.js';
+import { HABITATS } from './config.js';
+
+export const BET_TYPES = {
+    ODDS: 'odds',
+    HABITAT: 'habitat',
+    PAIR: 'pair',
+    NOT: 'not',
+};
+
+export const isSideBetKey = (key) => String(key).includes(':');
+
+export const pairBetKey = (petId, otherPetId) => `${BET_TYPES.PAIR}:${Math.min(petId, otherPetId)}:${Math.max(petId, otherPetId)}`;
+export const notBetKey = (petId) => `${BET_TYPES.NOT}:${petId}`;
+
+// Odds for a bet covering `coveredPets`, rounded down to the cent so they never pay above the fair price
+// (the small allowance keeps 1 / 0.8 from landing on 1.2499...)
+export const getSideBetOdds = (coveredPets) => {
+    const weight = coveredPets.reduce((sum, pet) => sum + getPetWeight(pet, 0), 0);
+    return Math.floor(100 / weight + 1e-9) / 100;
+};
+
+const getCoveredPets = (type, args, pets) => {
+    if (type === BET_TYPES.ODDS) return pets.filter(pet => pet.odds === Number(args[0]));
+    if (type === BET_TYPES.HABITAT) return pets.filter(pet => pet.habitat === args[0]);
+    if (type === BET_TYPES.PAIR) {
+        const covered = pets.filter(pet => args.includes(String(pet.id)));
+        return args.length === 2 && args[0] !== args[1] && covered.length === 2 ? covered : [];
+    }
+    if (type === BET_TYPES.NOT) return pets.some(pet => String(pet.id) === args[0]) ? pets.filter(pet => String(pet.id) !== args[0]) : [];
+    return [];
+};
+
+// { key, type, petIds, odds } for a side-bet key, or null if it isn't a bet on this roster.
+// A set with no pets isn't a bet, and neither is one so likely that a win wouldn't pay back the stake
+// (every pet, or "not" the longest shot).
+export const describeSideBet = (key, pets) => {
+    if (!isSideBetKey(key)) return null;
+    const [type, ...args] = String(key).split(':');
+    const covered = getCoveredPets(type, args, pets);
+    if (covered.length === 0) return null;
+    const odds = getSideBetOdds(covered);
+    return odds > 1 ? { key, type, petIds: covered.map(pet => pet.id), odds } : null;
+};
+
+// The group bets a roster offers: one per odds value shared by several pets, then one per habitat
+export const getGroupBets = (pets) => {
+    const sharedOdds = [...new Set(pets.map(pet => pet.odds))].filter(odds => pets.filter(pet => pet.odds === odds).length > 1);
+    return [
+        ...sharedOdds.map(odds => `${BET_TYPES.ODDS}:${odds}`),
+        ...HABITATS.map(habitat => `${BET_TYPES.HABITAT}:${habitat}`),
+    ].map(key => describeSideBet(key, pets)).filter(Boolean);
+};
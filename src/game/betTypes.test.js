@@ -0,0 +1,38 @@
+import { describeSideBet, getGroupBets, getSideBetOdds, pairBetKey, notBetKey, isSideBetKey } from './betTypes';
+import { DEFAULT_CONFIG } from './config';
+
+const { pets } = DEFAULT_CONFIG;
+const totalWeight = pets.reduce((sum, pet) => sum + 1 / pet.odds, 0);
+
+test('side-bet odds pay back the same share of stakes as a straight bet', () => {
+    const bets = [...getGroupBets(pets), describeSideBet(pairBetKey(1, 8), pets), describeSideBet(notBetKey(1), pets)];
+    expect(bets.every(Boolean)).toBe(true);
+    bets.forEach(bet => {
+        const winChance = bet.petIds.reduce((sum, petId) => sum + 1 / pets.find(pet => pet.id === petId).odds, 0) / totalWeight;
+        expect(bet.odds * winChance).toBeLessThanOrEqual(1 / totalWeight);
+        expect(bet.odds * winChance).toBeGreaterThan(1 / totalWeight - 0.01);
+    });
+});
+
+test('the default roster offers any-5x and habitat groups', () => {
+    expect(getGroupBets(pets).map(bet => [bet.key, bet.petIds, bet.odds])).toEqual([
+        ['odds:5', [1, 2, 3, 4], 1.25],
+        ['habitat:land', [1, 2, 3, 4, 6, 8], 1.12],
+        ['habitat:sea', [5], 10],
+        ['habitat:air', [7], 25],
+    ]);
+    expect(getSideBetOdds([pets[0], pets[7]])).toBe(4.5);
+});
+
+test('keys that are no bet on this roster are refused', () => {
+    expect(isSideBetKey('3')).toBe(false);
+    expect(pairBetKey(5, 2)).toBe('pair:2:5');
+    expect(describeSideBet('pair:2:2', pets)).toBeNull();
+    expect(describeSideBet('pair:2:99', pets)).toBeNull();
+    expect(describeSideBet('not:99', pets)).toBeNull();
+    expect(describeSideBet('odds:7', pets)).toBeNull();
+    expect(describeSideBet('habitat:land', pets.map(({ habitat, ...pet }) => ({ ...pet, habitat: 'land' })))).toBeNull();
+    expect(describeSideBet('parlay:1', pets)).toBeNull();
+    expect(describeSideBet('not:1', pets).petIds).toEqual([2, 3, 4, 5, 6, 7, 8]);
+    expect(describeSideBet('not:8', pets)).toBeNull(); // 0.99: a win wouldn't pay back the stake
+});
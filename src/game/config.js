@@ -0,0 +1,216 @@
+// Game configuration: pet roster and odds, chips, top-ups, round timings, bet limits, multiplier chances and the jackpot.
+// Configs can come from a JSON file (?config=configs/ocean.json), inline JSON (?configJson=...) or the
+// in-app editor. Partial configs are merged over the defaults, then validated as a whole.
+
+export const DEFAULT_CONFIG = {
+    name: 'Classic',
+    pets: [
+        { id: 1, name: 'Rabbit', odds: 5.0, emoji: '🐰', habitat: 'land' },
+        { id: 2, name: 'Cat', odds: 5.0, emoji: '🐱', habitat: 'land' },
+        { id: 3, name: 'Dog', odds: 5.0, emoji: '🐶', habitat: 'land' },
+        { id: 4, name: 'Sheep', odds: 5.0, emoji: '🐑', habitat: 'land' },
+        { id: 5, name: 'Dolphin', odds: 10.0, emoji: '🐬', habitat: 'sea' },
+        { id: 6, name: 'Panda', odds: 15.0, emoji: '🐼', habitat: 'land' },
+        { id: 7, name: 'Eagle', odds: 25.0, emoji: '🦅', habitat: 'air' },
+        { id: 8, name: 'Lion', odds: 45.0, emoji: '🦁', habitat: 'land' },
+    ],
+    betValues: [2, 50, 500, 1], // Chip amounts (players can also type a custom amount)
+    topUpAmounts: [100, 500, 1000, 5000], // Add Balance amounts
+    startingBalance: 100,
+    timings: {
+        bettingSeconds: 30, // Betting phase countdown
+        cooldownSeconds: 5, // Delay between rounds
+        raceDurationMs: 2500, // Highlight animation before the winner is revealed
+        multiplierRevealMs: 1500, // Multiplier stage between the race and the winner
+    },
+    limits: {
+        minBet: 0, // Smallest chip that can be placed (0 for no minimum)
+        maxBetPerPet: 10000, // Most that can be on one pet in a round
+        maxBetPerRound: 50000, // Most that can be on the board in a round
+    },
+    multiplier: {
+        value: 4, // Payout multiplier when it fires (1x otherwise)
+        baseChance: 0.1,
+        favorableBoost: 0.1, // Added per unit of positive luck factor
+        unfavorablePenalty: 0.05, // Removed per unit of negative luck factor
+        minChance: 0.05,
+        maxChance: 0.25,
+        // Optional weighted table, e.g. [{ value: 1, weight: 80 }, { value: 2, weight: 12 }, { value: 4, weight: 6 }, { value: 10, weight: 2 }].
+        // When set it replaces the value / chance rules above (luck doesn't apply).
+        table: null,
+    },
+    jackpot: {
+        enabled: false,
+        contribution: 0.01, // Share of each round's total bet added to the pot
+        seed: 1000, // Pot after it has paid out
+        triggerChance: 0.002, // Chance per round; the player takes the pot if they backed the winner
+    },
+};
+
+export const MAX_MULTIPLIER_ENTRIES = 12;
+
+// Habitats a pet can belong to (optional), each offered as a group bet (see betTypes.js)
+export const HABITATS = ['land', 'sea', 'air'];
+
+// Field rules for the nested number sections: [min, max, integer]
+const TIMING_RULES = {
+    bettingSeconds: [1, 600, true],
+    cooldownSeconds: [0, 600, true],
+    raceDurationMs: [500, 60000, true],
+    multiplierRevealMs: [0, 60000, true],
+};
+const LIMIT_RULES = {
+    minBet: [0, 1e9, false],
+    maxBetPerPet: [1, 1e9, false],
+    maxBetPerRound: [1, 1e9, false],
+};
+const MULTIPLIER_RULES = {
+    value: [1, 1000, false],
+    baseChance: [0, 1, false],
+    favorableBoost: [0, 1, false],
+    unfavorablePenalty: [0, 1, false],
+    minChance: [0, 1, false],
+    maxChance: [0, 1, false],
+};
+const JACKPOT_RULES = {
+    contribution: [0, 0.5, false],
+    seed: [0, 1e9, false],
+    triggerChance: [0, 1, false],
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const NESTED_SECTIONS = ['timings', 'limits', 'multiplier', 'jackpot'];
+
+// Overlay a partial config on the defaults (one level deep for the nested sections)
+export const mergeWithDefaults = (partial) => NESTED_SECTIONS.reduce((config, section) => ({
+    ...config,
+    [section]: { ...DEFAULT_CONFIG[section], ...(isPlainObject(partial[section]) ? partial[section] : {}) },
+}), { ...DEFAULT_CONFIG, ...partial });
+
+const checkNumberSection = (section, rules, path, errors) => {
+    Object.keys(rules).forEach(key => {
+        const [min, max, integer] = rules[key];
+        const value = section[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            errors.push(`${path}.${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+        }
+    });
+};
+
+export const MAX_CHIPS = 9; // Chips are picked with keys 1-9
+
+const checkMultiplierTable = (table, errors) => {
+    if (table === null) return;
+    if (!Array.isArray(table) || table.length === 0 || table.length > MAX_MULTIPLIER_ENTRIES) {
+        errors.push(`multiplier.table must be null or an array of 1 to ${MAX_MULTIPLIER_ENTRIES} entries`);
+        return;
+    }
+    table.forEach((entry, index) => {
+        const path = `multiplier.table[${index}]`;
+        if (!isPlainObject(entry)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        if (typeof entry.value !== 'number' || !(entry.value >= 1 && entry.value <= 1000)) errors.push(`${path}.value must be a number between 1 and 1000`);
+        if (!isPositiveNumber(entry.weight)) errors.push(`${path}.weight must be a number above 0`);
+    });
+    if (new Set(table.map(entry => entry && entry.value)).size !== table.length) {
+        errors.push('multiplier.table must not repeat a value');
+    }
+};
+
+const checkAmounts = (amounts, path, errors) => {
+    if (!Array.isArray(amounts) || amounts.length === 0) {
+        errors.push(`${path} must be a non-empty array`);
+    } else if (!amounts.every(isPositiveNumber)) {
+        errors.push(`${path} must only contain positive numbers`);
+    } else if (new Set(amounts).size !== amounts.length) {
+        errors.push(`${path} must not contain duplicates`);
+    }
+};
+
+// Validate a (possibly partial) config. Returns { config, errors }; config is null when there are errors.
+export const validateConfig = (raw) => {
+    if (!isPlainObject(raw)) {
+        return { config: null, errors: ['Config must be a JSON object'] };
+    }
+    const config = mergeWithDefaults(raw);
+    const errors = [];
+
+    if (typeof config.name !== 'string' || !config.name.trim()) {
+        errors.push('name must be a non-empty string');
+    }
+
+    if (!Array.isArray(config.pets) || config.pets.length < 2 || config.pets.length > 16) {
+        errors.push('pets must be an array of 2 to 16 pets');
+    } else {
+        const ids = new Set();
+        config.pets.forEach((pet, index) => {
+            const path = `pets[${index}]`;
+            if (!isPlainObject(pet)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (!Number.isInteger(pet.id) || pet.id <= 0) errors.push(`${path}.id must be a positive integer`);
+            else if (ids.has(pet.id)) errors.push(`${path}.id ${pet.id} is used more than once`);
+            ids.add(pet.id);
+            if (typeof pet.name !== 'string' || !pet.name.trim()) errors.push(`${path}.name must be a non-empty string`);
+            if (typeof pet.emoji !== 'string' || !pet.emoji) errors.push(`${path}.emoji must be a non-empty string`);
+            if (typeof pet.odds !== 'number' || !(pet.odds > 1)) errors.push(`${path}.odds must be a number greater than 1`);
+            if (pet.habitat !== undefined && !HABITATS.includes(pet.habitat)) errors.push(`${path}.habitat must be one of ${HABITATS.join(', ')}`);
+        });
+    }
+
+    checkAmounts(config.betValues, 'betValues', errors);
+    if (Array.isArray(config.betValues) && config.betValues.length > MAX_CHIPS) {
+        errors.push(`betValues can have at most ${MAX_CHIPS} chips (one per number key)`);
+    }
+    checkAmounts(config.topUpAmounts, 'topUpAmounts', errors);
+    if (typeof config.startingBalance !== 'number' || !(config.startingBalance >= 0)) {
+        errors.push('startingBalance must be a number of 0 or more');
+    }
+    checkNumberSection(config.timings, TIMING_RULES, 'timings', errors);
+    checkNumberSection(config.limits, LIMIT_RULES, 'limits', errors);
+    if (config.limits.maxBetPerPet > config.limits.maxBetPerRound) {
+        errors.push('limits.maxBetPerPet must not be greater than limits.maxBetPerRound');
+    }
+    if (Array.isArray(config.betValues) && config.betValues.some(amount => amount < config.limits.minBet)) {
+        errors.push('betValues must not be below limits.minBet');
+    }
+    checkNumberSection(config.multiplier, MULTIPLIER_RULES, 'multiplier', errors);
+    if (config.multiplier.minChance > config.multiplier.maxChance) {
+        errors.push('multiplier.minChance must not be greater than multiplier.maxChance');
+    }
+    checkMultiplierTable(config.multiplier.table, errors);
+    if (typeof config.jackpot.enabled !== 'boolean') errors.push('jackpot.enabled must be true or false');
+    checkNumberSection(config.jackpot, JACKPOT_RULES, 'jackpot', errors);
+
+    return errors.length > 0 ? { config: null, errors } : { config, errors };
+};
+
+// Parse and validate JSON text (from a file, the URL or the editor)
+export const parseConfigJSON = (text) => {
+    try {
+        return validateConfig(JSON.parse(text));
+    } catch (error) {
+        return { config: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+};
+
+// Where the URL asks the config to come from: { type: 'url' | 'inline', value } or null
+export const getConfigSource = (search) => {
+    const params = new URLSearchParams(search);
+    if (params.has('configJson')) return { type: 'inline', value: params.get('configJson') };
+    if (params.has('config')) return { type: 'url', value: params.get('config') };
+    return null;
+};
+
+export const fetchConfig = (url) => fetch(url)
+    .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+    })
+    .then(parseConfigJSON)
+    .catch(error => ({ config: null, errors: [`Could not load ${url}: ${error.message}`] }));
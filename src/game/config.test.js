@@ -0,0 +1,58 @@
+import { DEFAULT_CONFIG, validateConfig, parseConfigJSON, getConfigSource } from './config';
+
+test('the default config is valid', () => {
+    expect(validateConfig(DEFAULT_CONFIG)).toEqual({ config: DEFAULT_CONFIG, errors: [] });
+});
+
+test('partial configs are merged over the defaults', () => {
+    const { config, errors } = validateConfig({ name: 'Turbo', timings: { bettingSeconds: 10 } });
+    expect(errors).toEqual([]);
+    expect(config.timings).toEqual({ ...DEFAULT_CONFIG.timings, bettingSeconds: 10 });
+    expect(config.pets).toBe(DEFAULT_CONFIG.pets);
+});
+
+test('invalid configs report every problem', () => {
+    const { config, errors } = validateConfig({
+        pets: [{ id: 1, name: 'Cat', odds: 5, emoji: '🐱' }, { id: 1, name: '', odds: 0.5, emoji: '🐶' }],
+        betValues: [],
+        timings: { bettingSeconds: 2.5 },
+        multiplier: { minChance: 0.5, maxChance: 0.2 },
+    });
+    expect(config).toBeNull();
+    expect(errors).toEqual([
+        'pets[1].id 1 is used more than once',
+        'pets[1].name must be a non-empty string',
+        'pets[1].odds must be a number greater than 1',
+        'betValues must be a non-empty array',
+        'timings.bettingSeconds must be an integer between 1 and 600',
+        'multiplier.minChance must not be greater than multiplier.maxChance',
+    ]);
+});
+
+test('every chip gets a number key', () => {
+    expect(validateConfig({ betValues: [1, 2, 3, 4, 5, 6, 7, 8, 9] }).errors).toEqual([]);
+    expect(validateConfig({ betValues: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] }).errors).toEqual(['betValues can have at most 9 chips (one per number key)']);
+});
+
+test('multiplier tables and the jackpot are validated', () => {
+    const table = [{ value: 1, weight: 80 }, { value: 10, weight: 2 }];
+    expect(validateConfig({ multiplier: { table }, jackpot: { enabled: true } }).errors).toEqual([]);
+    expect(validateConfig({ multiplier: { table: [] } }).errors).toEqual(['multiplier.table must be null or an array of 1 to 12 entries']);
+    expect(validateConfig({ multiplier: { table: [{ value: 0.5, weight: 1 }, { value: 2, weight: 0 }, { value: 2, weight: 1 }] } }).errors).toEqual([
+        'multiplier.table[0].value must be a number between 1 and 1000',
+        'multiplier.table[1].weight must be a number above 0',
+        'multiplier.table must not repeat a value',
+    ]);
+    expect(validateConfig({ jackpot: { enabled: 'yes', contribution: 0.9 } }).errors).toEqual([
+        'jackpot.enabled must be true or false',
+        'jackpot.contribution must be a number between 0 and 0.5',
+    ]);
+});
+
+test('config JSON and URL sources', () => {
+    expect(parseConfigJSON('{').errors[0]).toMatch(/^Invalid JSON/);
+    expect(parseConfigJSON('[]').errors).toEqual(['Config must be a JSON object']);
+    expect(getConfigSource('?config=configs/ocean.json')).toEqual({ type: 'url', value: 'configs/ocean.json' });
+    expect(getConfigSource('?configJson=%7B%7D')).toEqual({ type: 'inline', value: '{}' });
+    expect(getConfigSource('')).toBeNull();
+});
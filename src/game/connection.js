@@ -0,0 +1,74 @@
+// The app's end of the game protocol (protocol.js). Both connections have the same shape:
+//   send(message), onMessage(listener) → unsubscribe, close()
+// so the app plays the same way against the WebSocket server and against the offline stand-in.
+
+const createListeners = () => {
+    const listeners = new Set();
+    return {
+        add: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        // A listener that throws doesn't stop the others or reach the sender (the host, or the socket's
+        // message handler); its error is rethrown on its own so it still shows up
+        emit: (message) => listeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                setTimeout(() => { throw error; });
+            }
+        }),
+    };
+};
+
+// Offline: a game lobby (see lobby.js) or host (gameHost.js) in this tab, ticked every `tickMs`.
+// Messages are passed as they are rather than through JSON; neither side mutates them.
+export const createLocalConnection = (host, { tickMs = 100 } = {}) => {
+    const listeners = createListeners();
+    const end = host.connect(listeners.emit);
+    const interval = setInterval(() => host.tick(), tickMs);
+    return {
+        send: (message) => end.receive(message),
+        onMessage: listeners.add,
+        close: () => {
+            clearInterval(interval);
+            end.disconnect();
+        },
+    };
+};
+
+// Online: the game server at `url` (ws://...). Messages sent before the socket opens are queued.
+// `onClose` is called if the server can't be reached or the connection drops.
+export const createSocketConnection = (url, { onClose = () => {} } = {}) => {
+    const listeners = createListeners();
+    const socket = new WebSocket(url);
+    const queue = [];
+    let closedByClient = false;
+
+    socket.addEventListener('open', () => queue.splice(0).forEach(message => socket.send(message)));
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return; // Not one of ours; ignore it
+        }
+        listeners.emit(message);
+    });
+    socket.addEventListener('close', () => {
+        if (!closedByClient) onClose();
+    });
+
+    return {
+        send: (message) => {
+            const data = JSON.stringify(message);
+            if (socket.readyState === WebSocket.OPEN) socket.send(data);
+            else queue.push(data);
+        },
+        onMessage: listeners.add,
+        close: () => {
+            closedByClient = true;
+            socket.close();
+        },
+    };
+};
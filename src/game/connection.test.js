@@ -0,0 +1,21 @@
+import { createLocalConnection } from './connection';
+
+// A host that answers every message by sending it straight back
+const createEchoHost = () => ({
+    connect: (send) => ({ receive: send, disconnect: () => {} }),
+    tick: () => {},
+});
+
+test('a listener that throws doesn\'t stop the others, and its error is rethrown on its own', () => {
+    jest.useFakeTimers();
+    const connection = createLocalConnection(createEchoHost());
+    const received = [];
+    connection.onMessage(() => { throw new Error('listener broke'); });
+    connection.onMessage(message => received.push(message));
+
+    expect(() => connection.send({ type: 'ping' })).not.toThrow();
+    expect(received).toEqual([{ type: 'ping' }]);
+    connection.close();
+    expect(() => jest.runOnlyPendingTimers()).toThrow('listener broke');
+    jest.useRealTimers();
+});
@@ -0,0 +1,32 @@
+// Dev / QA console support: turning it on, and a seeded stand-in for the server seed generator so a
+// run of rounds can be replayed exactly. The console's commands are carried out by the game host
+// (DEV_COMMANDS in protocol.js); forced outcomes go through the reducer's CLOSE_BETS like any other.
+import { createFastRandom } from './simulator.js';
+
+export const DEV_FLAG = 'dev'; // ?dev=1 in the URL
+
+// On with REACT_APP_DEV_CONSOLE=true at build time (`envFlag`), or with ?dev=1 (or ?dev=true) in the URL
+// outside a production build (`nodeEnv`), so players can't turn it on in a release
+export const isDevConsoleEnabled = (search, envFlag, nodeEnv) => {
+    if (envFlag === 'true') return true;
+    const flag = new URLSearchParams(search).get(DEV_FLAG);
+    return nodeEnv !== 'production' && (flag === '1' || flag === 'true');
+};
+
+// Server seeds drawn from `seed`: the same seed gives the same seeds, and with the same client seed the
+// same rounds. Only for testing; anyone who knows the seed knows every outcome.
+export const createSeededServerSeeds = (seed) => {
+    const random = createFastRandom(seed);
+    return () => Array.from({ length: 32 }, () => Math.floor(random() * 256).toString(16).padStart(2, '0')).join('');
+};
+
+// Check a force command's outcome against the pets and the multiplier rules; returns { forced } or { error }
+export const checkForcedOutcome = (forced, config) => {
+    if (forced === null) return { forced: null };
+    if (!forced || typeof forced !== 'object') return { error: 'The outcome must be an object, or null' };
+    const { winnerId, multiplier, luckFactor } = forced;
+    if (winnerId !== undefined && !config.pets.some(pet => pet.id === winnerId)) return { error: `No pet with id ${winnerId}` };
+    if (multiplier !== undefined && !(multiplier >= 1)) return { error: 'The multiplier must be at least 1' };
+    if (luckFactor !== undefined && !(luckFactor >= -1 && luckFactor <= 1)) return { error: 'The luck factor must be between -1 and 1' };
+    return { forced: { ...(winnerId !== undefined && { winnerId }), ...(multiplier !== undefined && { multiplier }), ...(luckFactor !== undefined && { luckFactor }) } };
+};
@@ -0,0 +1,143 @@
+// Pure round-outcome engine.
+// Given the pets and a source of random numbers it decides the luck factor, the winner and the
+// payout multiplier. Rounds are provably fair: the server seed is committed to (by its hash) before
+// betting opens, combined with the player's client seed and the round nonce, and revealed afterwards
+// so anyone can recompute the outcome with `verifyRound`.
+import { sha256, hmacSha256 } from './sha256.js';
+import { DEFAULT_CONFIG } from './config.js';
+
+const FLOATS_PER_DIGEST = 8; // A 32-byte HMAC digest yields eight 4-byte floats
+
+// Random hex string of `byteLength` bytes, from the platform CSPRNG when available
+const randomHex = (byteLength) => {
+    const bytes = new Uint8Array(byteLength);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < byteLength; i++) bytes[i] = Math.floor(Math.random() * 256);
+    }
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const generateServerSeed = () => randomHex(32);
+export const generateClientSeed = () => randomHex(8);
+
+// The commitment shown to players before they bet
+export const hashServerSeed = (serverSeed) => sha256(serverSeed);
+
+// The client seed of a round several players bet on: SHA-256 of their seeds, sorted, as a JSON array
+// (e.g. ["a1b2","zz"]). A single seed is used as it is, so a round with one player verifies as before.
+export const combineClientSeeds = (seeds) => (seeds.length === 1 ? seeds[0] : sha256(JSON.stringify([...seeds].sort())));
+
+// Deterministic stream of floats in [0, 1) for one round.
+// Each HMAC-SHA256(serverSeed, "clientSeed:nonce:block") digest is split into 4-byte chunks.
+export const createRoundRandom = (serverSeed, clientSeed, nonce) => {
+    let block = 0;
+    let floats = [];
+    return () => {
+        if (floats.length === 0) {
+            const digest = hmacSha256(serverSeed, `${clientSeed}:${nonce}:${block}`);
+            block++;
+            for (let i = 0; i < FLOATS_PER_DIGEST; i++) {
+                floats.push(parseInt(digest.slice(i * 8, i * 8 + 8), 16) / 0x100000000);
+            }
+        }
+        return floats.shift();
+    };
+};
+
+// Map a uniform draw to the hidden luck factor: -1 (unfavorable) to 1 (favorable)
+export const computeLuckFactor = (randomValue) => randomValue * 2 - 1;
+
+// Weight of a pet: the inverse of its odds, adjusted by the luck factor
+export const getPetWeight = (pet, luckFactor) => {
+    // Base weight is inverse of odds (lower odds = higher chance, better for player)
+    let weight = 1 / pet.odds;
+    // Favorable luck boosts the weight, unfavorable luck reduces it (e.g., 1 - 0.5 = 0.5x weight)
+    if (luckFactor !== 0) {
+        weight *= (1 + luckFactor * 0.5);
+    }
+    return weight;
+};
+
+export const getPetWeights = (pets, luckFactor) => pets.map(pet => ({ ...pet, weight: getPetWeight(pet, luckFactor) }));
+
+// Weighted random winner selection (kept allocation-free, the simulator calls it millions of times)
+export const pickWinner = (pets, luckFactor, randomValue) => {
+    let totalWeight = 0;
+    for (let i = 0; i < pets.length; i++) {
+        totalWeight += getPetWeight(pets[i], luckFactor);
+    }
+
+    let randomPoint = randomValue * totalWeight;
+    for (let i = 0; i < pets.length; i++) {
+        randomPoint -= getPetWeight(pets[i], luckFactor);
+        if (randomPoint <= 0) {
+            return pets[i];
+        }
+    }
+    return pets[pets.length - 1]; // Fallback in case of floating point issues, pick last pet
+};
+
+// Chance of the multiplier firing, influenced by the luck factor and clamped to the configured range
+// (by default 10% base, up to 20% with good luck, down to 5% with bad luck)
+export const getMultiplierChance = (luckFactor, multiplierRules = DEFAULT_CONFIG.multiplier) => {
+    let multiplierChance = multiplierRules.baseChance;
+    if (luckFactor > 0) {
+        multiplierChance += luckFactor * multiplierRules.favorableBoost;
+    } else if (luckFactor < 0) {
+        multiplierChance += luckFactor * multiplierRules.unfavorablePenalty;
+    }
+    return Math.max(multiplierRules.minChance, Math.min(multiplierRules.maxChance, multiplierChance));
+};
+
+// Multiplier values a round can land on, with their weights: the configured table, or 1x / `value`
+// weighted by the chance at this luck factor
+export const getMultiplierTable = (luckFactor, multiplierRules = DEFAULT_CONFIG.multiplier) => {
+    if (multiplierRules.table) return multiplierRules.table;
+    const chance = getMultiplierChance(luckFactor, multiplierRules);
+    return [{ value: 1, weight: 1 - chance }, { value: multiplierRules.value, weight: chance }];
+};
+
+export const rollMultiplier = (luckFactor, randomValue, multiplierRules = DEFAULT_CONFIG.multiplier) => {
+    if (!multiplierRules.table) {
+        return randomValue < getMultiplierChance(luckFactor, multiplierRules) ? multiplierRules.value : 1;
+    }
+    const { table } = multiplierRules;
+    const totalWeight = table.reduce((sum, entry) => sum + entry.weight, 0);
+    let threshold = randomValue * totalWeight;
+    for (let i = 0; i < table.length; i++) {
+        threshold -= table[i].weight;
+        if (threshold < 0) return table[i].value;
+    }
+    return table[table.length - 1].value; // Floating-point leftovers
+};
+
+// Resolve a round from any source of uniform random numbers.
+// Draw order is fixed (luck, winner, multiplier, then the jackpot when it's enabled) so seeded rounds
+// always replay identically. `forced` ({ luckFactor, winnerId, multiplier }, any of them; dev console only)
+// replaces a result after its draw is made, so the draws after it stay the same.
+export const resolveOutcome = (pets, random, multiplierRules, jackpotRules, forced = {}) => {
+    const luckDraw = computeLuckFactor(random());
+    const luckFactor = forced.luckFactor !== undefined ? forced.luckFactor : luckDraw;
+    const winnerDraw = pickWinner(pets, luckFactor, random());
+    const winner = forced.winnerId !== undefined ? pets.find(pet => pet.id === forced.winnerId) : winnerDraw;
+    const multiplierDraw = rollMultiplier(luckFactor, random(), multiplierRules);
+    const multiplier = forced.multiplier !== undefined ? forced.multiplier : multiplierDraw;
+    const jackpotHit = Boolean(jackpotRules && jackpotRules.enabled) && random() < jackpotRules.triggerChance;
+    return { luckFactor, winner, multiplier, jackpotHit };
+};
+
+// Resolve a provably-fair round from its seeds
+export const resolveRound = ({ pets, multiplierRules, jackpotRules, serverSeed, clientSeed, nonce, forced }) => (
+    resolveOutcome(pets, createRoundRandom(serverSeed, clientSeed, nonce), multiplierRules, jackpotRules, forced)
+);
+
+// Recompute a revealed round and check it against the commitment and the recorded result
+export const verifyRound = ({ pets, multiplierRules, jackpotRules, serverSeed, serverSeedHash, clientSeed, nonce, winnerId, multiplier, jackpotHit }) => {
+    const hashMatches = hashServerSeed(serverSeed) === serverSeedHash;
+    const outcome = resolveRound({ pets, multiplierRules, jackpotRules, serverSeed, clientSeed, nonce });
+    const outcomeMatches = winnerId === undefined
+        || (outcome.winner.id === winnerId && outcome.multiplier === multiplier && (jackpotHit === undefined || outcome.jackpotHit === jackpotHit));
+    return { hashMatches, outcomeMatches, valid: hashMatches && outcomeMatches, outcome };
+};
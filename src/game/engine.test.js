@@ -0,0 +1,101 @@
+import { sha256, hmacSha256 } from './sha256';
+import {
+    hashServerSeed,
+    createRoundRandom,
+    pickWinner,
+    getMultiplierChance,
+    getMultiplierTable,
+    rollMultiplier,
+    resolveOutcome,
+    resolveRound,
+    verifyRound,
+} from './engine';
+
+const pets = [
+    { id: 1, name: 'Rabbit', odds: 5.0, emoji: '🐰' },
+    { id: 2, name: 'Dolphin', odds: 10.0, emoji: '🐬' },
+    { id: 3, name: 'Lion', odds: 45.0, emoji: '🦁' },
+];
+
+test('sha256 and hmacSha256 match known vectors', () => {
+    expect(sha256('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(sha256('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(hmacSha256('Jefe', 'what do ya want for nothing?'))
+        .toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+});
+
+test('round random stream is deterministic and spans multiple digests', () => {
+    const a = createRoundRandom('server', 'client', 7);
+    const b = createRoundRandom('server', 'client', 7);
+    const drawsA = Array.from({ length: 12 }, () => a());
+    const drawsB = Array.from({ length: 12 }, () => b());
+    expect(drawsA).toEqual(drawsB);
+    drawsA.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+    });
+    expect(createRoundRandom('server', 'client', 8)()).not.toBe(drawsA[0]);
+});
+
+test('pickWinner walks the weights in pet order', () => {
+    expect(pickWinner(pets, 0, 0).id).toBe(1);
+    expect(pickWinner(pets, 0, 0.999999).id).toBe(3);
+});
+
+test('multiplier chance is clamped between 5% and 25%', () => {
+    expect(getMultiplierChance(0)).toBeCloseTo(0.1);
+    expect(getMultiplierChance(1)).toBeCloseTo(0.2);
+    expect(getMultiplierChance(-1)).toBeCloseTo(0.05);
+});
+
+test('resolveOutcome draws luck, winner and multiplier in order', () => {
+    const draws = [0.75, 0, 0.01];
+    const outcome = resolveOutcome(pets, () => draws.shift());
+    expect(outcome.luckFactor).toBeCloseTo(0.5);
+    expect(outcome.winner.id).toBe(1);
+    expect(outcome.multiplier).toBe(4);
+});
+
+test('a forced result replaces its draw without moving the others', () => {
+    const draws = () => {
+        const values = [0.75, 0, 0.01];
+        return () => values.shift();
+    };
+    const forcedWinner = resolveOutcome(pets, draws(), undefined, undefined, { winnerId: 2 });
+    expect(forcedWinner.winner.id).toBe(2);
+    expect(forcedWinner.multiplier).toBe(4);
+    expect(resolveOutcome(pets, draws(), undefined, undefined, { multiplier: 1 })).toMatchObject({ winner: { id: 1 }, multiplier: 1 });
+    expect(resolveOutcome(pets, draws(), undefined, undefined, { luckFactor: -1 }).luckFactor).toBe(-1);
+});
+
+test('a multiplier table is picked by weight and ignores luck', () => {
+    const rules = { table: [{ value: 1, weight: 80 }, { value: 2, weight: 12 }, { value: 4, weight: 6 }, { value: 10, weight: 2 }] };
+    expect(rollMultiplier(1, 0, rules)).toBe(1);
+    expect(rollMultiplier(-1, 0.79, rules)).toBe(1);
+    expect(rollMultiplier(0, 0.8, rules)).toBe(2);
+    expect(rollMultiplier(0, 0.97, rules)).toBe(4);
+    expect(rollMultiplier(0, 0.99, rules)).toBe(10);
+    expect(getMultiplierTable(0, rules)).toBe(rules.table);
+    expect(getMultiplierTable(0).map(entry => entry.value)).toEqual([1, 4]);
+});
+
+test('the jackpot takes a fourth draw only when it is enabled', () => {
+    const jackpotRules = { enabled: true, triggerChance: 0.01 };
+    expect(resolveOutcome(pets, () => 0.005, undefined, jackpotRules).jackpotHit).toBe(true);
+    expect(resolveOutcome(pets, () => 0.5, undefined, jackpotRules).jackpotHit).toBe(false);
+
+    const draws = [0.75, 0, 0.01];
+    expect(resolveOutcome(pets, () => draws.shift(), undefined, { ...jackpotRules, enabled: false }).jackpotHit).toBe(false);
+    expect(draws).toEqual([]);
+});
+
+test('verifyRound recomputes a revealed round and detects tampering', () => {
+    const serverSeed = 'a'.repeat(64);
+    const round = { pets, serverSeed, serverSeedHash: hashServerSeed(serverSeed), clientSeed: 'lucky', nonce: 3 };
+    const outcome = resolveRound(round);
+    const recorded = { ...round, winnerId: outcome.winner.id, multiplier: outcome.multiplier };
+
+    expect(verifyRound(recorded).valid).toBe(true);
+    expect(verifyRound({ ...recorded, serverSeedHash: hashServerSeed('other') }).hashMatches).toBe(false);
+    expect(verifyRound({ ...recorded, multiplier: outcome.multiplier === 4 ? 1 : 4 }).outcomeMatches).toBe(false);
+});
@@ -0,0 +1,417 @@
+// Game host: owns the round clock, the seeds and every player's game state.
+// The WebSocket server (scripts/server.mjs) runs one host for everyone connected; offline, the app runs
+// one in-process for a single player (`solo`). Either way the app talks to it through protocol.js.
+//
+// Players only send intents, and a message without the fields its type needs is rejected before it goes
+// any further (see isWellFormedMessage in protocol.js). Bets are checked against the player's own state (balance, limits, cool-off)
+// before they reach the reducer, and phase changes come from the host's round machine alone. Every player's
+// round uses the same server seed, client seed and nonce, so they all get the same winner and multiplier.
+// The client seed is combined from the seeds of the players who bet on the round, so each of them has a hand
+// in it (see getRoundSeeds), and the table has one progressive jackpot that all their bets feed.
+// A host started with `devTools` also takes the dev console's commands (DEV_COMMANDS in protocol.js).
+// In a lobby (lobby.js) each room is a host, and `accounts` shares each player's wallet, limits and settings
+// between them (see rooms.js).
+import { generateServerSeed, generateClientSeed, resolveRound, getMultiplierTable, combineClientSeeds } from './engine.js';
+import { PHASES, createRoundMachine, advanceRound, pauseRound, resumeRound, skipPhase, getPhaseDurations } from './roundMachine.js';
+import { gameReducer, createInitialGameState, checkBets, getRoundTotal } from './gameReducer.js';
+import { getStartingPot, settleSharedJackpot } from './payout.js';
+import { validateConfig } from './config.js';
+import { isValidAutoBetSession } from './autoBet.js';
+import { createWallet } from './ledger.js';
+import { createWalletService } from './walletService.js';
+import { createMockPaymentProvider } from './paymentProviders.js';
+import {
+    CLIENT_MESSAGES, HOST_MESSAGES, DEV_COMMANDS, PLAYER_ACTIONS, SOLO_ACTIONS, PHASE_ACTIONS,
+    getBetAdditions, isPlainObject, isWellFormedAction, isWellFormedMessage,
+} from './protocol.js';
+import { createSeededServerSeeds, checkForcedOutcome } from './devTools.js';
+import { getAccount, isAccountChanged } from './rooms.js';
+
+const MAX_WINNERS = 8; // Past winners kept for the lobby
+
+const INVALID = { reason: 'invalid' }; // The problem sent back for a message the host can't read
+
+// What a player is sent: their own state, without the server seed while it still has to stay secret
+export const toClientState = (state) => (
+    state.round.phase === PHASES.BETTING ? { ...state, round: { ...state.round, serverSeed: null } } : state
+);
+
+export const createGameHost = ({
+    config,
+    clientSeed = generateClientSeed(),
+    solo = false,
+    clock = Date.now,
+    createServerSeed = generateServerSeed,
+    createProvider = createMockPaymentProvider,
+    devTools = false,
+    roomId = null, // Which lobby room this is, if any
+    accounts = null, // Player accounts shared with the lobby's other rooms (createAccounts in rooms.js)
+    wallets = null, // Map of playerId → wallet service, shared with the lobby's other rooms
+    onTransition = () => {}, // Called after each phase change has reached the players
+}) => {
+    // The round everyone plays. `pendingConfig` takes over when the next round opens. `outcome` is worked out
+    // here as well as in every player's state so the lobby can show winners even with nobody at the table.
+    // `clientSeed` is the table's own, used when nobody is there to give one; `roundSeeds` are the client seeds
+    // that went into the current round once bets close.
+    const room = {
+        config,
+        pendingConfig: null,
+        clientSeed,
+        nonce: 1,
+        serverSeed: createServerSeed(),
+        machine: null,
+        outcome: null,
+        roundSeeds: null,
+        jackpotPot: getStartingPot(0, config.jackpot), // The table's one progressive jackpot
+        winners: [],
+    };
+    // Dev console state: the outcome to force when bets next close, the one forced this round (for late
+    // joiners), the phase length scale and the seed server seeds come from (null: random)
+    const dev = { forced: null, roundForced: null, timeScale: 1, seed: null, createServerSeed };
+    const players = new Map(); // playerId → { state, connections (send functions), walletService, notices }
+
+    // Other players' straight bets this round, per pet
+    const getPool = (playerId) => {
+        const pool = {};
+        players.forEach((player, id) => {
+            if (id === playerId) return;
+            Object.keys(player.state.round.bets).forEach(petId => { pool[petId] = (pool[petId] || 0) + player.state.round.bets[petId]; });
+        });
+        return pool;
+    };
+
+    const sendTo = (player, message) => player.connections.forEach(send => send(message));
+
+    const countConnected = () => [...players.values()].filter(player => player.connections.size > 0).length;
+
+    const sendState = (player, playerId, transition) => sendTo(player, {
+        type: HOST_MESSAGES.STATE,
+        game: toClientState(player.state),
+        room: {
+            roomId,
+            machine: room.machine,
+            serverNow: clock(),
+            pool: getPool(playerId),
+            players: countConnected(),
+            solo,
+            paymentProvider: player.walletService.provider.name,
+            ...(devTools && { dev: { forced: dev.forced, timeScale: dev.timeScale, seed: dev.seed } }),
+        },
+        ...(transition && { transition }),
+    });
+
+    const broadcast = (transition) => players.forEach((player, playerId) => sendState(player, playerId, transition));
+
+    // A change to a player's account made in another room: take it over, and show it if they're here
+    const handleAccountChange = (playerId, account) => {
+        const player = players.get(playerId);
+        if (!player) return;
+        player.state = { ...player.state, ...account };
+        if (player.connections.size > 0) sendState(player, playerId);
+    };
+    if (accounts) accounts.subscribe(handleAccountChange);
+
+    const dispatchTo = (player, action) => {
+        const previous = player.state;
+        player.state = gameReducer(previous, action);
+        if (accounts && isAccountChanged(previous, player.state)) accounts.set(player.id, getAccount(player.state), handleAccountChange);
+    };
+
+    // Phase lengths for a round on `roundConfig`, shortened or stretched from the dev console
+    const getDurations = (roundConfig) => {
+        const durations = getPhaseDurations(roundConfig.timings);
+        return Object.keys(durations).reduce((acc, phase) => ({ ...acc, [phase]: durations[phase] * dev.timeScale }), {});
+    };
+
+    // The client seeds that go into this round: those of the players with bets on it, or of everyone connected
+    // if nobody bet, or the table's own with nobody here. They're combined with combineClientSeeds.
+    const getRoundSeeds = () => {
+        const seated = [...players.values()];
+        const betting = seated.filter(player => getRoundTotal(player.state.round) > 0);
+        const present = betting.length > 0 ? betting : seated.filter(player => player.connections.size > 0);
+        return present.length > 0 ? present.map(player => player.state.clientSeed) : [room.clientSeed];
+    };
+
+    // The reducer action for a phase change. Closing bets carries the round's client seed and any outcome
+    // forced from the dev console; settling carries the table's jackpot (a player's share of a win is added
+    // in applyTransition).
+    const getPhaseAction = (phase, timestamp) => ({
+        type: PHASE_ACTIONS[phase],
+        timestamp,
+        ...(phase === PHASES.RACING && { clientSeed: combineClientSeeds(room.roundSeeds), clientSeeds: room.roundSeeds }),
+        ...(phase === PHASES.RACING && dev.roundForced && { forced: dev.roundForced }),
+        ...(phase === PHASES.COOLDOWN && { jackpot: { win: 0, pot: room.jackpotPot } }),
+    });
+
+    // A player with an account from another room brings it with them
+    const seatPlayer = (playerId, initialState) => {
+        const account = accounts && accounts.get(playerId);
+        const state = account ? { ...initialState, ...account } : initialState;
+        if (accounts && !account) accounts.set(playerId, getAccount(state), handleAccountChange);
+        const player = { id: playerId, state, connections: new Set(), notices: [] };
+        // Top-ups run here rather than in the app, and each step reaches the player as it happens. In a lobby
+        // the room that seats the player first makes their service and the others use it too, so a top-up made
+        // in one room can be refunded from another (the payments reach the other rooms with the account).
+        const shared = wallets && wallets.get(playerId);
+        player.walletService = shared || createWalletService({
+            provider: createProvider(),
+            dispatch: (action) => {
+                dispatchTo(player, action);
+                sendState(player, playerId);
+            },
+            getState: () => player.state,
+        });
+        if (wallets && !shared) wallets.set(playerId, player.walletService);
+        players.set(playerId, player);
+        return player;
+    };
+
+    // A player who joins mid-round sits it out: their state is brought up to the room's phase with no bets.
+    // `clientSeed` is the one their app made for them; without one they start from the table's.
+    const createPlayerState = (settings, playerSeed) => {
+        let state = createInitialGameState({
+            config: room.config,
+            wallet: createWallet(room.config.startingBalance),
+            clientSeed: typeof playerSeed === 'string' && playerSeed ? playerSeed : room.clientSeed,
+            serverSeed: room.serverSeed,
+            nonce: room.nonce,
+            jackpotPot: room.jackpotPot,
+            ...(isPlainObject(settings) && { settings }),
+        });
+        const phase = room.machine ? room.machine.phase : PHASES.BETTING;
+        const passed = Object.keys(PHASE_ACTIONS);
+        passed.slice(0, passed.indexOf(phase) + 1).forEach(type => { state = gameReducer(state, getPhaseAction(type, clock())); });
+        return state;
+    };
+
+    const applyTransition = ({ to, at }) => {
+        if (to === PHASES.BETTING) {
+            room.nonce += 1;
+            room.serverSeed = dev.createServerSeed(); // Committed to (by its hash) as the round opens
+            room.config = room.pendingConfig || room.config;
+            room.pendingConfig = null;
+            room.jackpotPot = getStartingPot(room.jackpotPot, room.config.jackpot);
+            room.roundSeeds = null;
+            dev.roundForced = null;
+            players.forEach(player => dispatchTo(player, { type: 'START_ROUND', serverSeed: room.serverSeed }));
+        } else {
+            if (to === PHASES.RACING) {
+                // A force set before the config changed may name a pet that's no longer racing; it's dropped
+                dev.roundForced = dev.forced && (checkForcedOutcome(dev.forced, room.config).forced || null);
+                dev.forced = null;
+                room.roundSeeds = getRoundSeeds();
+                room.outcome = resolveRound({
+                    pets: room.config.pets,
+                    multiplierRules: room.config.multiplier,
+                    jackpotRules: room.config.jackpot,
+                    serverSeed: room.serverSeed,
+                    clientSeed: combineClientSeeds(room.roundSeeds),
+                    nonce: room.nonce,
+                    forced: dev.roundForced || undefined,
+                });
+            } else if (to === PHASES.COOLDOWN) {
+                const { winner, multiplier, jackpotHit } = room.outcome;
+                room.winners = [{ nonce: room.nonce, petId: winner.id, emoji: winner.emoji, multiplier }, ...room.winners].slice(0, MAX_WINNERS);
+                const seated = [...players.values()];
+                const { wins, jackpotPot } = settleSharedJackpot({
+                    stakes: seated.map(({ state }) => ({ totalBet: getRoundTotal(state.round), winnerBet: state.round.bets[winner.id] || 0 })),
+                    jackpotHit,
+                    jackpotPot: room.jackpotPot,
+                    jackpotRules: room.config.jackpot,
+                });
+                room.jackpotPot = jackpotPot;
+                // A player who isn't here (in another of the lobby's rooms, or gone) keeps no record of a round they sat out
+                seated.forEach((player, index) => dispatchTo(player, {
+                    ...getPhaseAction(to, at),
+                    jackpot: { win: wins[index], pot: jackpotPot },
+                    ...(player.connections.size === 0 && { away: true }),
+                }));
+                return;
+            }
+            players.forEach(player => dispatchTo(player, getPhaseAction(to, at)));
+        }
+    };
+
+    // Catch up with the clock; every player gets one state message per transition, in order
+    const tick = (now = clock()) => {
+        if (!room.machine) return;
+        const { machine, transitions } = advanceRound(room.machine, now, () => getDurations(room.pendingConfig || room.config));
+        room.machine = machine;
+        transitions.forEach(transition => {
+            applyTransition(transition);
+            broadcast(transition);
+            onTransition(transition);
+        });
+    };
+
+    // Whether an action's contents are usable, beyond the field types isWellFormedAction checks
+    const isUsableAction = (player, action) => {
+        if (action.type === 'START_AUTO_BET') return isValidAutoBetSession(action.session, player.state.config.pets);
+        if (action.type === 'QUEUE_CONFIG') return validateConfig(action.config).config !== null;
+        return true;
+    };
+
+    const handleAction = (player, playerId, action) => {
+        if (!isPlainObject(action)) {
+            sendTo(player, { type: HOST_MESSAGES.REJECTED, problem: INVALID });
+            return;
+        }
+        if (!PLAYER_ACTIONS.includes(action.type) && !(solo && SOLO_ACTIONS.includes(action.type))) return;
+        if (!isWellFormedAction(action) || !isUsableAction(player, action)) {
+            sendTo(player, { type: HOST_MESSAGES.REJECTED, problem: INVALID });
+            return;
+        }
+        const checked = {
+            ...action,
+            timestamp: clock(), // The host's clock decides cool-offs and limits
+            // A queued config may leave settings out; the next round gets it with the defaults filled in
+            ...(action.type === 'QUEUE_CONFIG' && { config: validateConfig(action.config).config }),
+        };
+        const additions = getBetAdditions(checked);
+        const problem = additions && checkBets(player.state, additions, checked.timestamp);
+        if (problem) {
+            sendTo(player, { type: HOST_MESSAGES.REJECTED, problem });
+            return;
+        }
+        dispatchTo(player, checked);
+        if (action.type === 'QUEUE_CONFIG') room.pendingConfig = player.state.pendingConfig;
+        broadcast(); // Everyone's pool changes with a bet
+    };
+
+    // A dev console command from `player`; returns the reply ({ error } if it was refused)
+    const handleDevCommand = (player, message) => {
+        if (message.command === DEV_COMMANDS.SET_BALANCE) {
+            if (!(Number.isFinite(message.balance) && message.balance >= 0)) return { error: 'The balance must be 0 or more' };
+            dispatchTo(player, { type: 'SET_BALANCE', balance: message.balance, timestamp: clock() });
+        } else if (message.command === DEV_COMMANDS.FORCE) {
+            const { forced, error } = checkForcedOutcome(message.forced, room.config);
+            if (error) return { error };
+            dev.forced = forced;
+        } else if (message.command === DEV_COMMANDS.SKIP_PHASE) {
+            if (!room.machine) return { error: 'The rounds have not started' };
+            room.machine = skipPhase(room.machine, clock());
+            tick();
+        } else if (message.command === DEV_COMMANDS.TIME_SCALE) {
+            if (!(Number.isFinite(message.scale) && message.scale > 0)) return { error: 'The scale must be above 0' };
+            dev.timeScale = message.scale;
+        } else if (message.command === DEV_COMMANDS.SEED) {
+            const seed = message.seed === null ? null : Number(message.seed);
+            if (Number.isNaN(seed)) return { error: 'The seed must be a number' };
+            dev.seed = seed;
+            dev.createServerSeed = seed === null ? createServerSeed : createSeededServerSeeds(seed);
+        } else {
+            return { error: `Unknown command ${message.command}` };
+        }
+        broadcast();
+        return {};
+    };
+
+    // A connection's end of the protocol; `send` delivers a host message to that client
+    const connect = (send) => {
+        let playerId = null;
+        let player = null;
+        const reply = (requestId) => (result) => send({ type: HOST_MESSAGES.REPLY, requestId, result });
+
+        const receive = (message) => {
+            if (!isWellFormedMessage(message)) {
+                send({ type: HOST_MESSAGES.REJECTED, problem: INVALID });
+                return;
+            }
+            if (message.type === CLIENT_MESSAGES.HELLO) {
+                playerId = message.playerId;
+                player = players.get(playerId);
+                if (!player) player = seatPlayer(playerId, createPlayerState(message.settings, message.clientSeed));
+                player.connections.add(send);
+                send({ type: HOST_MESSAGES.WELCOME, playerId });
+                broadcast(); // The player count changed
+                player.notices.splice(0).forEach(notice => send({ type: HOST_MESSAGES.NOTICE, notice }));
+                return;
+            }
+            if (!player) return; // Nothing but hello before the welcome
+
+            if (message.type === CLIENT_MESSAGES.ACTION) {
+                handleAction(player, playerId, message.action);
+            } else if (message.type === CLIENT_MESSAGES.PAUSE && solo && room.machine) {
+                tick();
+                room.machine = pauseRound(room.machine, clock());
+                broadcast();
+            } else if (message.type === CLIENT_MESSAGES.RESUME && solo && room.machine) {
+                room.machine = resumeRound(room.machine, clock());
+                broadcast();
+                tick();
+            } else if (message.type === CLIENT_MESSAGES.TOP_UP) {
+                const { amount, upiId, idempotencyKey } = message;
+                player.walletService.topUp({ amount, upiId, idempotencyKey }).then(reply(message.requestId));
+            } else if (message.type === CLIENT_MESSAGES.REFUND) {
+                player.walletService.refund(message.paymentId).then(reply(message.requestId));
+            } else if (message.type === CLIENT_MESSAGES.DEV && devTools) {
+                reply(message.requestId)(handleDevCommand(player, message));
+            }
+        };
+
+        const disconnect = () => {
+            if (!player) return;
+            player.connections.delete(send); // The player's state stays for when they reconnect
+            broadcast();
+        };
+
+        return { receive, disconnect };
+    };
+
+    return {
+        connect,
+        tick,
+
+        // Seat a player with an existing state (the offline player's saved session). The room follows it.
+        // Payments left pending are picked up again unless another room sharing the account does that.
+        addPlayer: (playerId, state, { resumePending = true } = {}) => {
+            room.config = state.config;
+            room.clientSeed = state.clientSeed;
+            room.nonce = state.round.nonce;
+            room.serverSeed = state.round.serverSeed;
+            room.jackpotPot = state.jackpotPot;
+            const player = seatPlayer(playerId, state);
+            if (resumePending) player.walletService.resumePending();
+        },
+
+        // A player's state at this table, or null if they've never been here
+        getPlayerState: (playerId) => (players.has(playerId) ? players.get(playerId).state : null),
+
+        // What the lobby shows of this table: its format, where its round is and who won lately
+        getSummary: () => ({
+            name: room.config.name,
+            bettingSeconds: room.config.timings.bettingSeconds,
+            minChip: Math.min(...room.config.betValues),
+            topMultiplier: Math.max(...getMultiplierTable(0, room.config.multiplier).map(entry => entry.value)),
+            machine: room.machine,
+            winners: room.winners,
+            players: countConnected(),
+        }),
+
+        // Replace the config before the first round (a config file that finished loading)
+        setConfig: (nextConfig) => {
+            players.forEach(player => dispatchTo(player, { type: 'SET_CONFIG', config: nextConfig }));
+            // With chips already down the reducer queues it for the next round instead
+            const queued = [...players.values()].some(player => player.state.pendingConfig === nextConfig);
+            if (queued) {
+                room.pendingConfig = nextConfig;
+            } else {
+                room.config = nextConfig;
+                room.jackpotPot = getStartingPot(room.jackpotPot, nextConfig.jackpot);
+            }
+            broadcast();
+        },
+
+        // Open the first betting phase
+        start: () => {
+            room.machine = createRoundMachine(clock(), getDurations(room.config));
+            broadcast();
+        },
+
+        // Banner message for every player, kept for those who haven't connected yet
+        notify: (notice) => players.forEach(player => {
+            if (player.connections.size > 0) sendTo(player, { type: HOST_MESSAGES.NOTICE, notice });
+            else player.notices.push(notice);
+        }),
+    };
+};
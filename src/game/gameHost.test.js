@@ -0,0 +1,217 @@
+import { createGameHost, toClientState } from './gameHost';
+import { CLIENT_MESSAGES, HOST_MESSAGES, DEV_COMMANDS } from './protocol';
+import { PHASES, getPhaseDurations } from './roundMachine';
+import { DEFAULT_CONFIG } from './config';
+import { combineClientSeeds, verifyRound } from './engine';
+
+const durations = getPhaseDurations(DEFAULT_CONFIG.timings);
+
+// A host on a hand-moved clock with fixed seeds
+const createTestHost = (options = {}) => {
+    const clock = { now: 1000 };
+    let seed = 0;
+    const host = createGameHost({
+        config: DEFAULT_CONFIG,
+        clientSeed: 'table',
+        clock: () => clock.now,
+        createServerSeed: () => `seed-${seed++}`,
+        ...options,
+    });
+    const advance = (ms) => {
+        clock.now += ms;
+        host.tick();
+    };
+    return { host, clock, advance };
+};
+
+// Connect a player and keep every message the host sends them
+const join = (host, playerId) => {
+    const messages = [];
+    const end = host.connect(message => messages.push(message));
+    end.receive({ type: CLIENT_MESSAGES.HELLO, playerId });
+    const lastState = () => messages.filter(message => message.type === HOST_MESSAGES.STATE).pop();
+    return { messages, lastState, send: end.receive, disconnect: end.disconnect };
+};
+
+const bet = (player, petId, amount) => player.send({ type: CLIENT_MESSAGES.ACTION, action: { type: 'PLACE_BET', petId, amount } });
+
+// Run the round from betting to cooldown
+const playRound = (advance) => {
+    [PHASES.BETTING, PHASES.RACING, PHASES.MULTIPLIER, PHASES.REVEALING].forEach(phase => advance(durations[phase]));
+};
+
+test('every player gets the same outcome and is settled on their own bets', () => {
+    const { host, advance } = createTestHost();
+    host.start();
+    const alice = join(host, 'alice');
+    const bob = join(host, 'bob');
+    bet(alice, 1, 50);
+    bet(bob, 2, 20);
+    playRound(advance);
+
+    const aliceRound = alice.lastState().game.round;
+    const bobRound = bob.lastState().game.round;
+    expect(aliceRound.phase).toBe(PHASES.COOLDOWN);
+    expect(bobRound.outcome).toEqual(aliceRound.outcome);
+    expect(aliceRound.bets[1]).toBe(50);
+    expect(bobRound.bets[1]).toBe(0);
+    expect(alice.lastState().transition).toMatchObject({ from: PHASES.REVEALING, to: PHASES.COOLDOWN });
+});
+
+test('players see the others\' bets per pet, not their own', () => {
+    const { host } = createTestHost();
+    host.start();
+    const alice = join(host, 'alice');
+    const bob = join(host, 'bob');
+    bet(alice, 1, 50);
+    bet(bob, 1, 20);
+    expect(alice.lastState().room.pool[1]).toBe(20);
+    expect(bob.lastState().room.pool[1]).toBe(50);
+    expect(bob.lastState().room.players).toBe(2);
+    bob.disconnect();
+    expect(alice.lastState().room.players).toBe(1);
+});
+
+test('bets are checked against the player\'s own balance', () => {
+    const { host } = createTestHost();
+    host.start();
+    const alice = join(host, 'alice');
+    bet(alice, 1, DEFAULT_CONFIG.startingBalance + 1);
+    expect(alice.messages.pop()).toEqual({ type: HOST_MESSAGES.REJECTED, problem: expect.objectContaining({ reason: 'balance' }) });
+    expect(alice.lastState().game.wallet.balance).toBe(DEFAULT_CONFIG.startingBalance);
+});
+
+test('phase changes and table-wide settings are not up to players', () => {
+    const { host } = createTestHost();
+    host.start();
+    const alice = join(host, 'alice');
+    alice.send({ type: CLIENT_MESSAGES.ACTION, action: { type: 'CLOSE_BETS' } });
+    alice.send({ type: CLIENT_MESSAGES.ACTION, action: { type: 'QUEUE_CONFIG', config: DEFAULT_CONFIG } });
+    alice.send({ type: CLIENT_MESSAGES.PAUSE });
+    const { game, room } = alice.lastState();
+    expect(game.round.phase).toBe(PHASES.BETTING);
+    expect(game.pendingConfig).toBeNull();
+    expect(room.machine.pausedAt).toBeNull();
+});
+
+test('the round\'s client seed combines the seeds of the players who bet on it', () => {
+    const { host, advance } = createTestHost();
+    host.start();
+    const alice = join(host, 'alice');
+    const bob = join(host, 'bob');
+    const carol = join(host, 'carol');
+    alice.send({ type: CLIENT_MESSAGES.ACTION, action: { type: 'SET_CLIENT_SEED', clientSeed: 'alice-seed' } });
+    bob.send({ type: CLIENT_MESSAGES.ACTION, action: { type: 'SET_CLIENT_SEED', clientSeed: 'bob-seed' } });
+    bet(alice, 1, 10);
+    bet(bob, 2, 10);
+    playRound(advance);
+
+    const [revealed] = carol.lastState().game.revealedRounds;
+    expect(revealed.clientSeeds).toEqual(['alice-seed', 'bob-seed']);
+    expect(revealed.clientSeed).toBe(combineClientSeeds(['bob-seed', 'alice-seed']));
+    expect(alice.lastState().game.revealedRounds[0]).toEqual(revealed);
+    expect(verifyRound(revealed).valid).toBe(true);
+});
+
+test('every player\'s bets feed one jackpot, split between those who backed the winner', () => {
+    const jackpot = { enabled: true, contribution: 0.01, seed: 1000, triggerChance: 1 };
+    const { host, advance } = createTestHost({ config: { ...DEFAULT_CONFIG, startingBalance: 1000, jackpot } });
+    host.start();
+    const everyPet = (amount) => DEFAULT_CONFIG.pets.reduce((acc, pet) => ({ ...acc, [pet.id]: amount }), {});
+    const alice = join(host, 'alice');
+    const bob = join(host, 'bob');
+    alice.send({ type: CLIENT_MESSAGES.ACTION, action: { type: 'PLACE_BETS', bets: everyPet(30) } });
+    bob.send({ type: CLIENT_MESSAGES.ACTION, action: { type: 'PLACE_BETS', bets: everyPet(10) } });
+    playRound(advance);
+
+    const pot = 1000 + (30 + 10) * DEFAULT_CONFIG.pets.length * 0.01;
+    expect(alice.lastState().game.round.jackpotWin).toBeCloseTo(pot * 0.75);
+    expect(bob.lastState().game.round.jackpotWin).toBeCloseTo(pot * 0.25);
+    expect(alice.lastState().game.jackpotPot).toBe(1000);
+    expect(join(host, 'late').lastState().game.jackpotPot).toBe(1000);
+});
+
+test('a solo host takes the client seed and can be paused', () => {
+    const { host, advance } = createTestHost({ solo: true });
+    host.start();
+    const player = join(host, 'local');
+    player.send({ type: CLIENT_MESSAGES.ACTION, action: { type: 'SET_CLIENT_SEED', clientSeed: 'mine' } });
+    player.send({ type: CLIENT_MESSAGES.PAUSE });
+    advance(durations[PHASES.BETTING] * 2);
+    expect(player.lastState().game).toMatchObject({ clientSeed: 'mine', round: { phase: PHASES.BETTING } });
+    player.send({ type: CLIENT_MESSAGES.RESUME });
+    advance(durations[PHASES.BETTING]);
+    expect(player.lastState().game.round.phase).toBe(PHASES.RACING);
+});
+
+test('the server seed stays hidden until bets close', () => {
+    const { host, advance } = createTestHost();
+    host.start();
+    const alice = join(host, 'alice');
+    expect(alice.lastState().game.round.serverSeed).toBeNull();
+    expect(alice.lastState().game.round.serverSeedHash).toBeTruthy();
+    advance(durations[PHASES.BETTING]);
+    expect(alice.lastState().game.round.serverSeed).toBe('seed-0');
+    expect(toClientState(alice.lastState().game)).toBe(alice.lastState().game);
+});
+
+test('a player joining mid-round sits it out and plays the next one', () => {
+    const { host, advance } = createTestHost();
+    host.start();
+    const alice = join(host, 'alice');
+    advance(durations[PHASES.BETTING]);
+    const late = join(host, 'late');
+    expect(late.lastState().game.round).toMatchObject({ phase: PHASES.RACING, nonce: alice.lastState().game.round.nonce });
+    bet(late, 1, 10);
+    expect(late.lastState().game.round.bets[1]).toBe(0);
+
+    [PHASES.RACING, PHASES.MULTIPLIER, PHASES.REVEALING, PHASES.COOLDOWN].forEach(phase => advance(durations[phase]));
+    expect(late.lastState().game.round.phase).toBe(PHASES.BETTING);
+    bet(late, 1, 10);
+    expect(late.lastState().game.round.bets[1]).toBe(10);
+});
+
+test('a reconnecting player keeps their state and gets notices sent while away', () => {
+    const { host } = createTestHost();
+    host.start();
+    const alice = join(host, 'alice');
+    bet(alice, 1, 50);
+    alice.disconnect();
+    host.notify({ key: 'notice.test' });
+    const again = join(host, 'alice');
+    expect(again.lastState().game.round.bets[1]).toBe(50);
+    expect(again.messages).toContainEqual({ type: HOST_MESSAGES.NOTICE, notice: { key: 'notice.test' } });
+});
+
+test('dev commands need a host started with dev tools', () => {
+    const { host } = createTestHost({ solo: true });
+    host.start();
+    const player = join(host, 'local');
+    player.send({ type: CLIENT_MESSAGES.DEV, requestId: 1, command: DEV_COMMANDS.SET_BALANCE, balance: 1 });
+    expect(player.messages.some(message => message.type === HOST_MESSAGES.REPLY)).toBe(false);
+    expect(player.lastState().game.wallet.balance).toBe(DEFAULT_CONFIG.startingBalance);
+    expect(player.lastState().room.dev).toBeUndefined();
+});
+
+test('malformed messages are rejected rather than thrown', () => {
+    const { host } = createTestHost();
+    host.start();
+    const alice = join(host, 'alice');
+    const rejected = { type: HOST_MESSAGES.REJECTED, problem: { reason: 'invalid' } };
+    [
+        null,
+        'hello',
+        { type: CLIENT_MESSAGES.ACTION },
+        { type: CLIENT_MESSAGES.ACTION, action: { type: 'PLACE_BETS', bets: null } },
+        { type: CLIENT_MESSAGES.ACTION, action: { type: 'PLACE_BET', petId: 1, amount: '5' } },
+        { type: CLIENT_MESSAGES.ACTION, action: { type: 'START_AUTO_BET', session: { rounds: 3 } } },
+        { type: CLIENT_MESSAGES.TOP_UP, requestId: 1, amount: 50, upiId: 42, idempotencyKey: 'k' },
+    ].forEach(message => {
+        alice.messages.length = 0;
+        expect(() => alice.send(message)).not.toThrow();
+        expect(alice.messages).toEqual([rejected]);
+    });
+    expect(alice.lastState()).toBeUndefined();
+    bet(alice, 1, 10);
+    expect(alice.lastState().game.round.bets[1]).toBe(10);
+});
@@ -0,0 +1,337 @@
+// Game state and the actions that change it.
+// The round machine decides *when* phases change; this reducer decides *what* each change does to
+// the wallet, the bets and the history. Randomness and timestamps come in through actions, and the
+// outcome itself is derived from the committed seeds, so the reducer stays deterministic.
+import { hashServerSeed, resolveRound } from './engine.js';
+import { PHASES } from './roundMachine.js';
+import { TRANSACTION_TYPES, createTransaction, applyTransaction, createRoundRecord, addRound } from './ledger.js';
+import { isAutoBetActive, getStopReason, recordAutoRound, stopAutoBet } from './autoBet.js';
+import { createSafeguards, createPlaySession, checkStake, checkTopUp, changeLimits, startCoolOff } from './responsiblePlay.js';
+import { PAYMENT_STATUS, MAX_PAYMENTS, canTransition, findPaymentByKey } from './payments.js';
+import { getDefaultSettings } from '../i18n/index.js';
+import { settleRound, getStartingPot } from './payout.js';
+import { isSideBetKey, describeSideBet } from './betTypes.js';
+
+export const MAX_RECENT_WINS = 8;
+export const MAX_REVEALED_ROUNDS = 20;
+
+// Bet amounts of 0 for every pet
+export const createEmptyBets = (pets) => pets.reduce((acc, pet) => {
+    acc[pet.id] = 0;
+    return acc;
+}, {});
+
+export const getTotalBet = (bets) => Object.values(bets).reduce((sum, amount) => sum + amount, 0);
+
+// Everything on the board this round: straight bets and side bets
+export const getRoundTotal = (round) => getTotalBet(round.bets) + getTotalBet(round.sideBets);
+
+// Only the bets that actually have chips on them
+const getPlacedBets = (bets) => Object.keys(bets).reduce((acc, key) => {
+    if (bets[key] > 0) acc[key] = bets[key];
+    return acc;
+}, {});
+
+// Where a bet key's chips live in the round: side bets (see betTypes.js) or straight bets on a pet
+const getBetBucket = (key) => (isSideBetKey(key) ? 'sideBets' : 'bets');
+
+// Ledger fields naming what a bet transaction was on
+const getBetMeta = (key) => (isSideBetKey(key) ? { betKey: key } : { petId: Number(key) });
+
+// Why the player can't leave this round's table right now (for another profile or room), or null if they can.
+// That only happens between rounds: not with chips on the board, a race running or auto-play going.
+export const getSwitchBlocker = (game) => {
+    if (isAutoBetActive(game.autoBet)) return 'auto';
+    if (game.round.phase === PHASES.COOLDOWN) return null;
+    if (game.round.phase !== PHASES.BETTING) return 'round';
+    return getRoundTotal(game.round) > 0 ? 'bets' : null;
+};
+
+// Why a set of additional bets ({ betKey: amount }, a pet id or a side-bet key) can't be placed at `now`, or null if it can.
+// Returns { reason, petId?, betKey?, limit?, until? } where reason is 'invalid' (not an object of finite amounts of
+// 0 or more) | 'phase' | 'empty' | 'minBet' | 'coolOff' | 'dailyLoss' | 'sessionLoss' | 'balance' | 'petLimit' |
+// 'betLimit' | 'roundLimit'.
+export const checkBets = (state, additions, now = Date.now()) => {
+    const { round, config, wallet } = state;
+    const { minBet, maxBetPerPet, maxBetPerRound } = config.limits;
+    const isAmount = (amount) => typeof amount === 'number' && Number.isFinite(amount) && amount >= 0;
+    if (additions === null || typeof additions !== 'object' || !Object.values(additions).every(isAmount)) return { reason: 'invalid' };
+    const keys = Object.keys(additions).filter(key => additions[key] > 0);
+    const total = getTotalBet(additions);
+    // A pet id exactly as the board writes it ("1", not "01" or "1.0"), or a side bet on these pets
+    const isOnBoard = (key) => (isSideBetKey(key) ? describeSideBet(key, config.pets) !== null : config.pets.some(pet => String(pet.id) === key));
+
+    if (round.phase !== PHASES.BETTING) return { reason: 'phase' };
+    if (keys.length === 0 || !keys.every(isOnBoard)) return { reason: 'empty' };
+    if (keys.some(key => additions[key] < minBet)) return { reason: 'minBet', limit: minBet };
+    const safeguardProblem = checkStake(state, total, now);
+    if (safeguardProblem) return safeguardProblem;
+    if (total > wallet.balance) return { reason: 'balance' };
+    const overLimit = keys.find(key => (round[getBetBucket(key)][key] || 0) + additions[key] > maxBetPerPet);
+    if (overLimit && isSideBetKey(overLimit)) return { reason: 'betLimit', betKey: overLimit, limit: maxBetPerPet };
+    if (overLimit) return { reason: 'petLimit', petId: Number(overLimit), limit: maxBetPerPet };
+    if (getRoundTotal(round) + total > maxBetPerRound) return { reason: 'roundLimit', limit: maxBetPerRound };
+    return null;
+};
+
+// Give chips back to the balance, one cancel transaction per bet
+const cancelBets = (wallet, bets, nonce, timestamp) => Object.keys(bets).reduce(
+    (acc, key) => applyTransaction(acc, createTransaction(TRANSACTION_TYPES.CANCEL, bets[key], { roundNonce: nonce, ...getBetMeta(key), timestamp })),
+    wallet,
+);
+
+// Debit the chips and push the placement onto the slip; invalid placements leave the state alone.
+// Placements made by auto-play tag their transactions and the round.
+const placeBets = (state, bets, timestamp, auto = false) => {
+    const { round } = state;
+    if (checkBets(state, bets, timestamp)) return state;
+    const additions = getPlacedBets(bets);
+    let wallet = state.wallet;
+    const next = { bets: { ...round.bets }, sideBets: { ...round.sideBets } };
+    Object.keys(additions).forEach(key => {
+        wallet = applyTransaction(wallet, createTransaction(TRANSACTION_TYPES.BET, -additions[key], { roundNonce: round.nonce, ...getBetMeta(key), timestamp, ...(auto && { auto }) }));
+        next[getBetBucket(key)][key] = (next[getBetBucket(key)][key] || 0) + additions[key];
+    });
+    return { ...state, wallet, round: { ...round, ...next, slip: [...round.slip, additions], auto: round.auto || auto } };
+};
+
+const createRound = (nonce, serverSeed, pets) => ({
+    nonce, // Round counter, part of the provably-fair input
+    serverSeed, // Revealed after the race
+    serverSeedHash: hashServerSeed(serverSeed), // Shown before betting as the round's commitment
+    phase: PHASES.BETTING,
+    bets: createEmptyBets(pets),
+    sideBets: {}, // Group, pair and "not this pet" bets by bet key (see betTypes.js)
+    slip: [], // Bet placements in order ({ betKey: amount } each), so the last one can be undone
+    outcome: null, // { winnerId, multiplier, luckFactor, jackpotHit } once bets close
+    clientSeed: null, // The client seed the outcome came from, once bets close (see CLOSE_BETS)
+    clientSeeds: null, // The players' seeds it combines, at a shared table
+    payout: 0,
+    jackpotWin: 0, // Part of the payout that came from the jackpot
+    auto: false, // Auto-play placed bets this round
+});
+
+export const createInitialGameState = ({ config, wallet, rounds = [], recentWins = [], revealedRounds = [], customConfig = null, clientSeed, serverSeed, nonce = 1, lastBets = {}, payments = [], safeguards = createSafeguards(), session = createPlaySession(Date.now()), settings = getDefaultSettings(), jackpotPot = 0 }) => ({
+    config, // Active config: pets, chips, timings, multiplier
+    pendingConfig: null, // Config to switch to when the next round starts
+    customConfig, // Config saved from the editor, kept across reloads
+    wallet, // Balance plus the ledger of every change to it
+    payments, // Top-up payments and their status (see payments.js)
+    rounds, // One record per finished round
+    recentWins, // Latest winners as { emoji, nonce }, newest first
+    revealedRounds, // Past rounds with their revealed seeds
+    clientSeed, // Player-controlled seed mixed into every outcome
+    lastBets, // Bets from the last round that had any, for Rebet
+    autoBet: null, // Auto-play session (see autoBet.js), kept after it stops so its result can be shown
+    safeguards, // Player's own limits and cool-off (see responsiblePlay.js)
+    session, // Current play session: when it started and when the last reality check was shown
+    settings, // Language, number locale and compact notation (see i18n)
+    jackpotPot: getStartingPot(jackpotPot, config.jackpot), // Progressive jackpot (see payout.js)
+    round: createRound(nonce, serverSeed, config.pets),
+});
+
+export const gameReducer = (state, action) => {
+    const { round, config } = state;
+
+    switch (action.type) {
+        case 'PLACE_BET':
+            return placeBets(state, { [action.petId]: action.amount }, action.timestamp);
+
+        // A group, pair or "not this pet" bet (see betTypes.js)
+        case 'PLACE_SIDE_BET':
+            return placeBets(state, { [action.betKey]: action.amount }, action.timestamp);
+
+        // Several bets in one placement ({ betKey: amount }): a rebet or a double, undone together
+        case 'PLACE_BETS':
+            return placeBets(state, action.bets, action.timestamp, action.auto);
+
+        case 'START_AUTO_BET':
+            return { ...state, autoBet: { ...action.session, stopReason: getStopReason(action.session, state.wallet.balance) } };
+
+        case 'STOP_AUTO_BET':
+            return { ...state, autoBet: stopAutoBet(state.autoBet, action.reason) };
+
+        // Take back the most recent placement
+        case 'UNDO_BET': {
+            if (round.phase !== PHASES.BETTING || round.slip.length === 0) return state;
+            const last = round.slip[round.slip.length - 1];
+            const next = { bets: { ...round.bets }, sideBets: { ...round.sideBets } };
+            Object.keys(last).forEach(key => {
+                next[getBetBucket(key)][key] -= last[key];
+                if (isSideBetKey(key) && next.sideBets[key] === 0) delete next.sideBets[key];
+            });
+            return {
+                ...state,
+                wallet: cancelBets(state.wallet, last, round.nonce, action.timestamp),
+                round: { ...round, ...next, slip: round.slip.slice(0, -1) },
+            };
+        }
+
+        // Take every chip off the board
+        case 'CLEAR_BETS': {
+            if (round.phase !== PHASES.BETTING || getRoundTotal(round) === 0) return state;
+            return {
+                ...state,
+                wallet: cancelBets(state.wallet, { ...getPlacedBets(round.bets), ...round.sideBets }, round.nonce, action.timestamp),
+                round: { ...round, bets: createEmptyBets(config.pets), sideBets: {}, slip: [] },
+            };
+        }
+
+        // A top-up was sent to the payment provider; the wallet is credited once it's confirmed
+        case 'PAYMENT_CREATED': {
+            const { payment } = action;
+            if (findPaymentByKey(state.payments, payment.idempotencyKey) || checkTopUp(state, payment.amount, payment.createdAt)) return state;
+            return { ...state, payments: [...state.payments, payment].slice(-MAX_PAYMENTS) };
+        }
+
+        // Provider answer for a payment: confirmed credits the wallet, refunded debits it again
+        case 'PAYMENT_UPDATED': {
+            const payment = state.payments.find(p => p.id === action.paymentId);
+            if (!payment) return state;
+            const { status, timestamp } = action;
+            if (status !== payment.status && !canTransition(payment.status, status)) return state;
+            if (status === PAYMENT_STATUS.REFUNDED && state.wallet.balance < payment.amount) return state;
+
+            const meta = { reference: payment.upiId, paymentId: payment.id, timestamp };
+            let wallet = state.wallet;
+            if (status === PAYMENT_STATUS.CONFIRMED && payment.status !== status) {
+                wallet = applyTransaction(wallet, createTransaction(TRANSACTION_TYPES.TOPUP, payment.amount, meta));
+            } else if (status === PAYMENT_STATUS.REFUNDED && payment.status !== status) {
+                wallet = applyTransaction(wallet, createTransaction(TRANSACTION_TYPES.TOPUP_REFUND, -payment.amount, meta));
+            }
+            const updated = {
+                ...payment,
+                status,
+                providerRef: action.providerRef || payment.providerRef,
+                error: action.error || null,
+                updatedAt: timestamp,
+            };
+            return { ...state, wallet, payments: state.payments.map(p => (p.id === payment.id ? updated : p)) };
+        }
+
+        case 'SET_LIMITS':
+            return { ...state, safeguards: changeLimits(state.safeguards, action.limits, action.timestamp) };
+
+        case 'START_COOL_OFF':
+            return { ...state, safeguards: startCoolOff(state.safeguards, action.until) };
+
+        case 'REALITY_CHECK_SHOWN':
+            return { ...state, session: { ...state.session, lastRealityCheckAt: action.timestamp } };
+
+        // Dev console: set the balance outright, recorded as an adjustment in the ledger
+        case 'SET_BALANCE': {
+            const change = action.balance - state.wallet.balance;
+            if (change === 0) return state;
+            return { ...state, wallet: applyTransaction(state.wallet, createTransaction(TRANSACTION_TYPES.ADJUSTMENT, change, { timestamp: action.timestamp })) };
+        }
+
+        case 'SET_SETTINGS':
+            return { ...state, settings: { ...state.settings, ...action.settings } };
+
+        case 'SET_CLIENT_SEED':
+            return round.phase === PHASES.BETTING ? { ...state, clientSeed: action.clientSeed } : state;
+
+        // Bets close: the outcome is fixed by the committed server seed, the client seed and the nonce.
+        // At a shared table the host sends the client seed, combined from the players' (see combineClientSeeds).
+        case 'CLOSE_BETS': {
+            if (round.phase !== PHASES.BETTING) return state;
+            const clientSeed = action.clientSeed || state.clientSeed;
+            const { winner, multiplier, luckFactor, jackpotHit } = resolveRound({
+                pets: config.pets,
+                multiplierRules: config.multiplier,
+                jackpotRules: config.jackpot,
+                serverSeed: round.serverSeed,
+                clientSeed,
+                nonce: round.nonce,
+                forced: action.forced, // Dev console only
+            });
+            const placedBets = { ...getPlacedBets(round.bets), ...round.sideBets };
+            return {
+                ...state,
+                lastBets: Object.keys(placedBets).length > 0 ? placedBets : state.lastBets,
+                round: {
+                    ...round,
+                    phase: PHASES.RACING,
+                    clientSeed,
+                    clientSeeds: action.clientSeeds || null,
+                    outcome: { winnerId: winner.id, multiplier, luckFactor, jackpotHit, forced: Boolean(action.forced) },
+                },
+            };
+        }
+
+        // The multiplier is shown on its own before the winner
+        case 'REVEAL_MULTIPLIER':
+            return round.phase === PHASES.RACING ? { ...state, round: { ...round, phase: PHASES.MULTIPLIER } } : state;
+
+        case 'REVEAL':
+            return round.phase === PHASES.MULTIPLIER ? { ...state, round: { ...round, phase: PHASES.REVEALING } } : state;
+
+        // Pay out, record the round and reveal the server seed. At a shared table the host sends the player's
+        // share of the one jackpot (`jackpot`, see settleSharedJackpot), and marks a player who isn't at the
+        // table as `away`: a round they sat out there isn't recorded.
+        case 'SETTLE': {
+            if (round.phase !== PHASES.REVEALING) return state;
+            const winner = config.pets.find(pet => pet.id === round.outcome.winnerId);
+            const { multiplier, jackpotHit } = round.outcome;
+            const { payout, jackpotWin, jackpotPot } = settleRound({ bets: round.bets, sideBets: round.sideBets, pets: config.pets, winner, multiplier, jackpotHit, jackpotPot: state.jackpotPot, jackpotRules: config.jackpot, jackpot: action.jackpot });
+            const wallet = payout > 0
+                ? applyTransaction(state.wallet, createTransaction(TRANSACTION_TYPES.PAYOUT, payout, { roundNonce: round.nonce, petId: winner.id, jackpotWin, timestamp: action.timestamp }))
+                : state.wallet;
+            return {
+                ...state,
+                wallet,
+                jackpotPot,
+                rounds: action.away && getRoundTotal(round) === 0
+                    ? state.rounds
+                    : addRound(state.rounds, createRoundRecord({ nonce: round.nonce, bets: round.bets, sideBets: round.sideBets, winner, multiplier, payout, jackpotWin, timestamp: action.timestamp, auto: round.auto })),
+                autoBet: round.auto && isAutoBetActive(state.autoBet)
+                    ? recordAutoRound(state.autoBet, { won: payout > 0, balance: wallet.balance })
+                    : state.autoBet,
+                recentWins: [{ emoji: winner.emoji, nonce: round.nonce }, ...state.recentWins].slice(0, MAX_RECENT_WINS),
+                revealedRounds: [
+                    {
+                        nonce: round.nonce,
+                        serverSeed: round.serverSeed,
+                        serverSeedHash: round.serverSeedHash,
+                        clientSeed: round.clientSeed,
+                        ...(round.clientSeeds && { clientSeeds: round.clientSeeds }),
+                        pets: config.pets,
+                        multiplierRules: config.multiplier,
+                        jackpotRules: config.jackpot,
+                        winnerId: winner.id,
+                        multiplier,
+                        jackpotHit,
+                        forced: round.outcome.forced, // Set from the dev console, so it won't verify
+                        raceDurationMs: config.timings.raceDurationMs, // For replays on the race track
+                    },
+                    ...state.revealedRounds,
+                ].slice(0, MAX_REVEALED_ROUNDS),
+                round: { ...round, phase: PHASES.COOLDOWN, payout, jackpotWin },
+            };
+        }
+
+        // Open the next round, switching to a queued config now that no bets are open
+        case 'START_ROUND': {
+            const nextConfig = state.pendingConfig || config;
+            return {
+                ...state,
+                config: nextConfig,
+                pendingConfig: null,
+                jackpotPot: getStartingPot(state.jackpotPot, nextConfig.jackpot),
+                round: createRound(round.nonce + 1, action.serverSeed, nextConfig.pets),
+            };
+        }
+
+        // Queue an editor config for the next round and keep it across reloads
+        case 'QUEUE_CONFIG':
+            return { ...state, pendingConfig: action.config, customConfig: action.config };
+
+        // Replace the config before any bets exist (config file loaded at startup)
+        case 'SET_CONFIG':
+            if (getRoundTotal(round) > 0) return { ...state, pendingConfig: action.config };
+            return { ...state, config: action.config, jackpotPot: getStartingPot(state.jackpotPot, action.config.jackpot), round: { ...round, bets: createEmptyBets(action.config.pets) } };
+
+        default:
+            return state;
+    }
+};
@@ -0,0 +1,122 @@
+import { gameReducer, createInitialGameState, checkBets, getTotalBet } from './gameReducer';
+import { createWallet } from './ledger';
+import { DEFAULT_CONFIG } from './config';
+
+const limitedConfig = { ...DEFAULT_CONFIG, limits: { maxBetPerPet: 100, maxBetPerRound: 150 } };
+
+const newGame = (balance = 1000, config = limitedConfig) => createInitialGameState({
+    config,
+    wallet: createWallet(balance),
+    clientSeed: 'client',
+    serverSeed: 'server',
+});
+
+const place = (game, petId, amount) => gameReducer(game, { type: 'PLACE_BET', petId, amount, timestamp: 1 });
+
+test('bets over the balance or the limits are reported and refused', () => {
+    const game = place(newGame(), 1, 80);
+    expect(checkBets(game, { 2: 2000 })).toEqual({ reason: 'balance' });
+    expect(checkBets(game, { 1: 30 })).toEqual({ reason: 'petLimit', petId: 1, limit: 100 });
+    expect(checkBets(game, { 2: 80 })).toEqual({ reason: 'roundLimit', limit: 150 });
+    expect(checkBets(game, { 2: 70 })).toBeNull();
+    expect(place(game, 1, 30)).toBe(game);
+    expect(place(game, 2, 80)).toBe(game);
+});
+
+test('bets must be positive amounts on pets or side bets that exist', () => {
+    const game = newGame();
+    expect(checkBets(game, { 1: '5' })).toEqual({ reason: 'invalid' });
+    expect(checkBets(game, { 1: NaN })).toEqual({ reason: 'invalid' });
+    expect(checkBets(game, { 1: -5 })).toEqual({ reason: 'invalid' });
+    expect(checkBets(game, null)).toEqual({ reason: 'invalid' });
+    expect(checkBets(game, { 1: 0 })).toEqual({ reason: 'empty' });
+    expect(checkBets(game, { '01': 5 })).toEqual({ reason: 'empty' });
+    expect(checkBets(game, { 99: 5 })).toEqual({ reason: 'empty' });
+    expect(place(game, 1, '5')).toBe(game);
+    expect(gameReducer(game, { type: 'PLACE_BETS', bets: null, timestamp: 1 })).toBe(game);
+    expect(gameReducer(game, { type: 'PLACE_SIDE_BET', betKey: 'pair:1:99', amount: 5, timestamp: 1 })).toBe(game);
+});
+
+test('undo takes back the last placement and clear refunds everything', () => {
+    let game = place(place(newGame(), 1, 50), 2, 20);
+    game = gameReducer(game, { type: 'UNDO_BET', timestamp: 2 });
+    expect(game.round.bets[2]).toBe(0);
+    expect(game.wallet.balance).toBe(950);
+    expect(game.wallet.transactions[game.wallet.transactions.length - 1]).toMatchObject({ type: 'cancel', amount: 20, petId: 2 });
+
+    game = gameReducer(game, { type: 'CLEAR_BETS', timestamp: 3 });
+    expect(getTotalBet(game.round.bets)).toBe(0);
+    expect(game.round.slip).toEqual([]);
+    expect(game.wallet.balance).toBe(1000);
+});
+
+test('double and rebet place several pets as one undoable step', () => {
+    let game = place(place(newGame(), 1, 10), 3, 5);
+    game = gameReducer(game, { type: 'PLACE_BETS', bets: game.round.bets, timestamp: 2 });
+    expect(game.round.bets).toMatchObject({ 1: 20, 3: 10 });
+    expect(game.round.slip).toHaveLength(3);
+
+    game = gameReducer(game, { type: 'UNDO_BET', timestamp: 3 });
+    expect(game.round.bets).toMatchObject({ 1: 10, 3: 5 });
+
+    game = gameReducer(game, { type: 'CLOSE_BETS' });
+    expect(game.lastBets).toEqual({ 1: 10, 3: 5 });
+    ['REVEAL_MULTIPLIER', 'REVEAL'].forEach(type => { game = gameReducer(game, { type }); });
+    game = gameReducer(game, { type: 'SETTLE', timestamp: 4 });
+    game = gameReducer(game, { type: 'START_ROUND', serverSeed: 'next' });
+    game = gameReducer(game, { type: 'PLACE_BETS', bets: game.lastBets, timestamp: 5 });
+    expect(game.round.bets).toMatchObject({ 1: 10, 3: 5 });
+});
+
+test('a triggered jackpot is paid with the round and the pot restarts from its seed', () => {
+    const jackpot = { enabled: true, contribution: 0.01, seed: 1000, triggerChance: 1 };
+    const config = { ...limitedConfig, jackpot, multiplier: { ...limitedConfig.multiplier, table: [{ value: 2, weight: 1 }] } };
+    let game = newGame(1000, config);
+    expect(game.jackpotPot).toBe(1000);
+
+    config.pets.forEach(pet => { game = place(game, pet.id, 10); });
+    game = gameReducer(game, { type: 'CLOSE_BETS' });
+    expect(game.round.outcome).toMatchObject({ multiplier: 2, jackpotHit: true });
+
+    ['REVEAL_MULTIPLIER', 'REVEAL'].forEach(type => { game = gameReducer(game, { type }); });
+    game = gameReducer(game, { type: 'SETTLE', timestamp: 4 });
+    const winner = config.pets.find(pet => pet.id === game.round.outcome.winnerId);
+    const pot = 1000 + config.pets.length * 10 * 0.01;
+    expect(game.round).toMatchObject({ jackpotWin: pot, payout: 10 * winner.odds * 2 + pot });
+    expect(game.wallet.transactions[game.wallet.transactions.length - 1].jackpotWin).toBe(pot);
+    expect(game.jackpotPot).toBe(1000);
+    expect(game.revealedRounds[0]).toMatchObject({ jackpotHit: true, jackpotRules: jackpot });
+});
+
+test('side bets share the slip, the limits and the settlement with straight bets', () => {
+    let game = place(newGame(1000, { ...limitedConfig, limits: { maxBetPerPet: 100, maxBetPerRound: 1000 } }), 1, 10);
+    game = gameReducer(game, { type: 'PLACE_SIDE_BET', betKey: 'not:1', amount: 50, timestamp: 2 });
+    game = gameReducer(game, { type: 'PLACE_SIDE_BET', betKey: 'pair:1:2', amount: 20, timestamp: 3 });
+    expect(game.round.sideBets).toEqual({ 'not:1': 50, 'pair:1:2': 20 });
+    expect(game.wallet.balance).toBe(920);
+    expect(game.wallet.transactions[game.wallet.transactions.length - 1]).toMatchObject({ betKey: 'pair:1:2', amount: -20 });
+
+    expect(checkBets(game, { 'not:1': 60 })).toEqual({ reason: 'betLimit', betKey: 'not:1', limit: 100 });
+    expect(checkBets(game, { 'pair:1:99': 10 })).toEqual({ reason: 'empty' });
+
+    game = gameReducer(game, { type: 'UNDO_BET', timestamp: 4 });
+    expect(game.round.sideBets).toEqual({ 'not:1': 50 });
+    expect(game.wallet.balance).toBe(940);
+
+    game = gameReducer(game, { type: 'CLOSE_BETS' });
+    expect(game.lastBets).toEqual({ 1: 10, 'not:1': 50 });
+    ['REVEAL_MULTIPLIER', 'REVEAL'].forEach(type => { game = gameReducer(game, { type }); });
+    game = gameReducer(game, { type: 'SETTLE', timestamp: 5 });
+    const { winnerId, multiplier } = game.round.outcome;
+    const straight = winnerId === 1 ? 10 * 5 : 0;
+    const side = winnerId === 1 ? 0 : 50 * 1.2;
+    expect(game.round.payout).toBeCloseTo((straight + side) * multiplier, 6);
+    expect(game.rounds[0]).toMatchObject({ sideBets: { 'not:1': 50 }, totalBet: 60 });
+});
+
+test('clearing the board takes side bets back too', () => {
+    let game = gameReducer(place(newGame(), 1, 10), { type: 'PLACE_SIDE_BET', betKey: 'odds:5', amount: 30, timestamp: 2 });
+    game = gameReducer(game, { type: 'CLEAR_BETS', timestamp: 3 });
+    expect(game.round.sideBets).toEqual({});
+    expect(game.wallet.balance).toBe(1000);
+});
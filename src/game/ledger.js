@@ -0,0 +1,152 @@
+// Round history and balance ledger.
+// Every balance change goes through `applyTransaction`, so the wallet's transaction list always
+// reconciles with its balance: the running sum of `amount` equals `balanceAfter` on each entry.
+import { describeSideBet } from './betTypes.js';
+
+// Oldest records are dropped beyond these to keep localStorage small. A lobby player has a round history
+// in every room and one wallet, and the whole session is saved at each phase change.
+export const MAX_ROUNDS = 1000;
+export const MAX_TRANSACTIONS = 5000;
+
+export const TRANSACTION_TYPES = {
+    OPENING: 'opening', // Starting balance (new player or a save from before the ledger existed)
+    BET: 'bet', // Chip placed on a pet
+    CANCEL: 'cancel', // Chips taken back off the bet slip before bets closed
+    PAYOUT: 'payout', // Winnings credited after a race
+    TOPUP: 'topup', // Confirmed top-up payment from the Add Balance modal
+    TOPUP_REFUND: 'topup_refund', // Top-up payment returned to the payer
+    REFUND: 'refund', // Bets returned from a round that never ran
+    ADJUSTMENT: 'adjustment', // Balance set from the dev console
+};
+
+// Bet transactions and round records placed by auto-play carry `auto: true`
+
+let sequence = 0;
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${(sequence++).toString(36)}`;
+
+export const createTransaction = (type, amount, meta = {}) => ({
+    id: createId('tx'),
+    timestamp: Date.now(),
+    type,
+    amount,
+    ...meta,
+});
+
+export const createWallet = (balance) => applyTransaction(
+    { balance: 0, transactions: [] },
+    createTransaction(TRANSACTION_TYPES.OPENING, balance),
+);
+
+// Pure wallet update: returns the new wallet with the transaction recorded against the new balance
+export const applyTransaction = (wallet, transaction) => {
+    const balance = wallet.balance + transaction.amount;
+    return {
+        balance,
+        transactions: [...wallet.transactions, { ...transaction, balanceAfter: balance }].slice(-MAX_TRANSACTIONS),
+    };
+};
+
+// One record per finished round
+export const createRoundRecord = ({ nonce, bets, sideBets = {}, winner, multiplier, payout, jackpotWin = 0, timestamp = Date.now(), auto = false }) => {
+    const totalBet = [...Object.values(bets), ...Object.values(sideBets)].reduce((sum, amount) => sum + amount, 0);
+    const placedBets = Object.keys(bets).reduce((acc, petId) => {
+        if (bets[petId] > 0) acc[petId] = bets[petId];
+        return acc;
+    }, {});
+    return {
+        nonce,
+        timestamp,
+        bets: placedBets,
+        sideBets, // Group, pair and "not this pet" bets by bet key
+        totalBet,
+        winnerId: winner.id,
+        winnerName: winner.name,
+        winnerEmoji: winner.emoji,
+        winnerOdds: winner.odds, // What a straight bet on the winner paid before the multiplier
+        multiplier,
+        payout, // Including any jackpot
+        jackpotWin,
+        net: payout - totalBet,
+        auto,
+    };
+};
+
+export const addRound = (rounds, record) => [...rounds, record].slice(-MAX_ROUNDS);
+
+// 'win' = got a payout, 'loss' = bet but got nothing back, 'nobet' = sat the round out
+export const getRoundResult = (round) => {
+    if (round.totalBet === 0) return 'nobet';
+    return round.payout > 0 ? 'win' : 'loss';
+};
+
+// Whether a round had chips on the pet: a straight bet, or a side bet whose set includes it on this roster
+const backedPet = (round, petId, pets) => Boolean(round.bets[petId]) || Object.keys(round.sideBets || {}).some(key => {
+    const bet = describeSideBet(key, pets);
+    return bet !== null && bet.petIds.includes(petId);
+});
+
+// Filters: from / to (timestamps, inclusive), petId (bet on or won), result ('all', 'win', 'loss', 'nobet'),
+// mode ('all', 'manual', 'auto'). `pets` is the roster used to tell which pets a side bet covered.
+export const filterRounds = (rounds, { from, to, petId, result = 'all', mode = 'all' } = {}, pets = []) => rounds.filter(round => {
+    if (from !== undefined && round.timestamp < from) return false;
+    if (to !== undefined && round.timestamp > to) return false;
+    if (petId !== undefined && round.winnerId !== petId && !backedPet(round, petId, pets)) return false;
+    if (result !== 'all' && getRoundResult(round) !== result) return false;
+    if (mode !== 'all' && (round.auto ? 'auto' : 'manual') !== mode) return false;
+    return true;
+});
+
+export const filterTransactions = (transactions, { from, to, petId } = {}) => transactions.filter(tx => {
+    if (from !== undefined && tx.timestamp < from) return false;
+    if (to !== undefined && tx.timestamp > to) return false;
+    if (petId !== undefined && tx.petId !== petId) return false;
+    return true;
+});
+
+// --- Export ---
+
+const csvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (header, rows) => [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+
+// Side bets go in one column as JSON of bet key to amount (see betTypes.js for the keys)
+const sideBetsCell = (sideBets = {}) => (Object.keys(sideBets).length > 0 ? JSON.stringify(sideBets) : '');
+
+export const roundsToCSV = (rounds, pets) => toCSV(
+    ['round', 'timestamp', ...pets.map(pet => `bet_${pet.name}`), 'side_bets', 'total_bet', 'winner', 'multiplier', 'payout', 'jackpot_win', 'net', 'mode'],
+    rounds.map(round => [
+        round.nonce,
+        new Date(round.timestamp).toISOString(),
+        ...pets.map(pet => round.bets[pet.id] || 0),
+        sideBetsCell(round.sideBets),
+        round.totalBet,
+        round.winnerName,
+        round.multiplier,
+        round.payout,
+        round.jackpotWin || 0,
+        round.net,
+        round.auto ? 'auto' : 'manual',
+    ]),
+);
+
+export const transactionsToCSV = (transactions) => toCSV(
+    ['id', 'timestamp', 'type', 'amount', 'balance_after', 'round', 'pet_id', 'bet', 'reference', 'payment_id', 'auto'],
+    transactions.map(tx => [
+        tx.id,
+        new Date(tx.timestamp).toISOString(),
+        tx.type,
+        tx.amount,
+        tx.balanceAfter,
+        tx.roundNonce,
+        tx.petId,
+        tx.betKey,
+        tx.reference,
+        tx.paymentId,
+        tx.auto ? 'yes' : '',
+    ]),
+);
+
+export const toJSON = (data) => JSON.stringify(data, null, 2);
@@ -0,0 +1,63 @@
+import {
+    createWallet,
+    createTransaction,
+    applyTransaction,
+    createRoundRecord,
+    filterRounds,
+    roundsToCSV,
+    transactionsToCSV,
+} from './ledger';
+
+const pets = [
+    { id: 1, name: 'Rabbit', odds: 5.0, emoji: '🐰' },
+    { id: 2, name: 'Lion', odds: 45.0, emoji: '🦁' },
+];
+
+test('transactions reconcile with the wallet balance', () => {
+    let wallet = createWallet(100);
+    wallet = applyTransaction(wallet, createTransaction('bet', -50, { roundNonce: 1, petId: 1 }));
+    wallet = applyTransaction(wallet, createTransaction('payout', 250, { roundNonce: 1, petId: 1 }));
+
+    expect(wallet.balance).toBe(300);
+    expect(wallet.transactions.map(tx => tx.balanceAfter)).toEqual([100, 50, 300]);
+    expect(wallet.transactions.reduce((sum, tx) => sum + tx.amount, 0)).toBe(wallet.balance);
+});
+
+test('round records and filters', () => {
+    const rounds = [
+        createRoundRecord({ nonce: 1, bets: { 1: 10, 2: 0 }, winner: pets[0], multiplier: 1, payout: 50, timestamp: 1000 }),
+        createRoundRecord({ nonce: 2, bets: { 1: 10 }, winner: pets[1], multiplier: 4, payout: 0, timestamp: 2000 }),
+        createRoundRecord({ nonce: 3, bets: {}, winner: pets[1], multiplier: 1, payout: 0, timestamp: 3000 }),
+    ];
+
+    expect(rounds[0]).toMatchObject({ bets: { 1: 10 }, totalBet: 10, net: 40, winnerName: 'Rabbit' });
+    expect(filterRounds(rounds, { result: 'win' }).map(r => r.nonce)).toEqual([1]);
+    expect(filterRounds(rounds, { result: 'loss' }).map(r => r.nonce)).toEqual([2]);
+    expect(filterRounds(rounds, { petId: 2 }).map(r => r.nonce)).toEqual([2, 3]);
+    expect(filterRounds(rounds, { from: 1500, to: 2500 }).map(r => r.nonce)).toEqual([2]);
+});
+
+test('the pet filter matches side bets that cover the pet', () => {
+    const roster = [...pets, { id: 3, name: 'Eagle', odds: 10.0, emoji: '🦅' }];
+    const rounds = [
+        createRoundRecord({ nonce: 1, bets: {}, sideBets: { 'pair:2:3': 10 }, winner: roster[0], multiplier: 1, payout: 0 }),
+        createRoundRecord({ nonce: 2, bets: {}, sideBets: { 'not:3': 10 }, winner: roster[0], multiplier: 1, payout: 12 }),
+        createRoundRecord({ nonce: 3, bets: { 1: 10 }, winner: roster[0], multiplier: 1, payout: 50 }),
+    ];
+
+    expect(filterRounds(rounds, { petId: 3 }, roster).map(r => r.nonce)).toEqual([1]);
+    expect(filterRounds(rounds, { petId: 2 }, roster).map(r => r.nonce)).toEqual([1, 2]);
+});
+
+test('CSV export has one column per pet and escapes text', () => {
+    const round = createRoundRecord({ nonce: 1, bets: { 2: 5 }, winner: pets[1], multiplier: 4, payout: 900, timestamp: 0 });
+    const [header, row] = roundsToCSV([round], pets).split('\n');
+    expect(header).toBe('round,timestamp,bet_Rabbit,bet_Lion,side_bets,total_bet,winner,multiplier,payout,jackpot_win,net,mode');
+    expect(row).toBe('1,1970-01-01T00:00:00.000Z,0,5,,5,Lion,4,900,0,895,manual');
+
+    const sideRound = createRoundRecord({ nonce: 2, bets: {}, sideBets: { 'pair:1:2': 10 }, winner: pets[1], multiplier: 1, payout: 60, jackpotWin: 20, timestamp: 0 });
+    expect(roundsToCSV([sideRound], pets).split('\n')[1]).toBe('2,1970-01-01T00:00:00.000Z,0,0,"{""pair:1:2"":10}",10,Lion,1,60,20,50,manual');
+
+    const wallet = applyTransaction(createWallet(0), createTransaction('topup', 100, { reference: 'me,"you"@bank' }));
+    expect(transactionsToCSV(wallet.transactions).split('\n')[2]).toContain('"me,""you""@bank"');
+});
@@ -0,0 +1,139 @@
+// Game lobby: a game host (gameHost.js) per room, each with its own config and round loop, and one account
+// per player shared between them, so the wallet, limits and settings follow the player from room to room
+// (see rooms.js). Each player also has one wallet service, and with it one payment provider, for every room. The WebSocket server runs one lobby for everyone; offline, the app runs one in-process.
+//
+// A connection plays in one room at a time: hello seats it in a room and join moves it. Everything else
+// goes to that room's host as it is. Every connection also gets a lobby message whenever any room changes
+// phase, so the lobby's countdowns and last winners stay current.
+import { createGameHost } from './gameHost.js';
+import { CLIENT_MESSAGES, HOST_MESSAGES, isWellFormedMessage } from './protocol.js';
+import { getSwitchBlocker } from './gameReducer.js';
+import { ROOMS, DEFAULT_ROOM_ID, createAccounts } from './rooms.js';
+
+// `rooms` is [{ id, config }]; the other options are passed to every room's host
+export const createLobby = ({ rooms = ROOMS, defaultRoomId = DEFAULT_ROOM_ID, clock = Date.now, ...hostOptions } = {}) => {
+    const accounts = createAccounts();
+    const wallets = new Map(); // playerId → wallet service, one per player for every room
+    const lobbyConnections = new Set(); // send functions
+    const lastRooms = new Map(); // playerId → the room they were last in
+    const notices = []; // Banner messages waiting for someone to connect
+
+    const getLobbyMessage = () => ({
+        type: HOST_MESSAGES.LOBBY,
+        serverNow: clock(),
+        rooms: [...hosts.entries()].map(([id, host]) => ({ id, ...host.getSummary() })),
+    });
+    const broadcastLobby = () => {
+        const message = getLobbyMessage();
+        lobbyConnections.forEach(send => send(message));
+    };
+
+    const hosts = new Map(rooms.map(room => [room.id, createGameHost({
+        ...hostOptions,
+        config: room.config,
+        clock,
+        roomId: room.id,
+        accounts,
+        wallets,
+        onTransition: broadcastLobby,
+    })]));
+
+    const connect = (send) => {
+        let hello = null; // The hello message, sent again to each room's host
+        let roomId = null;
+        let end = null; // Connection to the current room's host
+
+        const enter = (nextRoomId) => {
+            if (end) end.disconnect();
+            roomId = nextRoomId;
+            lastRooms.set(hello.playerId, roomId);
+            end = hosts.get(roomId).connect(send);
+            end.receive(hello);
+        };
+
+        const receive = (message) => {
+            if (!isWellFormedMessage(message)) {
+                send({ type: HOST_MESSAGES.REJECTED, problem: { reason: 'invalid' } });
+                return;
+            }
+            if (message.type === CLIENT_MESSAGES.HELLO) {
+                const { roomId: requestedRoomId, ...rest } = message;
+                hello = rest;
+                lobbyConnections.add(send);
+                send(getLobbyMessage());
+                enter(hosts.has(requestedRoomId) ? requestedRoomId : lastRooms.get(hello.playerId) || defaultRoomId);
+                broadcastLobby(); // The player count changed
+                notices.splice(0).forEach(notice => send({ type: HOST_MESSAGES.NOTICE, notice }));
+                return;
+            }
+            if (!end) return; // Nothing but hello before the welcome
+
+            if (message.type === CLIENT_MESSAGES.JOIN) {
+                const reply = (result) => send({ type: HOST_MESSAGES.REPLY, requestId: message.requestId, result });
+                if (!hosts.has(message.roomId)) {
+                    reply({ error: 'unknownRoom' });
+                    return;
+                }
+                const blocker = message.roomId !== roomId && getSwitchBlocker(hosts.get(roomId).getPlayerState(hello.playerId));
+                if (blocker) {
+                    reply({ error: blocker });
+                    return;
+                }
+                if (message.roomId !== roomId) {
+                    enter(message.roomId);
+                    broadcastLobby();
+                }
+                reply({});
+            } else {
+                end.receive(message);
+            }
+        };
+
+        const disconnect = () => {
+            lobbyConnections.delete(send);
+            if (!end) return;
+            end.disconnect();
+            broadcastLobby();
+        };
+
+        return { receive, disconnect };
+    };
+
+    return {
+        connect,
+        tick: () => hosts.forEach(host => host.tick()),
+        start: () => {
+            hosts.forEach(host => host.start());
+            broadcastLobby();
+        },
+
+        // Seat a player in every room with their saved states ({ roomId: state }, all with the same account),
+        // starting in `roomId`
+        addPlayer: (playerId, states, roomId = defaultRoomId) => {
+            [...hosts.keys()].forEach((id, index) => {
+                hosts.get(id).addPlayer(playerId, states[id], { resumePending: index === 0 });
+            });
+            lastRooms.set(playerId, hosts.has(roomId) ? roomId : defaultRoomId);
+        },
+
+        // A player's state in every room they've been in, and the room they're in now
+        getPlayerStates: (playerId) => ({
+            roomId: lastRooms.get(playerId) || null,
+            rooms: [...hosts.keys()].reduce((acc, id) => {
+                const state = hosts.get(id).getPlayerState(playerId);
+                return state ? { ...acc, [id]: state } : acc;
+            }, {}),
+        }),
+
+        // Replace a room's config before the first round (a config file that finished loading)
+        setConfig: (roomId, config) => hosts.get(roomId).setConfig(config),
+
+        // Banner message for everyone connected, kept for the next connection if there's nobody yet
+        notify: (notice) => {
+            if (lobbyConnections.size > 0) lobbyConnections.forEach(send => send({ type: HOST_MESSAGES.NOTICE, notice }));
+            else notices.push(notice);
+        },
+
+        getHost: (roomId) => hosts.get(roomId),
+    };
+};
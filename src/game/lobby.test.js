@@ -0,0 +1,113 @@
+import { createTestLobby } from './testTable';
+import { ROOMS, DEFAULT_ROOM_ID } from './rooms';
+import { HOST_MESSAGES, CLIENT_MESSAGES } from './protocol';
+import { PHASES, getPhaseDurations } from './roundMachine';
+import { validateConfig, DEFAULT_CONFIG } from './config';
+import { PAYMENT_STATUS } from './payments';
+
+const turboDurations = getPhaseDurations(ROOMS.find(room => room.id === 'turbo').config.timings);
+const start = DEFAULT_CONFIG.startingBalance;
+
+// Run the turbo room's round from betting to cooldown
+const playTurboRound = (advance) => {
+    [PHASES.BETTING, PHASES.RACING, PHASES.MULTIPLIER, PHASES.REVEALING].forEach(phase => advance(turboDurations[phase]));
+};
+
+test('the rooms are valid configs with their own formats', () => {
+    ROOMS.forEach(room => expect(validateConfig(room.config).errors).toEqual([]));
+    const [classic, turbo, highRoller] = ROOMS.map(room => room.config);
+    expect(classic).toBe(DEFAULT_CONFIG);
+    expect(turbo.timings.bettingSeconds).toBe(10);
+    expect(Math.min(...highRoller.betValues)).toBeGreaterThan(Math.min(...classic.betValues));
+    expect(highRoller.multiplier.value).toBeGreaterThan(classic.multiplier.value);
+    expect(highRoller.multiplier.baseChance).toBeLessThan(classic.multiplier.baseChance);
+});
+
+test('each room runs its own round loop, and the lobby shows them all', () => {
+    const { advance, join } = createTestLobby();
+    const alice = join('alice');
+    expect(alice.room().roomId).toBe(DEFAULT_ROOM_ID);
+    expect(alice.lobbyRoom('turbo')).toMatchObject({ name: 'Turbo', bettingSeconds: 10, players: 0 });
+    expect(alice.lobbyRoom(DEFAULT_ROOM_ID).players).toBe(1);
+
+    playTurboRound(advance);
+    expect(alice.lobbyRoom('turbo').machine.phase).toBe(PHASES.COOLDOWN);
+    expect(alice.lobbyRoom(DEFAULT_ROOM_ID).machine.phase).toBe(PHASES.BETTING);
+    // Nobody was at the turbo table, but its winner is still shown
+    expect(alice.lobbyRoom('turbo').winners).toHaveLength(1);
+    expect(alice.lobbyRoom(DEFAULT_ROOM_ID).winners).toEqual([]);
+    expect(alice.game().round.phase).toBe(PHASES.BETTING); // Alice's own table carries on
+});
+
+test('players move between rooms only between rounds, and keep one wallet', () => {
+    const { lobby, advance, join } = createTestLobby();
+    const alice = join('alice', 'turbo');
+    alice.bet(1, 20);
+    expect(alice.moveTo(DEFAULT_ROOM_ID)).toEqual({ error: 'bets' });
+    advance(turboDurations[PHASES.BETTING]);
+    expect(alice.moveTo(DEFAULT_ROOM_ID)).toEqual({ error: 'round' });
+    advance(turboDurations[PHASES.RACING] + turboDurations[PHASES.MULTIPLIER] + turboDurations[PHASES.REVEALING]);
+    const balance = alice.game().wallet.balance;
+    expect(alice.moveTo('nowhere')).toEqual({ error: 'unknownRoom' });
+
+    expect(alice.moveTo(DEFAULT_ROOM_ID)).toEqual({});
+    expect(alice.room().roomId).toBe(DEFAULT_ROOM_ID);
+    expect(alice.game().wallet.balance).toBe(balance);
+    expect(alice.game().rounds).toEqual([]); // History stays with each room
+    alice.bet(2, 10);
+    expect(lobby.getHost('turbo').getPlayerState('alice').wallet.balance).toBe(balance - 10);
+    expect(lobby.getPlayerStates('alice').roomId).toBe(DEFAULT_ROOM_ID);
+});
+
+test('a balance change in one room reaches the player\'s connection in another', () => {
+    const { join } = createTestLobby();
+    const inClassic = join('alice', DEFAULT_ROOM_ID);
+    const inTurbo = join('alice', 'turbo');
+    inClassic.bet(1, 30);
+    expect(inTurbo.game().wallet.balance).toBe(start - 30);
+    expect(inTurbo.game().round.bets[1]).toBe(0);
+});
+
+// Send a request the host answers once a payment settles (a top-up or refund) and wait for its reply
+const requestPayment = async (seat, message) => {
+    const requestId = `${message.type}-${seat.messages.length}`;
+    seat.send({ ...message, requestId });
+    for (let i = 0; i < 50; i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const reply = seat.messages.find(sent => sent.type === HOST_MESSAGES.REPLY && sent.requestId === requestId);
+        if (reply) return reply.result;
+    }
+    throw new Error(`No reply to ${message.type}`);
+};
+
+test('a top-up made in one room can be refunded from another', async () => {
+    const { join } = createTestLobby();
+    const inClassic = join('alice', DEFAULT_ROOM_ID);
+    const inTurbo = join('alice', 'turbo');
+    const { payment } = await requestPayment(inClassic, { type: CLIENT_MESSAGES.TOP_UP, amount: 100, upiId: 'alice@bank', idempotencyKey: 'k1' });
+    expect(inTurbo.game().wallet.balance).toBe(start + 100);
+
+    const refunded = await requestPayment(inTurbo, { type: CLIENT_MESSAGES.REFUND, paymentId: payment.id });
+    expect(refunded.payment.status).toBe(PAYMENT_STATUS.REFUNDED);
+    expect(inClassic.game().wallet.balance).toBe(start);
+});
+
+test('rounds a player sits out in a room they aren\'t in are not recorded there', () => {
+    const { lobby, advance, join } = createTestLobby();
+    const alice = join('alice', 'turbo');
+    playTurboRound(advance);
+    expect(alice.game().rounds).toHaveLength(1); // Sat out at the table they're at: still in their history
+    expect(alice.moveTo(DEFAULT_ROOM_ID)).toEqual({});
+    advance(turboDurations[PHASES.COOLDOWN]);
+    playTurboRound(advance);
+    expect(lobby.getHost('turbo').getPlayerState('alice').rounds).toHaveLength(1);
+});
+
+test('the high-roller room refuses bets under its minimum', () => {
+    const { join } = createTestLobby();
+    const alice = join('alice', 'highRoller');
+    alice.bet(1, 10);
+    expect(alice.last(HOST_MESSAGES.REJECTED).problem).toEqual({ reason: 'minBet', limit: 50 });
+    alice.bet(1, 50);
+    expect(alice.game().wallet.balance).toBe(start - 50);
+});
@@ -0,0 +1,73 @@
+// Payment providers. The wallet service talks to any object with this shape:
+//
+//   name: string
+//   requestPayment({ paymentId, amount, upiId, idempotencyKey }) → Promise<{ status, providerRef, error? }>
+//   getPaymentStatus(paymentId) → Promise<{ status, providerRef, error? }>
+//   refund({ paymentId, amount, idempotencyKey }) → Promise<{ status, error? }>
+//
+// `status` is one of PAYMENT_STATUS. A request may answer 'pending' (confirmation comes later and is
+// picked up through getPaymentStatus) or never answer at all; the service handles both with timeouts.
+import { PAYMENT_STATUS } from './payments.js';
+
+// The mock provider decides from the UPI handle (the part after '@') how a payment goes
+export const MOCK_UPI_HANDLES = {
+    decline: 'Bank declines the payment',
+    timeout: 'Bank never answers',
+    slow: 'Pending at first, confirmed a few seconds later',
+    norefund: 'Payment succeeds, refunds are rejected',
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Local stand-in for a UPI gateway, so every success and error path can be exercised offline
+export const createMockPaymentProvider = ({ latencyMs = 1500, confirmDelayMs = 5000, now = Date.now } = {}) => {
+    const records = new Map(); // paymentId → { status, providerRef, handle, confirmAt, error }
+    let nextRef = 1;
+
+    const toResponse = (record) => ({ status: record.status, providerRef: record.providerRef, ...(record.error && { error: record.error }) });
+
+    return {
+        name: 'Mock UPI',
+
+        requestPayment: async ({ paymentId, upiId }) => {
+            const existing = records.get(paymentId);
+            if (existing) return toResponse(existing); // Same payment asked for twice: same answer, no second charge
+
+            const handle = upiId.split('@')[1].toLowerCase();
+            const record = { status: PAYMENT_STATUS.PENDING, providerRef: `MOCK${String(nextRef++).padStart(6, '0')}`, handle, confirmAt: null, error: null };
+            records.set(paymentId, record);
+
+            if (handle === 'timeout') return new Promise(() => {}); // Never answers
+            await delay(latencyMs);
+            if (handle === 'decline') {
+                record.status = PAYMENT_STATUS.FAILED;
+                record.error = 'Declined by the bank';
+            } else if (handle === 'slow') {
+                record.confirmAt = now() + confirmDelayMs;
+            } else {
+                record.status = PAYMENT_STATUS.CONFIRMED;
+            }
+            return toResponse(record);
+        },
+
+        getPaymentStatus: async (paymentId) => {
+            await delay(latencyMs / 4);
+            const record = records.get(paymentId);
+            if (!record) return { status: PAYMENT_STATUS.FAILED, providerRef: null, error: 'Unknown payment' };
+            if (record.status === PAYMENT_STATUS.PENDING && record.confirmAt !== null && now() >= record.confirmAt) {
+                record.status = PAYMENT_STATUS.CONFIRMED;
+            }
+            return toResponse(record);
+        },
+
+        refund: async ({ paymentId }) => {
+            await delay(latencyMs);
+            const record = records.get(paymentId);
+            if (record && record.status === PAYMENT_STATUS.REFUNDED) return { status: PAYMENT_STATUS.REFUNDED };
+            if (!record || record.status !== PAYMENT_STATUS.CONFIRMED) return { status: PAYMENT_STATUS.FAILED, error: 'Payment not found' };
+            if (record.handle === 'norefund') return { status: PAYMENT_STATUS.FAILED, error: 'Refund rejected by the bank' };
+            record.status = PAYMENT_STATUS.REFUNDED;
+            return { status: PAYMENT_STATUS.REFUNDED };
+        },
+    };
+};
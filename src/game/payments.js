@@ -0,0 +1,60 @@
+// Top-up payments and their lifecycle:
+//
+//   pending → confirmed → refunded
+//          ↘ failed
+//
+// Only a confirmed payment credits the wallet (a TOPUP transaction); refunding it debits the same
+// amount (TOPUP_REFUND). Each payment carries an idempotency key, so a repeated request (a double
+// click, a retry after a timeout) finds the existing payment instead of charging twice.
+
+export const PAYMENT_STATUS = {
+    PENDING: 'pending', // Sent to the provider, waiting for the bank
+    CONFIRMED: 'confirmed', // Money received and credited
+    FAILED: 'failed', // Declined, timed out or rejected; nothing was credited
+    REFUNDED: 'refunded', // Confirmed earlier, then returned to the payer
+};
+
+const TRANSITIONS = {
+    [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.CONFIRMED, PAYMENT_STATUS.FAILED],
+    [PAYMENT_STATUS.CONFIRMED]: [PAYMENT_STATUS.REFUNDED],
+    [PAYMENT_STATUS.FAILED]: [],
+    [PAYMENT_STATUS.REFUNDED]: [],
+};
+
+export const MAX_PAYMENTS = 200; // Oldest payments are dropped beyond this
+
+export const canTransition = (from, to) => TRANSITIONS[from].includes(to);
+
+// UPI virtual payment address: a handle of letters, digits, dots, hyphens or underscores, '@', then a provider name
+export const UPI_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,255}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+// Why a UPI ID is unusable ('upiMissing' | 'upiInvalid'), or null if it looks valid
+export const validateUpiId = (value) => {
+    const upiId = typeof value === 'string' ? value.trim() : '';
+    if (!upiId) return 'upiMissing';
+    if (!UPI_ID_PATTERN.test(upiId)) return 'upiInvalid';
+    return null;
+};
+
+let sequence = 0;
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${(sequence++).toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createIdempotencyKey = () => createId('idem');
+
+export const createPayment = ({ amount, upiId, idempotencyKey, timestamp = Date.now() }) => ({
+    id: createId('pay'),
+    idempotencyKey,
+    amount,
+    upiId: upiId.trim(),
+    status: PAYMENT_STATUS.PENDING,
+    providerRef: null, // Provider's own reference once it has answered
+    error: null, // Why the payment failed
+    createdAt: timestamp,
+    updatedAt: timestamp,
+});
+
+export const findPaymentByKey = (payments, idempotencyKey) => payments.find(payment => payment.idempotencyKey === idempotencyKey) || null;
+
+export const getPendingTotal = (payments) => payments
+    .filter(payment => payment.status === PAYMENT_STATUS.PENDING)
+    .reduce((sum, payment) => sum + payment.amount, 0);
@@ -0,0 +1,54 @@
+// Settling a round: the winning pet's stake × odds × multiplier, the same for every side bet (group, pair,
+// "not this pet") that covers the winner, plus the progressive jackpot.
+// The reducer and restored sessions both settle through here, so a round pays the same however it ends.
+//
+// With the jackpot enabled, a share of every round's total bet goes into the pot. When the round's seeds
+// trigger it (see resolveOutcome) and the player bet straight on the winner, the whole pot is added to the payout
+// and the pot starts again from its seed. A trigger with no bet on the winner leaves the pot growing.
+// At a table several players share (gameHost.js) there is one pot for all of them: settleSharedJackpot works
+// out each player's share, which settleRound then takes as it is.
+
+import { describeSideBet } from './betTypes.js';
+
+export const getJackpotContribution = (totalBet, jackpotRules) => (
+    jackpotRules && jackpotRules.enabled ? totalBet * jackpotRules.contribution : 0
+);
+
+// A config's jackpot starts from at least its seed (the pot carries over between configs that have one)
+export const getStartingPot = (pot, jackpotRules) => (jackpotRules.enabled ? Math.max(pot, jackpotRules.seed) : pot);
+
+// The shared pot after a round. `stakes` is [{ totalBet, winnerBet }], one per player, where winnerBet is the
+// straight bet on the winner. Everyone's bets feed the pot; when the jackpot triggers, the players who backed
+// the winner split it in proportion to those bets. Returns { wins (one per stake, in order), jackpotPot }.
+export const settleSharedJackpot = ({ stakes, jackpotHit = false, jackpotPot = 0, jackpotRules = null }) => {
+    const pot = stakes.reduce((sum, stake) => sum + getJackpotContribution(stake.totalBet, jackpotRules), jackpotPot);
+    const backed = stakes.reduce((sum, stake) => sum + stake.winnerBet, 0);
+    if (!jackpotHit || backed === 0) return { wins: stakes.map(() => 0), jackpotPot: pot };
+    return { wins: stakes.map(stake => (pot * stake.winnerBet) / backed), jackpotPot: jackpotRules.seed };
+};
+
+// Winnings (before the multiplier) from side bets ({ betKey: amount }) whose set includes the winner
+export const getSideBetWinnings = (sideBets, pets, winnerId) => Object.keys(sideBets).reduce((sum, key) => {
+    const bet = describeSideBet(key, pets);
+    return bet && bet.petIds.includes(winnerId) ? sum + sideBets[key] * bet.odds : sum;
+}, 0);
+
+// Returns { winnings, sideWinnings, jackpotWin, payout, jackpotPot } where winnings include the side bets'
+// and jackpotPot is the pot after this round. `jackpot` ({ win, pot }) is the player's share of a shared pot
+// and the pot after it, in place of this player's own.
+export const settleRound = ({ bets, sideBets = {}, pets = [], winner, multiplier, jackpotHit = false, jackpotPot = 0, jackpotRules = null, jackpot = null }) => {
+    const totalBet = [...Object.values(bets), ...Object.values(sideBets)].reduce((sum, amount) => sum + amount, 0);
+    const straightWinnings = (bets[winner.id] || 0) * winner.odds * multiplier;
+    const sideWinnings = getSideBetWinnings(sideBets, pets, winner.id) * multiplier;
+    const pot = jackpotPot + getJackpotContribution(totalBet, jackpotRules);
+    const ownWin = jackpotHit && straightWinnings > 0 ? pot : 0;
+    const jackpotWin = jackpot ? jackpot.win : ownWin;
+    const winnings = straightWinnings + sideWinnings;
+    return {
+        winnings,
+        sideWinnings,
+        jackpotWin,
+        payout: winnings + jackpotWin,
+        jackpotPot: jackpot ? jackpot.pot : (ownWin > 0 ? jackpotRules.seed : pot),
+    };
+};
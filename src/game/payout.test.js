@@ -0,0 +1,50 @@
+import { settleRound, getJackpotContribution, settleSharedJackpot } from './payout';
+import { DEFAULT_CONFIG } from './config';
+
+const winner = { id: 1, odds: 5 };
+const jackpotRules = { enabled: true, contribution: 0.01, seed: 1000, triggerChance: 0.002 };
+
+test('a win pays stake x odds x multiplier', () => {
+    expect(settleRound({ bets: { 1: 10, 2: 5 }, winner, multiplier: 4 })).toEqual({ winnings: 200, sideWinnings: 0, jackpotWin: 0, payout: 200, jackpotPot: 0 });
+    expect(settleRound({ bets: { 2: 5 }, winner, multiplier: 4 }).payout).toBe(0);
+});
+
+test('every round feeds the pot while the jackpot is enabled', () => {
+    expect(getJackpotContribution(500, jackpotRules)).toBe(5);
+    expect(getJackpotContribution(500, { ...jackpotRules, enabled: false })).toBe(0);
+    expect(settleRound({ bets: { 2: 500 }, winner, multiplier: 1, jackpotPot: 1000, jackpotRules }).jackpotPot).toBe(1005);
+});
+
+test('a triggered jackpot pays the whole pot to a winning bet and resets to the seed', () => {
+    const settled = settleRound({ bets: { 1: 100 }, winner, multiplier: 2, jackpotHit: true, jackpotPot: 2500, jackpotRules });
+    expect(settled).toEqual({ winnings: 1000, sideWinnings: 0, jackpotWin: 2501, payout: 3501, jackpotPot: 1000 });
+});
+
+test('a triggered jackpot with no bet on the winner keeps growing', () => {
+    const settled = settleRound({ bets: { 2: 100 }, winner, multiplier: 1, jackpotHit: true, jackpotPot: 2500, jackpotRules });
+    expect(settled).toEqual({ winnings: 0, sideWinnings: 0, jackpotWin: 0, payout: 0, jackpotPot: 2501 });
+});
+
+test('side bets covering the winner pay at their own odds with the multiplier', () => {
+    const { pets } = DEFAULT_CONFIG;
+    const lion = pets.find(pet => pet.id === 8);
+    const sideBets = { 'odds:5': 10, 'pair:1:8': 10, 'not:1': 10, 'habitat:land': 10 };
+    const settled = settleRound({ bets: { 8: 1 }, sideBets, pets, winner: lion, multiplier: 2 });
+    expect(settled.sideWinnings).toBeCloseTo((10 * 4.5 + 10 * 1.2 + 10 * 1.12) * 2, 6);
+    expect(settled.payout).toBeCloseTo(1 * 45 * 2 + settled.sideWinnings, 6);
+});
+
+test('side bets count towards the jackpot but only a straight bet on the winner takes it', () => {
+    const { pets } = DEFAULT_CONFIG;
+    const settled = settleRound({ bets: {}, sideBets: { 'pair:1:2': 100 }, pets, winner: pets[0], multiplier: 1, jackpotHit: true, jackpotPot: 1000, jackpotRules });
+    expect(settled).toMatchObject({ jackpotWin: 0, jackpotPot: 1001 });
+    expect(settled.payout).toBeCloseTo(100 * 2.5, 6);
+});
+
+test('a shared pot takes every player\'s contribution and is split by stake on the winner', () => {
+    const stakes = [{ totalBet: 300, winnerBet: 30 }, { totalBet: 100, winnerBet: 10 }, { totalBet: 100, winnerBet: 0 }];
+    expect(settleSharedJackpot({ stakes, jackpotPot: 1000, jackpotRules })).toEqual({ wins: [0, 0, 0], jackpotPot: 1005 });
+    expect(settleSharedJackpot({ stakes, jackpotHit: true, jackpotPot: 1000, jackpotRules })).toEqual({ wins: [753.75, 251.25, 0], jackpotPot: 1000 });
+    const settled = settleRound({ bets: { 1: 30 }, winner, multiplier: 1, jackpotHit: true, jackpotPot: 1000, jackpotRules, jackpot: { win: 753.75, pot: 1000 } });
+    expect(settled).toMatchObject({ jackpotWin: 753.75, payout: 903.75, jackpotPot: 1000 });
+});
@@ -0,0 +1,244 @@
+// Saving and restoring the game session in localStorage.
+// Saved data carries a schema version; older saves are upgraded step by step through `migrations`
+// before use, and anything unreadable or from a newer version is ignored rather than crashing the app.
+import { resolveRound } from './engine.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { TRANSACTION_TYPES, createWallet, createTransaction, applyTransaction, createRoundRecord, addRound } from './ledger.js';
+import { SESSION_RESUME_MS } from './responsiblePlay.js';
+import { settleRound } from './payout.js';
+import { DEFAULT_ROOM_ID } from './rooms.js';
+import { isPlainObject } from './protocol.js';
+
+export const STORAGE_KEY = 'diamond-hunt:session';
+export const SCHEMA_VERSION = 5;
+
+// Upgrade functions keyed by the version they upgrade *from*: migrations[n](data) returns version n + 1
+export const migrations = {
+    // v2: the bare balance becomes a wallet with a transaction ledger, plus a per-round history
+    1: ({ balance, ...rest }) => ({ ...rest, wallet: createWallet(balance), rounds: [] }),
+    // v3: custom game config from the editor (null = defaults). Saved rounds predate configs, so they ran on the defaults.
+    2: ({ round, ...rest }) => ({
+        ...rest,
+        config: null,
+        round: round && { ...round, pets: DEFAULT_CONFIG.pets, multiplierRules: DEFAULT_CONFIG.multiplier },
+    }),
+    // v4: recent wins point at their round so they can be replayed. Older ones only had the emoji.
+    3: ({ recentWins, ...rest }) => ({
+        ...rest,
+        recentWins: (recentWins || []).map(emoji => ({ emoji, nonce: null })),
+    }),
+    // v5: rooms (see rooms.js). The wallet, payments, limits, play session and settings become the account
+    // every room shares; the rest was the classic room's.
+    4: ({ version, savedAt, wallet, payments, safeguards, session, settings, ...room }) => ({
+        savedAt,
+        wallet,
+        payments,
+        safeguards,
+        session,
+        settings,
+        roomId: DEFAULT_ROOM_ID,
+        rooms: { [DEFAULT_ROOM_ID]: room },
+    }),
+};
+
+// Bring saved data up to SCHEMA_VERSION, or return null if it can't be used
+export const migrateState = (data) => {
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number') return null;
+    if (data.version > SCHEMA_VERSION) return null; // Saved by a newer build, don't guess at it
+
+    let migrated = data;
+    while (migrated.version < SCHEMA_VERSION) {
+        const migrate = migrations[migrated.version];
+        if (!migrate) return null;
+        migrated = { ...migrate(migrated), version: migrated.version + 1 };
+    }
+    return migrated;
+};
+
+const getStorage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+
+// `key` picks a player profile's session (see profiles.js); the first profile uses STORAGE_KEY
+export const loadState = (storage = getStorage(), key = STORAGE_KEY) => {
+    try {
+        const raw = storage && storage.getItem(key);
+        return raw ? migrateState(JSON.parse(raw)) : null;
+    } catch (error) {
+        return null; // Corrupt JSON or storage blocked by the browser
+    }
+};
+
+// Returns whether the state was saved. If it wasn't (quota exceeded or storage disabled) the game keeps
+// running, it just won't survive a reload, so the caller should tell the player.
+export const saveState = (state, storage = getStorage(), key = STORAGE_KEY) => {
+    try {
+        if (!storage) return false;
+        storage.setItem(key, JSON.stringify({ ...state, version: SCHEMA_VERSION, savedAt: Date.now() }));
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+export const clearState = (storage = getStorage(), key = STORAGE_KEY) => {
+    try {
+        if (storage) storage.removeItem(key);
+    } catch (error) {
+        // Nothing to clear
+    }
+};
+
+// This browser's player id for the game server, created on first use so a reload rejoins as the same player
+export const PLAYER_KEY = 'diamond-hunt:player';
+
+export const loadPlayerId = (storage = getStorage()) => {
+    try {
+        const saved = storage && storage.getItem(PLAYER_KEY);
+        if (saved) return saved;
+        const playerId = `player-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        if (storage) storage.setItem(PLAYER_KEY, playerId);
+        return playerId;
+    } catch (error) {
+        return `player-${Math.random().toString(36).slice(2, 8)}`; // Storage blocked: a new player each visit
+    }
+};
+
+// The player profiles on this device and which one is playing ({ activeId, profiles }, see profiles.js)
+export const PROFILES_KEY = 'diamond-hunt:profiles';
+
+export const loadProfiles = (storage = getStorage()) => {
+    try {
+        const raw = storage && storage.getItem(PROFILES_KEY);
+        const list = raw ? JSON.parse(raw) : null;
+        return list && Array.isArray(list.profiles) && list.profiles.length > 0 ? list : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+export const saveProfiles = (list, storage = getStorage()) => {
+    try {
+        if (storage) storage.setItem(PROFILES_KEY, JSON.stringify(list));
+    } catch (error) {
+        // Same as saveState: the profiles just won't survive a reload
+    }
+};
+
+// --- Checking a saved session's shape ---
+// Saves this app wrote always pass; these catch a hand-edited or damaged one (an imported profiles file)
+// before restoring it would throw or leave the board without a wallet.
+
+const isListOf = (value, isItem) => value === undefined || (Array.isArray(value) && value.every(isItem));
+const isAmountMap = (value) => isPlainObject(value) && Object.values(value).every(amount => Number.isFinite(amount));
+const PENDING_PHASES = ['racing', 'multiplier', 'revealing']; // Settled from the seeds on restore
+
+const isSavedWallet = (wallet) => isPlainObject(wallet) && Number.isFinite(wallet.balance)
+    && isListOf(wallet.transactions, tx => isPlainObject(tx) && Number.isFinite(tx.amount));
+
+const isSavedRound = (round) => {
+    if (round === undefined || round === null) return true;
+    if (!isPlainObject(round) || typeof round.phase !== 'string' || !Number.isFinite(round.nonce)) return false;
+    if (round.bets !== undefined && !isAmountMap(round.bets)) return false;
+    if (round.sideBets !== undefined && !isAmountMap(round.sideBets)) return false;
+    if (!PENDING_PHASES.includes(round.phase)) return true;
+    return isAmountMap(round.bets) && typeof round.serverSeed === 'string' && typeof round.clientSeed === 'string'
+        && Array.isArray(round.pets) && round.pets.length > 0 && round.pets.every(pet => isPlainObject(pet) && Number.isFinite(pet.odds) && pet.odds > 0)
+        && isPlainObject(round.multiplierRules);
+};
+
+const isSavedRoom = (room) => isPlainObject(room)
+    && [room.rounds, room.recentWins, room.revealedRounds].every(list => isListOf(list, isPlainObject))
+    && isSavedRound(room.round);
+
+// Whether a migrated save (see migrateState) can be restored: a wallet, and rooms with well-formed rounds
+export const isRestorableState = (saved) => isPlainObject(saved)
+    && isSavedWallet(saved.wallet)
+    && isListOf(saved.payments, isPlainObject)
+    && isPlainObject(saved.rooms)
+    && Object.values(saved.rooms).every(isSavedRoom);
+
+// Turn a saved session into the starting state for the app.
+// A round interrupted during betting is refunded; one interrupted after bets closed is settled from its
+// committed seeds and the pets / multiplier / jackpot rules it was played with, which gives exactly the
+// outcome (and payout) the race would have produced. The play session carries on only if the save is recent.
+export const restoreSession = (saved, now = Date.now()) => {
+    if (!saved) return null;
+
+    let wallet = saved.wallet;
+    let rounds = saved.rounds || [];
+    let recentWins = saved.recentWins || [];
+    let revealedRounds = saved.revealedRounds || [];
+    let jackpotPot = saved.jackpotPot || 0;
+    let notice = null; // { key, params } message for the player (see i18n)
+    const round = saved.round;
+    const sideBets = (round && round.sideBets) || {}; // Saves from before side bets have none
+    const totalBet = round ? [...Object.values(round.bets || {}), ...Object.values(sideBets)].reduce((sum, amount) => sum + amount, 0) : 0;
+
+    if (round && round.phase === 'betting' && totalBet > 0) {
+        wallet = applyTransaction(wallet, createTransaction(TRANSACTION_TYPES.REFUND, totalBet, { roundNonce: round.nonce }));
+        notice = { key: 'notice.restoredRefund', params: { amount: totalBet, round: round.nonce } };
+    } else if (round && ['racing', 'multiplier', 'revealing'].includes(round.phase)) {
+        const { winner, multiplier, jackpotHit } = resolveRound(round);
+        const settled = settleRound({ bets: round.bets, sideBets, pets: round.pets, winner, multiplier, jackpotHit, jackpotPot, jackpotRules: round.jackpotRules });
+        const { payout: winnings, jackpotWin } = settled;
+        jackpotPot = settled.jackpotPot;
+        if (winnings > 0) {
+            wallet = applyTransaction(wallet, createTransaction(TRANSACTION_TYPES.PAYOUT, winnings, { roundNonce: round.nonce, petId: winner.id, jackpotWin }));
+        }
+        rounds = addRound(rounds, createRoundRecord({ nonce: round.nonce, bets: round.bets, sideBets, winner, multiplier, payout: winnings, jackpotWin, auto: Boolean(round.auto) }));
+        recentWins = [{ emoji: winner.emoji, nonce: round.nonce }, ...recentWins].slice(0, 8);
+        revealedRounds = [
+            {
+                nonce: round.nonce,
+                serverSeed: round.serverSeed,
+                serverSeedHash: round.serverSeedHash,
+                clientSeed: round.clientSeed,
+                pets: round.pets,
+                multiplierRules: round.multiplierRules,
+                jackpotRules: round.jackpotRules,
+                winnerId: winner.id,
+                multiplier,
+                jackpotHit,
+                raceDurationMs: round.raceDurationMs,
+            },
+            ...revealedRounds,
+        ].slice(0, 20);
+        notice = winnings > 0
+            ? { key: 'notice.restoredWin', params: { round: round.nonce, pet: winner.name, amount: winnings, multiplier } }
+            : { key: 'notice.restoredLoss', params: { round: round.nonce, pet: winner.name } };
+    }
+
+    return {
+        wallet,
+        rounds,
+        recentWins,
+        revealedRounds,
+        clientSeed: saved.clientSeed,
+        lastBets: saved.lastBets || {},
+        payments: saved.payments || [],
+        safeguards: saved.safeguards || null,
+        session: saved.session && now - saved.savedAt < SESSION_RESUME_MS ? saved.session : null,
+        settings: saved.settings || null,
+        jackpotPot,
+        config: saved.config || null,
+        nonce: round ? round.nonce + 1 : saved.nonce || 1,
+        notice,
+    };
+};
+
+// Turn a saved session with rooms into the rooms' starting states. Each room is restored as above in turn,
+// so refunds and payouts from every room land in the one wallet they share.
+// Returns { wallet, payments, safeguards, session, settings, roomId, rooms: { roomId: restored }, notices }.
+export const restoreRooms = (saved, now = Date.now()) => {
+    if (!saved) return null;
+    const { rooms: savedRooms = {}, roomId = null, ...account } = saved;
+    const restored = restoreSession(account, now); // The account on its own
+    let { wallet } = restored;
+    const rooms = {};
+    Object.keys(savedRooms).forEach(id => {
+        rooms[id] = restoreSession({ ...savedRooms[id], wallet }, now);
+        wallet = rooms[id].wallet;
+    });
+    const { payments, safeguards, session, settings } = restored;
+    const notices = Object.values(rooms).map(room => room.notice).filter(Boolean);
+    return { wallet, payments, safeguards, session, settings, roomId, rooms, notices };
+};
@@ -0,0 +1,138 @@
+import { STORAGE_KEY, SCHEMA_VERSION, migrateState, loadState, saveState, clearState, loadProfiles, saveProfiles, restoreSession, restoreRooms } from './persistence';
+import { hashServerSeed, resolveRound } from './engine';
+import { DEFAULT_CONFIG } from './config';
+import { createWallet, applyTransaction, createTransaction } from './ledger';
+
+const pets = [
+    { id: 1, name: 'Rabbit', odds: 5.0, emoji: '🐰' },
+    { id: 2, name: 'Lion', odds: 45.0, emoji: '🦁' },
+];
+
+const createMemoryStorage = () => {
+    const items = {};
+    return {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = value; },
+        removeItem: (key) => { delete items[key]; },
+    };
+};
+
+const serverSeed = 'b'.repeat(64);
+// Wallet after 100 opening balance and 15 in bets
+const wallet = applyTransaction(createWallet(100), createTransaction('bet', -15));
+const round = { pets, nonce: 4, serverSeed, serverSeedHash: hashServerSeed(serverSeed), clientSeed: 'seed', bets: { 1: 10, 2: 5 } };
+
+test('saved state round-trips through storage', () => {
+    const storage = createMemoryStorage();
+    expect(saveState({ wallet: createWallet(42), recentWins: ['🐰'] }, storage)).toBe(true);
+    expect(loadState(storage)).toMatchObject({ version: SCHEMA_VERSION, wallet: { balance: 42 }, recentWins: ['🐰'] });
+});
+
+test('a save the storage refuses is reported rather than thrown', () => {
+    const fullStorage = { ...createMemoryStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(saveState({ wallet: createWallet(42) }, fullStorage)).toBe(false);
+    expect(saveState({ wallet: createWallet(42) }, null)).toBe(false);
+});
+
+test('v1 saves are migrated to a wallet with an opening transaction', () => {
+    const migrated = migrateState({ version: 1, balance: 250, recentWins: ['🦁'] });
+    expect(migrated.version).toBe(SCHEMA_VERSION);
+    expect(migrated.wallet.balance).toBe(250);
+    expect(migrated.wallet.transactions).toEqual([expect.objectContaining({ type: 'opening', amount: 250, balanceAfter: 250 })]);
+    expect(migrated.rooms.classic.rounds).toEqual([]);
+    expect(migrated.rooms.classic.recentWins).toEqual([{ emoji: '🦁', nonce: null }]);
+});
+
+test('v2 rounds in progress are migrated to the default pets and multiplier rules', () => {
+    const migrated = migrateState({ version: 2, wallet, rounds: [], round: { nonce: 9, phase: 'racing', bets: {} } });
+    expect(migrated.rooms.classic.config).toBeNull();
+    expect(migrated.rooms.classic.round.pets).toBe(DEFAULT_CONFIG.pets);
+    expect(migrated.rooms.classic.round.multiplierRules).toBe(DEFAULT_CONFIG.multiplier);
+});
+
+test('v4 saves become the classic room, with the wallet, limits and settings as the shared account', () => {
+    const settings = { language: 'en' };
+    const migrated = migrateState({ version: 4, savedAt: 5, wallet, settings, rounds: [], round: { ...round, phase: 'cooldown' } });
+    expect(migrated).toMatchObject({ version: SCHEMA_VERSION, savedAt: 5, wallet, settings, roomId: 'classic' });
+    expect(migrated.rooms).toEqual({ classic: { rounds: [], round: { ...round, phase: 'cooldown' } } });
+});
+
+test('unreadable or newer saves are ignored', () => {
+    const storage = createMemoryStorage();
+    storage.setItem('diamond-hunt:session', '{not json');
+    expect(loadState(storage)).toBeNull();
+    expect(migrateState({ version: SCHEMA_VERSION + 1 })).toBeNull();
+    expect(migrateState({ balance: 1 })).toBeNull();
+});
+
+test('a round interrupted during betting is refunded', () => {
+    const session = restoreSession({ wallet, round: { ...round, phase: 'betting' } });
+    expect(session.wallet.balance).toBe(100);
+    expect(session.wallet.transactions[2]).toMatchObject({ type: 'refund', amount: 15, roundNonce: 4 });
+    expect(session.nonce).toBe(5);
+    expect(session.notice).toEqual({ key: 'notice.restoredRefund', params: { amount: 15, round: 4 } });
+});
+
+test('a round interrupted while racing is settled from its seeds', () => {
+    const { winner, multiplier } = resolveRound(round);
+    const session = restoreSession({ wallet, recentWins: [], round: { ...round, phase: 'racing' } });
+    const winnings = round.bets[winner.id] * winner.odds * multiplier;
+    expect(session.wallet.balance).toBe(85 + winnings);
+    expect(session.rounds[0]).toMatchObject({ nonce: 4, totalBet: 15, winnerId: winner.id, payout: winnings, net: winnings - 15 });
+    expect(session.recentWins).toEqual([{ emoji: winner.emoji, nonce: 4 }]);
+    expect(session.revealedRounds[0]).toMatchObject({ nonce: 4, serverSeed, winnerId: winner.id, multiplier });
+});
+
+test('side bets are refunded or settled with the round', () => {
+    const withSideBets = { ...round, sideBets: { 'not:1': 20 } };
+    expect(restoreSession({ wallet, round: { ...withSideBets, phase: 'betting' } }).notice.params.amount).toBe(35);
+
+    const { winner, multiplier } = resolveRound(round);
+    const session = restoreSession({ wallet, round: { ...withSideBets, phase: 'revealing' } });
+    const side = winner.id === 2 ? 20 * 45 : 0; // "Not the rabbit" is the lion alone in this two-pet roster
+    expect(session.rounds[0]).toMatchObject({ totalBet: 35, sideBets: { 'not:1': 20 }, payout: (round.bets[winner.id] * winner.odds + side) * multiplier });
+});
+
+test('a round that already reached cooldown is left alone', () => {
+    const session = restoreSession({ wallet, round: { ...round, phase: 'cooldown' } });
+    expect(session.wallet.balance).toBe(85);
+    expect(session.notice).toBeNull();
+});
+
+test('interrupted rounds in every room are settled into the shared wallet', () => {
+    const { winner, multiplier } = resolveRound(round);
+    const restored = restoreRooms({
+        wallet: applyTransaction(wallet, createTransaction('bet', -20)),
+        roomId: 'turbo',
+        rooms: {
+            classic: { round: { ...round, phase: 'racing' } },
+            turbo: { round: { ...round, nonce: 7, bets: { 1: 20 }, phase: 'betting' } },
+        },
+    });
+    const winnings = round.bets[winner.id] * winner.odds * multiplier;
+    expect(restored.wallet.balance).toBe(65 + winnings + 20);
+    expect(restored.rooms.classic.rounds[0]).toMatchObject({ nonce: 4, payout: winnings });
+    expect(restored.rooms.turbo.nonce).toBe(8);
+    expect(restored.roomId).toBe('turbo');
+    expect(restored.notices).toHaveLength(2);
+    expect(restoreRooms(null)).toBeNull();
+});
+
+test('each profile saves under its own key, and the profile list is kept separately', () => {
+    const storage = createMemoryStorage();
+    saveState({ wallet: createWallet(42) }, storage);
+    saveState({ wallet: createWallet(7) }, storage, `${STORAGE_KEY}:profile-2`);
+    expect(loadState(storage).wallet.balance).toBe(42);
+    expect(loadState(storage, `${STORAGE_KEY}:profile-2`).wallet.balance).toBe(7);
+
+    clearState(storage, `${STORAGE_KEY}:profile-2`);
+    expect(loadState(storage, `${STORAGE_KEY}:profile-2`)).toBeNull();
+    expect(loadState(storage)).not.toBeNull();
+
+    expect(loadProfiles(storage)).toBeNull();
+    const list = { activeId: 'p1', profiles: [{ id: 'p1', name: 'Asha', storageKey: STORAGE_KEY }] };
+    saveProfiles(list, storage);
+    expect(loadProfiles(storage)).toEqual(list);
+    saveProfiles({ activeId: null, profiles: [] }, storage);
+    expect(loadProfiles(storage)).toBeNull();
+});
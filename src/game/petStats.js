@@ -0,0 +1,65 @@
+// Per-pet statistics from the round history (see ledger.js round records): how often each pet wins against
+// what its odds promise, how long it has gone without winning, and how the player's own bets on it did.
+import { getRoundResult } from './ledger.js';
+
+// Round windows the stats panel offers; null is every stored round
+export const STATS_WINDOWS = [50, 500, null];
+
+export const getStatsWindow = (rounds, size) => (size === null ? rounds : rounds.slice(-size));
+
+// Longest run of rounds without a win and the run still going, from each round's win / no-win
+const getDroughts = (won) => {
+    let current = 0;
+    let longest = 0;
+    won.forEach(isWin => {
+        current = isWin ? 0 : current + 1;
+        longest = Math.max(longest, current);
+    });
+    return { sinceLastWin: current, longestDrought: longest };
+};
+
+// What a straight bet on the pet returned in a round (stake included), jackpot too
+const getPetReturn = (round, petId, pets) => {
+    if (round.winnerId !== petId || !round.bets[petId]) return 0;
+    const odds = round.winnerOdds || pets.find(pet => pet.id === petId).odds; // Records from before winnerOdds was kept
+    return round.bets[petId] * odds * round.multiplier + (round.jackpotWin || 0);
+};
+
+// The player's win / loss streaks over the rounds they had chips in
+export const getStreaks = (rounds) => {
+    let current = { result: null, length: 0 };
+    let longestWin = 0;
+    let longestLoss = 0;
+    rounds.forEach(round => {
+        const result = getRoundResult(round);
+        if (result === 'nobet') return;
+        current = current.result === result ? { result, length: current.length + 1 } : { result, length: 1 };
+        if (result === 'win') longestWin = Math.max(longestWin, current.length);
+        else longestLoss = Math.max(longestLoss, current.length);
+    });
+    return { current, longestWin, longestLoss };
+};
+
+// Stats for each of `pets` over `rounds` (oldest first). `theoretical` is computeTheoretical(config) from
+// simulator.js. Rounds won by a pet that's no longer on the roster still count towards the total.
+// Net is from straight bets only; group and pair bets cover several pets and aren't split between them.
+export const computePetStats = (rounds, pets, theoretical) => ({
+    rounds: rounds.length,
+    streaks: getStreaks(rounds),
+    pets: pets.map(pet => {
+        const won = rounds.map(round => round.winnerId === pet.id);
+        const wins = won.filter(Boolean).length;
+        const staked = rounds.reduce((sum, round) => sum + (round.bets[pet.id] || 0), 0);
+        const returned = rounds.reduce((sum, round) => sum + getPetReturn(round, pet.id, pets), 0);
+        return {
+            id: pet.id,
+            wins,
+            frequency: rounds.length > 0 ? wins / rounds.length : 0,
+            theoreticalFrequency: theoretical.winProbability[pet.id],
+            ...getDroughts(won),
+            staked,
+            returned,
+            net: returned - staked,
+        };
+    }),
+});
@@ -0,0 +1,65 @@
+import { STATS_WINDOWS, getStatsWindow, getStreaks, computePetStats } from './petStats';
+import { createRoundRecord } from './ledger';
+import { computeTheoretical } from './simulator';
+import { DEFAULT_CONFIG } from './config';
+
+const pets = DEFAULT_CONFIG.pets;
+const [rabbit, cat] = pets;
+const theoretical = computeTheoretical(DEFAULT_CONFIG);
+
+// A round won by `winner`, with the player's straight bets and the payout they were paid
+const round = (nonce, winner, bets = {}, multiplier = 1) => createRoundRecord({
+    nonce,
+    bets,
+    winner,
+    multiplier,
+    payout: (bets[winner.id] || 0) * winner.odds * multiplier,
+    timestamp: nonce,
+});
+
+test('wins and frequencies are counted per pet against the theory', () => {
+    const rounds = [round(1, rabbit), round(2, cat), round(3, rabbit), round(4, rabbit)];
+    const stats = computePetStats(rounds, pets, theoretical);
+    expect(stats.rounds).toBe(4);
+    expect(stats.pets[0]).toMatchObject({ id: rabbit.id, wins: 3, frequency: 0.75, theoreticalFrequency: theoretical.winProbability[rabbit.id] });
+    expect(stats.pets[1]).toMatchObject({ wins: 1, frequency: 0.25 });
+    expect(stats.pets[2]).toMatchObject({ wins: 0, frequency: 0 });
+});
+
+test('droughts are the runs of rounds without a win', () => {
+    const rounds = [round(1, cat), round(2, rabbit), round(3, cat), round(4, cat), round(5, cat), round(6, rabbit), round(7, cat)];
+    const stats = computePetStats(rounds, pets, theoretical);
+    expect(stats.pets[0]).toMatchObject({ sinceLastWin: 1, longestDrought: 3 });
+    expect(stats.pets[1]).toMatchObject({ sinceLastWin: 0, longestDrought: 1 });
+    expect(stats.pets[2]).toMatchObject({ sinceLastWin: 7, longestDrought: 7 });
+});
+
+test('net per pet comes from straight bets, multiplier included', () => {
+    const rounds = [
+        round(1, rabbit, { [rabbit.id]: 10, [cat.id]: 5 }, 2),
+        round(2, cat, { [rabbit.id]: 10 }),
+    ];
+    const [rabbitStats, catStats] = computePetStats(rounds, pets, theoretical).pets;
+    expect(rabbitStats).toMatchObject({ staked: 20, returned: 10 * rabbit.odds * 2, net: 10 * rabbit.odds * 2 - 20 });
+    expect(catStats).toMatchObject({ staked: 5, returned: 0, net: -5 });
+});
+
+test('streaks only count rounds the player bet on', () => {
+    const rounds = [
+        round(1, rabbit, { [rabbit.id]: 1 }),
+        round(2, rabbit, { [rabbit.id]: 1 }),
+        round(3, cat, { [rabbit.id]: 1 }),
+        round(4, cat),
+        round(5, cat, { [rabbit.id]: 1 }),
+    ];
+    expect(getStreaks(rounds)).toEqual({ current: { result: 'loss', length: 2 }, longestWin: 2, longestLoss: 2 });
+    expect(getStreaks([round(1, cat)]).current).toEqual({ result: null, length: 0 });
+});
+
+test('windows keep the most recent rounds', () => {
+    const rounds = Array.from({ length: 60 }, (_, i) => round(i + 1, rabbit));
+    expect(STATS_WINDOWS).toEqual([50, 500, null]);
+    expect(getStatsWindow(rounds, 50)).toHaveLength(50);
+    expect(getStatsWindow(rounds, 50)[0].nonce).toBe(11);
+    expect(getStatsWindow(rounds, null)).toBe(rounds);
+});
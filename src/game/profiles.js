@@ -0,0 +1,115 @@
+// Local player profiles: people sharing a device each get their own saved session (wallet, history and
+// settings) under their own storage key, and their own player id on the game server. The list and the
+// active profile are saved under PROFILES_KEY (persistence.js); the first profile keeps the session and
+// player id from before profiles existed.
+import { STORAGE_KEY, SCHEMA_VERSION, migrateState, isRestorableState } from './persistence.js';
+import { getStreaks } from './petStats.js';
+
+export const MAX_NAME_LENGTH = 24;
+export const PROFILES_FILE_FORMAT = 'diamond-hunt-profiles'; // Marks an export file
+export const PROFILES_FILE_VERSION = 1;
+
+// Leaderboard orders (see rankProfiles)
+export const LEADERBOARD_RANKINGS = {
+    NET: 'net', // Winnings minus stakes over every saved round
+    PAYOUT: 'biggestPayout', // Largest single round payout
+    STREAK: 'bestStreak', // Longest run of winning rounds
+};
+
+let sequence = 0;
+const createProfileId = () => `profile-${Date.now().toString(36)}-${(sequence++).toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createProfile = (name, { id = createProfileId(), storageKey = `${STORAGE_KEY}:${id}`, createdAt = Date.now() } = {}) => ({
+    id, // Also the player id on the game server
+    name,
+    storageKey, // Where this profile's session is saved
+    createdAt,
+});
+
+// The list for a device with no profiles yet: the existing player becomes the first profile
+export const createProfileList = (playerId, name) => ({
+    activeId: playerId,
+    profiles: [createProfile(name, { id: playerId, storageKey: STORAGE_KEY })],
+});
+
+export const getActiveProfile = (list) => list.profiles.find(profile => profile.id === list.activeId) || list.profiles[0];
+
+// Problem with a profile name as { reason, ... }, or null if it can be used. `exceptId` is the profile being renamed.
+export const checkProfileName = (name, list, exceptId = null) => {
+    const trimmed = name.trim();
+    if (!trimmed) return { reason: 'empty' };
+    if (trimmed.length > MAX_NAME_LENGTH) return { reason: 'tooLong', max: MAX_NAME_LENGTH };
+    const taken = list.profiles.some(profile => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase());
+    return taken ? { reason: 'taken' } : null;
+};
+
+// `name`, or "name (2)", "name (3)"... if it's taken
+export const getUniqueName = (name, list) => {
+    const base = name.trim().slice(0, MAX_NAME_LENGTH - 4) || 'Player';
+    if (!checkProfileName(base, list)) return base;
+    let number = 2;
+    while (checkProfileName(`${base} (${number})`, list)) number++;
+    return `${base} (${number})`;
+};
+
+export const addProfile = (list, profile) => ({ ...list, profiles: [...list.profiles, profile] });
+
+export const renameProfile = (list, profileId, name) => ({
+    ...list,
+    profiles: list.profiles.map(profile => (profile.id === profileId ? { ...profile, name: name.trim() } : profile)),
+});
+
+// The playing profile can't be removed
+export const removeProfile = (list, profileId) => (
+    profileId === list.activeId ? list : { ...list, profiles: list.profiles.filter(profile => profile.id !== profileId) }
+);
+
+export const setActiveProfile = (list, profileId) => (
+    list.profiles.some(profile => profile.id === profileId) ? { ...list, activeId: profileId } : list
+);
+
+// Leaderboard numbers from a profile's saved session (null if it has none yet), over every room
+export const getProfileScore = (saved) => {
+    const rounds = Object.values((saved && saved.rooms) || {})
+        .flatMap(room => room.rounds || [])
+        .sort((a, b) => a.timestamp - b.timestamp);
+    return {
+        rounds: rounds.length,
+        net: rounds.reduce((sum, round) => sum + round.net, 0),
+        biggestPayout: rounds.reduce((max, round) => Math.max(max, round.payout), 0),
+        bestStreak: getStreaks(rounds).longestWin,
+    };
+};
+
+// Sort { profile, score } entries best first by `ranking` (one of LEADERBOARD_RANKINGS); ties keep their order
+export const rankProfiles = (entries, ranking) => [...entries].sort((a, b) => b.score[ranking] - a.score[ranking]);
+
+// One file holding profiles and their saved sessions ([{ profile, saved }])
+export const exportProfiles = (entries, exportedAt = Date.now()) => JSON.stringify({
+    format: PROFILES_FILE_FORMAT,
+    version: PROFILES_FILE_VERSION,
+    exportedAt,
+    profiles: entries.map(({ profile, saved }) => ({ name: profile.name, saved })),
+}, null, 2);
+
+// Read an export file: { profiles: [{ name, saved }] } or { error } ('invalidFile'). Sessions are upgraded
+// to the current schema; one that can't be, or that isn't shaped like a save, is imported as a fresh player. The play session (for the
+// reality check) isn't carried over: it starts again on this device.
+export const parseProfilesFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { error: 'invalidFile' };
+    }
+    if (!data || data.format !== PROFILES_FILE_FORMAT || data.version > PROFILES_FILE_VERSION || !Array.isArray(data.profiles)) {
+        return { error: 'invalidFile' };
+    }
+    const profiles = data.profiles.filter(entry => entry && typeof entry.name === 'string').map(entry => {
+        const migrated = migrateState(entry.saved);
+        if (!migrated || !isRestorableState(migrated)) return { name: entry.name, saved: null };
+        const { session, savedAt, ...saved } = migrated;
+        return { name: entry.name, saved: { ...saved, version: SCHEMA_VERSION } };
+    });
+    return profiles.length > 0 ? { profiles } : { error: 'invalidFile' };
+};
@@ -0,0 +1,123 @@
+import {
+    LEADERBOARD_RANKINGS, createProfile, createProfileList, getActiveProfile, checkProfileName, getUniqueName, addProfile,
+    renameProfile, removeProfile, setActiveProfile, getProfileScore, rankProfiles, exportProfiles, parseProfilesFile,
+} from './profiles';
+import { STORAGE_KEY, SCHEMA_VERSION } from './persistence';
+import { getSwitchBlocker } from './gameReducer';
+import { PHASES } from './roundMachine';
+import { createRoundRecord, createWallet } from './ledger';
+import { AUTO_STRATEGIES, createRuleSet, createAutoBetSession } from './autoBet';
+import { createTestTable } from './testTable';
+import { DEFAULT_CONFIG } from './config';
+
+const [rabbit, cat] = DEFAULT_CONFIG.pets;
+
+// A round won by `winner` with the player's straight bets
+const round = (nonce, winner, bets) => createRoundRecord({
+    nonce,
+    bets,
+    winner,
+    multiplier: 1,
+    payout: (bets[winner.id] || 0) * winner.odds,
+    timestamp: nonce,
+});
+
+const createList = () => addProfile(createProfileList('player-1', 'Asha'), createProfile('Ravi', { id: 'profile-2' }));
+
+test('the existing player becomes the first profile and keeps the old session', () => {
+    const list = createProfileList('player-1', 'Player 1');
+    expect(getActiveProfile(list)).toMatchObject({ id: 'player-1', name: 'Player 1', storageKey: STORAGE_KEY });
+    expect(createProfile('Ravi', { id: 'profile-2' }).storageKey).toBe(`${STORAGE_KEY}:profile-2`);
+    expect(createProfile('Ravi').id).not.toBe(createProfile('Ravi').id);
+});
+
+test('profiles can be renamed, switched to and removed, but not the one playing', () => {
+    let list = createList();
+    list = renameProfile(list, 'profile-2', '  Ravi K ');
+    expect(list.profiles[1].name).toBe('Ravi K');
+
+    expect(removeProfile(list, 'player-1')).toBe(list);
+    list = setActiveProfile(list, 'profile-2');
+    expect(getActiveProfile(list).name).toBe('Ravi K');
+    expect(setActiveProfile(list, 'nobody')).toBe(list);
+
+    list = removeProfile(list, 'player-1');
+    expect(list.profiles.map(profile => profile.id)).toEqual(['profile-2']);
+});
+
+test('names must be present, short enough and not taken', () => {
+    const list = createList();
+    expect(checkProfileName('  ', list)).toEqual({ reason: 'empty' });
+    expect(checkProfileName('x'.repeat(40), list)).toMatchObject({ reason: 'tooLong' });
+    expect(checkProfileName('ravi', list)).toEqual({ reason: 'taken' });
+    expect(checkProfileName('Ravi', list, 'profile-2')).toBeNull(); // Renaming to its own name
+    expect(checkProfileName('Meera', list)).toBeNull();
+
+    expect(getUniqueName('Meera', list)).toBe('Meera');
+    expect(getUniqueName('Ravi', list)).toBe('Ravi (2)');
+    expect(getUniqueName('Ravi', addProfile(list, createProfile('Ravi (2)')))).toBe('Ravi (3)');
+});
+
+test('switching is only allowed between rounds', () => {
+    const table = createTestTable();
+    expect(getSwitchBlocker(table.game())).toBeNull(); // Betting with nothing on the board
+
+    table.bet(rabbit.id, 10);
+    expect(getSwitchBlocker(table.game())).toBe('bets');
+    expect(getSwitchBlocker(table.advanceTo(PHASES.RACING))).toBe('round');
+    expect(getSwitchBlocker(table.advanceTo(PHASES.REVEALING))).toBe('round');
+    expect(getSwitchBlocker(table.advanceTo(PHASES.COOLDOWN))).toBeNull();
+
+    table.nextRound();
+    const ruleSet = createRuleSet(AUTO_STRATEGIES.FLAT, { petId: rabbit.id, amount: 2, pets: DEFAULT_CONFIG.pets });
+    table.act({ type: 'START_AUTO_BET', session: createAutoBetSession({ strategy: AUTO_STRATEGIES.FLAT, ruleSet, rounds: 5 }) });
+    expect(getSwitchBlocker(table.game())).toBe('auto');
+});
+
+test('the leaderboard ranks by net winnings, biggest payout or best streak', () => {
+    // Rounds from every room count, in the order they were played
+    const steady = { rooms: { classic: { rounds: [round(1, rabbit, { [rabbit.id]: 10 }), round(3, cat, { [rabbit.id]: 10 })] }, turbo: { rounds: [round(2, rabbit, { [rabbit.id]: 10 })] } } };
+    const lucky = { rooms: { classic: { rounds: [round(1, cat, { [cat.id]: 20 }), round(2, rabbit, { [cat.id]: 150 })] } } };
+    expect(getProfileScore(steady)).toEqual({ rounds: 3, net: 10 * rabbit.odds * 2 - 30, biggestPayout: 10 * rabbit.odds, bestStreak: 2 });
+    expect(getProfileScore(lucky)).toEqual({ rounds: 2, net: 20 * cat.odds - 170, biggestPayout: 20 * cat.odds, bestStreak: 1 });
+    expect(getProfileScore(null)).toEqual({ rounds: 0, net: 0, biggestPayout: 0, bestStreak: 0 });
+
+    const entries = [
+        { profile: { id: 'a' }, score: getProfileScore(steady) },
+        { profile: { id: 'b' }, score: getProfileScore(lucky) },
+        { profile: { id: 'c' }, score: getProfileScore(null) },
+    ];
+    const order = (ranking) => rankProfiles(entries, ranking).map(entry => entry.profile.id);
+    expect(order(LEADERBOARD_RANKINGS.NET)).toEqual(['a', 'c', 'b']);
+    expect(order(LEADERBOARD_RANKINGS.PAYOUT)).toEqual(['b', 'a', 'c']);
+    expect(order(LEADERBOARD_RANKINGS.STREAK)).toEqual(['a', 'b', 'c']);
+});
+
+test('profiles round-trip through an export file without their play session', () => {
+    const saved = { version: SCHEMA_VERSION, savedAt: 1, wallet: createWallet(250), session: { startedAt: 1 }, roomId: 'classic', rooms: { classic: { rounds: [] } } };
+    const text = exportProfiles([{ profile: createProfile('Asha'), saved }, { profile: createProfile('Ravi'), saved: null }]);
+
+    const { profiles } = parseProfilesFile(text);
+    expect(profiles[0]).toEqual({ name: 'Asha', saved: { version: SCHEMA_VERSION, wallet: saved.wallet, roomId: 'classic', rooms: { classic: { rounds: [] } } } });
+    expect(profiles[1]).toEqual({ name: 'Ravi', saved: null });
+});
+
+test('a session that is not shaped like a save is imported as a fresh player', () => {
+    const wallet = createWallet(250);
+    const stuckRound = { phase: PHASES.RACING, nonce: 3, bets: { 1: 10 } }; // No seeds to settle it from
+    const text = exportProfiles([
+        { profile: createProfile('NoWallet'), saved: { version: SCHEMA_VERSION } },
+        { profile: createProfile('NoSeeds'), saved: { version: SCHEMA_VERSION, wallet, rooms: { classic: { round: stuckRound } } } },
+        { profile: createProfile('BadRounds'), saved: { version: SCHEMA_VERSION, wallet, rooms: { classic: { rounds: 'lots' } } } },
+    ]);
+
+    expect(parseProfilesFile(text).profiles.map(entry => entry.saved)).toEqual([null, null, null]);
+});
+
+test('files that are not profile exports are refused', () => {
+    expect(parseProfilesFile('not json')).toEqual({ error: 'invalidFile' });
+    expect(parseProfilesFile(JSON.stringify({ format: 'something-else', version: 1, profiles: [{ name: 'A' }] }))).toEqual({ error: 'invalidFile' });
+    expect(parseProfilesFile(exportProfiles([]))).toEqual({ error: 'invalidFile' });
+    const newer = JSON.parse(exportProfiles([{ profile: createProfile('A'), saved: null }]));
+    expect(parseProfilesFile(JSON.stringify({ ...newer, version: 99 }))).toEqual({ error: 'invalidFile' });
+});
@@ -0,0 +1,144 @@
+// Messages between the app and a game host: the WebSocket server (scripts/server.mjs) or the in-process
+// stand-in the app runs offline. Every message is a plain JSON object with a `type`. Both run a lobby of
+// rooms (lobby.js), which passes everything but hello / join on to the host of the player's room.
+//
+// Client → host
+//   hello   { playerId, settings, clientSeed?, roomId? }
+//                                               first message; settings and clientSeed are used for a new
+//                                               player. Without a roomId the player goes back to their last room
+//   join    { requestId, roomId }               move to another room (only between rounds, see getSwitchBlocker)
+//   action  { action }                          a reducer action from PLAYER_ACTIONS (SOLO_ACTIONS on a solo host)
+//   pause / resume                              solo hosts only: a shared round can't wait for one player
+//   topUp   { requestId, amount, upiId, idempotencyKey }
+//   refund  { requestId, paymentId }
+//   dev     { requestId, command, ... }         hosts started with dev tools only (see DEV_COMMANDS)
+//
+// Host → client
+//   welcome  { playerId }
+//   lobby    { rooms, serverNow }               every room's format, round machine and last winners; sent on
+//                                               hello and join and whenever a room changes phase
+//   state    { game, room, transition? }        the player's game state after every change; `transition` is
+//                                               the phase change that caused it ({ from, to, at })
+//   rejected { problem }                        a bet the host refused (see checkBets), or { reason: 'invalid' }
+//                                               for a message it couldn't read
+//   notice   { notice }                         a { key, params } message for the banner
+//   reply    { requestId, result }              answer to a join / topUp / refund / dev command ({ error } if refused)
+import { PHASES } from './roundMachine.js';
+
+export const CLIENT_MESSAGES = {
+    HELLO: 'hello',
+    JOIN: 'join',
+    ACTION: 'action',
+    PAUSE: 'pause',
+    RESUME: 'resume',
+    TOP_UP: 'topUp',
+    REFUND: 'refund',
+    DEV: 'dev',
+};
+
+export const HOST_MESSAGES = {
+    WELCOME: 'welcome',
+    LOBBY: 'lobby',
+    STATE: 'state',
+    REJECTED: 'rejected',
+    NOTICE: 'notice',
+    REPLY: 'reply',
+};
+
+// Actions a player may send. Phase changes only ever come from the host's round machine, and payments
+// from its wallet service.
+export const PLAYER_ACTIONS = [
+    'PLACE_BET',
+    'PLACE_BETS',
+    'PLACE_SIDE_BET',
+    'UNDO_BET',
+    'CLEAR_BETS',
+    'START_AUTO_BET',
+    'STOP_AUTO_BET',
+    'SET_LIMITS',
+    'START_COOL_OFF',
+    'REALITY_CHECK_SHOWN',
+    'SET_SETTINGS',
+    'SET_CLIENT_SEED',
+];
+
+// A new config changes the round for everyone at the table, so only a solo host takes it. (A client seed is
+// the player's own; the host combines everyone's into the round's, see getRoundSeeds in gameHost.js.)
+export const SOLO_ACTIONS = ['QUEUE_CONFIG'];
+
+// Fields each player action must carry, by type ('object' is a plain object). The host rejects anything
+// else before it reaches the reducer; what's inside the objects is checked where it's used.
+const ACTION_FIELDS = {
+    PLACE_BET: { petId: 'number', amount: 'number' },
+    PLACE_BETS: { bets: 'object' },
+    PLACE_SIDE_BET: { betKey: 'string', amount: 'number' },
+    UNDO_BET: {},
+    CLEAR_BETS: {},
+    START_AUTO_BET: { session: 'object' },
+    STOP_AUTO_BET: { reason: 'string' },
+    SET_LIMITS: { limits: 'object' },
+    START_COOL_OFF: { until: 'number' },
+    REALITY_CHECK_SHOWN: {},
+    SET_SETTINGS: { settings: 'object' },
+    QUEUE_CONFIG: { config: 'object' },
+    SET_CLIENT_SEED: { clientSeed: 'string' },
+};
+
+export const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasFields = (value, fields) => Object.keys(fields).every(field => (
+    fields[field] === 'object' ? isPlainObject(value[field]) : typeof value[field] === fields[field]
+));
+
+// Anything a client sends must at least be an object with a type
+export const isMessage = (message) => isPlainObject(message) && typeof message.type === 'string';
+
+// A player action with the fields its type needs (whether the player may send it is up to the host)
+export const isWellFormedAction = (action) => (
+    isPlainObject(action) && Object.prototype.hasOwnProperty.call(ACTION_FIELDS, action.type) && hasFields(action, ACTION_FIELDS[action.type])
+);
+
+// Fields the other client messages must carry
+export const MESSAGE_FIELDS = {
+    [CLIENT_MESSAGES.HELLO]: { playerId: 'string' },
+    [CLIENT_MESSAGES.JOIN]: { roomId: 'string' },
+    [CLIENT_MESSAGES.TOP_UP]: { amount: 'number', upiId: 'string', idempotencyKey: 'string' },
+    [CLIENT_MESSAGES.REFUND]: { paymentId: 'string' },
+    [CLIENT_MESSAGES.DEV]: { command: 'string' },
+};
+
+// A client message with the fields its type needs
+export const isWellFormedMessage = (message) => (
+    isMessage(message) && (!MESSAGE_FIELDS[message.type] || hasFields(message, MESSAGE_FIELDS[message.type]))
+);
+
+// Dev console commands (see devTools.js), ignored unless the host was started with dev tools
+//   setBalance { balance }                      the sender's balance
+//   force      { forced }                       { winnerId, multiplier, luckFactor } (any of them) for the
+//                                               next round to close, or null to go back to the seeds
+//   skipPhase                                   end the current phase now
+//   timeScale  { scale }                        phase lengths × scale from the next round (1 is normal)
+//   seed       { seed }                         server seeds from a seeded generator from the next round
+export const DEV_COMMANDS = {
+    SET_BALANCE: 'setBalance',
+    FORCE: 'force',
+    SKIP_PHASE: 'skipPhase',
+    TIME_SCALE: 'timeScale',
+    SEED: 'seed',
+};
+
+// The reducer action each phase change applies to every player
+export const PHASE_ACTIONS = {
+    [PHASES.RACING]: 'CLOSE_BETS',
+    [PHASES.MULTIPLIER]: 'REVEAL_MULTIPLIER',
+    [PHASES.REVEALING]: 'REVEAL',
+    [PHASES.COOLDOWN]: 'SETTLE',
+};
+
+// Bets an action would add ({ betKey: amount }), or null if it doesn't place any
+export const getBetAdditions = (action) => {
+    if (action.type === 'PLACE_BET') return { [action.petId]: action.amount };
+    if (action.type === 'PLACE_SIDE_BET') return { [action.betKey]: action.amount };
+    if (action.type === 'PLACE_BETS') return action.bets;
+    return null;
+};
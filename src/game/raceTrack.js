@@ -0,0 +1,49 @@
+// Race track choreography: where each pet is along its lane at any moment of the race.
+// The winner is already fixed by the round's seeds before the race starts, so the positions are
+// scripted backwards from it: the winner crosses the line exactly at the end and everyone else finishes
+// short of it. The script comes from its own seeded stream, so a revealed round replays identically.
+import { createRoundRandom } from './engine.js';
+
+export const RACE_VIEWS = {
+    GRID: 'grid', // Highlight sweeping across the pet cards
+    TRACK: 'track', // One lane per pet, animals running to the finish line
+};
+
+const CHECKPOINTS = 8; // Points along the race where each pet's position is scripted
+const RUNNER_UP_RANGE = [0.8, 0.97]; // How far along the track the other pets get by the end
+
+// Scripted positions for a round: { [petId]: [0, ..., finish] } with CHECKPOINTS + 1 evenly timed entries.
+// The winner's list ends at 1 (the finish line), every other pet's ends below it.
+export const createRaceChoreography = ({ pets, winnerId, serverSeed, clientSeed, nonce }) => {
+    const random = createRoundRandom(serverSeed, `${clientSeed}:race`, nonce); // Separate from the outcome's draws
+    return pets.reduce((acc, pet) => {
+        const finish = pet.id === winnerId ? 1 : RUNNER_UP_RANGE[0] + random() * (RUNNER_UP_RANGE[1] - RUNNER_UP_RANGE[0]);
+        const strides = Array.from({ length: CHECKPOINTS }, () => 0.5 + random()); // Uneven pace: bursts and slow patches
+        const total = strides.reduce((sum, stride) => sum + stride, 0);
+        let position = 0;
+        acc[pet.id] = [0, ...strides.map(stride => {
+            position += (stride / total) * finish;
+            return position;
+        })];
+        acc[pet.id][CHECKPOINTS] = finish; // No rounding drift at the line
+        return acc;
+    }, {});
+};
+
+// Position (0 = start, 1 = finish line) of every pet at `progress` (0-1) through the race
+export const getRacePositions = (choreography, progress) => {
+    const clamped = Math.min(Math.max(progress, 0), 1);
+    const scaled = clamped * CHECKPOINTS;
+    const step = Math.min(Math.floor(scaled), CHECKPOINTS - 1);
+    const within = scaled - step;
+    return Object.keys(choreography).reduce((acc, petId) => {
+        const path = choreography[petId];
+        acc[petId] = path[step] + (path[step + 1] - path[step]) * within;
+        return acc;
+    }, {});
+};
+
+// The revealed round behind an entry in the recent-wins strip, if it can still be replayed
+export const findReplayableRound = (revealedRounds, nonce) => (
+    revealedRounds.find(round => round.nonce === nonce && Array.isArray(round.pets) && round.raceDurationMs > 0) || null
+);
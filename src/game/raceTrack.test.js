@@ -0,0 +1,38 @@
+import { createRaceChoreography, getRacePositions, findReplayableRound } from './raceTrack';
+import { DEFAULT_CONFIG } from './config';
+
+const { pets } = DEFAULT_CONFIG;
+const round = { pets, serverSeed: 'a'.repeat(64), clientSeed: 'client', nonce: 7 };
+
+test('the winner crosses the line at the end and everyone else finishes behind', () => {
+    pets.forEach(winner => {
+        const choreography = createRaceChoreography({ ...round, winnerId: winner.id });
+        const final = getRacePositions(choreography, 1);
+        expect(final[winner.id]).toBe(1);
+        pets.filter(pet => pet.id !== winner.id).forEach(pet => expect(final[pet.id]).toBeLessThan(1));
+    });
+});
+
+test('pets only move forward, starting from the line', () => {
+    const choreography = createRaceChoreography({ ...round, winnerId: 3 });
+    Object.values(choreography).forEach(path => {
+        expect(path[0]).toBe(0);
+        path.slice(1).forEach((position, index) => expect(position).toBeGreaterThan(path[index]));
+    });
+    const start = getRacePositions(choreography, -0.5);
+    Object.values(start).forEach(position => expect(position).toBe(0));
+});
+
+test('the same round always replays the same race', () => {
+    const first = createRaceChoreography({ ...round, winnerId: 2 });
+    expect(createRaceChoreography({ ...round, winnerId: 2 })).toEqual(first);
+    expect(createRaceChoreography({ ...round, nonce: 8, winnerId: 2 })).not.toEqual(first);
+    expect(getRacePositions(first, 0.5)).toEqual(getRacePositions(createRaceChoreography({ ...round, winnerId: 2 }), 0.5));
+});
+
+test('only rounds with their pets and race length can be replayed', () => {
+    const revealed = [{ nonce: 2, pets, raceDurationMs: 3000 }, { nonce: 1 }];
+    expect(findReplayableRound(revealed, 2)).toBe(revealed[0]);
+    expect(findReplayableRound(revealed, 1)).toBeNull();
+    expect(findReplayableRound(revealed, null)).toBeNull();
+});
@@ -0,0 +1,135 @@
+// Responsible-play safeguards chosen by the player: top-up and loss limits per day and per session,
+// a reality-check interval and a self-imposed cool-off.
+//
+// Usage is derived from the wallet ledger (top-ups, and the net of bets, cancels, payouts and refunds),
+// so nothing extra has to be counted. A stricter limit applies at once; a looser one (or removing a
+// limit) only applies after LIMIT_INCREASE_DELAY_MS, so it can't be raised in the heat of the moment.
+import { TRANSACTION_TYPES } from './ledger.js';
+import { getPendingTotal } from './payments.js';
+
+export const LIMIT_INCREASE_DELAY_MS = 24 * 60 * 60 * 1000;
+export const SESSION_RESUME_MS = 30 * 60 * 1000; // A reload within this keeps the same session
+export const COOL_OFF_OPTIONS_HOURS = [1, 24, 24 * 7, 24 * 30];
+
+export const DEFAULT_LIMITS = {
+    dailyTopUp: null, // Most that can be added through Add Balance per calendar day (null = no limit)
+    sessionTopUp: null, // ... per session
+    dailyLoss: null, // Most that can be lost per calendar day; bets that could go past it are blocked
+    sessionLoss: null, // ... per session
+    realityCheckMinutes: 30, // Time between reality checks (null = off)
+};
+
+const LIMIT_KEYS = Object.keys(DEFAULT_LIMITS);
+
+const GAME_TYPES = [TRANSACTION_TYPES.BET, TRANSACTION_TYPES.CANCEL, TRANSACTION_TYPES.PAYOUT, TRANSACTION_TYPES.REFUND];
+
+export const createSafeguards = () => ({
+    limits: DEFAULT_LIMITS,
+    pendingLimits: null, // { limits, effectiveAt } for loosened limits waiting out the delay
+    coolOffUntil: null, // Betting and top-ups are locked until this timestamp
+});
+
+export const createPlaySession = (now) => ({
+    startedAt: now,
+    lastRealityCheckAt: now,
+});
+
+// Limits in force at `now` (pending changes take over once their delay has passed)
+export const getActiveLimits = (safeguards, now) => (
+    safeguards.pendingLimits && now >= safeguards.pendingLimits.effectiveAt ? safeguards.pendingLimits.limits : safeguards.limits
+);
+
+// null means "no limit", so it is looser than any number
+const isLooser = (next, current) => current !== null && (next === null || next > current);
+
+export const isLimitValue = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value > 0);
+
+// Every limit key with a usable value; a missing or malformed one becomes null ("no limit")
+const normaliseLimits = (raw) => LIMIT_KEYS.reduce((acc, key) => ({ ...acc, [key]: raw && isLimitValue(raw[key]) ? raw[key] : null }), {});
+
+// Apply a change of limits: tighter values now, looser ones after the delay. The limits may come straight
+// from a client, so anything missing or malformed counts as removing that limit and waits like a loosening.
+export const changeLimits = (safeguards, requestedLimits, now) => {
+    const nextLimits = normaliseLimits(requestedLimits);
+    const current = getActiveLimits(safeguards, now);
+    const loosened = LIMIT_KEYS.filter(key => isLooser(nextLimits[key], current[key]));
+    const immediate = LIMIT_KEYS.reduce((acc, key) => ({ ...acc, [key]: loosened.includes(key) ? current[key] : nextLimits[key] }), {});
+    return {
+        ...safeguards,
+        limits: immediate,
+        pendingLimits: loosened.length > 0 ? { limits: nextLimits, effectiveAt: now + LIMIT_INCREASE_DELAY_MS } : null,
+    };
+};
+
+// Validate limits from the settings form. Returns { limits, errors }.
+export const validateLimits = (raw) => {
+    const errors = [];
+    const limits = LIMIT_KEYS.reduce((acc, key) => {
+        const value = raw[key] === undefined ? DEFAULT_LIMITS[key] : raw[key];
+        if (!isLimitValue(value)) {
+            errors.push(`${key} must be a number above 0, or empty for no limit`);
+        }
+        return { ...acc, [key]: value };
+    }, {});
+    return errors.length > 0 ? { limits: null, errors } : { limits, errors };
+};
+
+export const startOfDay = (now) => {
+    const date = new Date(now);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+};
+
+// Top-ups (less refunded ones) and game net (negative = lost) since a timestamp
+export const getUsageSince = (transactions, since) => transactions.reduce((usage, tx) => {
+    if (tx.timestamp < since) return usage;
+    if (tx.type === TRANSACTION_TYPES.TOPUP || tx.type === TRANSACTION_TYPES.TOPUP_REFUND) return { ...usage, toppedUp: usage.toppedUp + tx.amount };
+    if (GAME_TYPES.includes(tx.type)) return { ...usage, net: usage.net + tx.amount };
+    return usage;
+}, { toppedUp: 0, net: 0 });
+
+// Today's and this session's usage
+export const getUsage = (transactions, session, now) => ({
+    day: getUsageSince(transactions, startOfDay(now)),
+    session: getUsageSince(transactions, session.startedAt),
+});
+
+export const isCoolingOff = (safeguards, now) => safeguards.coolOffUntil !== null && now < safeguards.coolOffUntil;
+
+// Why a top-up can't go through, or null if it can. Payments still pending count as topped up.
+// Returns { reason: 'coolOff' | 'dailyTopUp' | 'sessionTopUp', limit?, remaining?, until? }.
+export const checkTopUp = ({ safeguards, session, wallet, payments = [] }, amount, now) => {
+    if (isCoolingOff(safeguards, now)) return { reason: 'coolOff', until: safeguards.coolOffUntil };
+    const limits = getActiveLimits(safeguards, now);
+    const usage = getUsage(wallet.transactions, session, now);
+    const pending = getPendingTotal(payments);
+    if (limits.dailyTopUp !== null && usage.day.toppedUp + pending + amount > limits.dailyTopUp) {
+        return { reason: 'dailyTopUp', limit: limits.dailyTopUp, remaining: Math.max(0, limits.dailyTopUp - usage.day.toppedUp - pending) };
+    }
+    if (limits.sessionTopUp !== null && usage.session.toppedUp + pending + amount > limits.sessionTopUp) {
+        return { reason: 'sessionTopUp', limit: limits.sessionTopUp, remaining: Math.max(0, limits.sessionTopUp - usage.session.toppedUp - pending) };
+    }
+    return null;
+};
+
+// Why a stake can't be placed under the player's own limits, or null if it can.
+// A stake counts as fully lost, so a bet is blocked if losing it would pass a loss limit.
+// Returns { reason: 'coolOff' | 'dailyLoss' | 'sessionLoss', limit?, until? }.
+export const checkStake = ({ safeguards, session, wallet }, stake, now) => {
+    if (isCoolingOff(safeguards, now)) return { reason: 'coolOff', until: safeguards.coolOffUntil };
+    const limits = getActiveLimits(safeguards, now);
+    const usage = getUsage(wallet.transactions, session, now);
+    if (limits.dailyLoss !== null && stake - usage.day.net > limits.dailyLoss) return { reason: 'dailyLoss', limit: limits.dailyLoss };
+    if (limits.sessionLoss !== null && stake - usage.session.net > limits.sessionLoss) return { reason: 'sessionLoss', limit: limits.sessionLoss };
+    return null;
+};
+
+export const isRealityCheckDue = ({ safeguards, session }, now) => {
+    const { realityCheckMinutes } = getActiveLimits(safeguards, now);
+    return realityCheckMinutes !== null && now - session.lastRealityCheckAt >= realityCheckMinutes * 60 * 1000;
+};
+
+// A cool-off can be started or extended, never shortened
+export const startCoolOff = (safeguards, until) => ({
+    ...safeguards,
+    coolOffUntil: Math.max(until, safeguards.coolOffUntil || 0),
+});
@@ -0,0 +1,94 @@
+import {
+    LIMIT_INCREASE_DELAY_MS,
+    DEFAULT_LIMITS,
+    createSafeguards,
+    createPlaySession,
+    changeLimits,
+    getActiveLimits,
+    validateLimits,
+    checkTopUp,
+    checkStake,
+    isRealityCheckDue,
+    startCoolOff,
+} from './responsiblePlay';
+import { gameReducer, createInitialGameState, checkBets } from './gameReducer';
+import { createWallet } from './ledger';
+import { DEFAULT_CONFIG } from './config';
+import { createPayment } from './payments';
+
+const NOW = new Date(2026, 0, 15, 12).getTime();
+
+const newGame = (limits = {}) => {
+    const game = createInitialGameState({
+        config: DEFAULT_CONFIG,
+        wallet: createWallet(1000),
+        clientSeed: 'client',
+        serverSeed: 'server',
+        session: createPlaySession(NOW - 1000),
+    });
+    return gameReducer(game, { type: 'SET_LIMITS', limits: { ...DEFAULT_LIMITS, ...limits }, timestamp: NOW - 1000 });
+};
+
+test('stricter limits apply at once and looser ones after the delay', () => {
+    let safeguards = changeLimits(createSafeguards(), { ...DEFAULT_LIMITS, dailyLoss: 100 }, NOW);
+    expect(getActiveLimits(safeguards, NOW).dailyLoss).toBe(100);
+
+    safeguards = changeLimits(safeguards, { ...DEFAULT_LIMITS, dailyLoss: null, realityCheckMinutes: 15 }, NOW);
+    expect(getActiveLimits(safeguards, NOW)).toMatchObject({ dailyLoss: 100, realityCheckMinutes: 15 });
+    expect(getActiveLimits(safeguards, NOW + LIMIT_INCREASE_DELAY_MS).dailyLoss).toBeNull();
+});
+
+test('missing or malformed limits are a loosening and wait out the delay', () => {
+    const tight = changeLimits(createSafeguards(), { ...DEFAULT_LIMITS, dailyLoss: 100, sessionLoss: 50 }, NOW);
+    [{}, { dailyLoss: '' }, { ...DEFAULT_LIMITS, dailyLoss: NaN, sessionLoss: -5, realityCheckMinutes: 'off' }].forEach(limits => {
+        const safeguards = changeLimits(tight, limits, NOW);
+        expect(getActiveLimits(safeguards, NOW)).toEqual({ ...DEFAULT_LIMITS, dailyLoss: 100, sessionLoss: 50 });
+        expect(safeguards.pendingLimits.effectiveAt).toBe(NOW + LIMIT_INCREASE_DELAY_MS);
+        expect(getActiveLimits(safeguards, NOW + LIMIT_INCREASE_DELAY_MS)).toMatchObject({ dailyLoss: null, sessionLoss: null, realityCheckMinutes: null });
+    });
+});
+
+test('limits must be positive numbers or empty', () => {
+    expect(validateLimits({ dailyTopUp: 500, sessionLoss: null }).limits).toMatchObject({ dailyTopUp: 500, sessionLoss: null });
+    expect(validateLimits({ dailyTopUp: -1 }).errors).toEqual(['dailyTopUp must be a number above 0, or empty for no limit']);
+});
+
+test('top-ups past the daily or session limit are refused, counting pending ones', () => {
+    let game = newGame({ dailyTopUp: 1000, sessionTopUp: 600 });
+    const payment = createPayment({ amount: 500, upiId: 'me@bank', idempotencyKey: 'a', timestamp: NOW });
+    game = gameReducer(game, { type: 'PAYMENT_CREATED', payment });
+    expect(checkTopUp(game, 500, NOW)).toEqual({ reason: 'sessionTopUp', limit: 600, remaining: 100 });
+
+    game = gameReducer(game, { type: 'PAYMENT_UPDATED', paymentId: payment.id, status: 'confirmed', timestamp: NOW });
+    expect(game.wallet.balance).toBe(1500);
+    expect(checkTopUp(game, 500, NOW)).toEqual({ reason: 'sessionTopUp', limit: 600, remaining: 100 });
+    const second = createPayment({ amount: 500, upiId: 'me@bank', idempotencyKey: 'b', timestamp: NOW });
+    expect(gameReducer(game, { type: 'PAYMENT_CREATED', payment: second })).toBe(game);
+});
+
+test('bets that could pass a loss limit are blocked', () => {
+    let game = newGame({ sessionLoss: 100 });
+    game = gameReducer(game, { type: 'PLACE_BET', petId: 1, amount: 80, timestamp: NOW });
+    expect(checkStake(game, 20, NOW)).toBeNull();
+    expect(checkBets(game, { 2: 30 }, NOW)).toEqual({ reason: 'sessionLoss', limit: 100 });
+    expect(gameReducer(game, { type: 'PLACE_BET', petId: 2, amount: 30, timestamp: NOW })).toBe(game);
+});
+
+test('a cool-off locks betting and top-ups and cannot be shortened', () => {
+    let game = gameReducer(newGame(), { type: 'START_COOL_OFF', until: NOW + 3600000 });
+    game = gameReducer(game, { type: 'START_COOL_OFF', until: NOW + 60000 });
+    expect(game.safeguards.coolOffUntil).toBe(NOW + 3600000);
+    expect(checkBets(game, { 1: 1 }, NOW)).toEqual({ reason: 'coolOff', until: NOW + 3600000 });
+    expect(checkTopUp(game, 100, NOW).reason).toBe('coolOff');
+    expect(checkBets(game, { 1: 1 }, NOW + 3600000)).toBeNull();
+    expect(startCoolOff(createSafeguards(), NOW).coolOffUntil).toBe(NOW);
+});
+
+test('reality checks come due after the chosen interval', () => {
+    const game = newGame({ realityCheckMinutes: 10 });
+    expect(isRealityCheckDue(game, NOW)).toBe(false);
+    expect(isRealityCheckDue(game, NOW + 10 * 60000)).toBe(true);
+    const checked = gameReducer(game, { type: 'REALITY_CHECK_SHOWN', timestamp: NOW + 10 * 60000 });
+    expect(isRealityCheckDue(checked, NOW + 15 * 60000)).toBe(false);
+    expect(isRealityCheckDue(newGame({ realityCheckMinutes: null }), NOW + 1e9)).toBe(false);
+});
@@ -0,0 +1,64 @@
+// Game rooms: tables with their own round format, each running its own round loop (see lobby.js), and the
+// player account they share. A room's config is a partial config over the defaults, like a config file.
+//
+// A player's account is the part of their game state that follows them from room to room: the wallet,
+// top-up payments, play limits and cool-off, the play session and their settings. The rest (bets,
+// history, seeds, the jackpot pot) belongs to the room.
+import { DEFAULT_CONFIG, validateConfig } from './config.js';
+
+const createRoomConfig = (partial) => {
+    const { config, errors } = validateConfig(partial);
+    if (!config) throw new Error(`Invalid room config ${partial.name}: ${errors.join('; ')}`);
+    return config;
+};
+
+export const DEFAULT_ROOM_ID = 'classic';
+
+export const ROOMS = [
+    { id: DEFAULT_ROOM_ID, config: DEFAULT_CONFIG },
+    {
+        id: 'turbo',
+        config: createRoomConfig({
+            name: 'Turbo',
+            timings: { bettingSeconds: 10, cooldownSeconds: 3 },
+        }),
+    },
+    {
+        id: 'highRoller',
+        // Bigger chips, and a multiplier that fires less often but pays 10x
+        config: createRoomConfig({
+            name: 'High Roller',
+            betValues: [50, 100, 500, 1000],
+            limits: { minBet: 50, maxBetPerPet: 100000, maxBetPerRound: 500000 },
+            multiplier: { value: 10, baseChance: 0.04, favorableBoost: 0.04, unfavorablePenalty: 0.02, minChance: 0.02, maxChance: 0.1 },
+        }),
+    },
+];
+
+export const ACCOUNT_KEYS = ['wallet', 'payments', 'safeguards', 'session', 'settings'];
+
+// The account part of a game state
+export const getAccount = (state) => ACCOUNT_KEYS.reduce((account, key) => ({ ...account, [key]: state[key] }), {});
+
+// Has the account changed between two game states? The reducer keeps the objects it doesn't touch.
+export const isAccountChanged = (previous, next) => ACCOUNT_KEYS.some(key => previous[key] !== next[key]);
+
+// Every player's account, shared by the rooms' game hosts. A host listens for changes made in the other
+// rooms (a payout there changes the balance here); `from` is the listener of the host that made the change.
+export const createAccounts = () => {
+    const accounts = new Map(); // playerId → account
+    const listeners = new Set();
+    return {
+        get: (playerId) => accounts.get(playerId) || null,
+        set: (playerId, account, from = null) => {
+            accounts.set(playerId, account);
+            listeners.forEach(listener => {
+                if (listener !== from) listener(playerId, account);
+            });
+        },
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+};
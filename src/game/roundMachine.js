@@ -0,0 +1,103 @@
+// Round lifecycle as an explicit phase machine driven by absolute timestamps:
+//
+//   betting → racing → multiplier → revealing → cooldown → betting (next round) → ...
+//
+// Each phase records when it started and when it ends. `advanceRound` walks every boundary that
+// `now` has passed and reports the transitions in order, so throttled timers in a background tab
+// can't drift the schedule and a late tick can't fire a transition twice.
+
+export const PHASES = {
+    BETTING: 'betting', // Chips can be placed
+    RACING: 'racing', // Bets are closed and the highlight sweeps the pets
+    MULTIPLIER: 'multiplier', // The round's multiplier is revealed on its own
+    REVEALING: 'revealing', // Highlight rests on the winner before the result is announced
+    COOLDOWN: 'cooldown', // Round settled, waiting for the next one
+};
+
+const NEXT_PHASE = {
+    [PHASES.BETTING]: PHASES.RACING,
+    [PHASES.RACING]: PHASES.MULTIPLIER,
+    [PHASES.MULTIPLIER]: PHASES.REVEALING,
+    [PHASES.REVEALING]: PHASES.COOLDOWN,
+    [PHASES.COOLDOWN]: PHASES.BETTING,
+};
+
+export const REVEAL_DURATION_MS = 300; // Pause on the winner before the WINNER badge and payout
+
+// Phase lengths in milliseconds from the config timings
+export const getPhaseDurations = (timings) => ({
+    [PHASES.BETTING]: timings.bettingSeconds * 1000,
+    [PHASES.RACING]: timings.raceDurationMs,
+    [PHASES.MULTIPLIER]: timings.multiplierRevealMs,
+    [PHASES.REVEALING]: REVEAL_DURATION_MS,
+    [PHASES.COOLDOWN]: timings.cooldownSeconds * 1000,
+});
+
+// A fresh machine at the start of a betting phase
+export const createRoundMachine = (now, durations) => ({
+    phase: PHASES.BETTING,
+    phaseStartedAt: now,
+    phaseEndsAt: now + durations[PHASES.BETTING],
+    durations, // Fixed for the round; a new round picks up new durations
+    pausedAt: null,
+});
+
+// Move the machine forward to `now`.
+// `getNextRoundDurations` is asked for the durations each time a new betting phase starts.
+// If a whole betting window was missed (e.g. the tab slept), the new round opens at `now` instead
+// of replaying rounds nobody could bet on.
+export const advanceRound = (machine, now, getNextRoundDurations = () => machine.durations) => {
+    const transitions = [];
+    let current = machine;
+
+    while (current.pausedAt === null && now >= current.phaseEndsAt) {
+        const from = current.phase;
+        const to = NEXT_PHASE[from];
+        let startedAt = current.phaseEndsAt;
+        let durations = current.durations;
+
+        if (to === PHASES.BETTING) {
+            durations = getNextRoundDurations();
+            if (now >= startedAt + durations[PHASES.BETTING]) startedAt = now;
+        }
+
+        current = {
+            ...current,
+            phase: to,
+            phaseStartedAt: startedAt,
+            phaseEndsAt: startedAt + durations[to],
+            durations,
+        };
+        transitions.push({ from, to, at: startedAt });
+    }
+
+    return { machine: current, transitions };
+};
+
+export const pauseRound = (machine, now) => (
+    machine.pausedAt === null ? { ...machine, pausedAt: now } : machine
+);
+
+// Shift the current phase by however long the machine was paused
+export const resumeRound = (machine, now) => {
+    if (machine.pausedAt === null) return machine;
+    const pausedFor = now - machine.pausedAt;
+    return {
+        ...machine,
+        phaseStartedAt: machine.phaseStartedAt + pausedFor,
+        phaseEndsAt: machine.phaseEndsAt + pausedFor,
+        pausedAt: null,
+    };
+};
+
+// End the current phase now (dev console); the next tick moves on. A paused machine carries on from there.
+export const skipPhase = (machine, now) => ({ ...machine, phaseEndsAt: Math.min(machine.phaseEndsAt, now), pausedAt: null });
+
+// Time left in the current phase (frozen while paused)
+export const getRemainingMs = (machine, now) => (
+    Math.max(0, machine.phaseEndsAt - (machine.pausedAt === null ? now : machine.pausedAt))
+);
+
+export const getElapsedMs = (machine, now) => (
+    Math.max(0, (machine.pausedAt === null ? now : machine.pausedAt) - machine.phaseStartedAt)
+);
@@ -0,0 +1,79 @@
+import { PHASES, getPhaseDurations, createRoundMachine, advanceRound, pauseRound, resumeRound, getRemainingMs } from './roundMachine';
+import { DEFAULT_CONFIG } from './config';
+import { gameReducer, createInitialGameState } from './gameReducer';
+import { createWallet } from './ledger';
+
+// 30s betting, 2.5s race, 1.5s multiplier, 0.3s reveal, 5s cooldown
+const durations = getPhaseDurations(DEFAULT_CONFIG.timings);
+
+test('phases follow absolute timestamps', () => {
+    const machine = createRoundMachine(1000, durations);
+    expect(advanceRound(machine, 30999).transitions).toEqual([]);
+
+    const { machine: racing, transitions } = advanceRound(machine, 31000);
+    expect(transitions).toEqual([{ from: PHASES.BETTING, to: PHASES.RACING, at: 31000 }]);
+    expect(racing.phaseEndsAt).toBe(33500);
+
+    // The same clock reading never fires a transition twice
+    expect(advanceRound(racing, 31000).transitions).toEqual([]);
+});
+
+test('a late tick reports every missed transition in order without drifting', () => {
+    const machine = createRoundMachine(0, durations);
+    const { machine: next, transitions } = advanceRound(machine, 35500);
+    expect(transitions.map(t => [t.to, t.at])).toEqual([
+        [PHASES.RACING, 30000],
+        [PHASES.MULTIPLIER, 32500],
+        [PHASES.REVEALING, 34000],
+        [PHASES.COOLDOWN, 34300],
+    ]);
+    expect(next.phaseEndsAt).toBe(39300);
+});
+
+test('after a long sleep the next round opens now instead of replaying missed rounds', () => {
+    const machine = createRoundMachine(0, durations);
+    const { machine: next, transitions } = advanceRound(machine, 10 * 60 * 1000);
+    expect(transitions.map(t => t.to)).toEqual([PHASES.RACING, PHASES.MULTIPLIER, PHASES.REVEALING, PHASES.COOLDOWN, PHASES.BETTING]);
+    expect(next.phaseStartedAt).toBe(10 * 60 * 1000);
+    expect(getRemainingMs(next, 10 * 60 * 1000)).toBe(30000);
+});
+
+test('new rounds pick up new durations', () => {
+    const turbo = getPhaseDurations({ ...DEFAULT_CONFIG.timings, bettingSeconds: 10 });
+    const machine = createRoundMachine(0, durations);
+    const { machine: next } = advanceRound(machine, 39300, () => turbo);
+    expect(next.phase).toBe(PHASES.BETTING);
+    expect(next.phaseEndsAt).toBe(49300);
+});
+
+test('pause freezes the countdown and resume shifts the schedule', () => {
+    const paused = pauseRound(createRoundMachine(0, durations), 10000);
+    expect(advanceRound(paused, 60000).transitions).toEqual([]);
+    expect(getRemainingMs(paused, 60000)).toBe(20000);
+
+    const resumed = resumeRound(paused, 60000);
+    expect(resumed.phaseEndsAt).toBe(80000);
+    expect(advanceRound(resumed, 80000).transitions).toHaveLength(1);
+});
+
+test('machine transitions drive a full round through the reducer', () => {
+    let game = createInitialGameState({ config: DEFAULT_CONFIG, wallet: createWallet(100), clientSeed: 'client', serverSeed: 'server' });
+    game = gameReducer(game, { type: 'PLACE_BET', petId: 1, amount: 50 });
+    game = gameReducer(game, { type: 'PLACE_BET', petId: 2, amount: 500 }); // More than the balance, ignored
+    expect(game.wallet.balance).toBe(50);
+
+    const actions = { racing: 'CLOSE_BETS', multiplier: 'REVEAL_MULTIPLIER', revealing: 'REVEAL', cooldown: 'SETTLE' };
+    const { transitions } = advanceRound(createRoundMachine(0, durations), 35000);
+    transitions.forEach(({ to, at }) => { game = gameReducer(game, { type: actions[to], timestamp: at }); });
+
+    expect(game.round.phase).toBe(PHASES.COOLDOWN);
+    const winner = DEFAULT_CONFIG.pets.find(pet => pet.id === game.round.outcome.winnerId);
+    expect(game.round.payout).toBe(winner.id === 1 ? 50 * winner.odds * game.round.outcome.multiplier : 0);
+    expect(game.wallet.balance).toBe(50 + game.round.payout);
+    expect(game.rounds).toHaveLength(1);
+    expect(game.revealedRounds[0]).toMatchObject({ nonce: 1, serverSeed: 'server', clientSeed: 'client' });
+
+    game = gameReducer(game, { type: 'START_ROUND', serverSeed: 'next' });
+    expect(game.round).toMatchObject({ nonce: 2, phase: PHASES.BETTING, outcome: null, payout: 0 });
+    expect(game.round.bets[1]).toBe(0);
+});
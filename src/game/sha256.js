@@ -0,0 +1,114 @@
+// Synchronous SHA-256 / HMAC-SHA256 over UTF-8 strings.
+// The game engine needs hashing in the browser, in tests and in plain Node scripts,
+// and SubtleCrypto is async-only, so we keep a small self-contained implementation here.
+
+const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+const BLOCK_SIZE = 64; // Bytes per SHA-256 block
+
+// Encode a string as UTF-8 bytes (TextEncoder is not available in every test environment)
+const utf8Bytes = (str) => {
+    const bytes = [];
+    for (let i = 0; i < str.length; i++) {
+        let code = str.charCodeAt(i);
+        if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) { // Surrogate pair
+            code = 0x10000 + ((code - 0xd800) << 10) + (str.charCodeAt(++i) - 0xdc00);
+        }
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        }
+    }
+    return bytes;
+};
+
+const toHex = (bytes) => bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+
+// Hash an array of bytes, returning the 32-byte digest as an array
+const digestBytes = (message) => {
+    const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const bitLength = message.length * 8;
+
+    // Pad: 0x80, zeros, then the 64-bit big-endian message length
+    const padded = message.slice();
+    padded.push(0x80);
+    while (padded.length % BLOCK_SIZE !== 56) padded.push(0);
+    const high = Math.floor(bitLength / 0x100000000);
+    for (let shift = 24; shift >= 0; shift -= 8) padded.push((high >>> shift) & 0xff);
+    for (let shift = 24; shift >= 0; shift -= 8) padded.push((bitLength >>> shift) & 0xff);
+
+    const w = new Array(64);
+    for (let offset = 0; offset < padded.length; offset += BLOCK_SIZE) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = ((padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3]) | 0;
+        }
+        for (let i = 16; i < 64; i++) {
+            const x = w[i - 15];
+            const y = w[i - 2];
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (hh + S1 + ch + K[i] + w[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) | 0;
+            hh = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0;
+        h[5] = (h[5] + f) | 0;
+        h[6] = (h[6] + g) | 0;
+        h[7] = (h[7] + hh) | 0;
+    }
+
+    const out = [];
+    h.forEach(word => {
+        out.push((word >>> 24) & 0xff, (word >>> 16) & 0xff, (word >>> 8) & 0xff, word & 0xff);
+    });
+    return out;
+};
+
+// SHA-256 of a string, as lowercase hex
+export const sha256 = (str) => toHex(digestBytes(utf8Bytes(str)));
+
+// HMAC-SHA256 keyed by `key`, as lowercase hex
+export const hmacSha256 = (key, str) => {
+    let keyBytes = utf8Bytes(key);
+    if (keyBytes.length > BLOCK_SIZE) keyBytes = digestBytes(keyBytes);
+    while (keyBytes.length < BLOCK_SIZE) keyBytes.push(0);
+
+    const inner = keyBytes.map(b => b ^ 0x36).concat(utf8Bytes(str));
+    const outer = keyBytes.map(b => b ^ 0x5c).concat(digestBytes(inner));
+    return toHex(digestBytes(outer));
+};
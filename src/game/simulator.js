@@ -0,0 +1,142 @@
+// Headless Monte Carlo simulation of rounds, using the same `resolveOutcome` as the live game.
+// Reports return-to-player (RTP), house edge, hit rate, variance and multiplier frequency per bet
+// pattern, plus observed vs theoretical win frequency per pet. Used by scripts/simulate.mjs and the
+// in-app Analytics view.
+import { resolveOutcome, getPetWeights, getMultiplierChance } from './engine.js';
+
+// Small fast seedable PRNG (mulberry32) so millions of rounds don't pay for HMAC hashing.
+// It only feeds uniform draws into the engine; the outcome logic is unchanged.
+export const createFastRandom = (seed = Date.now()) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+};
+
+// One unit on each pet on its own, plus one unit on every pet at once
+export const getDefaultBetPatterns = (pets) => [
+    ...pets.map(pet => ({ id: `pet-${pet.id}`, label: `${pet.emoji} ${pet.name}`, bets: { [pet.id]: 1 } })),
+    { id: 'spread', label: 'All pets', bets: pets.reduce((acc, pet) => ({ ...acc, [pet.id]: 1 }), {}) },
+];
+
+// Exact expectations, for comparing against the simulated numbers.
+// The luck factor scales every pet's weight by the same amount, so win probabilities are just the
+// normalised 1/odds weights; the multiplier chance is averaged over the uniform luck factor (a multiplier
+// table ignores luck, so its chances come straight from the weights). The jackpot isn't included.
+export const computeTheoretical = (config, steps = 2000) => {
+    const weights = getPetWeights(config.pets, 0);
+    const totalWeight = weights.reduce((sum, pet) => sum + pet.weight, 0);
+    const winProbability = weights.reduce((acc, pet) => ({ ...acc, [pet.id]: pet.weight / totalWeight }), {});
+
+    const { table } = config.multiplier;
+    if (table) {
+        const tableWeight = table.reduce((sum, entry) => sum + entry.weight, 0);
+        return {
+            winProbability,
+            multiplierChance: table.filter(entry => entry.value > 1).reduce((sum, entry) => sum + entry.weight, 0) / tableWeight,
+            expectedMultiplier: table.reduce((sum, entry) => sum + entry.value * entry.weight, 0) / tableWeight,
+        };
+    }
+
+    let chanceSum = 0; // Midpoint rule over luck factor in [-1, 1]
+    for (let i = 0; i < steps; i++) {
+        chanceSum += getMultiplierChance(-1 + (2 * i + 1) / steps, config.multiplier);
+    }
+    const multiplierChance = chanceSum / steps;
+    const expectedMultiplier = 1 + (config.multiplier.value - 1) * multiplierChance;
+
+    return { winProbability, multiplierChance, expectedMultiplier };
+};
+
+// Expected return per unit staked for a bet pattern, from the theoretical probabilities
+export const computePatternRTP = (pattern, pets, theoretical) => {
+    const stake = Object.values(pattern.bets).reduce((sum, amount) => sum + amount, 0);
+    const expectedPayout = pets.reduce(
+        (sum, pet) => sum + theoretical.winProbability[pet.id] * (pattern.bets[pet.id] || 0) * pet.odds,
+        0,
+    ) * theoretical.expectedMultiplier;
+    return expectedPayout / stake;
+};
+
+// Incremental simulation so the UI can run it in batches without freezing the page.
+export const createSimulation = (config, betPatterns = getDefaultBetPatterns(config.pets)) => {
+    const patterns = betPatterns.map(pattern => ({
+        ...pattern,
+        stake: Object.values(pattern.bets).reduce((sum, amount) => sum + amount, 0),
+        hits: 0,
+        multipliedHits: 0,
+        returned: 0,
+        sumReturn: 0, // Sum of per-round return per unit staked (payout / stake - 1)
+        sumReturnSquared: 0,
+    }));
+    const petWins = config.pets.reduce((acc, pet) => ({ ...acc, [pet.id]: 0 }), {});
+    let rounds = 0;
+    let multiplierFires = 0;
+
+    const runBatch = (count, random) => {
+        for (let i = 0; i < count; i++) {
+            const { winner, multiplier } = resolveOutcome(config.pets, random, config.multiplier);
+            rounds++;
+            petWins[winner.id]++;
+            if (multiplier > 1) multiplierFires++;
+
+            for (let j = 0; j < patterns.length; j++) {
+                const pattern = patterns[j];
+                const payout = (pattern.bets[winner.id] || 0) * winner.odds * multiplier;
+                const roundReturn = payout / pattern.stake - 1;
+                if (payout > 0) {
+                    pattern.hits++;
+                    if (multiplier > 1) pattern.multipliedHits++;
+                }
+                pattern.returned += payout;
+                pattern.sumReturn += roundReturn;
+                pattern.sumReturnSquared += roundReturn * roundReturn;
+            }
+        }
+        return rounds;
+    };
+
+    const getReport = () => {
+        const theoretical = computeTheoretical(config);
+        return {
+            rounds,
+            multiplierRate: rounds ? multiplierFires / rounds : 0,
+            theoreticalMultiplierRate: theoretical.multiplierChance,
+            pets: config.pets.map(pet => ({
+                id: pet.id,
+                label: `${pet.emoji} ${pet.name}`,
+                odds: pet.odds,
+                wins: petWins[pet.id],
+                frequency: rounds ? petWins[pet.id] / rounds : 0,
+                theoreticalFrequency: theoretical.winProbability[pet.id],
+            })),
+            patterns: patterns.map(pattern => {
+                const meanReturn = rounds ? pattern.sumReturn / rounds : 0;
+                const rtp = rounds ? pattern.returned / (pattern.stake * rounds) : 0;
+                return {
+                    id: pattern.id,
+                    label: pattern.label,
+                    hitRate: rounds ? pattern.hits / rounds : 0,
+                    rtp,
+                    houseEdge: 1 - rtp,
+                    theoreticalRTP: computePatternRTP(pattern, config.pets, theoretical),
+                    variance: rounds ? pattern.sumReturnSquared / rounds - meanReturn * meanReturn : 0, // Per unit staked
+                    multiplierOnHitRate: pattern.hits ? pattern.multipliedHits / pattern.hits : 0,
+                };
+            }),
+        };
+    };
+
+    return { runBatch, getReport };
+};
+
+// Run a whole simulation in one go (Node script, tests)
+export const simulateRounds = ({ config, rounds, random = createFastRandom(), betPatterns }) => {
+    const simulation = createSimulation(config, betPatterns);
+    simulation.runBatch(rounds, random);
+    return simulation.getReport();
+};
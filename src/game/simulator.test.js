@@ -0,0 +1,35 @@
+import { DEFAULT_CONFIG } from './config';
+import { createFastRandom, simulateRounds, computeTheoretical, getDefaultBetPatterns } from './simulator';
+
+test('fast random is seedable and uniform-ish', () => {
+    const a = createFastRandom(1);
+    const b = createFastRandom(1);
+    const draws = Array.from({ length: 1000 }, () => a());
+    expect(draws).toEqual(Array.from({ length: 1000 }, () => b()));
+    expect(draws.reduce((sum, value) => sum + value, 0) / draws.length).toBeCloseTo(0.5, 1);
+});
+
+test('theoretical multiplier chance averages the luck-adjusted chance', () => {
+    // 50% of the time 0.1..0.2 (mean 0.15), 50% of the time 0.05..0.1 (mean 0.075)
+    expect(computeTheoretical(DEFAULT_CONFIG).multiplierChance).toBeCloseTo(0.1125, 6);
+});
+
+test('a multiplier table gives its chances straight from the weights', () => {
+    const table = [{ value: 1, weight: 80 }, { value: 2, weight: 12 }, { value: 4, weight: 6 }, { value: 10, weight: 2 }];
+    const theoretical = computeTheoretical({ ...DEFAULT_CONFIG, multiplier: { ...DEFAULT_CONFIG.multiplier, table } });
+    expect(theoretical.multiplierChance).toBeCloseTo(0.2, 6);
+    expect(theoretical.expectedMultiplier).toBeCloseTo(1.48, 6);
+});
+
+test('simulated RTP converges on the theoretical RTP', () => {
+    const report = simulateRounds({ config: DEFAULT_CONFIG, rounds: 200000, random: createFastRandom(42) });
+    expect(report.rounds).toBe(200000);
+    expect(report.patterns).toHaveLength(getDefaultBetPatterns(DEFAULT_CONFIG.pets).length);
+
+    const spread = report.patterns.find(pattern => pattern.id === 'spread');
+    expect(spread.hitRate).toBe(1);
+    expect(Math.abs(spread.rtp - spread.theoreticalRTP)).toBeLessThan(0.02);
+    report.pets.forEach(pet => {
+        expect(Math.abs(pet.frequency - pet.theoreticalFrequency)).toBeLessThan(0.01);
+    });
+});
@@ -0,0 +1,141 @@
+// Test harness: a dev-tools game host on a hand-moved clock, with seeded server seeds and a player
+// already seated, so a test can walk the whole bet → race → payout → next round cycle in a few lines.
+//
+//   const table = createTestTable({ seed: 7 });
+//   table.force({ winnerId: 8, multiplier: 4 });
+//   table.bet(8, 10);
+//   table.playRound();                 // through to the payout
+//   table.game().wallet.balance;
+//   table.nextRound();                 // betting is open again
+//
+// createTestLobby does the same for a lobby of rooms (lobby.js), with nobody seated until a test joins.
+//
+// Everything goes through the same protocol messages the app sends (see protocol.js).
+import { createGameHost } from './gameHost.js';
+import { createLobby } from './lobby.js';
+import { createSeededServerSeeds } from './devTools.js';
+import { createMockPaymentProvider } from './paymentProviders.js';
+import { CLIENT_MESSAGES, HOST_MESSAGES, DEV_COMMANDS } from './protocol.js';
+import { PHASES } from './roundMachine.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { ROOMS } from './rooms.js';
+
+const MAX_SKIPS = 10; // More than one lap of the phases means the phase asked for never came
+
+// Seat a player at `target` (a game host or a lobby) with a hello carrying `hello`; their end keeps every
+// message sent to them
+const seatPlayer = (target, playerId, hello = {}) => {
+    const messages = [];
+    const end = target.connect(message => messages.push(message));
+    end.receive({ type: CLIENT_MESSAGES.HELLO, playerId, ...hello });
+    const last = (type) => messages.filter(message => message.type === type).pop();
+    let nextRequestId = 1;
+    // A message that gets a reply; returns the reply's result
+    const request = (type, args) => {
+        const requestId = nextRequestId++;
+        end.receive({ type, requestId, ...args });
+        return messages.find(message => message.type === HOST_MESSAGES.REPLY && message.requestId === requestId).result;
+    };
+    const seat = {
+        messages,
+        send: end.receive,
+        disconnect: end.disconnect,
+        game: () => last(HOST_MESSAGES.STATE).game,
+        room: () => last(HOST_MESSAGES.STATE).room,
+        act: (action) => end.receive({ type: CLIENT_MESSAGES.ACTION, action }),
+        bet: (petId, amount) => seat.act({ type: 'PLACE_BET', petId, amount }),
+        sideBet: (betKey, amount) => seat.act({ type: 'PLACE_SIDE_BET', betKey, amount }),
+        // Dev command; returns the host's reply ({ error } if refused)
+        dev: (command, args = {}) => request(CLIENT_MESSAGES.DEV, { command, ...args }),
+        // The latest message of a type (e.g. HOST_MESSAGES.REJECTED), or undefined
+        last,
+        request,
+    };
+    return seat;
+};
+
+export const createTestTable = ({ config = DEFAULT_CONFIG, seed = 1, clientSeed = 'test', solo = true, playerId = 'tester', now = 0 } = {}) => {
+    const clock = { now };
+    const host = createGameHost({
+        config,
+        clientSeed,
+        solo,
+        devTools: true,
+        clock: () => clock.now,
+        createServerSeed: createSeededServerSeeds(seed),
+    });
+    host.start();
+
+    const join = (id) => seatPlayer(host, id);
+
+    const player = join(playerId);
+    const getPhase = () => player.room().machine.phase;
+
+    // Skip phases until the room reaches `phase` (the next time round if it's already there)
+    const advanceTo = (phase) => {
+        for (let i = 0; i < MAX_SKIPS; i++) {
+            player.dev(DEV_COMMANDS.SKIP_PHASE);
+            if (getPhase() === phase) return player.game();
+        }
+        throw new Error(`Never reached the ${phase} phase`);
+    };
+
+    return {
+        host,
+        clock,
+        join,
+        player,
+        ...player,
+        getPhase,
+        advanceTo,
+        // Let time pass on the host's clock
+        advance: (ms) => {
+            clock.now += ms;
+            host.tick();
+        },
+        setBalance: (balance) => player.dev(DEV_COMMANDS.SET_BALANCE, { balance }),
+        force: (forced) => player.dev(DEV_COMMANDS.FORCE, { forced }),
+        // Close bets and run the race through to the payout; returns the settled game state
+        playRound: () => advanceTo(PHASES.COOLDOWN),
+        // Open the next round's betting
+        nextRound: () => advanceTo(PHASES.BETTING),
+    };
+};
+
+// A lobby of `rooms` on a hand-moved clock with seeded server seeds. `join(playerId, roomId)` seats a player
+// (in their last room, or the default one, without a roomId); each seat can also read the lobby's summary of
+// a room and move to another room.
+export const createTestLobby = ({ rooms = ROOMS, seed = 1, clientSeed = 'test', solo = false, now = 0 } = {}) => {
+    const clock = { now };
+    const lobby = createLobby({
+        rooms,
+        clientSeed,
+        solo,
+        devTools: true,
+        clock: () => clock.now,
+        createServerSeed: createSeededServerSeeds(seed),
+        createProvider: () => createMockPaymentProvider({ latencyMs: 1 }), // Top-ups settle straight away
+    });
+    lobby.start();
+
+    const join = (playerId, roomId) => {
+        const seat = seatPlayer(lobby, playerId, roomId === undefined ? {} : { roomId });
+        return {
+            ...seat,
+            lobbyRoom: (id) => seat.last(HOST_MESSAGES.LOBBY).rooms.find(room => room.id === id),
+            // Move to another room; returns the lobby's reply ({ error } if refused)
+            moveTo: (id) => seat.request(CLIENT_MESSAGES.JOIN, { roomId: id }),
+        };
+    };
+
+    return {
+        lobby,
+        clock,
+        join,
+        // Let time pass on the lobby's clock
+        advance: (ms) => {
+            clock.now += ms;
+            lobby.tick();
+        },
+    };
+};
@@ -0,0 +1,129 @@
+import { createTestTable } from './testTable';
+import { PHASES, getPhaseDurations } from './roundMachine';
+import { DEV_COMMANDS, HOST_MESSAGES } from './protocol';
+import { TRANSACTION_TYPES } from './ledger';
+import { DEFAULT_CONFIG } from './config';
+import { isDevConsoleEnabled } from './devTools';
+
+const lion = DEFAULT_CONFIG.pets.find(pet => pet.name === 'Lion');
+const rabbit = DEFAULT_CONFIG.pets.find(pet => pet.name === 'Rabbit');
+const start = DEFAULT_CONFIG.startingBalance;
+
+test('a forced Lion win with the 4x multiplier pays 45x × 4', () => {
+    const table = createTestTable();
+    table.force({ winnerId: lion.id, multiplier: DEFAULT_CONFIG.multiplier.value });
+    table.bet(lion.id, 10);
+    expect(table.game().wallet.balance).toBe(start - 10);
+
+    const { round, wallet, rounds } = table.playRound();
+    expect(round.outcome).toMatchObject({ winnerId: lion.id, multiplier: 4, forced: true });
+    expect(round.payout).toBe(10 * 45 * 4);
+    expect(wallet.balance).toBe(start - 10 + 1800);
+    expect(rounds[0]).toMatchObject({ winnerName: 'Lion', net: 1790 });
+});
+
+test('the full cycle: bet, race, payout, next round', () => {
+    const table = createTestTable();
+    table.force({ winnerId: rabbit.id, multiplier: 1 });
+    table.bet(rabbit.id, 20);
+    table.bet(lion.id, 5);
+
+    expect(table.advanceTo(PHASES.RACING).round.outcome.winnerId).toBe(rabbit.id);
+    expect(table.advanceTo(PHASES.MULTIPLIER).round.phase).toBe(PHASES.MULTIPLIER);
+    expect(table.advanceTo(PHASES.REVEALING).wallet.balance).toBe(start - 25); // Not paid until settled
+    expect(table.advanceTo(PHASES.COOLDOWN).wallet.balance).toBe(start - 25 + 20 * rabbit.odds);
+
+    const next = table.nextRound();
+    expect(next.round).toMatchObject({ phase: PHASES.BETTING, nonce: 2 });
+    expect(next.lastBets).toEqual({ [rabbit.id]: 20, [lion.id]: 5 });
+    expect(next.revealedRounds[0]).toMatchObject({ nonce: 1, forced: true });
+
+    // The force only lasts one round
+    expect(table.room().dev.forced).toBeNull();
+    expect(table.playRound().round.outcome.forced).toBe(false);
+});
+
+test('the same seed replays the same rounds', () => {
+    const winners = (seed) => {
+        const table = createTestTable({ seed });
+        return [1, 2, 3, 4, 5].map(() => {
+            const { round } = table.playRound();
+            table.nextRound();
+            return [round.outcome.winnerId, round.outcome.multiplier, round.serverSeed];
+        });
+    };
+    expect(winners(42)).toEqual(winners(42));
+    expect(winners(42)).not.toEqual(winners(43));
+});
+
+test('a forced luck factor is kept and the draws still pick the winner', () => {
+    const table = createTestTable();
+    table.force({ luckFactor: 1 });
+    const { outcome } = table.playRound().round;
+    expect(outcome.luckFactor).toBe(1);
+    expect(DEFAULT_CONFIG.pets.map(pet => pet.id)).toContain(outcome.winnerId);
+});
+
+test('the balance can be set and shows up in the ledger', () => {
+    const table = createTestTable();
+    expect(table.setBalance(5)).toEqual({});
+    const { wallet } = table.game();
+    expect(wallet.balance).toBe(5);
+    expect(wallet.transactions[wallet.transactions.length - 1]).toMatchObject({ type: TRANSACTION_TYPES.ADJUSTMENT, amount: 5 - start });
+    table.bet(rabbit.id, 10);
+    expect(table.last(HOST_MESSAGES.REJECTED).problem.reason).toBe('balance');
+});
+
+test('phases can be shortened from the next round', () => {
+    const table = createTestTable();
+    expect(table.dev(DEV_COMMANDS.TIME_SCALE, { scale: 0.1 })).toEqual({});
+    table.nextRound();
+    const bettingMs = getPhaseDurations(DEFAULT_CONFIG.timings)[PHASES.BETTING];
+    table.advance(bettingMs * 0.1);
+    expect(table.getPhase()).toBe(PHASES.RACING);
+});
+
+test('bad dev commands are refused', () => {
+    const table = createTestTable();
+    expect(table.force({ winnerId: 99 }).error).toMatch(/99/);
+    expect(table.force({ multiplier: 0 }).error).toBeTruthy();
+    expect(table.force({ luckFactor: 2 }).error).toBeTruthy();
+    expect(table.setBalance(-1).error).toBeTruthy();
+    expect(table.dev('explode').error).toBeTruthy();
+    expect(table.room().dev.forced).toBeNull();
+});
+
+test('a refused seed leaves the last one in place', () => {
+    const table = createTestTable();
+    expect(table.dev(DEV_COMMANDS.SEED, { seed: 7 })).toEqual({});
+    expect(table.dev(DEV_COMMANDS.SEED, { seed: 'seven' }).error).toBeTruthy();
+    table.nextRound();
+    expect(table.room().dev.seed).toBe(7);
+});
+
+test('a forced winner that left with a config change is dropped', () => {
+    const table = createTestTable();
+    table.advanceTo(PHASES.COOLDOWN);
+    expect(table.force({ winnerId: lion.id })).toEqual({});
+    table.act({ type: 'QUEUE_CONFIG', config: { ...DEFAULT_CONFIG, pets: DEFAULT_CONFIG.pets.filter(pet => pet.id !== lion.id) } });
+    table.nextRound();
+
+    const { round } = table.playRound();
+    expect(round.outcome.forced).toBe(false);
+    expect(round.outcome.winnerId).not.toBe(lion.id);
+});
+
+test('a partial config is queued with the defaults filled in', () => {
+    const table = createTestTable();
+    table.act({ type: 'QUEUE_CONFIG', config: { name: 'Quick', timings: { bettingSeconds: 5 } } });
+    expect(table.game().pendingConfig).toMatchObject({ name: 'Quick', pets: DEFAULT_CONFIG.pets, timings: { bettingSeconds: 5, cooldownSeconds: 5 } });
+    table.nextRound();
+    expect(table.game().config.betValues).toEqual(DEFAULT_CONFIG.betValues);
+});
+
+test('the URL flag only opens the console outside production', () => {
+    expect(isDevConsoleEnabled('?dev=1', undefined, 'development')).toBe(true);
+    expect(isDevConsoleEnabled('?dev=1', undefined, 'production')).toBe(false);
+    expect(isDevConsoleEnabled('', 'true', 'production')).toBe(true);
+    expect(isDevConsoleEnabled('', undefined, 'development')).toBe(false);
+});
@@ -0,0 +1,133 @@
+// Wallet service: runs top-ups and refunds against a payment provider (see paymentProviders.js) and
+// records every step through the game reducer (PAYMENT_CREATED / PAYMENT_UPDATED), so the wallet only
+// ever changes when a payment is confirmed or refunded.
+//
+// A request that doesn't answer within `requestTimeoutMs` isn't treated as failed straight away (the
+// bank may still take the money); the payment stays pending and the provider is polled until it
+// settles or `maxPolls` runs out.
+//
+// Errors the service raises itself are codes from WALLET_ERRORS (the UI translates them); a provider's
+// own decline reason is passed through as text.
+import { PAYMENT_STATUS, validateUpiId, createPayment, findPaymentByKey } from './payments.js';
+import { checkTopUp } from './responsiblePlay.js';
+
+export const WALLET_ERRORS = {
+    UPI_MISSING: 'upiMissing',
+    UPI_INVALID: 'upiInvalid',
+    AMOUNT_INVALID: 'amountInvalid', // Not one of the config's top-up amounts
+    TOP_UP_LIMIT: 'topUpLimit', // Over the player's top-up limits or in a cool-off
+    NOT_REFUNDABLE: 'notRefundable', // Only confirmed top-ups can be refunded
+    REFUND_BALANCE: 'refundBalance', // Balance is below the top-up being refunded
+    TIMEOUT: 'timeout', // Provider didn't answer in time
+    REFUND_FAILED: 'refundFailed', // Provider rejected the refund without a reason
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Reject with WALLET_ERRORS.TIMEOUT if the promise hasn't settled in time
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(WALLET_ERRORS.TIMEOUT)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+export const createWalletService = ({ provider, dispatch, getState, requestTimeoutMs = 10000, pollIntervalMs = 2000, maxPolls = 5, now = Date.now }) => {
+    const inFlight = new Map(); // idempotencyKey → promise of the settled payment
+
+    const getPayment = (paymentId) => getState().payments.find(payment => payment.id === paymentId);
+
+    const update = (payment, status, details = {}) => {
+        dispatch({ type: 'PAYMENT_UPDATED', paymentId: payment.id, status, timestamp: now(), ...details });
+        return getPayment(payment.id);
+    };
+
+    // Apply a provider answer; returns the payment if it has settled, null if it's still pending
+    const applyResponse = (payment, response) => {
+        if (response.status === PAYMENT_STATUS.PENDING) return null;
+        return update(payment, response.status, { providerRef: response.providerRef, error: response.error });
+    };
+
+    const pollUntilSettled = async (payment) => {
+        for (let attempt = 0; attempt < maxPolls; attempt++) {
+            await delay(pollIntervalMs);
+            try {
+                const settled = applyResponse(payment, await withTimeout(provider.getPaymentStatus(payment.id), requestTimeoutMs));
+                if (settled) return settled;
+            } catch (error) {
+                // Provider unreachable: try again on the next poll
+            }
+        }
+        return update(payment, PAYMENT_STATUS.FAILED, { error: WALLET_ERRORS.TIMEOUT });
+    };
+
+    const processPayment = async (payment) => {
+        try {
+            const response = await withTimeout(provider.requestPayment({
+                paymentId: payment.id,
+                amount: payment.amount,
+                upiId: payment.upiId,
+                idempotencyKey: payment.idempotencyKey,
+            }), requestTimeoutMs);
+            const settled = applyResponse(payment, response);
+            if (settled) return settled;
+            if (response.providerRef) dispatch({ type: 'PAYMENT_UPDATED', paymentId: payment.id, status: PAYMENT_STATUS.PENDING, providerRef: response.providerRef, timestamp: now() });
+        } catch (error) {
+            if (error.message !== WALLET_ERRORS.TIMEOUT) return update(payment, PAYMENT_STATUS.FAILED, { error: error.message });
+        }
+        return pollUntilSettled(payment);
+    };
+
+    // Top up the wallet by one of the config's `topUpAmounts`. Resolves to { payment } once the payment has
+    // settled, or { error } if it was refused up front. Calling again with the same idempotency key returns
+    // the same payment.
+    // The amount comes from the player, so it is checked here and not only in the Add Balance dialog.
+    const topUp = ({ amount, upiId, idempotencyKey }) => {
+        if (inFlight.has(idempotencyKey)) return inFlight.get(idempotencyKey);
+        const existing = findPaymentByKey(getState().payments, idempotencyKey);
+        if (existing) return Promise.resolve({ payment: existing });
+
+        const upiError = validateUpiId(upiId);
+        if (upiError) return Promise.resolve({ error: upiError });
+        if (!getState().config.topUpAmounts.includes(amount)) return Promise.resolve({ error: WALLET_ERRORS.AMOUNT_INVALID });
+        if (checkTopUp(getState(), amount, now())) return Promise.resolve({ error: WALLET_ERRORS.TOP_UP_LIMIT });
+
+        const payment = createPayment({ amount, upiId, idempotencyKey, timestamp: now() });
+        dispatch({ type: 'PAYMENT_CREATED', payment });
+        const result = processPayment(payment)
+            .then(settled => ({ payment: settled }))
+            .finally(() => inFlight.delete(idempotencyKey));
+        inFlight.set(idempotencyKey, result);
+        return result;
+    };
+
+    // Return a confirmed top-up to the payer. Resolves to { payment } or { error }.
+    const refund = (paymentId) => {
+        const key = `refund:${paymentId}`;
+        if (inFlight.has(key)) return inFlight.get(key);
+        const payment = getPayment(paymentId);
+        if (!payment || payment.status !== PAYMENT_STATUS.CONFIRMED) return Promise.resolve({ error: WALLET_ERRORS.NOT_REFUNDABLE });
+        if (getState().wallet.balance < payment.amount) return Promise.resolve({ error: WALLET_ERRORS.REFUND_BALANCE });
+
+        const result = withTimeout(provider.refund({ paymentId, amount: payment.amount, idempotencyKey: key }), requestTimeoutMs)
+            .then(response => (response.status === PAYMENT_STATUS.REFUNDED
+                ? { payment: update(payment, PAYMENT_STATUS.REFUNDED) }
+                : { error: response.error || WALLET_ERRORS.REFUND_FAILED }))
+            .catch(error => ({ error: error.message }))
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, result);
+        return result;
+    };
+
+    // After a reload: settle payments that were still pending when the page closed
+    const resumePending = () => Promise.all(getState().payments
+        .filter(payment => payment.status === PAYMENT_STATUS.PENDING && !inFlight.has(payment.idempotencyKey))
+        .map(payment => {
+            const result = pollUntilSettled(payment).then(settled => ({ payment: settled })).finally(() => inFlight.delete(payment.idempotencyKey));
+            inFlight.set(payment.idempotencyKey, result);
+            return result;
+        }));
+
+    return { provider, topUp, refund, resumePending };
+};
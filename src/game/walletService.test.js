@@ -0,0 +1,98 @@
+import { createWalletService, WALLET_ERRORS } from './walletService';
+import { createMockPaymentProvider } from './paymentProviders';
+import { PAYMENT_STATUS, validateUpiId } from './payments';
+import { gameReducer, createInitialGameState } from './gameReducer';
+import { createWallet } from './ledger';
+import { DEFAULT_CONFIG } from './config';
+
+// A small store around the reducer, the way the game host keeps each player's state
+const createStore = () => {
+    let state = createInitialGameState({ config: DEFAULT_CONFIG, wallet: createWallet(100), clientSeed: 'client', serverSeed: 'server' });
+    return {
+        dispatch: (action) => { state = gameReducer(state, action); },
+        getState: () => state,
+    };
+};
+
+const createService = (store, providerOptions = {}) => createWalletService({
+    provider: createMockPaymentProvider({ latencyMs: 1, confirmDelayMs: 5, ...providerOptions }),
+    dispatch: store.dispatch,
+    getState: store.getState,
+    requestTimeoutMs: 20,
+    pollIntervalMs: 5,
+    maxPolls: 3,
+});
+
+test('UPI IDs must look like name@provider', () => {
+    expect(validateUpiId('yourname@okbank')).toBeNull();
+    expect(validateUpiId('first.last-1@ybl')).toBeNull();
+    expect(validateUpiId('')).toBe(WALLET_ERRORS.UPI_MISSING);
+    expect(validateUpiId('yourname')).toBe(WALLET_ERRORS.UPI_INVALID);
+    expect(validateUpiId('a@b')).toBe(WALLET_ERRORS.UPI_INVALID);
+    expect(validateUpiId('name@@bank')).toBe(WALLET_ERRORS.UPI_INVALID);
+});
+
+test('a confirmed top-up credits the wallet once, even when requested twice', async () => {
+    const store = createStore();
+    const service = createService(store);
+    const [first, second] = await Promise.all([
+        service.topUp({ amount: 500, upiId: 'me@bank', idempotencyKey: 'k1' }),
+        service.topUp({ amount: 500, upiId: 'me@bank', idempotencyKey: 'k1' }),
+    ]);
+    expect(first.payment.status).toBe(PAYMENT_STATUS.CONFIRMED);
+    expect(second.payment.id).toBe(first.payment.id);
+    expect(store.getState().wallet.balance).toBe(600);
+    expect(store.getState().payments).toHaveLength(1);
+
+    const again = await service.topUp({ amount: 500, upiId: 'me@bank', idempotencyKey: 'k1' });
+    expect(again.payment.id).toBe(first.payment.id);
+    expect(store.getState().wallet.balance).toBe(600);
+});
+
+test('declines and invalid IDs credit nothing', async () => {
+    const store = createStore();
+    const service = createService(store);
+    const declined = await service.topUp({ amount: 500, upiId: 'me@decline', idempotencyKey: 'k1' });
+    expect(declined.payment).toMatchObject({ status: PAYMENT_STATUS.FAILED, error: 'Declined by the bank' });
+    expect((await service.topUp({ amount: 500, upiId: 'not-an-id', idempotencyKey: 'k2' })).error).toBe(WALLET_ERRORS.UPI_INVALID);
+    expect(store.getState().wallet.balance).toBe(100);
+});
+
+test('only the config\'s top-up amounts are accepted', async () => {
+    const store = createStore();
+    const service = createService(store);
+    for (const amount of [-90, 0, 1e12, 50, NaN, '100']) {
+        expect((await service.topUp({ amount, upiId: 'me@bank', idempotencyKey: `k${amount}` })).error).toBe(WALLET_ERRORS.AMOUNT_INVALID);
+    }
+    expect(store.getState().payments).toEqual([]);
+    expect(store.getState().wallet.balance).toBe(100);
+});
+
+test('a delayed confirmation is picked up by polling', async () => {
+    const store = createStore();
+    const { payment } = await createService(store).topUp({ amount: 100, upiId: 'me@slow', idempotencyKey: 'k1' });
+    expect(payment.status).toBe(PAYMENT_STATUS.CONFIRMED);
+    expect(store.getState().wallet.balance).toBe(200);
+});
+
+test('a provider that never answers fails the payment after polling', async () => {
+    const store = createStore();
+    const { payment } = await createService(store).topUp({ amount: 100, upiId: 'me@timeout', idempotencyKey: 'k1' });
+    expect(payment).toMatchObject({ status: PAYMENT_STATUS.FAILED, error: WALLET_ERRORS.TIMEOUT });
+    expect(store.getState().wallet.balance).toBe(100);
+});
+
+test('refunds debit a confirmed top-up and can be rejected', async () => {
+    const store = createStore();
+    const service = createService(store);
+    const { payment } = await service.topUp({ amount: 100, upiId: 'me@bank', idempotencyKey: 'k1' });
+    const refunded = await service.refund(payment.id);
+    expect(refunded.payment.status).toBe(PAYMENT_STATUS.REFUNDED);
+    expect(store.getState().wallet.balance).toBe(100);
+    expect(store.getState().wallet.transactions.map(tx => tx.type)).toEqual(['opening', 'topup', 'topup_refund']);
+    expect((await service.refund(payment.id)).error).toBe(WALLET_ERRORS.NOT_REFUNDABLE);
+
+    const { payment: other } = await service.topUp({ amount: 100, upiId: 'me@norefund', idempotencyKey: 'k2' });
+    expect((await service.refund(other.id)).error).toBe('Refund rejected by the bank');
+    expect(store.getState().payments[1].status).toBe(PAYMENT_STATUS.CONFIRMED);
+});
@@ -0,0 +1,31 @@
+import { useRef, useCallback } from 'react';
+
+const MOVES = { ArrowLeft: -1, ArrowRight: 1 };
+
+// Arrow-key focus movement over a list of controls laid out `columns` wide (Home / End jump to the ends).
+// Give each control ref={setRef(index)} and put handleKeyDown on their container.
+const useArrowKeyFocus = (columns) => {
+    const refs = useRef([]);
+
+    const setRef = useCallback((index) => (element) => {
+        refs.current[index] = element;
+    }, []);
+
+    const handleKeyDown = useCallback((event) => {
+        const items = refs.current.filter(Boolean); // Unmounted controls leave nulls behind
+        const index = items.indexOf(document.activeElement);
+        if (index === -1) return;
+        const moves = { ...MOVES, ArrowUp: -columns, ArrowDown: columns };
+        let next;
+        if (event.key in moves) next = index + moves[event.key];
+        else if (event.key === 'Home') next = 0;
+        else if (event.key === 'End') next = items.length - 1;
+        else return;
+        event.preventDefault();
+        if (next >= 0 && next < items.length) items[next].focus();
+    }, [columns]);
+
+    return { setRef, handleKeyDown };
+};
+
+export default useArrowKeyFocus;
@@ -0,0 +1,106 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { CLIENT_MESSAGES, HOST_MESSAGES } from '../game/protocol';
+
+// Connects to a game host and keeps the latest state it sent.
+// `connect({ onClose })` opens the connection (see connection.js). If it closes by itself and there's a
+// `fallback`, play carries on against fallback() (the offline stand-in) and an { type: 'offline' } event
+// is emitted. Events ({ type: 'transition' | 'notice' | 'rejected' | 'offline', ... }) go to `subscribe`rs,
+// and are held until the first one subscribes so nothing sent before the board mounts is lost.
+// Requests still waiting for an answer when the connection closes resolve with { error: DISCONNECTED }.
+export const DISCONNECTED = 'disconnected';
+
+const useGameClient = ({ connect, fallback, hello }) => {
+    const [snapshot, setSnapshot] = useState({ game: null, room: null }); // Latest state message
+    const [lobby, setLobby] = useState(null); // Latest lobby message: every room's countdown and last winners
+    const gameRef = useRef(null);
+    const connectionRef = useRef(null);
+    const listenersRef = useRef(new Set());
+    const heldEventsRef = useRef([]);
+    const requestsRef = useRef(new Map()); // requestId → resolve
+    const nextRequestIdRef = useRef(1);
+    const setupRef = useRef({ connect, fallback, hello });
+
+    const emit = useCallback((event) => {
+        if (listenersRef.current.size === 0) heldEventsRef.current.push(event);
+        else listenersRef.current.forEach(listener => listener(event));
+    }, []);
+
+    useEffect(() => {
+        let active = true;
+        let connection = null;
+        let unsubscribe = () => {};
+
+        const handleMessage = (message) => {
+            if (message.type === HOST_MESSAGES.STATE) {
+                const previous = gameRef.current;
+                gameRef.current = message.game;
+                // How far the host's clock is ahead of ours, for the countdown
+                setSnapshot({ game: message.game, room: { ...message.room, clockOffset: message.room.serverNow - Date.now() } });
+                if (message.transition) emit({ type: 'transition', transition: message.transition, previous });
+            } else if (message.type === HOST_MESSAGES.LOBBY) {
+                setLobby({ rooms: message.rooms, clockOffset: message.serverNow - Date.now() });
+            } else if (message.type === HOST_MESSAGES.NOTICE) {
+                emit({ type: 'notice', notice: message.notice });
+            } else if (message.type === HOST_MESSAGES.REJECTED) {
+                emit({ type: 'rejected', problem: message.problem });
+            } else if (message.type === HOST_MESSAGES.REPLY) {
+                const resolve = requestsRef.current.get(message.requestId);
+                requestsRef.current.delete(message.requestId);
+                if (resolve) resolve(message.result);
+            }
+        };
+
+        const open = (create) => {
+            connection = create({ onClose: handleClose });
+            connectionRef.current = connection;
+            unsubscribe = connection.onMessage(handleMessage);
+            connection.send({ type: CLIENT_MESSAGES.HELLO, ...setupRef.current.hello });
+        };
+
+        const handleClose = () => {
+            if (!active) return;
+            // The host that would have answered is gone (a top-up may still have gone through there)
+            requestsRef.current.forEach(resolve => resolve({ error: DISCONNECTED }));
+            requestsRef.current.clear();
+            if (!setupRef.current.fallback) return;
+            unsubscribe();
+            emit({ type: 'offline' });
+            open(setupRef.current.fallback);
+        };
+
+        open(setupRef.current.connect);
+        return () => {
+            active = false;
+            unsubscribe();
+            connection.close();
+        };
+    }, [emit]);
+
+    const send = useCallback((message) => connectionRef.current && connectionRef.current.send(message), []);
+
+    // A reducer action for the host to check and apply
+    const dispatch = useCallback((action) => send({ type: CLIENT_MESSAGES.ACTION, action }), [send]);
+
+    // Send a join / top-up / refund and resolve with the host's answer
+    const request = useCallback((type, payload) => new Promise(resolve => {
+        const requestId = nextRequestIdRef.current++;
+        requestsRef.current.set(requestId, resolve);
+        send({ type, requestId, ...payload });
+    }), [send]);
+
+    const subscribe = useCallback((listener) => {
+        listenersRef.current.add(listener);
+        heldEventsRef.current.splice(0).forEach(listener);
+        return () => listenersRef.current.delete(listener);
+    }, []);
+
+    const getGame = useCallback(() => gameRef.current, []);
+    const pause = useCallback(() => send({ type: CLIENT_MESSAGES.PAUSE }), [send]);
+    const resume = useCallback(() => send({ type: CLIENT_MESSAGES.RESUME }), [send]);
+    // Move to another room; resolves with {} or { error } (see getSwitchBlocker)
+    const join = useCallback((roomId) => request(CLIENT_MESSAGES.JOIN, { roomId }), [request]);
+
+    return { game: snapshot.game, room: snapshot.room, lobby, getGame, dispatch, request, subscribe, pause, resume, join };
+};
+
+export default useGameClient;
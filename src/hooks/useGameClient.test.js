@@ -0,0 +1,29 @@
+import { renderHook, act } from '@testing-library/react';
+import useGameClient, { DISCONNECTED } from './useGameClient';
+import { CLIENT_MESSAGES } from '../game/protocol';
+
+// A connection that keeps what it's sent and never answers; `drop()` closes it as the server would
+const createSilentConnection = () => {
+    const connection = { sent: [], onClose: null };
+    connection.create = ({ onClose }) => {
+        connection.onClose = onClose;
+        return {
+            send: (message) => connection.sent.push(message),
+            onMessage: () => () => {},
+            close: () => {},
+        };
+    };
+    connection.drop = () => connection.onClose();
+    return connection;
+};
+
+test('requests left unanswered when the server drops settle as disconnected', async () => {
+    const server = createSilentConnection();
+    const offline = createSilentConnection();
+    const { result } = renderHook(() => useGameClient({ connect: server.create, fallback: offline.create, hello: { playerId: 'alice' } }));
+
+    const topUp = result.current.request(CLIENT_MESSAGES.TOP_UP, { amount: 100, upiId: 'alice@bank', idempotencyKey: 'k1' });
+    act(() => server.drop());
+    await expect(topUp).resolves.toEqual({ error: DISCONNECTED });
+    expect(offline.sent.map(message => message.type)).toEqual([CLIENT_MESSAGES.HELLO]); // Not sent again offline
+});
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+// Whether the player has asked the OS / browser for less motion; follows changes while the page is open
+const usePrefersReducedMotion = () => {
+    const [prefersReducedMotion, setPrefersReducedMotion] = useState(() => typeof window.matchMedia === 'function' && window.matchMedia(QUERY).matches);
+
+    useEffect(() => {
+        if (typeof window.matchMedia !== 'function') return undefined; // Not available (e.g. jsdom)
+        const mediaQuery = window.matchMedia(QUERY);
+        const handleChange = () => setPrefersReducedMotion(mediaQuery.matches);
+        mediaQuery.addEventListener('change', handleChange);
+        return () => mediaQuery.removeEventListener('change', handleChange);
+    }, []);
+
+    return prefersReducedMotion;
+};
+
+export default usePrefersReducedMotion;
@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+import { getRemainingMs, getElapsedMs } from '../game/roundMachine';
+
+// Countdown and phase progress for the round machine a game host sent (see useGameClient).
+// The host decides when phases change; this only re-renders every `tickMs` so the countdown and the race
+// animation move between the host's messages. `clockOffset` is how far the host's clock is ahead of ours.
+const useRoundClock = (room, tickMs = 100) => {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), tickMs);
+        return () => clearInterval(interval);
+    }, [tickMs]);
+
+    const machine = room && room.machine;
+    const hostNow = now + (room ? room.clockOffset : 0);
+    const remainingMs = machine ? Math.max(getRemainingMs(machine, hostNow), 0) : 0;
+    return {
+        isStarted: Boolean(machine),
+        phase: machine ? machine.phase : null,
+        remainingMs,
+        remainingSeconds: Math.ceil(remainingMs / 1000),
+        elapsedMs: machine ? getElapsedMs(machine, hostNow) : 0,
+        isPaused: machine ? machine.pausedAt !== null : false,
+    };
+};
+
+export default useRoundClock;
@@ -0,0 +1,383 @@
+// English messages (the fallback for every other catalog). `{name}` placeholders are filled in by `t`.
+const en = {
+    // Round flow
+    'round.placeBets': 'Place your bets! Race starts in {seconds} seconds...',
+    'round.placeBetsInitial': 'Place your bets! Race starts in...',
+    'round.nextRound': 'Next round starts in {seconds} seconds...',
+    'round.noBets': 'No bets placed. Finding winner...',
+    'round.betsPlaced': 'Bets placed! Finding winner...',
+    'round.won': '🎉 {pet} won! You won 💎{amount} with a {multiplier}x multiplier!',
+    'round.lost': "😔 {pet} won! You didn't bet on the winner. Better luck next time!",
+    'round.bettingOpen': 'Round #{round}: betting is open for {seconds} seconds.',
+    'round.closingSoon': '{seconds} seconds left to bet.',
+    'round.multiplier': 'Multiplier: {multiplier}x!',
+    'round.multiplierJackpot': 'Multiplier: {multiplier}x, and the jackpot is triggered! 🎰',
+    'round.jackpotWon': '🎰 {pet} won and you hit the jackpot! You won 💎{amount}, 💎{jackpot} of it from the pot!',
+
+    // Betting
+    'bet.selectAmount': 'Please select a bet amount first!',
+    'bet.added': 'Bet 💎{amount} added to {pet}.',
+    'bet.sideAdded': 'Added 💎{amount} on {bet}.',
+    'bet.notEnoughBalance': 'Not enough balance for this bet!',
+    'bet.minBet': 'This room\'s smallest chip is 💎{limit}.',
+    'bet.rejected': 'The table didn\'t take that bet — betting may have just closed.',
+    'bet.petLimit': 'That would take {pet} over the 💎{limit} limit per pet.',
+    'bet.sideBetLimit': 'That would take {bet} over the 💎{limit} limit per bet.',
+    'bet.roundLimit': 'That would take this round over the 💎{limit} bet limit.',
+    'bet.dailyLossLimit': '🛑 This bet could take you past your daily loss limit of 💎{limit}.',
+    'bet.sessionLossLimit': '🛑 This bet could take you past your session loss limit of 💎{limit}.',
+    'bet.coolOff': '🛑 Cool-off: betting is locked until {until}.',
+    'bet.undone': 'Last bet taken back.',
+    'bet.cleared': 'All bets cleared and refunded.',
+    'bet.rebet': "Last round's bets placed again.",
+    'bet.doubled': 'All bets doubled.',
+    'bet.chipSet': 'Chip set to 💎{amount}. Tap a pet to bet.',
+
+    // Auto-play
+    'auto.roundPlaced': '🤖 Auto-play round {round}/{rounds}: bets placed.',
+    'auto.stopped': '🤖 Auto-play stopped.',
+    'auto.ended': '🤖 Auto-play ended after {rounds} rounds: {reason}.',
+    'auto.reason.rounds': 'all rounds played',
+    'auto.reason.stopLoss': 'stop-loss reached',
+    'auto.reason.takeProfit': 'take-profit reached',
+    'auto.reason.cantBet': 'the next stake no longer fits your balance, the bet limits or your play limits',
+    'auto.reason.manual': 'stopped by you',
+
+    // Notices
+    'notice.coolOffStarted': '🛑 Cool-off started. Betting and top-ups are locked until {until}.',
+    'notice.configFallback': 'Using the {config} config. {error}',
+    'notice.serverOffline': 'Lost the game server — playing offline on this device.',
+    'notice.saveFailed': "Couldn't save your session on this device (storage is full or blocked). Progress since the last save will be lost on reload.",
+    'notice.restoreFailed': "Your saved session couldn't be read, so you're starting afresh.",
+    'notice.invalidConfigJson': 'Ignored invalid configJson: {error}',
+    'notice.restoredRefund': 'Refunded 💎{amount} in bets from interrupted round #{round}.',
+    'notice.restoredWin': 'Interrupted round #{round} settled: {pet} won, you got 💎{amount} ({multiplier}x).',
+    'notice.restoredLoss': 'Interrupted round #{round} settled: {pet} won.',
+
+    // Top-ups
+    'topUp.title': 'Add Diamonds',
+    'topUp.upiLabel': 'Enter UPI ID (simulated):',
+    'topUp.upiPlaceholder': 'e.g., yourname@bank',
+    'topUp.testHandles': '{provider} test handles: {handles}',
+    'topUp.selectAmount': 'Select amount to add:',
+    'topUp.processing': 'Processing 💎{amount} payment via UPI ID: {upiId}...',
+    'topUp.success': '✅ Successfully added 💎{amount} to your balance!',
+    'topUp.failed': '❌ Payment of 💎{amount} failed: {reason}.',
+    'topUp.refunding': 'Requesting refund...',
+    'topUp.refunded': '✅ Refunded 💎{amount} to {upiId}.',
+    'topUp.refundFailed': '❌ {reason}',
+    'topUp.recent': 'Recent top-ups',
+    'topUp.refund': 'Refund',
+    'topUp.coolOff': 'Top-ups are locked by your cool-off until {until}.',
+    'topUp.dailyLimit': 'This would pass your daily top-up limit of 💎{limit} (💎{remaining} left).',
+    'topUp.sessionLimit': 'This would pass your session top-up limit of 💎{limit} (💎{remaining} left).',
+    'payment.status.pending': 'pending',
+    'payment.status.confirmed': 'confirmed',
+    'payment.status.failed': 'failed',
+    'payment.status.refunded': 'refunded',
+    'walletError.upiMissing': 'Please enter a UPI ID.',
+    'walletError.upiInvalid': 'That is not a valid UPI ID. It should look like yourname@bank.',
+    'walletError.amountInvalid': 'Please pick one of the top-up amounts.',
+    'walletError.topUpLimit': 'This top-up is over your play limits.',
+    'walletError.notRefundable': 'Only confirmed top-ups can be refunded.',
+    'walletError.refundBalance': 'Not enough balance left to refund this top-up.',
+    'walletError.timeout': 'No answer from the payment provider',
+    'walletError.refundFailed': 'Refund failed',
+    'walletError.disconnected': 'Lost the game server before it answered. Check your payment history before trying again.',
+
+    // Board
+    'board.title': 'Diamond Hunt',
+    'board.balance': 'Balance:',
+    'board.history': 'History',
+    'board.addBalance': 'Add Balance',
+    'board.paused': '(paused)',
+    'board.connecting': 'Joining the table…',
+    'board.players': '👥 {count} at the table',
+    'board.autoTag': '🤖 auto',
+    'board.autoTagTitle': 'Bets placed by auto-play',
+    'board.jackpot': '🎰 Jackpot: 💎{amount}',
+    'board.noRecentWins': 'No recent wins yet.',
+    'board.winner': 'WINNER!',
+    'board.odds': 'Odds:',
+    'board.bet': 'Bet:',
+    'board.pays': 'Pays 💎{amount}',
+    'board.pool': 'Others 💎{amount}',
+    'board.roundHash': 'Round #{round} hash:',
+    'board.clientSeed': 'Client seed:',
+    'board.verifyRound': 'Verify round',
+    'board.nextConfig': '→ {config} next round',
+    'board.pause': '⏸ Pause',
+    'board.resume': '▶️ Resume',
+    'board.auto': '🤖 Auto',
+    'board.autoProgress': '🤖 Auto {played}/{rounds}',
+    'board.stop': '⏹ Stop',
+    'board.limits': '🛡️ Limits',
+    'board.config': '⚙️ Config',
+    'board.analytics': '📊 Analytics',
+    'board.pets': 'Pets',
+    'board.petLabel': '{pet}, odds {odds}x, your bet 💎{bet}',
+    'board.petWinnerLabel': '{pet}, winner at {multiplier}x, your bet 💎{bet}',
+    'board.chips': 'Bet amount (keys 1 to {count})',
+    'board.chipLabel': 'Chip 💎{amount} (key {hotkey})',
+
+    // Race track
+    'race.trackLabel': 'Race track',
+    'race.replayTitle': 'Replay: round #{round}',
+    'race.replayLabel': 'Replay round #{round}, won by {pet}',
+    'race.result': '{pet} wins with a {multiplier}x multiplier!',
+    'race.again': '🔁 Watch again',
+    'board.trackView': '🏁 Track view',
+    'board.gridView': '🔲 Grid view',
+
+    // Multiplier stage
+    'multiplier.title': 'Multiplier',
+    'multiplier.jackpot': '🎰 Jackpot triggered! It goes to anyone who backed the winner.',
+
+    // Group, pair and "not this pet" bets
+    'sideBets.title': 'Group and combination bets',
+    'sideBets.groups': 'Groups',
+    'sideBets.pairs': 'Either of two pets',
+    'sideBets.not': 'Not this pet',
+    'sideBets.or': 'or',
+    'sideBets.pairFirst': 'First pet of the pair',
+    'sideBets.pairSecond': 'Second pet of the pair',
+    'sideBets.pairBet': 'Bet on either ({odds}x)',
+    'sideBets.pairPick': 'Pick two different pets',
+    'sideBets.betLabel': '{bet}, odds {odds}x, your bet 💎{amount}',
+    'sideBets.anyOdds': 'Any {odds}x',
+    'sideBets.habitat.land': '🌳 Land',
+    'sideBets.habitat.sea': '🌊 Sea',
+    'sideBets.habitat.air': '☁️ Air',
+    'sideBets.pairLabel': '{first} or {second}',
+    'sideBets.notLabel': 'Not {pet}',
+
+    // Pet statistics
+    'board.stats': '📈 Stats',
+    'stats.title': 'Pet Statistics',
+    'stats.windowLabel': 'Rounds to include',
+    'stats.lastRounds': 'Last {count} rounds',
+    'stats.allRounds': 'All rounds ({count})',
+    'stats.empty': 'No rounds played yet.',
+    'stats.noStreak': 'No streak yet',
+    'stats.winStreak': '🔥 Current winning streak: {count}',
+    'stats.lossStreak': '❄️ Current losing streak: {count}',
+    'stats.longestWin': 'Longest winning streak: {count}',
+    'stats.longestLoss': 'Longest losing streak: {count}',
+    'stats.pet': 'Pet',
+    'stats.wins': 'Wins',
+    'stats.frequency': 'Observed',
+    'stats.theory': 'Theory',
+    'stats.sinceLastWin': 'Rounds since last win',
+    'stats.longestDrought': 'Longest drought',
+    'stats.staked': 'Your bets',
+    'stats.net': 'Your net',
+    'stats.frequencyChart': 'Win frequency',
+    'stats.frequencyLabel': '{pet}: won {observed} of rounds, theory {theory}',
+    'stats.netChart': 'Your net per pet',
+    'stats.netLabel': '{pet}: net {amount}',
+    'stats.netNote': 'From straight bets on each pet; group and pair bets are left out.',
+
+    // Rooms
+    'lobby.title': 'Rooms',
+    'lobby.format': '{seconds}s to bet · chips from 💎{chip} · up to {multiplier}x',
+    'lobby.betting': 'Betting: {seconds}s left',
+    'lobby.racing': 'Racing…',
+    'lobby.nextRound': 'Next round in {seconds}s',
+    'lobby.paused': 'Paused',
+    'lobby.waiting': 'Starting…',
+    'lobby.lastWinners': 'Last winners',
+    'lobby.noWinners': 'No winners yet.',
+    'lobby.join': 'Join',
+    'lobby.joinLabel': 'Join {room}',
+    'lobby.here': 'Playing here',
+    'lobby.locked.auto': 'Stop auto-play before changing rooms.',
+    'lobby.locked.round': 'You can change rooms once this round is over.',
+    'lobby.locked.bets': 'Clear your bets before changing rooms.',
+    'lobby.locked.unknownRoom': 'That room isn\'t open.',
+    'lobby.locked.disconnected': 'Lost the game server before it answered. Try again.',
+
+    // Profiles and leaderboard
+    'profiles.title': 'Player Profiles',
+    'profiles.defaultName': 'Player {number}',
+    'profiles.locked.auto': 'Stop auto-play to switch profiles.',
+    'profiles.locked.bets': 'Clear your bets or wait for this round to finish to switch profiles.',
+    'profiles.locked.round': 'You can switch profiles once this round is over.',
+    'profiles.playing': 'Playing',
+    'profiles.switch': 'Switch',
+    'profiles.rename': 'Rename',
+    'profiles.nameLabel': 'Profile name',
+    'profiles.save': 'Save',
+    'profiles.cancel': 'Cancel',
+    'profiles.export': 'Export',
+    'profiles.remove': 'Delete',
+    'profiles.removeConfirm': 'Delete this profile and its history?',
+    'profiles.removed': 'Deleted {name}.',
+    'profiles.newName': 'New profile name',
+    'profiles.add': 'Add',
+    'profiles.added': 'Added {name}.',
+    'profiles.nameProblem.empty': 'Enter a name.',
+    'profiles.nameProblem.tooLong': 'Names can be up to {max} characters.',
+    'profiles.nameProblem.taken': 'There is already a profile with that name.',
+    'profiles.exportAll': '⬇️ Export all',
+    'profiles.import': '⬆️ Import',
+    'profiles.imported': 'Profiles imported from {file}: {count}',
+    'profiles.invalidFile': '{file} is not a profiles export.',
+    'leaderboard.title': '🏆 Leaderboard',
+    'leaderboard.rankBy': 'Rank by',
+    'leaderboard.net': 'Net winnings',
+    'leaderboard.biggestPayout': 'Biggest payout',
+    'leaderboard.bestStreak': 'Best streak',
+    'leaderboard.wins': 'Wins in a row: {count}',
+    'leaderboard.rounds': 'Rounds: {count}',
+    'leaderboard.note': 'From the rounds each profile has saved on this device.',
+
+    // Bet slip
+    'slip.undo': '↩️ Undo',
+    'slip.clear': '🗑️ Clear',
+    'slip.rebet': '🔁 Rebet',
+    'slip.double': '✖️2 Double',
+    'slip.custom': 'Custom:',
+    'slip.use': 'Use',
+    'slip.customError': 'Enter an amount above 0.',
+    'slip.total': 'Total bet: {total} / {max} max',
+
+    // Reality check
+    'reality.title': 'Reality Check',
+    'reality.playedFor': 'You have been playing for {duration}.',
+    'reality.net': 'Net result this session: {amount}',
+    'reality.toppedUp': 'Topped up this session: 💎{amount}',
+    'reality.continue': 'Keep playing',
+    'reality.history': 'History',
+    'reality.limits': 'Set limits / take a break',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} h {minutes} min',
+
+    // Play limits panel
+    'limits.title': 'Play Limits',
+    'limits.today': 'Today',
+    'limits.thisSession': 'This session',
+    'limits.usage': '{period}: topped up 💎{amount}, net',
+    'limits.sessionStarted': 'Session started {time}',
+    'limits.dailyTopUp': 'Top-up limit per day',
+    'limits.sessionTopUp': 'Top-up limit per session',
+    'limits.dailyLoss': 'Loss limit per day',
+    'limits.sessionLoss': 'Loss limit per session',
+    'limits.realityCheckMinutes': 'Reality check every',
+    'limits.minutes': 'min',
+    'limits.noLimit': 'No limit',
+    'limits.pending': 'Higher limits waiting until {until}.',
+    'limits.invalid': '{limit}: enter a number above 0, or leave it empty for no limit.',
+    'limits.saved': '✅ Saved. Stricter limits apply now; higher or removed limits apply in 24 hours.',
+    'limits.save': 'Save limits',
+    'limits.breakTitle': 'Take a break',
+    'limits.lockedUntil': 'Betting and top-ups are locked until {until}.',
+    'limits.breakNote': "Locks betting and top-ups until the time is up. It can't be undone early.",
+    'limits.coolOffLength': 'Cool-off length',
+    'limits.oneHour': '1 hour',
+    'limits.hours': '{count} hours',
+    'limits.oneDay': '1 day',
+    'limits.days': '{count} days',
+    'limits.confirmCoolOff': 'Confirm: lock for {length}',
+    'limits.startCoolOff': 'Start cool-off',
+
+    // Auto-play panel
+    'autoPlay.title': 'Auto-play',
+    'autoPlay.intro': 'Bets are placed when each betting phase opens. Auto-played rounds are tagged 🤖 in the history.',
+    'autoPlay.running': '🤖 Running: {played}/{rounds} rounds, {wins} won',
+    'autoPlay.stopped': '⏹ Stopped: {played}/{rounds} rounds, {wins} won',
+    'autoPlay.stop': 'Stop auto-play',
+    'autoPlay.start': 'Start auto-play',
+    'autoPlay.strategy': 'Strategy',
+    'autoPlay.strategy.flat': 'Flat bet on one pet',
+    'autoPlay.strategy.spread': 'Spread across all pets',
+    'autoPlay.strategy.martingale': 'Martingale (double after a loss)',
+    'autoPlay.strategy.rules': 'Custom rule set',
+    'autoPlay.rules': 'Rule set (bets per pet id; onWin / onLoss: repeat, reset, multiply or add)',
+    'autoPlay.pet': 'Pet',
+    'autoPlay.stake': 'Stake',
+    'autoPlay.stakePerPet': 'Stake per pet',
+    'autoPlay.rounds': 'Rounds',
+    'autoPlay.stopLoss': 'Stop-loss',
+    'autoPlay.takeProfit': 'Take-profit',
+    'autoPlay.off': 'Off',
+    'autoPlay.levels': 'Stop-loss and take-profit are balance levels. Your balance is 💎{amount}.',
+    'autoPlay.stakeInvalid': 'Stake must be above 0.',
+    'autoPlay.roundsInvalid': 'Rounds must be a whole number of 1 or more.',
+    'autoPlay.stopLossInvalid': 'Stop-loss must be below your current balance.',
+    'autoPlay.takeProfitInvalid': 'Take-profit must be above your current balance.',
+
+    // History screen
+    'history.title': 'History',
+    'history.rounds': 'Rounds',
+    'history.transactions': 'Transactions',
+    'history.from': 'From',
+    'history.to': 'To',
+    'history.pet': 'Pet',
+    'history.allPets': 'All pets',
+    'history.result': 'Result',
+    'history.result.all': 'Wins & losses',
+    'history.result.win': 'Wins',
+    'history.result.loss': 'Losses',
+    'history.result.nobet': 'No bet',
+    'history.mode': 'Play mode',
+    'history.mode.all': 'Manual & auto',
+    'history.mode.manual': 'Manual',
+    'history.mode.auto': '🤖 Auto-play',
+    'history.exportCsv': 'Export CSV',
+    'history.exportJson': 'Export JSON',
+    'history.summary': '{count} rounds, net',
+    'history.time': 'Time',
+    'history.bets': 'Bets',
+    'history.winner': 'Winner',
+    'history.payout': 'Payout',
+    'history.net': 'Net',
+    'history.type': 'Type',
+    'history.round': 'Round',
+    'history.amount': 'Amount',
+    'history.balance': 'Balance',
+    'history.autoTitle': 'Auto-play',
+    'history.jackpotTitle': 'Jackpot',
+    'history.tx.opening': 'opening',
+    'history.tx.bet': 'bet',
+    'history.tx.cancel': 'cancel',
+    'history.tx.payout': 'payout',
+    'history.tx.topup': 'top-up',
+    'history.tx.topup_refund': 'top-up refund',
+    'history.tx.refund': 'refund',
+    'history.tx.adjustment': 'adjustment',
+
+    // Verify round panel
+    'verify.title': 'Verify Round',
+    'verify.intro': 'Winner = HMAC-SHA256(server seed, "client seed:nonce:block"). The server seed hash is shown before betting opens; the seed itself is revealed once the round ends.',
+    'verify.combinedSeeds': 'When several players bet on a round, its client seed is SHA-256 of their client seeds, sorted, as a JSON array.',
+    'verify.verify': 'Verify',
+    'verify.noRounds': 'No revealed rounds yet.',
+    'verify.field.serverSeed': 'Server seed',
+    'verify.field.serverSeedHash': 'Server seed hash (optional)',
+    'verify.field.clientSeed': 'Client seed',
+    'verify.field.nonce': 'Nonce',
+    'verify.recompute': 'Recompute',
+    'verify.required': 'Server seed, client seed and nonce are required.',
+    'verify.result': 'Round #{round}: {pet} with {multiplier}x',
+    'verify.resultJackpot': 'Round #{round}: {pet} with {multiplier}x, jackpot triggered 🎰',
+    'verify.luckFactor': 'Luck factor: {luck}',
+    'verify.hashMatches': '✅ Server seed matches the committed hash',
+    'verify.hashMismatch': '❌ Server seed does not match the committed hash',
+    'verify.outcomeMatches': '✅ Recorded result matches',
+    'verify.outcomeMismatch': '❌ Recorded result does not match',
+    'verify.seedsMatch': "✅ Client seed combines these players' seeds:",
+    'verify.seedsMismatch': "❌ Client seed does not combine these players' seeds:",
+    'verify.forced': "🛠 This result was forced from the dev console, so it isn't expected to match the seeds.",
+
+    // Language and number settings
+    'settings.language': 'Language',
+    'settings.locale': 'Number locale',
+    'settings.notation': 'Large numbers',
+    'settings.notation.indian': 'Indian (L, Cr)',
+    'settings.notation.international': 'International (K, M, B)',
+    'number.thousand': 'k',
+    'number.lakh': ' L',
+    'number.crore': ' Cr',
+};
+
+export default en;
@@ -0,0 +1,362 @@
+// Español. Missing keys fall back to English.
+const es = {
+    'round.placeBets': '¡Haz tus apuestas! La carrera empieza en {seconds} segundos...',
+    'round.placeBetsInitial': '¡Haz tus apuestas! La carrera empieza en...',
+    'round.nextRound': 'La siguiente ronda empieza en {seconds} segundos...',
+    'round.noBets': 'No hay apuestas. Buscando ganador...',
+    'round.betsPlaced': '¡Apuestas hechas! Buscando ganador...',
+    'round.won': '🎉 ¡Ganó {pet}! ¡Has ganado 💎{amount} con un multiplicador de {multiplier}x!',
+    'round.lost': '😔 ¡Ganó {pet}! No apostaste por el ganador. ¡Más suerte la próxima vez!',
+    'round.bettingOpen': 'Ronda #{round}: apuestas abiertas durante {seconds} segundos.',
+    'round.closingSoon': 'Quedan {seconds} segundos para apostar.',
+    'round.multiplier': '¡Multiplicador: {multiplier}x!',
+    'round.multiplierJackpot': '¡Multiplicador: {multiplier}x y se activa el bote! 🎰',
+    'round.jackpotWon': '🎰 ¡Ganó {pet} y te llevas el bote! Has ganado 💎{amount}, 💎{jackpot} del bote.',
+
+    'bet.selectAmount': '¡Primero elige el importe de la apuesta!',
+    'bet.added': 'Apuesta de 💎{amount} añadida a {pet}.',
+    'bet.sideAdded': 'Apuesta de 💎{amount} añadida a {bet}.',
+    'bet.notEnoughBalance': '¡No tienes saldo suficiente para esta apuesta!',
+    'bet.minBet': 'La ficha más pequeña de esta sala es 💎{limit}.',
+    'bet.rejected': 'La mesa no aceptó esa apuesta; puede que las apuestas acaben de cerrarse.',
+    'bet.petLimit': 'Eso superaría el límite de 💎{limit} por mascota en {pet}.',
+    'bet.sideBetLimit': 'Eso superaría el límite de 💎{limit} por apuesta en {bet}.',
+    'bet.roundLimit': 'Eso superaría el límite de apuestas de 💎{limit} en esta ronda.',
+    'bet.dailyLossLimit': '🛑 Esta apuesta podría superar tu límite de pérdidas diario de 💎{limit}.',
+    'bet.sessionLossLimit': '🛑 Esta apuesta podría superar tu límite de pérdidas de la sesión de 💎{limit}.',
+    'bet.coolOff': '🛑 Pausa: las apuestas están bloqueadas hasta {until}.',
+    'bet.undone': 'Última apuesta retirada.',
+    'bet.cleared': 'Todas las apuestas retiradas y devueltas.',
+    'bet.rebet': 'Se han repetido las apuestas de la ronda anterior.',
+    'bet.doubled': 'Todas las apuestas duplicadas.',
+    'bet.chipSet': 'Ficha de 💎{amount} elegida. Toca una mascota para apostar.',
+
+    'auto.roundPlaced': '🤖 Ronda automática {round}/{rounds}: apuestas hechas.',
+    'auto.stopped': '🤖 Juego automático detenido.',
+    'auto.ended': '🤖 El juego automático terminó tras {rounds} rondas: {reason}.',
+    'auto.reason.rounds': 'se jugaron todas las rondas',
+    'auto.reason.stopLoss': 'se alcanzó el stop-loss',
+    'auto.reason.takeProfit': 'se alcanzó el take-profit',
+    'auto.reason.cantBet': 'la siguiente apuesta ya no cabe en tu saldo, los límites de apuesta o tus límites de juego',
+    'auto.reason.manual': 'lo detuviste tú',
+
+    'notice.coolOffStarted': '🛑 Pausa iniciada. Apuestas y recargas bloqueadas hasta {until}.',
+    'notice.configFallback': 'Usando la configuración {config}. {error}',
+    'notice.serverOffline': 'Se perdió el servidor de juego: jugando sin conexión en este dispositivo.',
+    'notice.saveFailed': 'No se pudo guardar tu sesión en este dispositivo (el almacenamiento está lleno o bloqueado). Lo jugado desde el último guardado se perderá al recargar.',
+    'notice.restoreFailed': 'No se pudo leer tu sesión guardada, así que empiezas de nuevo.',
+    'notice.invalidConfigJson': 'Se ignoró un configJson no válido: {error}',
+    'notice.restoredRefund': 'Se devolvieron 💎{amount} en apuestas de la ronda interrumpida #{round}.',
+    'notice.restoredWin': 'Ronda interrumpida #{round} resuelta: ganó {pet}, recibiste 💎{amount} ({multiplier}x).',
+    'notice.restoredLoss': 'Ronda interrumpida #{round} resuelta: ganó {pet}.',
+
+    'topUp.title': 'Añadir diamantes',
+    'topUp.upiLabel': 'Introduce el UPI ID (simulado):',
+    'topUp.upiPlaceholder': 'p. ej., tunombre@banco',
+    'topUp.testHandles': 'Identificadores de prueba de {provider}: {handles}',
+    'topUp.selectAmount': 'Elige el importe a añadir:',
+    'topUp.processing': 'Procesando el pago de 💎{amount} con el UPI ID {upiId}...',
+    'topUp.success': '✅ ¡Se añadieron 💎{amount} a tu saldo!',
+    'topUp.failed': '❌ El pago de 💎{amount} falló: {reason}.',
+    'topUp.refunding': 'Solicitando reembolso...',
+    'topUp.refunded': '✅ Se reembolsaron 💎{amount} a {upiId}.',
+    'topUp.refundFailed': '❌ {reason}',
+    'topUp.recent': 'Recargas recientes',
+    'topUp.refund': 'Reembolsar',
+    'topUp.coolOff': 'Las recargas están bloqueadas por tu pausa hasta {until}.',
+    'topUp.dailyLimit': 'Esto superaría tu límite de recarga diario de 💎{limit} (quedan 💎{remaining}).',
+    'topUp.sessionLimit': 'Esto superaría tu límite de recarga de la sesión de 💎{limit} (quedan 💎{remaining}).',
+    'payment.status.pending': 'pendiente',
+    'payment.status.confirmed': 'confirmado',
+    'payment.status.failed': 'fallido',
+    'payment.status.refunded': 'reembolsado',
+    'walletError.upiMissing': 'Introduce un UPI ID.',
+    'walletError.upiInvalid': 'Ese UPI ID no es válido. Debe tener la forma tunombre@banco.',
+    'walletError.amountInvalid': 'Elige uno de los importes de recarga.',
+    'walletError.topUpLimit': 'Esta recarga supera tus límites de juego.',
+    'walletError.notRefundable': 'Solo se pueden reembolsar recargas confirmadas.',
+    'walletError.refundBalance': 'No queda saldo suficiente para reembolsar esta recarga.',
+    'walletError.timeout': 'El proveedor de pagos no responde',
+    'walletError.refundFailed': 'El reembolso falló',
+    'walletError.disconnected': 'Se perdió el servidor de juego antes de que respondiera. Revisa tu historial de pagos antes de volver a intentarlo.',
+
+    'board.title': 'Diamond Hunt',
+    'board.balance': 'Saldo:',
+    'board.history': 'Historial',
+    'board.addBalance': 'Añadir saldo',
+    'board.paused': '(en pausa)',
+    'board.connecting': 'Entrando a la mesa…',
+    'board.players': '👥 {count} en la mesa',
+    'board.autoTag': '🤖 auto',
+    'board.autoTagTitle': 'Apuestas hechas por el juego automático',
+    'board.jackpot': '🎰 Bote: 💎{amount}',
+    'board.noRecentWins': 'Aún no hay victorias recientes.',
+    'board.winner': '¡GANADOR!',
+    'board.odds': 'Cuota:',
+    'board.bet': 'Apuesta:',
+    'board.pays': 'Paga 💎{amount}',
+    'board.pool': 'Otros 💎{amount}',
+    'board.roundHash': 'Hash de la ronda #{round}:',
+    'board.clientSeed': 'Semilla del cliente:',
+    'board.verifyRound': 'Verificar ronda',
+    'board.nextConfig': '→ {config} en la siguiente ronda',
+    'board.pause': '⏸ Pausa',
+    'board.resume': '▶️ Reanudar',
+    'board.auto': '🤖 Auto',
+    'board.autoProgress': '🤖 Auto {played}/{rounds}',
+    'board.stop': '⏹ Detener',
+    'board.limits': '🛡️ Límites',
+    'board.config': '⚙️ Configuración',
+    'board.analytics': '📊 Analítica',
+    'board.pets': 'Mascotas',
+    'board.petLabel': '{pet}, cuota {odds}x, tu apuesta 💎{bet}',
+    'board.petWinnerLabel': '{pet}, ganador con {multiplier}x, tu apuesta 💎{bet}',
+    'board.chips': 'Importe de la apuesta (teclas 1 a {count})',
+    'board.chipLabel': 'Ficha 💎{amount} (tecla {hotkey})',
+
+    'race.trackLabel': 'Pista de carreras',
+    'race.replayTitle': 'Repetición: ronda #{round}',
+    'race.replayLabel': 'Repetir la ronda #{round}, ganada por {pet}',
+    'race.result': '¡Gana {pet} con un multiplicador de {multiplier}x!',
+    'race.again': '🔁 Ver de nuevo',
+    'board.trackView': '🏁 Vista de pista',
+    'board.gridView': '🔲 Vista de cuadrícula',
+
+    'multiplier.title': 'Multiplicador',
+    'multiplier.jackpot': '🎰 ¡Bote activado! Es para quien apostó por el ganador.',
+
+    'sideBets.title': 'Apuestas de grupo y combinadas',
+    'sideBets.groups': 'Grupos',
+    'sideBets.pairs': 'Uno de dos',
+    'sideBets.not': 'Cualquiera menos',
+    'sideBets.or': 'o',
+    'sideBets.pairFirst': 'Primera mascota de la pareja',
+    'sideBets.pairSecond': 'Segunda mascota de la pareja',
+    'sideBets.pairBet': 'Apostar a cualquiera ({odds}x)',
+    'sideBets.pairPick': 'Elige dos mascotas distintas',
+    'sideBets.betLabel': '{bet}, cuota {odds}x, tu apuesta 💎{amount}',
+    'sideBets.anyOdds': 'Cualquier {odds}x',
+    'sideBets.habitat.land': '🌳 Tierra',
+    'sideBets.habitat.sea': '🌊 Mar',
+    'sideBets.habitat.air': '☁️ Aire',
+    'sideBets.pairLabel': '{first} o {second}',
+    'sideBets.notLabel': 'No {pet}',
+
+    'board.stats': '📈 Estadísticas',
+    'stats.title': 'Estadísticas de mascotas',
+    'stats.windowLabel': 'Rondas a incluir',
+    'stats.lastRounds': 'Últimas {count} rondas',
+    'stats.allRounds': 'Todas las rondas ({count})',
+    'stats.empty': 'Todavía no se ha jugado ninguna ronda.',
+    'stats.noStreak': 'Sin racha todavía',
+    'stats.winStreak': '🔥 Racha ganadora actual: {count}',
+    'stats.lossStreak': '❄️ Racha perdedora actual: {count}',
+    'stats.longestWin': 'Racha ganadora más larga: {count}',
+    'stats.longestLoss': 'Racha perdedora más larga: {count}',
+    'stats.pet': 'Mascota',
+    'stats.wins': 'Victorias',
+    'stats.frequency': 'Observada',
+    'stats.theory': 'Teórica',
+    'stats.sinceLastWin': 'Rondas desde su última victoria',
+    'stats.longestDrought': 'Sequía más larga',
+    'stats.staked': 'Tus apuestas',
+    'stats.net': 'Tu neto',
+    'stats.frequencyChart': 'Frecuencia de victorias',
+    'stats.frequencyLabel': '{pet}: ganó el {observed} de las rondas, teórica {theory}',
+    'stats.netChart': 'Tu neto por mascota',
+    'stats.netLabel': '{pet}: neto {amount}',
+    'stats.netNote': 'De las apuestas directas a cada mascota; las de grupo y pareja no se incluyen.',
+
+    'lobby.title': 'Salas',
+    'lobby.format': '{seconds}s para apostar · fichas desde 💎{chip} · hasta {multiplier}x',
+    'lobby.betting': 'Apuestas: quedan {seconds}s',
+    'lobby.racing': 'En carrera…',
+    'lobby.nextRound': 'Siguiente ronda en {seconds}s',
+    'lobby.paused': 'En pausa',
+    'lobby.waiting': 'Empezando…',
+    'lobby.lastWinners': 'Últimos ganadores',
+    'lobby.noWinners': 'Aún no hay ganadores.',
+    'lobby.join': 'Entrar',
+    'lobby.joinLabel': 'Entrar en {room}',
+    'lobby.here': 'Juegas aquí',
+    'lobby.locked.auto': 'Detén el juego automático antes de cambiar de sala.',
+    'lobby.locked.round': 'Podrás cambiar de sala cuando termine esta ronda.',
+    'lobby.locked.bets': 'Retira tus apuestas antes de cambiar de sala.',
+    'lobby.locked.unknownRoom': 'Esa sala no está abierta.',
+    'lobby.locked.disconnected': 'Se perdió el servidor de juego antes de que respondiera. Inténtalo de nuevo.',
+
+    'profiles.title': 'Perfiles de jugador',
+    'profiles.defaultName': 'Jugador {number}',
+    'profiles.locked.auto': 'Detén el juego automático para cambiar de perfil.',
+    'profiles.locked.bets': 'Quita tus apuestas o espera a que termine la ronda para cambiar de perfil.',
+    'profiles.locked.round': 'Podrás cambiar de perfil cuando termine esta ronda.',
+    'profiles.playing': 'Jugando',
+    'profiles.switch': 'Cambiar',
+    'profiles.rename': 'Renombrar',
+    'profiles.nameLabel': 'Nombre del perfil',
+    'profiles.save': 'Guardar',
+    'profiles.cancel': 'Cancelar',
+    'profiles.export': 'Exportar',
+    'profiles.remove': 'Eliminar',
+    'profiles.removeConfirm': '¿Eliminar este perfil y su historial?',
+    'profiles.removed': '{name} eliminado.',
+    'profiles.newName': 'Nombre del nuevo perfil',
+    'profiles.add': 'Añadir',
+    'profiles.added': '{name} añadido.',
+    'profiles.nameProblem.empty': 'Escribe un nombre.',
+    'profiles.nameProblem.tooLong': 'Los nombres pueden tener hasta {max} caracteres.',
+    'profiles.nameProblem.taken': 'Ya hay un perfil con ese nombre.',
+    'profiles.exportAll': '⬇️ Exportar todos',
+    'profiles.import': '⬆️ Importar',
+    'profiles.imported': 'Perfiles importados de {file}: {count}',
+    'profiles.invalidFile': '{file} no es una exportación de perfiles.',
+    'leaderboard.title': '🏆 Clasificación',
+    'leaderboard.rankBy': 'Ordenar por',
+    'leaderboard.net': 'Ganancia neta',
+    'leaderboard.biggestPayout': 'Mayor pago',
+    'leaderboard.bestStreak': 'Mejor racha',
+    'leaderboard.wins': 'Victorias seguidas: {count}',
+    'leaderboard.rounds': 'Rondas: {count}',
+    'leaderboard.note': 'Según las rondas que cada perfil tiene guardadas en este dispositivo.',
+
+    'slip.undo': '↩️ Deshacer',
+    'slip.clear': '🗑️ Borrar',
+    'slip.rebet': '🔁 Repetir',
+    'slip.double': '✖️2 Doblar',
+    'slip.custom': 'Otro importe:',
+    'slip.use': 'Usar',
+    'slip.customError': 'Introduce un importe mayor que 0.',
+    'slip.total': 'Apuesta total: {total} / {max} máx.',
+
+    'reality.title': 'Control de realidad',
+    'reality.playedFor': 'Llevas jugando {duration}.',
+    'reality.net': 'Resultado neto de la sesión: {amount}',
+    'reality.toppedUp': 'Recargado en esta sesión: 💎{amount}',
+    'reality.continue': 'Seguir jugando',
+    'reality.history': 'Historial',
+    'reality.limits': 'Poner límites / hacer una pausa',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} h {minutes} min',
+
+    'limits.title': 'Límites de juego',
+    'limits.today': 'Hoy',
+    'limits.thisSession': 'Esta sesión',
+    'limits.usage': '{period}: recargado 💎{amount}, neto',
+    'limits.sessionStarted': 'Sesión iniciada a las {time}',
+    'limits.dailyTopUp': 'Límite de recargas por día',
+    'limits.sessionTopUp': 'Límite de recargas por sesión',
+    'limits.dailyLoss': 'Límite de pérdidas por día',
+    'limits.sessionLoss': 'Límite de pérdidas por sesión',
+    'limits.realityCheckMinutes': 'Control de realidad cada',
+    'limits.minutes': 'min',
+    'limits.noLimit': 'Sin límite',
+    'limits.pending': 'Límites más altos en espera hasta {until}.',
+    'limits.invalid': '{limit}: introduce un número mayor que 0, o déjalo vacío para no tener límite.',
+    'limits.saved': '✅ Guardado. Los límites más estrictos se aplican ya; los más altos o eliminados, dentro de 24 horas.',
+    'limits.save': 'Guardar límites',
+    'limits.breakTitle': 'Haz una pausa',
+    'limits.lockedUntil': 'Las apuestas y las recargas están bloqueadas hasta {until}.',
+    'limits.breakNote': 'Bloquea las apuestas y las recargas hasta que acabe el tiempo. No se puede deshacer antes.',
+    'limits.coolOffLength': 'Duración de la pausa',
+    'limits.oneHour': '1 hora',
+    'limits.hours': '{count} horas',
+    'limits.oneDay': '1 día',
+    'limits.days': '{count} días',
+    'limits.confirmCoolOff': 'Confirmar: bloquear durante {length}',
+    'limits.startCoolOff': 'Empezar la pausa',
+
+    'autoPlay.title': 'Juego automático',
+    'autoPlay.intro': 'Las apuestas se hacen al abrirse cada fase de apuestas. Las rondas automáticas llevan la marca 🤖 en el historial.',
+    'autoPlay.running': '🤖 En marcha: {played}/{rounds} rondas, {wins} ganadas',
+    'autoPlay.stopped': '⏹ Detenido: {played}/{rounds} rondas, {wins} ganadas',
+    'autoPlay.stop': 'Detener el juego automático',
+    'autoPlay.start': 'Iniciar el juego automático',
+    'autoPlay.strategy': 'Estrategia',
+    'autoPlay.strategy.flat': 'Apuesta fija a una mascota',
+    'autoPlay.strategy.spread': 'Repartida entre todas las mascotas',
+    'autoPlay.strategy.martingale': 'Martingala (doblar tras perder)',
+    'autoPlay.strategy.rules': 'Reglas propias',
+    'autoPlay.rules': 'Reglas (apuestas por id de mascota; onWin / onLoss: repeat, reset, multiply o add)',
+    'autoPlay.pet': 'Mascota',
+    'autoPlay.stake': 'Apuesta',
+    'autoPlay.stakePerPet': 'Apuesta por mascota',
+    'autoPlay.rounds': 'Rondas',
+    'autoPlay.stopLoss': 'Límite de pérdida',
+    'autoPlay.takeProfit': 'Objetivo de ganancia',
+    'autoPlay.off': 'No',
+    'autoPlay.levels': 'El límite de pérdida y el objetivo de ganancia son niveles de saldo. Tu saldo es 💎{amount}.',
+    'autoPlay.stakeInvalid': 'La apuesta debe ser mayor que 0.',
+    'autoPlay.roundsInvalid': 'Las rondas deben ser un número entero de 1 o más.',
+    'autoPlay.stopLossInvalid': 'El límite de pérdida debe estar por debajo de tu saldo actual.',
+    'autoPlay.takeProfitInvalid': 'El objetivo de ganancia debe estar por encima de tu saldo actual.',
+
+    'history.title': 'Historial',
+    'history.rounds': 'Rondas',
+    'history.transactions': 'Movimientos',
+    'history.from': 'Desde',
+    'history.to': 'Hasta',
+    'history.pet': 'Mascota',
+    'history.allPets': 'Todas las mascotas',
+    'history.result': 'Resultado',
+    'history.result.all': 'Ganadas y perdidas',
+    'history.result.win': 'Ganadas',
+    'history.result.loss': 'Perdidas',
+    'history.result.nobet': 'Sin apuesta',
+    'history.mode': 'Modo de juego',
+    'history.mode.all': 'Manual y automático',
+    'history.mode.manual': 'Manual',
+    'history.mode.auto': '🤖 Automático',
+    'history.exportCsv': 'Exportar CSV',
+    'history.exportJson': 'Exportar JSON',
+    'history.summary': '{count} rondas, neto',
+    'history.time': 'Hora',
+    'history.bets': 'Apuestas',
+    'history.winner': 'Ganador',
+    'history.payout': 'Pago',
+    'history.net': 'Neto',
+    'history.type': 'Tipo',
+    'history.round': 'Ronda',
+    'history.amount': 'Importe',
+    'history.balance': 'Saldo',
+    'history.autoTitle': 'Juego automático',
+    'history.jackpotTitle': 'Bote',
+    'history.tx.opening': 'saldo inicial',
+    'history.tx.bet': 'apuesta',
+    'history.tx.cancel': 'cancelación',
+    'history.tx.payout': 'pago',
+    'history.tx.topup': 'recarga',
+    'history.tx.topup_refund': 'reembolso de recarga',
+    'history.tx.refund': 'devolución',
+    'history.tx.adjustment': 'ajuste',
+
+    'verify.title': 'Verificar ronda',
+    'verify.intro': 'Ganador = HMAC-SHA256(semilla del servidor, "semilla del cliente:nonce:bloque"). El hash de la semilla del servidor se muestra antes de abrir las apuestas; la semilla se revela al terminar la ronda.',
+    'verify.combinedSeeds': 'Si varios jugadores apuestan en una ronda, su semilla del cliente es el SHA-256 de sus semillas, ordenadas, como array JSON.',
+    'verify.verify': 'Verificar',
+    'verify.noRounds': 'Aún no hay rondas reveladas.',
+    'verify.field.serverSeed': 'Semilla del servidor',
+    'verify.field.serverSeedHash': 'Hash de la semilla del servidor (opcional)',
+    'verify.field.clientSeed': 'Semilla del cliente',
+    'verify.field.nonce': 'Nonce',
+    'verify.recompute': 'Recalcular',
+    'verify.required': 'Hacen falta la semilla del servidor, la del cliente y el nonce.',
+    'verify.result': 'Ronda #{round}: {pet} con {multiplier}x',
+    'verify.resultJackpot': 'Ronda #{round}: {pet} con {multiplier}x, bote activado 🎰',
+    'verify.luckFactor': 'Factor de suerte: {luck}',
+    'verify.hashMatches': '✅ La semilla del servidor coincide con el hash comprometido',
+    'verify.hashMismatch': '❌ La semilla del servidor no coincide con el hash comprometido',
+    'verify.outcomeMatches': '✅ El resultado registrado coincide',
+    'verify.outcomeMismatch': '❌ El resultado registrado no coincide',
+    'verify.seedsMatch': '✅ La semilla del cliente combina las semillas de estos jugadores:',
+    'verify.seedsMismatch': '❌ La semilla del cliente no combina las semillas de estos jugadores:',
+    'verify.forced': '🛠 Este resultado se forzó desde la consola de desarrollo, así que no tiene por qué coincidir con las semillas.',
+
+    'settings.language': 'Idioma',
+    'settings.locale': 'Formato numérico',
+    'settings.notation': 'Números grandes',
+    'settings.notation.indian': 'Indio (L, Cr)',
+    'settings.notation.international': 'Internacional (K, M, B)',
+    'number.thousand': ' mil',
+};
+
+export default es;
@@ -0,0 +1,364 @@
+// हिन्दी. Missing keys fall back to English.
+const hi = {
+    'round.placeBets': 'अपना दांव लगाएं! रेस {seconds} सेकंड में शुरू होगी...',
+    'round.placeBetsInitial': 'अपना दांव लगाएं! रेस शुरू होने वाली है...',
+    'round.nextRound': 'अगला राउंड {seconds} सेकंड में शुरू होगा...',
+    'round.noBets': 'कोई दांव नहीं लगा। विजेता खोजा जा रहा है...',
+    'round.betsPlaced': 'दांव लग गए! विजेता खोजा जा रहा है...',
+    'round.won': '🎉 {pet} जीता! आपने {multiplier}x मल्टीप्लायर के साथ 💎{amount} जीते!',
+    'round.lost': '😔 {pet} जीता! आपने विजेता पर दांव नहीं लगाया था। अगली बार के लिए शुभकामनाएं!',
+    'round.bettingOpen': 'राउंड #{round}: दांव {seconds} सेकंड के लिए खुले हैं।',
+    'round.closingSoon': 'दांव लगाने के लिए {seconds} सेकंड बचे हैं।',
+    'round.multiplier': 'मल्टीप्लायर: {multiplier}x!',
+    'round.multiplierJackpot': 'मल्टीप्लायर: {multiplier}x, और जैकपॉट खुल गया! 🎰',
+    'round.jackpotWon': '🎰 {pet} जीता और आपने जैकपॉट जीता! आपने 💎{amount} जीते, जिनमें 💎{jackpot} पॉट से हैं!',
+
+    'bet.selectAmount': 'पहले दांव की राशि चुनें!',
+    'bet.added': '{pet} पर 💎{amount} का दांव लगाया गया।',
+    'bet.sideAdded': '{bet} पर 💎{amount} का दांव लगाया गया।',
+    'bet.notEnoughBalance': 'इस दांव के लिए बैलेंस पर्याप्त नहीं है!',
+    'bet.minBet': 'इस रूम की सबसे छोटी चिप 💎{limit} है।',
+    'bet.rejected': 'टेबल ने यह दांव नहीं लिया — शायद दांव अभी बंद हुए हैं।',
+    'bet.petLimit': 'इससे {pet} पर दांव प्रति पेट 💎{limit} की सीमा से ऊपर चला जाएगा।',
+    'bet.sideBetLimit': 'इससे {bet} पर दांव प्रति दांव 💎{limit} की सीमा से ऊपर चला जाएगा।',
+    'bet.roundLimit': 'इससे इस राउंड का दांव 💎{limit} की सीमा से ऊपर चला जाएगा।',
+    'bet.dailyLossLimit': '🛑 यह दांव आपकी 💎{limit} की दैनिक हानि सीमा पार करा सकता है।',
+    'bet.sessionLossLimit': '🛑 यह दांव आपकी 💎{limit} की सत्र हानि सीमा पार करा सकता है।',
+    'bet.coolOff': '🛑 कूल-ऑफ: {until} तक दांव लगाना बंद है।',
+    'bet.undone': 'पिछला दांव वापस लिया गया।',
+    'bet.cleared': 'सभी दांव हटाकर राशि लौटा दी गई।',
+    'bet.rebet': 'पिछले राउंड के दांव फिर से लगाए गए।',
+    'bet.doubled': 'सभी दांव दोगुने किए गए।',
+    'bet.chipSet': 'चिप 💎{amount} पर सेट है। दांव लगाने के लिए किसी पेट पर टैप करें।',
+
+    'auto.roundPlaced': '🤖 ऑटो-प्ले राउंड {round}/{rounds}: दांव लगाए गए।',
+    'auto.stopped': '🤖 ऑटो-प्ले रोका गया।',
+    'auto.ended': '🤖 ऑटो-प्ले {rounds} राउंड के बाद समाप्त: {reason}।',
+    'auto.reason.rounds': 'सभी राउंड खेले गए',
+    'auto.reason.stopLoss': 'स्टॉप-लॉस तक पहुंचे',
+    'auto.reason.takeProfit': 'टेक-प्रॉफिट तक पहुंचे',
+    'auto.reason.cantBet': 'अगला दांव आपके बैलेंस, दांव सीमा या खेल सीमा में नहीं आता',
+    'auto.reason.manual': 'आपने रोका',
+
+    'notice.coolOffStarted': '🛑 कूल-ऑफ शुरू हुआ। {until} तक दांव और टॉप-अप बंद हैं।',
+    'notice.configFallback': '{config} कॉन्फ़िग इस्तेमाल हो रहा है। {error}',
+    'notice.serverOffline': 'गेम सर्वर से कनेक्शन टूट गया — इस डिवाइस पर ऑफ़लाइन खेल रहे हैं।',
+    'notice.saveFailed': 'इस डिवाइस पर आपका सत्र सहेजा नहीं जा सका (स्टोरेज भरा हुआ है या बंद है)। पिछली बार सहेजने के बाद की प्रगति रीलोड करने पर खो जाएगी।',
+    'notice.restoreFailed': 'आपका सहेजा गया सत्र पढ़ा नहीं जा सका, इसलिए आप नए सिरे से शुरू कर रहे हैं।',
+    'notice.invalidConfigJson': 'अमान्य configJson अनदेखा किया गया: {error}',
+    'notice.restoredRefund': 'अधूरे राउंड #{round} के 💎{amount} के दांव लौटा दिए गए।',
+    'notice.restoredWin': 'अधूरा राउंड #{round} पूरा हुआ: {pet} जीता, आपको 💎{amount} मिले ({multiplier}x)।',
+    'notice.restoredLoss': 'अधूरा राउंड #{round} पूरा हुआ: {pet} जीता।',
+
+    'topUp.title': 'डायमंड जोड़ें',
+    'topUp.upiLabel': 'UPI ID दर्ज करें (सिम्युलेटेड):',
+    'topUp.upiPlaceholder': 'जैसे, yourname@bank',
+    'topUp.testHandles': '{provider} टेस्ट हैंडल: {handles}',
+    'topUp.selectAmount': 'जोड़ने के लिए राशि चुनें:',
+    'topUp.processing': 'UPI ID {upiId} से 💎{amount} का भुगतान हो रहा है...',
+    'topUp.success': '✅ आपके बैलेंस में 💎{amount} जोड़ दिए गए!',
+    'topUp.failed': '❌ 💎{amount} का भुगतान विफल: {reason}।',
+    'topUp.refunding': 'रिफंड का अनुरोध किया जा रहा है...',
+    'topUp.refunded': '✅ 💎{amount} {upiId} पर रिफंड किए गए।',
+    'topUp.refundFailed': '❌ {reason}',
+    'topUp.recent': 'हाल के टॉप-अप',
+    'topUp.refund': 'रिफंड',
+    'topUp.coolOff': 'आपके कूल-ऑफ के कारण {until} तक टॉप-अप बंद हैं।',
+    'topUp.dailyLimit': 'इससे आपकी 💎{limit} की दैनिक टॉप-अप सीमा पार हो जाएगी (💎{remaining} बाकी)।',
+    'topUp.sessionLimit': 'इससे आपकी 💎{limit} की सत्र टॉप-अप सीमा पार हो जाएगी (💎{remaining} बाकी)।',
+    'payment.status.pending': 'लंबित',
+    'payment.status.confirmed': 'पुष्ट',
+    'payment.status.failed': 'विफल',
+    'payment.status.refunded': 'रिफंड हुआ',
+    'walletError.upiMissing': 'कृपया UPI ID दर्ज करें।',
+    'walletError.upiInvalid': 'यह मान्य UPI ID नहीं है। यह yourname@bank जैसा होना चाहिए।',
+    'walletError.amountInvalid': 'कृपया टॉप-अप की कोई एक राशि चुनें।',
+    'walletError.topUpLimit': 'यह टॉप-अप आपकी खेल सीमा से अधिक है।',
+    'walletError.notRefundable': 'केवल पुष्ट टॉप-अप ही रिफंड हो सकते हैं।',
+    'walletError.refundBalance': 'इस टॉप-अप को रिफंड करने के लिए बैलेंस पर्याप्त नहीं है।',
+    'walletError.timeout': 'भुगतान प्रदाता से कोई जवाब नहीं मिला',
+    'walletError.refundFailed': 'रिफंड विफल',
+    'walletError.disconnected': 'जवाब आने से पहले गेम सर्वर से कनेक्शन टूट गया। दोबारा कोशिश करने से पहले अपना भुगतान इतिहास देखें।',
+
+    'board.title': 'डायमंड हंट',
+    'board.balance': 'बैलेंस:',
+    'board.history': 'इतिहास',
+    'board.addBalance': 'बैलेंस जोड़ें',
+    'board.paused': '(रुका हुआ)',
+    'board.connecting': 'टेबल से जुड़ रहे हैं…',
+    'board.players': '👥 टेबल पर {count}',
+    'board.autoTag': '🤖 ऑटो',
+    'board.autoTagTitle': 'ऑटो-प्ले द्वारा लगाए गए दांव',
+    'board.jackpot': '🎰 जैकपॉट: 💎{amount}',
+    'board.noRecentWins': 'अभी तक कोई हालिया जीत नहीं।',
+    'board.winner': 'विजेता!',
+    'board.odds': 'ऑड्स:',
+    'board.bet': 'दांव:',
+    'board.pays': '💎{amount} मिलेंगे',
+    'board.pool': 'दूसरों के 💎{amount}',
+    'board.roundHash': 'राउंड #{round} हैश:',
+    'board.clientSeed': 'क्लाइंट सीड:',
+    'board.verifyRound': 'राउंड जांचें',
+    'board.nextConfig': '→ अगले राउंड से {config}',
+    'board.pause': '⏸ रोकें',
+    'board.resume': '▶️ जारी रखें',
+    'board.auto': '🤖 ऑटो',
+    'board.autoProgress': '🤖 ऑटो {played}/{rounds}',
+    'board.stop': '⏹ बंद करें',
+    'board.limits': '🛡️ सीमाएं',
+    'board.config': '⚙️ कॉन्फ़िग',
+    'board.analytics': '📊 एनालिटिक्स',
+    'board.pets': 'पेट',
+    'board.petLabel': '{pet}, ऑड्स {odds}x, आपका दांव 💎{bet}',
+    'board.petWinnerLabel': '{pet}, {multiplier}x पर विजेता, आपका दांव 💎{bet}',
+    'board.chips': 'दांव की राशि (कुंजी 1 से {count})',
+    'board.chipLabel': 'चिप 💎{amount} (कुंजी {hotkey})',
+
+    'race.trackLabel': 'रेस ट्रैक',
+    'race.replayTitle': 'रीप्ले: राउंड #{round}',
+    'race.replayLabel': 'राउंड #{round} का रीप्ले, विजेता {pet}',
+    'race.result': '{pet} {multiplier}x मल्टीप्लायर के साथ जीता!',
+    'race.again': '🔁 फिर से देखें',
+    'board.trackView': '🏁 ट्रैक व्यू',
+    'board.gridView': '🔲 ग्रिड व्यू',
+
+    'multiplier.title': 'मल्टीप्लायर',
+    'multiplier.jackpot': '🎰 जैकपॉट खुल गया! यह विजेता पर दांव लगाने वालों को मिलेगा।',
+
+    'sideBets.title': 'समूह और जोड़ी दांव',
+    'sideBets.groups': 'समूह',
+    'sideBets.pairs': 'दो में से कोई भी',
+    'sideBets.not': 'यह पेट नहीं',
+    'sideBets.or': 'या',
+    'sideBets.pairFirst': 'जोड़ी का पहला पेट',
+    'sideBets.pairSecond': 'जोड़ी का दूसरा पेट',
+    'sideBets.pairBet': 'किसी एक पर दांव ({odds}x)',
+    'sideBets.pairPick': 'दो अलग पेट चुनें',
+    'sideBets.betLabel': '{bet}, ऑड्स {odds}x, आपका दांव 💎{amount}',
+    'sideBets.anyOdds': 'कोई भी {odds}x',
+    'sideBets.habitat.land': '🌳 ज़मीन',
+    'sideBets.habitat.sea': '🌊 समुद्र',
+    'sideBets.habitat.air': '☁️ आकाश',
+    'sideBets.pairLabel': '{first} या {second}',
+    'sideBets.notLabel': '{pet} नहीं',
+
+    'board.stats': '📈 आंकड़े',
+    'stats.title': 'पेट के आंकड़े',
+    'stats.windowLabel': 'कितने राउंड शामिल करें',
+    'stats.lastRounds': 'पिछले {count} राउंड',
+    'stats.allRounds': 'सभी राउंड ({count})',
+    'stats.empty': 'अभी तक कोई राउंड नहीं खेला गया।',
+    'stats.noStreak': 'अभी कोई सिलसिला नहीं',
+    'stats.winStreak': '🔥 मौजूदा जीत का सिलसिला: {count}',
+    'stats.lossStreak': '❄️ मौजूदा हार का सिलसिला: {count}',
+    'stats.longestWin': 'सबसे लंबा जीत का सिलसिला: {count}',
+    'stats.longestLoss': 'सबसे लंबा हार का सिलसिला: {count}',
+    'stats.pet': 'पेट',
+    'stats.wins': 'जीत',
+    'stats.frequency': 'देखी गई',
+    'stats.theory': 'सैद्धांतिक',
+    'stats.sinceLastWin': 'पिछली जीत के बाद राउंड',
+    'stats.longestDrought': 'सबसे लंबा सूखा',
+    'stats.staked': 'आपके दांव',
+    'stats.net': 'आपका नेट',
+    'stats.frequencyChart': 'जीत की आवृत्ति',
+    'stats.frequencyLabel': '{pet}: {observed} राउंड जीते, सैद्धांतिक {theory}',
+    'stats.netChart': 'हर पेट पर आपका नेट',
+    'stats.netLabel': '{pet}: नेट {amount}',
+    'stats.netNote': 'हर पेट पर सीधे दांवों से; ग्रुप और जोड़ी दांव शामिल नहीं हैं।',
+
+    'lobby.title': 'रूम',
+    'lobby.format': 'दांव के लिए {seconds} सेकंड · चिप 💎{chip} से · {multiplier}x तक',
+    'lobby.betting': 'दांव: {seconds} सेकंड बाकी',
+    'lobby.racing': 'रेस जारी…',
+    'lobby.nextRound': 'अगला राउंड {seconds} सेकंड में',
+    'lobby.paused': 'रुका हुआ',
+    'lobby.waiting': 'शुरू हो रहा है…',
+    'lobby.lastWinners': 'पिछले विजेता',
+    'lobby.noWinners': 'अभी कोई विजेता नहीं।',
+    'lobby.join': 'जुड़ें',
+    'lobby.joinLabel': '{room} में जुड़ें',
+    'lobby.here': 'आप यहाँ खेल रहे हैं',
+    'lobby.locked.auto': 'रूम बदलने से पहले ऑटो-प्ले रोकें।',
+    'lobby.locked.round': 'यह राउंड खत्म होने पर आप रूम बदल सकते हैं।',
+    'lobby.locked.bets': 'रूम बदलने से पहले अपने दांव हटाएँ।',
+    'lobby.locked.unknownRoom': 'वह रूम खुला नहीं है।',
+    'lobby.locked.disconnected': 'जवाब आने से पहले गेम सर्वर से कनेक्शन टूट गया। फिर से कोशिश करें।',
+
+    'profiles.title': 'खिलाड़ी प्रोफ़ाइल',
+    'profiles.defaultName': 'खिलाड़ी {number}',
+    'profiles.locked.auto': 'प्रोफ़ाइल बदलने के लिए ऑटो-प्ले रोकें।',
+    'profiles.locked.bets': 'प्रोफ़ाइल बदलने के लिए अपने दांव हटाएं या यह राउंड खत्म होने दें।',
+    'profiles.locked.round': 'यह राउंड खत्म होने के बाद आप प्रोफ़ाइल बदल सकते हैं।',
+    'profiles.playing': 'खेल रहे हैं',
+    'profiles.switch': 'बदलें',
+    'profiles.rename': 'नाम बदलें',
+    'profiles.nameLabel': 'प्रोफ़ाइल का नाम',
+    'profiles.save': 'सहेजें',
+    'profiles.cancel': 'रद्द करें',
+    'profiles.export': 'एक्सपोर्ट',
+    'profiles.remove': 'हटाएं',
+    'profiles.removeConfirm': 'यह प्रोफ़ाइल और इसका इतिहास हटाएं?',
+    'profiles.removed': '{name} हटाया गया।',
+    'profiles.newName': 'नई प्रोफ़ाइल का नाम',
+    'profiles.add': 'जोड़ें',
+    'profiles.added': '{name} जोड़ा गया।',
+    'profiles.nameProblem.empty': 'नाम लिखें।',
+    'profiles.nameProblem.tooLong': 'नाम में अधिकतम {max} अक्षर हो सकते हैं।',
+    'profiles.nameProblem.taken': 'इस नाम की प्रोफ़ाइल पहले से है।',
+    'profiles.exportAll': '⬇️ सभी एक्सपोर्ट करें',
+    'profiles.import': '⬆️ इंपोर्ट',
+    'profiles.imported': '{file} से इंपोर्ट की गई प्रोफ़ाइल: {count}',
+    'profiles.invalidFile': '{file} प्रोफ़ाइल एक्सपोर्ट फ़ाइल नहीं है।',
+    'leaderboard.title': '🏆 लीडरबोर्ड',
+    'leaderboard.rankBy': 'क्रम',
+    'leaderboard.net': 'कुल जीत',
+    'leaderboard.biggestPayout': 'सबसे बड़ा भुगतान',
+    'leaderboard.bestStreak': 'सबसे लंबी जीत की लड़ी',
+    'leaderboard.wins': 'लगातार जीत: {count}',
+    'leaderboard.rounds': 'राउंड: {count}',
+    'leaderboard.note': 'हर प्रोफ़ाइल के इस डिवाइस पर सहेजे गए राउंड से।',
+
+    'slip.undo': '↩️ वापस लें',
+    'slip.clear': '🗑️ हटाएं',
+    'slip.rebet': '🔁 फिर से लगाएं',
+    'slip.double': '✖️2 दोगुना',
+    'slip.custom': 'अपनी राशि:',
+    'slip.use': 'चुनें',
+    'slip.customError': '0 से अधिक राशि दर्ज करें।',
+    'slip.total': 'कुल दांव: {total} / अधिकतम {max}',
+
+    'reality.title': 'रियलिटी चेक',
+    'reality.playedFor': 'आप {duration} से खेल रहे हैं।',
+    'reality.net': 'इस सत्र का शुद्ध परिणाम: {amount}',
+    'reality.toppedUp': 'इस सत्र में टॉप-अप: 💎{amount}',
+    'reality.continue': 'खेलना जारी रखें',
+    'reality.history': 'इतिहास',
+    'reality.limits': 'सीमाएं तय करें / ब्रेक लें',
+    'duration.minutes': '{minutes} मिनट',
+    'duration.hours': '{hours} घंटे {minutes} मिनट',
+
+    'limits.title': 'खेल सीमाएं',
+    'limits.today': 'आज',
+    'limits.thisSession': 'इस सत्र में',
+    'limits.usage': '{period}: टॉप-अप 💎{amount}, शुद्ध',
+    'limits.sessionStarted': 'सत्र {time} पर शुरू हुआ',
+    'limits.dailyTopUp': 'प्रति दिन टॉप-अप सीमा',
+    'limits.sessionTopUp': 'प्रति सत्र टॉप-अप सीमा',
+    'limits.dailyLoss': 'प्रति दिन नुकसान सीमा',
+    'limits.sessionLoss': 'प्रति सत्र नुकसान सीमा',
+    'limits.realityCheckMinutes': 'रियलिटी चेक हर',
+    'limits.minutes': 'मिनट',
+    'limits.noLimit': 'कोई सीमा नहीं',
+    'limits.pending': 'ऊंची सीमाएं {until} तक प्रतीक्षा में हैं।',
+    'limits.invalid': '{limit}: 0 से अधिक संख्या दर्ज करें, या कोई सीमा न रखने के लिए खाली छोड़ें।',
+    'limits.saved': '✅ सहेजा गया। सख्त सीमाएं अभी से लागू हैं; ऊंची या हटाई गई सीमाएं 24 घंटे में लागू होंगी।',
+    'limits.save': 'सीमाएं सहेजें',
+    'limits.breakTitle': 'ब्रेक लें',
+    'limits.lockedUntil': '{until} तक दांव और टॉप-अप बंद हैं।',
+    'limits.breakNote': 'समय पूरा होने तक दांव और टॉप-अप बंद रहते हैं। इसे पहले खत्म नहीं किया जा सकता।',
+    'limits.coolOffLength': 'कूल-ऑफ की अवधि',
+    'limits.oneHour': '1 घंटा',
+    'limits.hours': '{count} घंटे',
+    'limits.oneDay': '1 दिन',
+    'limits.days': '{count} दिन',
+    'limits.confirmCoolOff': 'पुष्टि करें: {length} के लिए बंद करें',
+    'limits.startCoolOff': 'कूल-ऑफ शुरू करें',
+
+    'autoPlay.title': 'ऑटो-प्ले',
+    'autoPlay.intro': 'हर दांव चरण खुलते ही दांव लगाए जाते हैं। ऑटो-प्ले वाले राउंड इतिहास में 🤖 से चिह्नित होते हैं।',
+    'autoPlay.running': '🤖 चल रहा है: {played}/{rounds} राउंड, {wins} जीते',
+    'autoPlay.stopped': '⏹ रुका हुआ: {played}/{rounds} राउंड, {wins} जीते',
+    'autoPlay.stop': 'ऑटो-प्ले रोकें',
+    'autoPlay.start': 'ऑटो-प्ले शुरू करें',
+    'autoPlay.strategy': 'रणनीति',
+    'autoPlay.strategy.flat': 'एक पेट पर एक जैसा दांव',
+    'autoPlay.strategy.spread': 'सभी पेट पर बांटें',
+    'autoPlay.strategy.martingale': 'मार्टिंगेल (हार के बाद दोगुना)',
+    'autoPlay.strategy.rules': 'अपने नियम',
+    'autoPlay.rules': 'नियम (पेट id के अनुसार दांव; onWin / onLoss: repeat, reset, multiply या add)',
+    'autoPlay.pet': 'पेट',
+    'autoPlay.stake': 'दांव',
+    'autoPlay.stakePerPet': 'प्रति पेट दांव',
+    'autoPlay.rounds': 'राउंड',
+    'autoPlay.stopLoss': 'स्टॉप-लॉस',
+    'autoPlay.takeProfit': 'टेक-प्रॉफिट',
+    'autoPlay.off': 'बंद',
+    'autoPlay.levels': 'स्टॉप-लॉस और टेक-प्रॉफिट बैलेंस के स्तर हैं। आपका बैलेंस 💎{amount} है।',
+    'autoPlay.stakeInvalid': 'दांव 0 से अधिक होना चाहिए।',
+    'autoPlay.roundsInvalid': 'राउंड 1 या उससे अधिक की पूर्ण संख्या होनी चाहिए।',
+    'autoPlay.stopLossInvalid': 'स्टॉप-लॉस आपके मौजूदा बैलेंस से कम होना चाहिए।',
+    'autoPlay.takeProfitInvalid': 'टेक-प्रॉफिट आपके मौजूदा बैलेंस से अधिक होना चाहिए।',
+
+    'history.title': 'इतिहास',
+    'history.rounds': 'राउंड',
+    'history.transactions': 'लेन-देन',
+    'history.from': 'से',
+    'history.to': 'तक',
+    'history.pet': 'पेट',
+    'history.allPets': 'सभी पेट',
+    'history.result': 'परिणाम',
+    'history.result.all': 'जीत और हार',
+    'history.result.win': 'जीत',
+    'history.result.loss': 'हार',
+    'history.result.nobet': 'कोई दांव नहीं',
+    'history.mode': 'खेलने का तरीका',
+    'history.mode.all': 'मैनुअल और ऑटो',
+    'history.mode.manual': 'मैनुअल',
+    'history.mode.auto': '🤖 ऑटो-प्ले',
+    'history.exportCsv': 'CSV निर्यात करें',
+    'history.exportJson': 'JSON निर्यात करें',
+    'history.summary': '{count} राउंड, शुद्ध',
+    'history.time': 'समय',
+    'history.bets': 'दांव',
+    'history.winner': 'विजेता',
+    'history.payout': 'भुगतान',
+    'history.net': 'शुद्ध',
+    'history.type': 'प्रकार',
+    'history.round': 'राउंड',
+    'history.amount': 'राशि',
+    'history.balance': 'बैलेंस',
+    'history.autoTitle': 'ऑटो-प्ले',
+    'history.jackpotTitle': 'जैकपॉट',
+    'history.tx.opening': 'शुरुआती बैलेंस',
+    'history.tx.bet': 'दांव',
+    'history.tx.cancel': 'रद्द',
+    'history.tx.payout': 'भुगतान',
+    'history.tx.topup': 'टॉप-अप',
+    'history.tx.topup_refund': 'टॉप-अप रिफंड',
+    'history.tx.refund': 'वापसी',
+    'history.tx.adjustment': 'समायोजन',
+
+    'verify.title': 'राउंड जांचें',
+    'verify.intro': 'विजेता = HMAC-SHA256(सर्वर सीड, "क्लाइंट सीड:nonce:ब्लॉक")। सर्वर सीड का हैश दांव खुलने से पहले दिखाया जाता है; सीड खुद राउंड खत्म होने पर बताया जाता है।',
+    'verify.combinedSeeds': 'जब किसी राउंड पर कई खिलाड़ी दांव लगाते हैं, तो उसका क्लाइंट सीड उनके क्लाइंट सीड का SHA-256 होता है, क्रम में लगाकर, JSON array के रूप में।',
+    'verify.verify': 'जांचें',
+    'verify.noRounds': 'अभी तक कोई राउंड प्रकट नहीं हुआ।',
+    'verify.field.serverSeed': 'सर्वर सीड',
+    'verify.field.serverSeedHash': 'सर्वर सीड हैश (वैकल्पिक)',
+    'verify.field.clientSeed': 'क्लाइंट सीड',
+    'verify.field.nonce': 'Nonce',
+    'verify.recompute': 'फिर से गणना करें',
+    'verify.required': 'सर्वर सीड, क्लाइंट सीड और nonce ज़रूरी हैं।',
+    'verify.result': 'राउंड #{round}: {pet}, {multiplier}x के साथ',
+    'verify.resultJackpot': 'राउंड #{round}: {pet}, {multiplier}x के साथ, जैकपॉट लगा 🎰',
+    'verify.luckFactor': 'लक फैक्टर: {luck}',
+    'verify.hashMatches': '✅ सर्वर सीड दिए गए हैश से मेल खाता है',
+    'verify.hashMismatch': '❌ सर्वर सीड दिए गए हैश से मेल नहीं खाता',
+    'verify.outcomeMatches': '✅ दर्ज परिणाम मेल खाता है',
+    'verify.outcomeMismatch': '❌ दर्ज परिणाम मेल नहीं खाता',
+    'verify.seedsMatch': '✅ क्लाइंट सीड इन खिलाड़ियों के सीड से बना है:',
+    'verify.seedsMismatch': '❌ क्लाइंट सीड इन खिलाड़ियों के सीड से नहीं बना है:',
+    'verify.forced': '🛠 यह परिणाम डेव कंसोल से तय किया गया था, इसलिए इसका सीड से मेल खाना ज़रूरी नहीं है।',
+
+    'settings.language': 'भाषा',
+    'settings.locale': 'संख्या लोकेल',
+    'settings.notation': 'बड़ी संख्याएं',
+    'settings.notation.indian': 'भारतीय (लाख, करोड़)',
+    'settings.notation.international': 'अंतरराष्ट्रीय (K, M, B)',
+    'number.thousand': ' हज़ार',
+    'number.lakh': ' लाख',
+    'number.crore': ' करोड़',
+};
+
+export default hi;
@@ -0,0 +1,52 @@
+import { createTranslator, createNumberFormat, createMessageFormatter, resolveSettings, getDefaultSettings, NOTATIONS } from './index';
+import en from './catalogs/en';
+import hi from './catalogs/hi';
+import es from './catalogs/es';
+
+test('every translated key exists in the English catalog', () => {
+    [hi, es].forEach(catalog => {
+        Object.keys(catalog).forEach(key => expect(en).toHaveProperty([key]));
+    });
+});
+
+test('the translator fills params and falls back to English, then to the key', () => {
+    const t = createTranslator('es');
+    expect(t('round.placeBets', { seconds: 5 })).toMatch(/5/);
+    expect(t('number.lakh')).toBe(en['number.lakh']);
+    expect(t('no.such.key')).toBe('no.such.key');
+    expect(createTranslator('xx')('board.history')).toBe('History');
+});
+
+test('compact numbers use Indian or international suffixes', () => {
+    const t = createTranslator('en');
+    const indian = createNumberFormat({ locale: 'en-IN', notation: NOTATIONS.INDIAN }, t);
+    const international = createNumberFormat({ locale: 'en-IN', notation: NOTATIONS.INTERNATIONAL }, t);
+    expect(indian.formatCompact(150000)).toBe('1.5 L');
+    expect(indian.formatCompact(25000000)).toBe('2.5 Cr');
+    expect(international.formatCompact(150000)).toBe('150k');
+    expect(international.formatCompact(25000000)).toBe('25M');
+    expect(indian.formatCompact(999.5)).toBe('999.50');
+});
+
+test('amounts follow the locale separators', () => {
+    const t = createTranslator('en');
+    expect(createNumberFormat({ locale: 'de-DE', notation: NOTATIONS.INTERNATIONAL }, t).formatAmount(1234.5)).toBe('1.234,50');
+    expect(createNumberFormat({ locale: 'en-IN', notation: NOTATIONS.INDIAN }, t).formatAmount(123456.5)).toBe('1,23,456.50');
+});
+
+test('messages format their params at display time, including nested messages', () => {
+    const t = createTranslator('en');
+    const format = createNumberFormat({ locale: 'en-IN', notation: NOTATIONS.INDIAN }, t);
+    const formatMessage = createMessageFormatter({ t, ...format, locale: 'en-IN' });
+    expect(formatMessage({ key: 'bet.roundLimit', params: { limit: 200000 } })).toBe('That would take this round over the 💎2 L bet limit.');
+    expect(formatMessage({ key: 'auto.ended', params: { rounds: 3, reason: { key: 'auto.reason.manual' } } })).toBe('🤖 Auto-play ended after 3 rounds: stopped by you.');
+    expect(formatMessage('Declined by the bank')).toBe('Declined by the bank');
+    expect(formatMessage(null)).toBe('');
+});
+
+test('settings default from the browser language and drop unknown values', () => {
+    expect(getDefaultSettings('hi-IN')).toEqual({ language: 'hi', locale: 'hi-IN', notation: NOTATIONS.INDIAN });
+    expect(getDefaultSettings('es-ES')).toEqual({ language: 'es', locale: 'es-ES', notation: NOTATIONS.INTERNATIONAL });
+    expect(getDefaultSettings('fr-FR').language).toBe('en');
+    expect(resolveSettings({ language: 'xx', locale: 'de-DE', notation: 'roman' }, 'en-IN')).toEqual({ language: 'en', locale: 'de-DE', notation: NOTATIONS.INDIAN });
+});
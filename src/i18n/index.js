@@ -0,0 +1,116 @@
+// Translations and locale-aware number formatting.
+// Messages live in one catalog per language (./catalogs); a key missing from a catalog falls back to
+// English, and a key missing everywhere is shown as-is. Numbers use the player's locale for digits and
+// separators, with a choice of Indian (thousand / lakh / crore) or international (K / M / B) compact suffixes.
+import en from './catalogs/en.js';
+import hi from './catalogs/hi.js';
+import es from './catalogs/es.js';
+
+const CATALOGS = { en, hi, es };
+
+export const LANGUAGES = {
+    en: 'English',
+    hi: 'हिन्दी',
+    es: 'Español',
+};
+
+export const LOCALES = ['en-IN', 'hi-IN', 'en-US', 'en-GB', 'es-ES', 'es-MX', 'de-DE', 'fr-FR'];
+
+export const NOTATIONS = {
+    INDIAN: 'indian', // 12.5k, 1.2 L, 3 Cr
+    INTERNATIONAL: 'international', // 12.5k, 120k, 30M
+};
+
+const COMPACT_STEPS = {
+    [NOTATIONS.INDIAN]: [[1e7, 'number.crore'], [1e5, 'number.lakh'], [1e3, 'number.thousand']],
+    [NOTATIONS.INTERNATIONAL]: [[1e9, 'number.billion'], [1e6, 'number.million'], [1e3, 'number.thousand']],
+};
+
+// Suffixes that aren't in every catalog
+const DEFAULT_SUFFIXES = { 'number.billion': 'B', 'number.million': 'M' };
+
+const isSupportedLocale = (locale) => {
+    try {
+        return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+        return false; // Not a valid language tag
+    }
+};
+
+// Settings for a first visit, from the browser's language (e.g. navigator.language)
+export const getDefaultSettings = (browserLanguage = 'en-IN') => {
+    const language = browserLanguage.split('-')[0].toLowerCase();
+    const locale = isSupportedLocale(browserLanguage) ? browserLanguage : 'en-IN';
+    return {
+        language: CATALOGS[language] ? language : 'en',
+        locale,
+        notation: locale.endsWith('-IN') ? NOTATIONS.INDIAN : NOTATIONS.INTERNATIONAL,
+    };
+};
+
+// Saved settings with anything unknown replaced by the defaults
+export const resolveSettings = (saved, browserLanguage) => {
+    const defaults = getDefaultSettings(browserLanguage);
+    if (!saved) return defaults;
+    return {
+        language: CATALOGS[saved.language] ? saved.language : defaults.language,
+        locale: typeof saved.locale === 'string' && isSupportedLocale(saved.locale) ? saved.locale : defaults.locale,
+        notation: Object.values(NOTATIONS).includes(saved.notation) ? saved.notation : defaults.notation,
+    };
+};
+
+// t(key, params): the message for `key` with each {name} replaced by params.name
+export const createTranslator = (language) => {
+    const catalog = CATALOGS[language] || en;
+    return (key, params = {}) => {
+        const template = catalog[key] ?? en[key] ?? DEFAULT_SUFFIXES[key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+    };
+};
+
+// Number formatters for the chosen locale and notation:
+//   formatAmount(1234.5)   → "1,234.50" (en-IN) / "1.234,50" (de-DE)
+//   formatCompact(150000)  → "1.5 L" (Indian) / "150k" (international); below 1,000 same as formatAmount
+export const createNumberFormat = ({ locale, notation }, t) => {
+    const amountFormat = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const compactFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+    const steps = COMPACT_STEPS[notation] || COMPACT_STEPS[NOTATIONS.INTERNATIONAL];
+
+    const formatAmount = (num) => amountFormat.format(num);
+
+    const formatCompact = (num) => {
+        const step = steps.find(([size]) => Math.abs(num) >= size);
+        return step ? `${compactFormat.format(num / step[0])}${t(step[1])}` : formatAmount(num);
+    };
+
+    return { formatAmount, formatCompact };
+};
+
+export const formatDateTime = (timestamp, locale) => new Date(timestamp).toLocaleString(locale);
+export const formatTime = (timestamp, locale) => new Date(timestamp).toLocaleTimeString(locale);
+
+// Params formatted at display time, so a message already on screen follows a language or locale switch
+const AMOUNT_PARAMS = ['amount', 'jackpot'];
+const COMPACT_PARAMS = ['limit', 'remaining'];
+const DATE_PARAMS = ['until'];
+
+// Turn a message into text. Messages are kept as { key, params } rather than strings; a param may itself
+// be a message (e.g. a translated reason), and plain strings (a provider's own error text) pass through.
+export const createMessageFormatter = ({ t, formatAmount, formatCompact, locale }) => {
+    const formatParam = (name, value) => {
+        if (value && typeof value === 'object') return formatMessage(value);
+        if (typeof value !== 'number') return value;
+        if (AMOUNT_PARAMS.includes(name)) return formatAmount(value);
+        if (COMPACT_PARAMS.includes(name)) return formatCompact(value);
+        if (DATE_PARAMS.includes(name)) return formatDateTime(value, locale);
+        return value;
+    };
+
+    const formatMessage = (message) => {
+        if (!message || typeof message === 'string') return message || '';
+        const params = Object.keys(message.params || {}).reduce((acc, name) => ({ ...acc, [name]: formatParam(name, message.params[name]) }), {});
+        return t(message.key, params);
+    };
+
+    return formatMessage;
+};